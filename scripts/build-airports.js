@@ -0,0 +1,187 @@
+/**
+ * Build Airports
+ * Regenerate src/datasets/airports.json from the OurAirports airport list (public domain,
+ * https://ourairports.com/data/): every open airport, heliport and seaplane base with its codes,
+ * position and elevation, and the timezone at its position.
+ *
+ * Usage: npm run build:airports [-- --latest | path/to/airports.csv]
+ * By default the copy of the list in the aviation-data package is used; --latest downloads
+ * airports.csv from OurAirports instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const tzlookup = require('@photostructure/tz-lookup');
+
+const SOURCE_URL = 'https://davidmegginson.github.io/ourairports-data/airports.csv';
+
+// OurAirports list as republished in the aviation-data package (a JSON array, camelCase fields)
+const PACKAGE_FILE = require.resolve('aviation-data/data/airfields.json');
+
+// aviation-data field -> OurAirports CSV column
+const PACKAGE_COLUMNS = {
+  identifier: 'ident',
+  type: 'type',
+  name: 'name',
+  latitude: 'latitude_deg',
+  longitude: 'longitude_deg',
+  elevation: 'elevation_ft',
+  country: 'iso_country',
+  municipality: 'municipality',
+  gpsCode: 'gps_code',
+  iataCode: 'iata_code',
+  localCode: 'local_code'
+};
+
+const OUTPUT_FILE = path.join(__dirname, '..', 'src', 'datasets', 'airports.json');
+
+// OurAirports types that are kept, and the type they are saved as (closed fields and balloon
+// ports are left out)
+const TYPES = {
+  large_airport: 'airport',
+  medium_airport: 'airport',
+  small_airport: 'airport',
+  heliport: 'heliport',
+  seaplane_base: 'seaplane_base'
+};
+
+/**
+ * Parse CSV text (quoted fields may hold commas, doubled quotes and line breaks)
+ * @returns {Object[]} One object per row, keyed by the header row
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const header = rows.shift() || [];
+  return rows
+    .filter(values => values.length === header.length)
+    .map(values => Object.fromEntries(header.map((name, index) => [name, values[index].trim()])));
+}
+
+/**
+ * Convert an OurAirports row to the bundled airport shape
+ * @returns {Object|null} Airport, or null when the row is not kept
+ */
+function toAirport(row) {
+  const latitude = parseFloat(row.latitude_deg);
+  const longitude = parseFloat(row.longitude_deg);
+  if (!TYPES[row.type] || isNaN(latitude) || isNaN(longitude)) {
+    return null;
+  }
+
+  // Lists without the icao_code column give a four-letter ident or GPS code as the ICAO code
+  const icao = ('icao_code' in row ? row.icao_code : [row.ident, row.gps_code].find(code => /^[A-Z]{4}$/.test(code))) || null;
+  const iata = row.iata_code || null;
+  // Code for fields without an ICAO code, e.g. an FAA identifier; idents OurAirports made up
+  // itself (AU-0035) come last
+  const local = [row.gps_code, /^[A-Z]{2}-/.test(row.ident) ? '' : row.ident, row.local_code, row.ident]
+    .find(code => code && code !== icao && code !== iata) || null;
+  const elevation = parseInt(row.elevation_ft);
+
+  return {
+    icao,
+    iata,
+    local,
+    name: row.name,
+    city: row.municipality,
+    country: row.iso_country,
+    type: TYPES[row.type],
+    latitude: Math.round(latitude * 10000) / 10000,
+    longitude: Math.round(longitude * 10000) / 10000,
+    elevation_ft: isNaN(elevation) ? null : elevation,
+    timezone: tzlookup(latitude, longitude)
+  };
+}
+
+/**
+ * Write airports one per line, sorted by code
+ */
+function writeAirports(airports) {
+  const code = airport => airport.icao || airport.iata || airport.local;
+  const lines = airports
+    .sort((a, b) => code(a).localeCompare(code(b)))
+    .map(airport => `  {${Object.entries(airport).map(([key, value]) => `${JSON.stringify(key)}: ${JSON.stringify(value)}`).join(', ')}}`);
+  fs.writeFileSync(OUTPUT_FILE, `[\n${lines.join(',\n')}\n]\n`);
+}
+
+/**
+ * Read the airport list as OurAirports CSV rows
+ * @param {string} [source] - --latest, a path to airports.csv, or nothing for the aviation-data copy
+ */
+async function readRows(source) {
+  if (!source) {
+    console.log(`Reading ${path.relative(process.cwd(), PACKAGE_FILE)}`);
+    return JSON.parse(fs.readFileSync(PACKAGE_FILE, 'utf8')).map(airfield => {
+      const row = {};
+      Object.entries(PACKAGE_COLUMNS).forEach(([field, column]) => {
+        row[column] = airfield[field] === undefined || airfield[field] === null ? '' : String(airfield[field]).trim();
+      });
+      return row;
+    });
+  }
+
+  if (source !== '--latest') {
+    return parseCsv(fs.readFileSync(source, 'utf8'));
+  }
+
+  console.log(`Downloading ${SOURCE_URL}`);
+  const response = await fetch(SOURCE_URL);
+  if (!response.ok) {
+    throw new Error(`Download failed: ${response.status} ${response.statusText}`);
+  }
+  return parseCsv(await response.text());
+}
+
+async function main() {
+  const rows = await readRows(process.argv[2]);
+  if (rows.length === 0 || !('ident' in rows[0])) {
+    throw new Error('Not an OurAirports airport list (no ident column)');
+  }
+
+  const airports = rows.map(toAirport).filter(Boolean);
+  writeAirports(airports);
+
+  const heliports = airports.filter(airport => airport.type === 'heliport').length;
+  console.log(`Wrote ${airports.length} airports (${heliports} heliports) to ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+}
+
+main().catch(error => {
+  console.error('Error building airports:', error.message);
+  process.exit(1);
+});
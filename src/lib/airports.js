@@ -0,0 +1,242 @@
+/**
+ * Airports
+ * Offline airport and heliport lookup: the bundled database in datasets/airports.json (built from
+ * OurAirports by scripts/build-airports.js) plus each user's private landing sites (farm strips,
+ * hospital pads, ship decks, ...)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../models/database');
+const { isValidTimezone } = require('./timezones');
+const { distanceNm } = require('./geo');
+
+const AIRPORTS_FILE = path.join(__dirname, '..', 'datasets', 'airports.json');
+
+const SITE_TYPES = ['airstrip', 'helipad', 'ship', 'other'];
+
+const DEFAULT_SEARCH_LIMIT = 10;
+const MAX_SEARCH_LIMIT = 50;
+
+// Code kinds of a bundled airport: ICAO, IATA, and a local code (e.g. an FAA identifier) for
+// fields without an ICAO code. Where airports share a code, an ICAO code wins over an IATA code
+// and both over a local code.
+const CODE_KINDS = ['icao', 'iata', 'local'];
+
+// Bundled airports, loaded on first use: { list, byCode } where byCode maps ICAO, IATA and local codes
+let bundled = null;
+
+function getBundledAirports() {
+  if (!bundled) {
+    const list = JSON.parse(fs.readFileSync(AIRPORTS_FILE, 'utf8')).map(airport => ({
+      code: airport.icao || airport.iata || airport.local,
+      ...airport,
+      source: 'bundled'
+    }));
+
+    const byCode = {};
+    CODE_KINDS.forEach(kind => {
+      list.forEach(airport => {
+        if (airport[kind] && !byCode[airport[kind]]) {
+          byCode[airport[kind]] = airport;
+        }
+      });
+    });
+
+    bundled = { list, byCode };
+  }
+  return bundled;
+}
+
+/**
+ * Convert a landing_sites row to the same shape as a bundled airport
+ */
+function siteToAirport(site) {
+  return {
+    id: site.id,
+    code: site.code,
+    icao: null,
+    iata: null,
+    local: null,
+    name: site.name,
+    city: '',
+    country: '',
+    type: site.type,
+    latitude: site.latitude,
+    longitude: site.longitude,
+    elevation_ft: site.elevation_ft,
+    timezone: site.timezone,
+    source: 'private'
+  };
+}
+
+/**
+ * Get a user's private landing sites
+ * @param {number} userId - User ID
+ * @returns {Array} Sites in airport shape, ordered by code
+ */
+function getLandingSites(userId) {
+  return db.prepare(`
+    SELECT id, code, name, type, latitude, longitude, elevation_ft, timezone
+    FROM landing_sites
+    WHERE user_id = ?
+    ORDER BY code ASC
+  `).all(userId).map(siteToAirport);
+}
+
+/**
+ * Look up an airport or landing site by code (ICAO, IATA or private site code; case-insensitive)
+ * A user's own landing site takes precedence over a bundled airport with the same code.
+ * @param {number} userId - User ID
+ * @param {string} code - Code as logged in departure/arrival
+ * @returns {Object|null} Airport, or null when the code is unknown
+ */
+function findAirport(userId, code) {
+  const normalised = String(code || '').trim().toUpperCase();
+  if (!normalised) {
+    return null;
+  }
+
+  const site = db.prepare(`
+    SELECT id, code, name, type, latitude, longitude, elevation_ft, timezone
+    FROM landing_sites
+    WHERE user_id = ? AND code = ?
+  `).get(userId, normalised);
+  if (site) {
+    return siteToAirport(site);
+  }
+
+  return getBundledAirports().byCode[normalised] || null;
+}
+
+/**
+ * Find the airport or landing site nearest to a position
+ * @param {number} userId - User ID
+ * @param {{ latitude: number, longitude: number }} position - Position
+ * @param {number} maxDistanceNm - Furthest an airport can be, in nautical miles
+ * @returns {Object|null} Nearest airport, or null when none is close enough
+ */
+function findNearestAirport(userId, position, maxDistanceNm) {
+  let nearest = null;
+  let nearestDistance = maxDistanceNm;
+  getLandingSites(userId).concat(getBundledAirports().list).forEach(airport => {
+    const distance = distanceNm(position, airport);
+    if (distance <= nearestDistance) {
+      nearest = airport;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+}
+
+/**
+ * Search airports and landing sites by code, name or city
+ * Exact code matches come first, then codes starting with the query, then names/cities
+ * starting with it, then any other match.
+ * @param {number} userId - User ID
+ * @param {string} query - Search text
+ * @param {number} [limit=10] - Maximum results (capped at 50)
+ * @returns {Array} Matching airports
+ */
+function searchAirports(userId, query, limit = DEFAULT_SEARCH_LIMIT) {
+  const q = String(query || '').trim().toLowerCase();
+  if (!q) {
+    return [];
+  }
+
+  const rank = airport => {
+    const codes = [airport.code, airport.icao, airport.iata, airport.local].filter(Boolean).map(c => c.toLowerCase());
+    const words = [airport.name, airport.city].filter(Boolean).map(w => w.toLowerCase());
+
+    if (codes.includes(q)) {
+      return 0;
+    }
+    if (codes.some(c => c.startsWith(q))) {
+      return 1;
+    }
+    if (words.some(w => w.startsWith(q) || w.includes(` ${q}`))) {
+      return 2;
+    }
+    if (words.some(w => w.includes(q))) {
+      return 3;
+    }
+    return null;
+  };
+
+  const matches = [];
+  getLandingSites(userId).concat(getBundledAirports().list).forEach(airport => {
+    const score = rank(airport);
+    if (score !== null) {
+      matches.push({ airport, score });
+    }
+  });
+
+  return matches
+    .sort((a, b) => a.score - b.score || a.airport.code.localeCompare(b.airport.code))
+    .slice(0, Math.min(Math.max(parseInt(limit) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT))
+    .map(match => match.airport);
+}
+
+/**
+ * Validate and normalise a private landing site from request data
+ * @param {Object} data - code, name, type, latitude, longitude, elevation_ft, timezone
+ * @returns {{ valid: boolean, error?: string, site?: Object }}
+ */
+function validateLandingSite(data) {
+  const code = typeof data.code === 'string' ? data.code.trim().toUpperCase() : '';
+  const name = typeof data.name === 'string' ? data.name.trim() : '';
+
+  if (!code || !name) {
+    return { valid: false, error: 'Code and name are required' };
+  }
+  if (!/^[A-Z0-9-]{2,10}$/.test(code)) {
+    return { valid: false, error: 'Code must be 2-10 letters, numbers or hyphens' };
+  }
+  if (getBundledAirports().byCode[code]) {
+    return { valid: false, error: `${code} is already used by ${getBundledAirports().byCode[code].name}` };
+  }
+  if (name.length > 100) {
+    return { valid: false, error: 'Name must be 100 characters or less' };
+  }
+
+  const type = data.type || 'other';
+  if (!SITE_TYPES.includes(type)) {
+    return { valid: false, error: `Type must be one of: ${SITE_TYPES.join(', ')}` };
+  }
+
+  const latitude = parseFloat(data.latitude);
+  const longitude = parseFloat(data.longitude);
+  if (isNaN(latitude) || latitude < -90 || latitude > 90) {
+    return { valid: false, error: 'Latitude must be a number between -90 and 90' };
+  }
+  if (isNaN(longitude) || longitude < -180 || longitude > 180) {
+    return { valid: false, error: 'Longitude must be a number between -180 and 180' };
+  }
+
+  let elevation = null;
+  if (data.elevation_ft !== undefined && data.elevation_ft !== null && data.elevation_ft !== '') {
+    elevation = parseInt(data.elevation_ft);
+    if (isNaN(elevation)) {
+      return { valid: false, error: 'Elevation must be a whole number of feet' };
+    }
+  }
+
+  const timezone = typeof data.timezone === 'string' && data.timezone.trim() ? data.timezone.trim() : null;
+  if (timezone && !isValidTimezone(timezone)) {
+    return { valid: false, error: 'Timezone must be an IANA timezone name, e.g. Pacific/Auckland' };
+  }
+
+  return {
+    valid: true,
+    site: { code, name, type, latitude, longitude, elevation_ft: elevation, timezone }
+  };
+}
+
+module.exports = {
+  SITE_TYPES,
+  findAirport,
+  findNearestAirport,
+  searchAirports,
+  getLandingSites,
+  validateLandingSite
+};
@@ -0,0 +1,182 @@
+/**
+ * Instrument Approaches
+ * The instrument approaches flown on a flight, each with its type, airport and runway, kept in
+ * order alongside the flight's holds and course intercepts so instrument currency can be worked
+ * out from them
+ */
+
+const db = require('../models/database');
+
+// Approach types: key -> label (as written in exports, e.g. "ILS YSSY 16R")
+const APPROACH_TYPES = {
+  ils: 'ILS',
+  loc: 'LOC',
+  rnp: 'RNP',
+  vor: 'VOR',
+  ndb: 'NDB',
+  other: 'Other'
+};
+
+const MAX_APPROACHES = 30;
+
+/**
+ * Find an approach type from its key or label, in any case
+ * @returns {string|null} Type key
+ */
+function findApproachType(value) {
+  const text = String(value || '').trim().toLowerCase();
+  return Object.keys(APPROACH_TYPES).find(key => key === text || APPROACH_TYPES[key].toLowerCase() === text) || null;
+}
+
+/**
+ * Normalise one approach from request data
+ * @param {Object} approach - type, airport and runway
+ * @returns {Object} Approach with its type key and upper-case airport and runway
+ */
+function normaliseApproach(approach) {
+  const text = key => (typeof approach[key] === 'string' ? approach[key].trim().toUpperCase() : '');
+  return {
+    type: findApproachType(approach.type),
+    airport: text('airport'),
+    runway: text('runway')
+  };
+}
+
+/**
+ * Validate data.approaches and normalise it in place (empty when left out)
+ * @param {Object} data - Flight data in API request shape
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function applyApproaches(data) {
+  if (data.approaches === undefined || data.approaches === null) {
+    data.approaches = [];
+    return { valid: true };
+  }
+
+  if (!Array.isArray(data.approaches)) {
+    return { valid: false, error: 'Approaches must be a list' };
+  }
+  if (data.approaches.length === 0) {
+    return { valid: true };
+  }
+  if (data.approaches.length > MAX_APPROACHES) {
+    return { valid: false, error: `A flight can have at most ${MAX_APPROACHES} approaches` };
+  }
+  if (data.entry_type === 'prime') {
+    return { valid: false, error: 'Prime entries cannot have approaches' };
+  }
+
+  const approaches = [];
+  for (let i = 0; i < data.approaches.length; i++) {
+    if (!data.approaches[i] || typeof data.approaches[i] !== 'object') {
+      return { valid: false, error: `Approach ${i + 1}: invalid approach` };
+    }
+    const approach = normaliseApproach(data.approaches[i]);
+    if (!approach.type) {
+      return { valid: false, error: `Approach ${i + 1}: type must be one of: ${Object.values(APPROACH_TYPES).join(', ')}` };
+    }
+    if (approach.airport.length > 10 || approach.runway.length > 5) {
+      return { valid: false, error: `Approach ${i + 1}: airport must be 10 characters or less and runway 5 or less` };
+    }
+    approaches.push(approach);
+  }
+
+  data.approaches = approaches;
+  return { valid: true };
+}
+
+/**
+ * Replace a flight's approaches
+ * @param {number} flightId - Flight ID
+ * @param {Array} approaches - Approaches in order (empty for none)
+ */
+function saveFlightApproaches(flightId, approaches) {
+  db.prepare('DELETE FROM flight_approaches WHERE flight_id = ?').run(flightId);
+
+  if (!approaches || approaches.length === 0) {
+    return;
+  }
+
+  const insertStmt = db.prepare(`
+    INSERT INTO flight_approaches (flight_id, position, type, airport, runway)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+
+  approaches.forEach((approach, index) => {
+    const normalised = normaliseApproach(approach);
+    insertStmt.run(flightId, index + 1, normalised.type || 'other', normalised.airport, normalised.runway);
+  });
+}
+
+/**
+ * Get a flight's approaches in order
+ * @param {number} flightId - Flight ID
+ * @returns {Array} Approaches with type, airport and runway (empty when none)
+ */
+function getFlightApproaches(flightId) {
+  return db.prepare(`
+    SELECT type, airport, runway
+    FROM flight_approaches
+    WHERE flight_id = ?
+    ORDER BY position ASC
+  `).all(flightId);
+}
+
+/**
+ * Batch fetch approaches for multiple flights
+ * @param {number[]} flightIds - Array of flight IDs
+ * @returns {Object} Map of flight_id -> approaches in order (flights without approaches are absent)
+ */
+function batchFetchFlightApproaches(flightIds) {
+  if (!flightIds || flightIds.length === 0) {
+    return {};
+  }
+
+  const result = {};
+  db.prepare(`
+    SELECT flight_id, type, airport, runway
+    FROM flight_approaches
+    WHERE flight_id IN (${flightIds.map(() => '?').join(',')})
+    ORDER BY flight_id ASC, position ASC
+  `).all(...flightIds).forEach(({ flight_id: flightId, ...approach }) => {
+    if (!result[flightId]) {
+      result[flightId] = [];
+    }
+    result[flightId].push(approach);
+  });
+
+  return result;
+}
+
+/**
+ * Describe approaches, e.g. "ILS YSSY 16R; RNP YSCB 35"
+ * @param {Array} [approaches] - Approaches in order
+ * @returns {string} Description ('' for none)
+ */
+function describeApproaches(approaches) {
+  return (approaches || []).map(approach => {
+    return [APPROACH_TYPES[approach.type] || approach.type, approach.airport, approach.runway].filter(Boolean).join(' ');
+  }).join('; ');
+}
+
+/**
+ * Read approaches back from a description written by describeApproaches (for the CSV import)
+ * @param {string} text - e.g. "ILS YSSY 16R; RNP YSCB 35"
+ * @returns {Array} Approaches; a type that isn't recognised is left for applyApproaches to reject
+ */
+function parseApproaches(text) {
+  return String(text || '').split(';').map(part => part.trim()).filter(Boolean).map(part => {
+    const [type, airport, runway] = part.split(/\s+/);
+    return { type: findApproachType(type) || type, airport: airport || '', runway: runway || '' };
+  });
+}
+
+module.exports = {
+  APPROACH_TYPES,
+  applyApproaches,
+  saveFlightApproaches,
+  getFlightApproaches,
+  batchFetchFlightApproaches,
+  describeApproaches,
+  parseApproaches
+};
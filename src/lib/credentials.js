@@ -0,0 +1,264 @@
+/**
+ * Credentials
+ * Licences, ratings, medicals and checks, with their expiry dates and an optional scan of the
+ * document, and how close each is to expiring. A medical with an authority and class has its
+ * expiry worked out for each privilege level from the holder's date of birth.
+ */
+
+const db = require('../models/database');
+const { getPreferences } = require('./preferences');
+const { MEDICAL_AUTHORITIES, computeMedicalValidity } = require('./medical');
+
+// Kinds of credential a pilot holds
+const CREDENTIAL_TYPES = {
+  licence: 'Licence',
+  type_rating: 'Type rating',
+  instrument_rating: 'Instrument rating',
+  medical: 'Medical',
+  flight_review: 'Biennial flight review',
+  proficiency_check: 'Operator proficiency check',
+  dangerous_goods: 'Dangerous goods',
+  other: 'Other'
+};
+
+// Days ahead the dashboard looks for expiries, each a step of the traffic light
+const EXPIRY_WINDOWS = [30, 60, 90];
+
+const MAX_CREDENTIALS = 100;
+
+// Attachments are scans or photos of the document
+const ATTACHMENT_TYPES = ['application/pdf', 'image/png', 'image/jpeg', 'image/webp'];
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+
+// Columns to list credentials with, leaving out the attachment itself
+const CREDENTIAL_COLUMNS = `
+  id, type, name, reference, issuing_authority, issue_date, expiry_date, notes, medical_authority, medical_class,
+  attachment_name, attachment_type, length(attachment) as attachment_size, created_at, updated_at
+`;
+
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+}
+
+/**
+ * Validate an attachment from a request
+ * @param {Object} attachment - name, type (MIME type) and data (base64)
+ * @returns {{ valid: boolean, error?: string, attachment?: Object }} attachment with data as a Buffer
+ */
+function validateAttachment(attachment) {
+  if (typeof attachment !== 'object' || typeof attachment.data !== 'string') {
+    return { valid: false, error: 'Attachment must have a name, type and data' };
+  }
+  if (!ATTACHMENT_TYPES.includes(attachment.type)) {
+    return { valid: false, error: 'Attachment must be a PDF, PNG, JPEG or WebP file' };
+  }
+
+  const data = Buffer.from(attachment.data, 'base64');
+  if (data.length === 0) {
+    return { valid: false, error: 'Attachment is empty' };
+  }
+  if (data.length > MAX_ATTACHMENT_BYTES) {
+    return { valid: false, error: `Attachment must be ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB or less` };
+  }
+
+  const name = String(attachment.name || 'attachment').replace(/[\\/"\r\n]/g, '_').trim().slice(0, 200);
+  return { valid: true, attachment: { name: name || 'attachment', type: attachment.type, data } };
+}
+
+/**
+ * Validate and normalise a credential from a request
+ * @param {Object} data - type, name, reference, issuing_authority, issue_date, expiry_date, notes,
+ *   medical_authority and medical_class (medicals only), and optionally attachment ({ name, type, data })
+ *   or remove_attachment
+ * @returns {{ valid: boolean, error?: string, credential?: Object, attachment?: Object|null }}
+ *   attachment is null to remove it and undefined to leave it as it is
+ */
+function validateCredentialData(data) {
+  if (!CREDENTIAL_TYPES[data.type]) {
+    return { valid: false, error: `Type must be one of: ${Object.keys(CREDENTIAL_TYPES).join(', ')}` };
+  }
+
+  const text = key => (typeof data[key] === 'string' ? data[key].trim() : '');
+  const name = text('name');
+  if (!name) {
+    return { valid: false, error: 'Name is required' };
+  }
+  if (name.length > 100 || text('reference').length > 100 || text('issuing_authority').length > 100) {
+    return { valid: false, error: 'Name, reference and issuing authority must be 100 characters or less' };
+  }
+  if (text('notes').length > 1000) {
+    return { valid: false, error: 'Notes must be 1000 characters or less' };
+  }
+
+  const issueDate = text('issue_date') || null;
+  const expiryDate = text('expiry_date') || null;
+  if ((issueDate && !isDate(issueDate)) || (expiryDate && !isDate(expiryDate))) {
+    return { valid: false, error: 'Issue and expiry dates must be dates (YYYY-MM-DD)' };
+  }
+  if (issueDate && expiryDate && expiryDate < issueDate) {
+    return { valid: false, error: 'Expiry date cannot be before the issue date' };
+  }
+
+  // A medical's validity is worked out from its authority's rules and the examination (issue) date
+  const medicalAuthority = data.type === 'medical' ? text('medical_authority') : '';
+  const medicalClass = medicalAuthority ? text('medical_class') : '';
+  if (medicalAuthority) {
+    const authority = MEDICAL_AUTHORITIES[medicalAuthority];
+    if (!authority) {
+      return { valid: false, error: `Medical authority must be one of: ${Object.keys(MEDICAL_AUTHORITIES).join(', ')}` };
+    }
+    if (!authority.classes[medicalClass]) {
+      return { valid: false, error: `${authority.label} medical class must be one of: ${Object.keys(authority.classes).join(', ')}` };
+    }
+    if (!issueDate) {
+      return { valid: false, error: 'Examination date is required to work out the medical\'s validity' };
+    }
+  }
+
+  let attachment;
+  if (data.attachment) {
+    const validation = validateAttachment(data.attachment);
+    if (!validation.valid) {
+      return validation;
+    }
+    attachment = validation.attachment;
+  } else if (data.remove_attachment) {
+    attachment = null;
+  }
+
+  return {
+    valid: true,
+    credential: {
+      type: data.type,
+      name,
+      reference: text('reference'),
+      issuing_authority: text('issuing_authority'),
+      issue_date: issueDate,
+      expiry_date: medicalAuthority ? null : expiryDate,  // worked out when read
+      notes: text('notes'),
+      medical_authority: medicalAuthority,
+      medical_class: medicalClass
+    },
+    attachment
+  };
+}
+
+/**
+ * How close a credential is to expiring
+ * @param {string|null} expiryDate - Last day the credential is valid (YYYY-MM-DD)
+ * @param {string} today - YYYY-MM-DD
+ * @returns {{ status: string, days_left: number|null }} status is expired, within_30, within_60,
+ *   within_90, valid or no_expiry
+ */
+function expiryStatus(expiryDate, today) {
+  if (!expiryDate) {
+    return { status: 'no_expiry', days_left: null };
+  }
+
+  const daysLeft = Math.round((Date.parse(expiryDate) - Date.parse(today)) / (24 * 60 * 60 * 1000));
+  if (daysLeft < 0) {
+    return { status: 'expired', days_left: daysLeft };
+  }
+  const window = EXPIRY_WINDOWS.find(days => daysLeft <= days);
+  return { status: window ? `within_${window}` : 'valid', days_left: daysLeft };
+}
+
+/**
+ * Shape a credentials row for the API
+ * A medical with an authority and class gets privileges (each level's expiry_date and status)
+ * and the expiry of its own class as its expiry_date - when the date of birth is known.
+ * @param {Object} row - credentials row (CREDENTIAL_COLUMNS)
+ * @param {string} today - YYYY-MM-DD
+ * @param {string} dateOfBirth - Holder's date of birth (YYYY-MM-DD), '' if not set
+ */
+function formatCredential(row, today, dateOfBirth) {
+  const { attachment_size: attachmentSize, ...credential } = row;
+  const authority = MEDICAL_AUTHORITIES[row.medical_authority];
+
+  let medical = {};
+  if (authority) {
+    const validity = dateOfBirth && row.issue_date
+      ? computeMedicalValidity(row.medical_authority, row.medical_class, row.issue_date, dateOfBirth)
+      : null;
+    medical = {
+      medical_authority_label: authority.label,
+      medical_class_label: (authority.classes[row.medical_class] || {}).label || row.medical_class,
+      medical_note: authority.note,
+      needs_date_of_birth: !dateOfBirth,
+      age_at_examination: validity ? validity.age : null,
+      privileges: validity
+        ? validity.privileges.map(privilege => ({ ...privilege, ...expiryStatus(privilege.expiry_date, today) }))
+        : null
+    };
+    if (validity) {
+      credential.expiry_date = validity.privileges[0].expiry_date;
+    }
+  }
+
+  return {
+    ...credential,
+    type_label: CREDENTIAL_TYPES[row.type] || row.type,
+    has_attachment: attachmentSize !== null,
+    attachment_size: attachmentSize,
+    ...medical,
+    ...expiryStatus(credential.expiry_date, today)
+  };
+}
+
+/**
+ * Sort credentials soonest expiry first (those that don't expire last), then by name
+ */
+function byExpiry(a, b) {
+  if (a.expiry_date !== b.expiry_date) {
+    if (!a.expiry_date || !b.expiry_date) {
+      return a.expiry_date ? -1 : 1;
+    }
+    return a.expiry_date < b.expiry_date ? -1 : 1;
+  }
+  return a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+}
+
+/**
+ * A user's credentials, soonest expiry first
+ * @param {number} userId - User ID
+ * @param {string} today - Today in the user's home timezone (YYYY-MM-DD)
+ */
+function getCredentials(userId, today) {
+  const { dateOfBirth } = getPreferences(userId);
+  return db.prepare(`SELECT ${CREDENTIAL_COLUMNS} FROM credentials WHERE user_id = ?`).all(userId)
+    .map(row => formatCredential(row, today, dateOfBirth))
+    .sort(byExpiry);
+}
+
+/**
+ * A user's credentials that have expired or expire within the longest window
+ * A medical's privilege levels are listed separately, e.g. its Class 1 privileges expiring
+ * while its Class 2 privileges carry on.
+ */
+function getExpiringCredentials(userId, today) {
+  const expiring = status => status === 'expired' || status.startsWith('within_');
+  return getCredentials(userId, today)
+    .flatMap(credential => (credential.privileges
+      ? credential.privileges.map(privilege => ({
+        ...credential,
+        privilege_label: privilege.label,
+        expiry_date: privilege.expiry_date,
+        status: privilege.status,
+        days_left: privilege.days_left
+      }))
+      : [credential]))
+    .filter(credential => expiring(credential.status))
+    .sort(byExpiry);
+}
+
+module.exports = {
+  CREDENTIAL_TYPES,
+  EXPIRY_WINDOWS,
+  MAX_CREDENTIALS,
+  CREDENTIAL_COLUMNS,
+  validateCredentialData,
+  expiryStatus,
+  formatCredential,
+  getCredentials,
+  getExpiringCredentials
+};
@@ -0,0 +1,140 @@
+/**
+ * Cross-Country
+ * Route distance from airport coordinates (multi-leg routes summed) and classification of
+ * cross-country time by the user's chosen rule
+ */
+
+const db = require('../models/database');
+const { distanceNm } = require('./geo');
+const { findAirport } = require('./airports');
+const { getPreferences } = require('./preferences');
+const { getFlightLegs, batchFetchFlightLegs } = require('./flight-legs');
+
+// What makes a flight cross-country; both distance rules use the crossCountryMinNm preference
+const CROSS_COUNTRY_RULES = {
+  landing_distance: 'A landing more than the minimum distance from the departure point',
+  route_distance: 'A total route distance of more than the minimum distance',
+  off: 'Never (no cross-country time is recorded)'
+};
+
+/**
+ * Work out a flight's route distance and cross-country time
+ * Airports that are not in the database (or a private landing site) are left out of the distance.
+ * Simulator sessions and prime entries are never cross-country.
+ * @param {number} userId - User ID (for private landing sites)
+ * @param {Object} flight - departure, arrival, aircraft_category, entry_type and legs
+ * @param {number} flight_time - Total flight time
+ * @param {Object} [prefs] - The user's preferences, when already loaded
+ * @returns {{ distance_nm: number, crosscountry_hours: number }}
+ */
+function classifyCrossCountry(userId, flight, flight_time, prefs = getPreferences(userId)) {
+  const sectors = flight.legs && flight.legs.length > 0
+    ? flight.legs
+    : [{ departure: flight.departure, arrival: flight.arrival }];
+
+  const airports = {};
+  const locate = code => {
+    if (!(code in airports)) {
+      airports[code] = findAirport(userId, code);
+    }
+    return airports[code];
+  };
+
+  const origin = locate(sectors[0].departure);
+  let distance = 0;
+  let furthestLanding = 0;
+  sectors.forEach(sector => {
+    const from = locate(sector.departure);
+    const to = locate(sector.arrival);
+    if (from && to) {
+      distance += distanceNm(from, to);
+    }
+    if (origin && to) {
+      furthestLanding = Math.max(furthestLanding, distanceNm(origin, to));
+    }
+  });
+
+  const minimum = prefs.crossCountryMinNm;
+  let crossCountry = false;
+  if (flight.aircraft_category !== 'Simulator' && flight.entry_type !== 'prime') {
+    if (prefs.crossCountryRule === 'landing_distance') {
+      crossCountry = furthestLanding > minimum;
+    } else if (prefs.crossCountryRule === 'route_distance') {
+      crossCountry = distance > minimum;
+    }
+  }
+
+  return {
+    distance_nm: Math.round(distance * 10) / 10,
+    crosscountry_hours: crossCountry ? flight_time : 0
+  };
+}
+
+/**
+ * Recalculate the stored distance and cross-country time of one flight from its saved route
+ * (after a change that does not go through the flight form, e.g. a bulk edit or a revert)
+ * @param {number} userId - Owner of the flight
+ * @param {number} flightId - Flight ID
+ */
+function updateFlightCrossCountry(userId, flightId) {
+  const flight = db.prepare(`
+    SELECT id, departure, arrival, aircraft_category, entry_type, flight_time_hours
+    FROM flights
+    WHERE id = ? AND user_id = ?
+  `).get(flightId, userId);
+  if (!flight) {
+    return;
+  }
+
+  const result = classifyCrossCountry(userId, { ...flight, legs: getFlightLegs(flightId) }, flight.flight_time_hours);
+  db.prepare('UPDATE flights SET distance_nm = ?, crosscountry_hours = ? WHERE id = ?')
+    .run(result.distance_nm, result.crosscountry_hours, flightId);
+}
+
+/**
+ * Recalculate distance and cross-country time for a user's flights (including the Trash),
+ * e.g. after the rule changes or a landing site is added or removed
+ * @param {number} userId - User ID
+ * @param {boolean} [onlyMissing=false] - Only flights whose distance has never been calculated
+ * @returns {number} Number of flights recalculated
+ */
+function recalculateCrossCountry(userId, onlyMissing = false) {
+  const prefs = getPreferences(userId);
+  const flights = db.prepare(`
+    SELECT id, departure, arrival, aircraft_category, entry_type, flight_time_hours
+    FROM flights
+    WHERE user_id = ?${onlyMissing ? ' AND distance_nm IS NULL' : ''}
+  `).all(userId);
+  if (flights.length === 0) {
+    return 0;
+  }
+
+  const legsByFlight = batchFetchFlightLegs(flights.map(f => f.id));
+  const updateStmt = db.prepare('UPDATE flights SET distance_nm = ?, crosscountry_hours = ? WHERE id = ?');
+
+  db.transaction(() => {
+    flights.forEach(flight => {
+      const result = classifyCrossCountry(userId, { ...flight, legs: legsByFlight[flight.id] }, flight.flight_time_hours, prefs);
+      updateStmt.run(result.distance_nm, result.crosscountry_hours, flight.id);
+    });
+  })();
+
+  return flights.length;
+}
+
+/**
+ * Calculate distance and cross-country time for flights logged before distances were stored
+ * @returns {number} Number of flights calculated
+ */
+function backfillCrossCountry() {
+  return db.prepare('SELECT DISTINCT user_id FROM flights WHERE distance_nm IS NULL').all()
+    .reduce((count, row) => count + recalculateCrossCountry(row.user_id, true), 0);
+}
+
+module.exports = {
+  CROSS_COUNTRY_RULES,
+  classifyCrossCountry,
+  updateFlightCrossCountry,
+  recalculateCrossCountry,
+  backfillCrossCountry
+};
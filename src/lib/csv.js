@@ -0,0 +1,172 @@
+/**
+ * Logbook CSV
+ * CSV parsing/formatting and the column layout shared by the CSV export and import,
+ * so an exported file can be imported again without any mapping
+ */
+
+// Fixed logbook columns in export order: header -> API field (as accepted by POST /api/flights) and DB column
+const LOGBOOK_COLUMNS = [
+  { header: 'Date', field: 'date', column: 'date' },
+  { header: 'Aircraft Category', field: 'aircraft_category', column: 'aircraft_category', default: 'Helicopter' },
+  { header: 'Engine Type', field: 'engine_type', column: 'engine_type', default: 'Single Engine' },
+  { header: 'Aircraft Type', field: 'aircraft_type', column: 'aircraft_type' },
+  { header: 'Registration', field: 'registration', column: 'registration', default: '' },
+  { header: 'Pilot in Command', field: 'pic', column: 'pilot_in_command', default: '' },
+  { header: 'Co-pilot/Student', field: 'copilot', column: 'copilot_student', default: '' },
+  { header: 'Departure', field: 'departure', column: 'departure', default: '' },
+  { header: 'Arrival', field: 'arrival', column: 'arrival', default: '' },
+  { header: 'Block Off', field: 'out_time', column: 'out_time', default: '' },
+  { header: 'Takeoff', field: 'off_time', column: 'off_time', default: '' },
+  { header: 'Landing', field: 'on_time', column: 'on_time', default: '' },
+  { header: 'Block On', field: 'in_time', column: 'in_time', default: '' },
+  { header: 'Times UTC', field: 'times_utc', column: 'times_utc', default: 0 },
+  { header: 'Flight Details', field: 'route', column: 'flight_details', default: '' },
+  { header: 'Total Hours', field: 'flight_time', column: 'flight_time_hours', type: 'hours' },
+  { header: 'Day PIC', field: 'day_pic', column: 'day_pic', type: 'hours', default: 0 },
+  { header: 'Night PIC', field: 'night_pic', column: 'night_pic', type: 'hours', default: 0 },
+  { header: 'Day Dual', field: 'day_dual', column: 'day_dual', type: 'hours', default: 0 },
+  { header: 'Night Dual', field: 'night_dual', column: 'night_dual', type: 'hours', default: 0 },
+  { header: 'Day SIC', field: 'day_sic', column: 'day_sic', type: 'hours', default: 0 },
+  { header: 'Night SIC', field: 'night_sic', column: 'night_sic', type: 'hours', default: 0 },
+  { header: 'Day Command Practice', field: 'day_cmnd_practice', column: 'day_cmnd_practice', type: 'hours', default: 0 },
+  { header: 'Night Command Practice', field: 'night_cmnd_practice', column: 'night_cmnd_practice', type: 'hours', default: 0 },
+  { header: 'Actual Instrument', field: 'instrument_hours', column: 'instrument_hours', type: 'hours', default: 0 },
+  { header: 'Simulated Instrument', field: 'simulated_instrument_hours', column: 'simulated_instrument_hours', type: 'hours', default: 0 },
+  { header: 'Ground Instrument', field: 'ground_instrument_hours', column: 'ground_instrument_hours', type: 'hours', default: 0 },
+  // Custom field columns are inserted here
+  { header: 'Takeoffs Day', field: 'takeoffs_day', column: 'takeoffs_day', type: 'count', default: 0 },
+  { header: 'Takeoffs Night', field: 'takeoffs_night', column: 'takeoffs_night', type: 'count', default: 0 },
+  { header: 'Landings Day', field: 'landings_day', column: 'landings_day', type: 'count', default: 0 },
+  { header: 'Landings Night', field: 'landings_night', column: 'landings_night', type: 'count', default: 0 },
+  { header: 'Holds', field: 'holds', column: 'holds', type: 'count', default: 0 },
+  { header: 'Intercepts', field: 'intercepts', column: 'intercepts', type: 'count', default: 0 },
+  { header: 'Entry Type', field: 'entry_type', column: 'entry_type', default: 'flight' }
+];
+
+const CUSTOM_FIELDS_AFTER = 'Ground Instrument';
+
+// Leg number of a row in a per-leg export, after the date (blank for single-sector flights);
+// the import joins a flight's leg rows back into one flight
+const LEG_COLUMN = { header: 'Leg', field: 'leg_number', column: 'leg_number', type: 'count', default: '' };
+
+// A flight's approaches (kept in flight_approaches), after the fixed columns: how many, and each one
+// as "ILS YSSY 16R; RNP YSCB 35" so the import can read them back
+const APPROACH_COLUMNS = [
+  { header: 'Approaches', field: 'approach_count', column: 'approach_count', type: 'count', default: 0 },
+  { header: 'Approach Details', field: 'approach_details', column: 'approach_details', default: '' }
+];
+
+/**
+ * Build the full column list for a user, with their custom fields in export position and the
+ * approach columns last
+ * @param {Array<{id: number, field_label: string}>} customFields - User's custom fields, ordered by id
+ * @returns {Array} Column definitions; custom field columns carry customFieldId and field "custom:<id>"
+ */
+function buildLogbookColumns(customFields) {
+  const insertAt = LOGBOOK_COLUMNS.findIndex(col => col.header === CUSTOM_FIELDS_AFTER) + 1;
+  const customColumns = customFields.map(cf => ({
+    header: cf.field_label,
+    field: `custom:${cf.id}`,
+    customFieldId: cf.id,
+    type: 'hours',
+    default: 0
+  }));
+
+  return [
+    ...LOGBOOK_COLUMNS.slice(0, insertAt),
+    ...customColumns,
+    ...LOGBOOK_COLUMNS.slice(insertAt),
+    ...APPROACH_COLUMNS
+  ];
+}
+
+/**
+ * Guess the delimiter from the first line: spreadsheets in some locales save with ";",
+ * and some logbook apps export tab-separated text
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const count = ch => firstLine.split(ch).length - 1;
+  return [';', '\t'].find(ch => count(ch) > count(',')) || ',';
+}
+
+/**
+ * Parse CSV text into rows of string values
+ * Handles quoted values, doubled quotes, embedded newlines, CRLF line endings and a UTF-8 BOM
+ * @param {string} text - CSV file contents
+ * @param {string} [delimiter=','] - Value separator
+ * @returns {string[][]} Rows (blank lines and rows of empty values skipped)
+ */
+function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+  const endRow = () => {
+    row.push(value);
+    if (row.some(v => v.trim() !== '')) {
+      rows.push(row);
+    }
+    row = [];
+    value = '';
+  };
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        value += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(value);
+      value = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      value += ch;
+    }
+  }
+
+  if (value !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Format a single CSV value, quoting it when it contains a delimiter, quote or newline
+ */
+function formatCsvValue(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Format a row of values as a CSV line (without line terminator)
+ */
+function formatCsvRow(values) {
+  return values.map(formatCsvValue).join(',');
+}
+
+module.exports = {
+  LOGBOOK_COLUMNS,
+  LEG_COLUMN,
+  buildLogbookColumns,
+  detectDelimiter,
+  parseCsv,
+  formatCsvRow
+};
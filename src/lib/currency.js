@@ -0,0 +1,458 @@
+/**
+ * Currency
+ * Recent experience rules - "at least N of something within D days" - worked out from the
+ * flights logged. Built-in rules cover passenger carrying (3 takeoffs and 3 landings in the
+ * preceding 90 days, by day and by night) per aircraft category, and per type when the user
+ * chooses, and instrument currency for users who log approaches; users can add their own rules
+ * counting flights, hours, takeoffs, landings, approaches, holds, intercepts or custom field time,
+ * filtered to a category, type, tag or custom field.
+ */
+
+const db = require('../models/database');
+const { roundHours } = require('./hours');
+
+// A currency this many days or fewer from lapsing is shown as expiring
+const EXPIRING_DAYS = 30;
+
+// Limits on user-defined rules
+const MAX_RULES = 50;
+const MAX_RULE_DAYS = 3650;
+
+// What a rule can count; value() reads it from a flight (custom field time from flight.custom_values)
+const CURRENCY_METRICS = {
+  flights: { label: 'Flights', hours: false, value: () => 1 },
+  hours: { label: 'Flight hours', hours: true, value: f => f.flight_time_hours || 0 },
+  pic_hours: { label: 'PIC hours', hours: true, value: f => (f.day_pic || 0) + (f.night_pic || 0) },
+  night_hours: {
+    label: 'Night hours',
+    hours: true,
+    value: f => (f.night_pic || 0) + (f.night_dual || 0) + (f.night_sic || 0) + (f.night_cmnd_practice || 0)
+  },
+  takeoffs: { label: 'Takeoffs', hours: false, value: f => (f.takeoffs_day || 0) + (f.takeoffs_night || 0) },
+  landings: { label: 'Landings', hours: false, value: f => (f.landings_day || 0) + (f.landings_night || 0) },
+  night_takeoffs: { label: 'Night takeoffs', hours: false, value: f => f.takeoffs_night || 0 },
+  night_landings: { label: 'Night landings', hours: false, value: f => f.landings_night || 0 },
+  approaches: { label: 'Approaches', hours: false, value: f => f.approach_count || 0 },
+  holds: { label: 'Holds', hours: false, value: f => f.holds || 0 },
+  intercepts: { label: 'Intercepts', hours: false, value: f => f.intercepts || 0 },
+  custom_field_hours: {
+    label: 'Custom field hours',
+    hours: true,
+    needsCustomField: true,
+    value: (f, rule) => (f.custom_values && f.custom_values[rule.filters.custom_field_id]) || 0
+  }
+};
+
+// Built-in passenger-carrying rules (night takeoffs and landings count towards day currency too)
+const CURRENCY_RULES = [
+  {
+    key: 'passenger_day',
+    label: 'Passenger carrying (day)',
+    days: 90,
+    night: false,
+    requirements: [{ metric: 'takeoffs', minimum: 3 }, { metric: 'landings', minimum: 3 }]
+  },
+  {
+    key: 'passenger_night',
+    label: 'Passenger carrying (night)',
+    days: 90,
+    night: true,
+    requirements: [{ metric: 'night_takeoffs', minimum: 3 }, { metric: 'night_landings', minimum: 3 }]
+  }
+];
+
+// Built-in instrument currency: 6 approaches, holding, and intercepting and tracking courses within
+// the preceding 6 calendar months (as in 14 CFR 61.57(c)). It covers every aircraft category, and
+// simulator sessions count towards it.
+const INSTRUMENT_RULE = {
+  key: 'instrument',
+  label: 'Instrument (IFR)',
+  months: 6,
+  night: false,
+  requirements: [
+    { metric: 'approaches', minimum: 6 },
+    { metric: 'holds', minimum: 1 },
+    { metric: 'intercepts', minimum: 1 }
+  ]
+};
+
+// ==================== DATES ====================
+
+/**
+ * Add days to a date
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * First day of the calendar month a number of months from a date's month
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+function startOfMonth(date, months) {
+  const [year, month] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1 + months, 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * Last day of the calendar month a number of months from a date's month
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+function endOfMonth(date, months) {
+  const [year, month] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month + months, 0)).toISOString().slice(0, 10);
+}
+
+/**
+ * Whole days from one date to another
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000));
+}
+
+// ==================== USER RULES ====================
+
+/**
+ * Validate and normalise a user-defined rule from a request
+ * @param {Object} data - name, metric, minimum, days, and optional aircraft_category, aircraft_type,
+ *   tag and custom_field_id filters
+ * @param {number} userId - Owner (the custom field must be theirs)
+ * @returns {{ valid: boolean, error?: string, rule?: Object }}
+ */
+function validateRuleData(data, userId) {
+  const name = typeof data.name === 'string' ? data.name.trim() : '';
+  if (!name) {
+    return { valid: false, error: 'Rule name is required' };
+  }
+  if (name.length > 100) {
+    return { valid: false, error: 'Rule name must be 100 characters or less' };
+  }
+
+  const metric = CURRENCY_METRICS[data.metric];
+  if (!metric) {
+    return { valid: false, error: `Metric must be one of: ${Object.keys(CURRENCY_METRICS).join(', ')}` };
+  }
+
+  const minimum = Number(data.minimum);
+  if (!isFinite(minimum) || minimum <= 0 || minimum > 10000 || (!metric.hours && !Number.isInteger(minimum))) {
+    return { valid: false, error: metric.hours ? 'Minimum must be more than 0 hours' : 'Minimum must be a whole number of at least 1' };
+  }
+
+  const days = Number(data.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_RULE_DAYS) {
+    return { valid: false, error: `Days must be a whole number from 1 to ${MAX_RULE_DAYS}` };
+  }
+
+  const text = key => (typeof data[key] === 'string' ? data[key].trim() : '');
+  const tag = text('tag');
+  if (tag && !/^[a-zA-Z0-9_-]+$/.test(tag)) {
+    return { valid: false, error: 'Tag can only contain letters, numbers, underscores, and hyphens' };
+  }
+
+  let customFieldId = null;
+  if (data.custom_field_id !== undefined && data.custom_field_id !== null && data.custom_field_id !== '') {
+    customFieldId = parseInt(data.custom_field_id);
+    const field = db.prepare('SELECT id FROM custom_fields WHERE id = ? AND user_id = ?').get(customFieldId, userId);
+    if (!field) {
+      return { valid: false, error: 'Custom field not found' };
+    }
+  }
+  if (metric.needsCustomField && !customFieldId) {
+    return { valid: false, error: 'Choose the custom field whose hours the rule counts' };
+  }
+
+  return {
+    valid: true,
+    rule: {
+      name,
+      metric: data.metric,
+      minimum: metric.hours ? roundHours(minimum) : minimum,
+      days,
+      aircraft_category: text('aircraft_category'),
+      aircraft_type: text('aircraft_type'),
+      tag,
+      custom_field_id: customFieldId
+    }
+  };
+}
+
+/**
+ * Shape a currency_rules row as a rule for evaluation
+ */
+function toRule(row) {
+  return {
+    key: `custom_${row.id}`,
+    id: row.id,
+    label: row.name,
+    days: row.days,
+    night: false,
+    custom: true,
+    requirements: [{
+      metric: row.metric,
+      minimum: row.minimum,
+      label: row.metric === 'custom_field_hours' ? row.custom_field_label : undefined
+    }],
+    filters: {
+      aircraft_category: row.aircraft_category || '',
+      aircraft_type: row.aircraft_type || '',
+      tag: row.tag || '',
+      custom_field_id: row.custom_field_id
+    }
+  };
+}
+
+/**
+ * A user's own rules, with the custom field's label
+ */
+function getUserRules(userId) {
+  return db.prepare(`
+    SELECT r.*, cf.field_label as custom_field_label
+    FROM currency_rules r
+    LEFT JOIN custom_fields cf ON cf.id = r.custom_field_id
+    WHERE r.user_id = ?
+    ORDER BY r.name COLLATE NOCASE ASC
+  `).all(userId);
+}
+
+/**
+ * Whether a flight passes a rule's filters
+ * Without a category filter simulator sessions are left out; a tag filter needs the tag as a word of
+ * its own in the flight details, with or without a # (sling or #sling, not sling-load), and a custom
+ * field filter needs time logged in that field.
+ * @param {Object} flight - Flight with aircraft_category, aircraft_type, flight_details and custom_values
+ */
+function flightMatchesRule(flight, rule) {
+  const filters = rule.filters || {};
+  if (filters.aircraft_category ? flight.aircraft_category !== filters.aircraft_category : flight.aircraft_category === 'Simulator') {
+    return false;
+  }
+  if (filters.aircraft_type && flight.aircraft_type !== filters.aircraft_type) {
+    return false;
+  }
+  if (filters.tag && !new RegExp(`(^|\\s)#?${filters.tag}(?![a-zA-Z0-9_-])`, 'i').test(flight.flight_details || '')) {
+    return false;
+  }
+  if (filters.custom_field_id && !((flight.custom_values || {})[filters.custom_field_id] > 0)) {
+    return false;
+  }
+  return true;
+}
+
+// ==================== EVALUATION ====================
+
+/**
+ * Work out one currency from flights in scope
+ * Walking back from the most recent flight, the currency rests on the flight at which every
+ * requirement has been met; it stays current until that flight is rule.days old, or for a rule
+ * in calendar months (rule.months) to the end of the month that many months after it.
+ * @param {Array} flights - Flights in scope up to the as-of date, most recent first
+ * @param {Object} rule - Currency rule
+ * @param {string} asOf - Date to check currency on (YYYY-MM-DD)
+ * @returns {Object} status ('current', 'expiring', 'lapsed' or 'not_current'), current_until
+ *   (last day current, or null when never current), each requirement's value in the window
+ *   ending asOf and what is still needed to be current on asOf, and the flights the currency
+ *   rests on
+ */
+function evaluateRule(flights, rule, asOf) {
+  const windowStart = rule.months ? startOfMonth(asOf, -rule.months) : addDays(asOf, -rule.days);
+  const inWindow = rule.requirements.map(() => 0);
+  const totals = rule.requirements.map(() => 0);
+  const qualifying = [];
+  let currentUntil = null;
+
+  for (const flight of flights) {
+    const values = rule.requirements.map(req => CURRENCY_METRICS[req.metric].value(flight, rule));
+    if (values.every(value => value === 0)) {
+      continue;
+    }
+
+    if (flight.date >= windowStart) {
+      values.forEach((value, i) => { inWindow[i] += value; });
+    }
+
+    if (currentUntil === null) {
+      values.forEach((value, i) => { totals[i] += value; });
+      qualifying.push({
+        id: flight.id,
+        date: flight.date,
+        aircraft_type: flight.aircraft_type,
+        registration: flight.registration,
+        values: Object.fromEntries(rule.requirements.map((req, i) => [req.metric, values[i]]))
+      });
+      if (rule.requirements.every((req, i) => totals[i] >= req.minimum - 1e-9)) {
+        currentUntil = rule.months ? endOfMonth(flight.date, rule.months) : addDays(flight.date, rule.days);
+      }
+    } else if (flight.date < windowStart) {
+      break;
+    }
+  }
+
+  let status = 'not_current';
+  if (currentUntil !== null) {
+    if (currentUntil < asOf) {
+      status = 'lapsed';
+    } else {
+      status = daysBetween(asOf, currentUntil) <= EXPIRING_DAYS ? 'expiring' : 'current';
+    }
+  }
+
+  return {
+    status,
+    current_until: currentUntil,
+    requirements: rule.requirements.map((req, i) => {
+      const metric = CURRENCY_METRICS[req.metric];
+      const value = metric.hours ? roundHours(inWindow[i]) : inWindow[i];
+      return {
+        metric: req.metric,
+        label: req.label || metric.label,
+        hours: metric.hours,
+        minimum: req.minimum,
+        value,
+        needed: Math.max(roundHours(req.minimum - value), 0)
+      };
+    }),
+    flights: currentUntil === null ? [] : qualifying
+  };
+}
+
+/**
+ * A user's flights that can count towards currency: not opening balances, on or before a date,
+ * with their custom field time and number of approaches; most recent first
+ * @param {number} [excludeId] - Leave out this flight (the one being edited)
+ */
+function getCurrencyFlights(userId, asOf, excludeId = null) {
+  const conditions = ['user_id = ?', 'deleted_at IS NULL', "entry_type != 'prime'", 'date <= ?'];
+  const params = [userId, asOf];
+  if (excludeId) {
+    conditions.push('id != ?');
+    params.push(excludeId);
+  }
+
+  const flights = db.prepare(`
+    SELECT id, date, aircraft_category, aircraft_type, registration, flight_details, flight_time_hours,
+           day_pic, night_pic, night_dual, night_sic, night_cmnd_practice,
+           takeoffs_day, takeoffs_night, landings_day, landings_night, holds, intercepts,
+           (SELECT COUNT(*) FROM flight_approaches fa WHERE fa.flight_id = flights.id) as approach_count
+    FROM flights
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY date DESC, id DESC
+  `).all(...params);
+
+  const byId = {};
+  flights.forEach(flight => {
+    flight.custom_values = {};
+    byId[flight.id] = flight;
+  });
+  db.prepare(`
+    SELECT cfv.flight_id, cfv.field_id, cfv.value
+    FROM custom_field_values cfv
+    JOIN flights f ON f.id = cfv.flight_id
+    WHERE f.user_id = ? AND f.deleted_at IS NULL AND cfv.value > 0
+  `).all(userId).forEach(row => {
+    if (byId[row.flight_id]) {
+      byId[row.flight_id].custom_values[row.field_id] = row.value;
+    }
+  });
+
+  return flights;
+}
+
+/**
+ * Result of a rule for the API
+ */
+function ruleResult(rule, scope, flights, asOf) {
+  return {
+    rule_key: rule.key,
+    rule_id: rule.id || null,
+    label: rule.label,
+    night: rule.night,
+    custom: !!rule.custom,
+    aircraft_category: scope.category || null,
+    aircraft_type: scope.type || null,
+    days: rule.days || null,
+    months: rule.months || null,
+    ...evaluateRule(flights, rule, asOf)
+  };
+}
+
+/**
+ * Every currency: the built-in rules for each aircraft category (and type, when byType) flown,
+ * instrument currency once any instrument procedures are logged, then the user's own rules
+ * @param {Array} flights - From getCurrencyFlights
+ * @param {string} asOf - YYYY-MM-DD
+ * @param {boolean} byType - Also work out the built-in rules per aircraft type
+ * @param {Array} userRules - currency_rules rows
+ * @param {Object} [only] - For a flight being logged: its aircraft_category and aircraft_type, and
+ *   flight_details and custom_values to decide which of the user's rules apply to it
+ * @returns {Array} Results
+ */
+function evaluateCurrencies(flights, asOf, byType, userRules = [], only = null) {
+  const scopes = [];
+  const seen = new Set();
+  const addScope = (category, type) => {
+    const key = `${category}\u0000${type || ''}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      scopes.push({ category, type });
+    }
+  };
+
+  const aircraftFlights = flights.filter(f => f.aircraft_category !== 'Simulator');
+  if (only) {
+    addScope(only.aircraft_category, null);
+    if (byType && only.aircraft_type) {
+      addScope(only.aircraft_category, only.aircraft_type);
+    }
+  } else {
+    const categories = [...new Set(aircraftFlights.map(f => f.aircraft_category))].sort();
+    categories.forEach(category => {
+      addScope(category, null);
+      if (byType) {
+        [...new Set(aircraftFlights.filter(f => f.aircraft_category === category).map(f => f.aircraft_type))]
+          .sort()
+          .forEach(type => addScope(category, type));
+      }
+    });
+  }
+
+  const results = [];
+  scopes.forEach(scope => {
+    const inScope = aircraftFlights.filter(f => f.aircraft_category === scope.category && (!scope.type || f.aircraft_type === scope.type));
+    CURRENCY_RULES.forEach(rule => {
+      results.push(ruleResult(rule, scope, inScope, asOf));
+    });
+  });
+
+  // The flight form's check is about carrying passengers, so instrument currency is left out of it
+  if (!only && flights.some(f => f.approach_count > 0 || f.holds > 0 || f.intercepts > 0)) {
+    results.push(ruleResult(INSTRUMENT_RULE, {}, flights, asOf));
+  }
+
+  userRules.map(toRule)
+    .filter(rule => !only || flightMatchesRule(only, rule))
+    .forEach(rule => {
+      const scope = { category: rule.filters.aircraft_category, type: rule.filters.aircraft_type };
+      results.push(ruleResult(rule, scope, flights.filter(f => flightMatchesRule(f, rule)), asOf));
+    });
+
+  return results;
+}
+
+module.exports = {
+  CURRENCY_METRICS,
+  CURRENCY_RULES,
+  INSTRUMENT_RULE,
+  EXPIRING_DAYS,
+  MAX_RULES,
+  validateRuleData,
+  getUserRules,
+  flightMatchesRule,
+  evaluateRule,
+  getCurrencyFlights,
+  evaluateCurrencies
+};
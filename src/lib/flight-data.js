@@ -0,0 +1,265 @@
+/**
+ * Flight Data Helpers
+ * Calculation, validation and persistence shared by the flight routes and the CSV import
+ */
+
+const db = require('../models/database');
+const { resolveTimezone, todayInTimezone } = require('./timezones');
+const { getFlightSnapshot, recordRevision } = require('./flight-history');
+const { saveFlightLegs } = require('./flight-legs');
+const { saveFlightApproaches } = require('./approaches');
+const { classifyCrossCountry } = require('./cross-country');
+const { parseHours, roundHours, parseTimeOfDay, formatTimeOfDay } = require('./hours');
+
+// 'flight' is a logged flight; 'prime' is an opening balance brought forward from a previous logbook
+const ENTRY_TYPES = ['flight', 'prime'];
+
+// Optional out/off/on/in times of day (24-hour HH:MM), in the order they happen
+const TIMES_OF_DAY = [
+  { field: 'out_time', label: 'Block off' },
+  { field: 'off_time', label: 'Takeoff' },
+  { field: 'on_time', label: 'Landing' },
+  { field: 'in_time', label: 'Block on' }
+];
+
+// Instrument time, logged as part of the flight time (ground instrument time is the simulator or
+// ground trainer time of a simulator session)
+const INSTRUMENT_TIMES = [
+  { field: 'instrument_hours', label: 'Actual instrument' },
+  { field: 'simulated_instrument_hours', label: 'Simulated instrument' },
+  { field: 'ground_instrument_hours', label: 'Ground instrument' }
+];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Calculate total flight time from component fields (each given as decimal hours or H:MM)
+ */
+function calculateFlightTime(data) {
+  return roundHours(
+    parseHours(data.day_pic) +
+    parseHours(data.night_pic) +
+    parseHours(data.day_dual) +
+    parseHours(data.night_dual) +
+    parseHours(data.day_sic) +
+    parseHours(data.night_sic) +
+    parseHours(data.day_cmnd_practice) +
+    parseHours(data.night_cmnd_practice)
+  );
+}
+
+/**
+ * Minutes from one time of day to the next, crossing midnight when the second is earlier
+ */
+function minutesBetween(from, to) {
+  return (to - from + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+}
+
+/**
+ * Read the times_utc flag from request data (true/false, 1/0 or yes/no from a CSV)
+ */
+function isUtcTimes(value) {
+  return value === true || value === 1 || ['1', 'true', 'yes', 'utc'].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Calculate flight time (takeoff to landing) and block time (block off to block on)
+ * from the out/off/on/in times, including flights that cross midnight
+ * @returns {{ flight_time: number|null, block_time: number|null }} Hours, or null when the times are not given
+ */
+function calculateBlockTimes(data) {
+  const minutes = {};
+  TIMES_OF_DAY.forEach(({ field }) => {
+    minutes[field] = data[field] ? parseTimeOfDay(data[field]) : null;
+  });
+
+  const hoursBetween = (from, to) => (
+    minutes[from] === null || minutes[to] === null ? null : roundHours(minutesBetween(minutes[from], minutes[to]) / 60)
+  );
+
+  return {
+    flight_time: hoursBetween('off_time', 'on_time'),
+    block_time: hoursBetween('out_time', 'in_time')
+  };
+}
+
+/**
+ * Validate flight data
+ * @param {string} [timezone] - User's home timezone, for whether the date is in the future (default: the server's)
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateFlightData(data, flight_time, timezone) {
+  if (!data.date || !data.aircraft_type) {
+    return { valid: false, error: 'Missing required fields: Date and Aircraft Type are required' };
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(data.date) || isNaN(new Date(data.date).getTime())) {
+    return { valid: false, error: 'Invalid date. Use the format YYYY-MM-DD' };
+  }
+
+  if (data.entry_type !== undefined && !ENTRY_TYPES.includes(data.entry_type)) {
+    return { valid: false, error: `Entry type must be one of: ${ENTRY_TYPES.join(', ')}` };
+  }
+
+  // Times of day are optional; those given must be valid and in order within 24 hours
+  let previous = null;
+  let elapsed = 0;
+  for (const { field, label } of TIMES_OF_DAY) {
+    if (!data[field]) {
+      continue;
+    }
+    const minutes = parseTimeOfDay(data[field]);
+    if (minutes === null) {
+      return { valid: false, error: `Invalid ${label.toLowerCase()} time. Use the 24-hour format HH:MM` };
+    }
+    if (previous !== null) {
+      elapsed += minutesBetween(previous, minutes);
+    }
+    previous = minutes;
+  }
+  if (elapsed >= MINUTES_PER_DAY) {
+    return { valid: false, error: 'Times must be in order: block off, takeoff, landing, block on' };
+  }
+
+  if (flight_time <= 0) {
+    return { valid: false, error: 'Total flight time must be greater than 0. Please enter at least one flight time value.' };
+  }
+
+  // Instrument time is part of the flight time, so together it can't be more than the flight time
+  let instrumentTime = 0;
+  for (const { field, label } of INSTRUMENT_TIMES) {
+    const hours = parseHours(data[field]);
+    if (hours < 0) {
+      return { valid: false, error: `${label} time cannot be negative` };
+    }
+    instrumentTime += hours;
+  }
+  if (roundHours(instrumentTime) > flight_time) {
+    return { valid: false, error: 'Actual, simulated and ground instrument time together cannot be more than the flight time' };
+  }
+
+  if (data.date > todayInTimezone(resolveTimezone(timezone))) {
+    return { valid: false, error: 'Flight date cannot be in the future' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Replace a flight's custom field values (zero and blank values are not stored, matching the flight form)
+ * @param {number} flightId - Flight ID
+ * @param {Array<{field_id: number, value: *}>} customFields - Values in API request shape
+ */
+function saveCustomFieldValues(flightId, customFields) {
+  db.prepare('DELETE FROM custom_field_values WHERE flight_id = ?').run(flightId);
+
+  const insertStmt = db.prepare(`
+    INSERT INTO custom_field_values (flight_id, field_id, value)
+    VALUES (?, ?, ?)
+    ON CONFLICT(flight_id, field_id) DO UPDATE SET value = excluded.value
+  `);
+
+  for (const cf of customFields) {
+    const value = parseHours(cf.value);
+    if (cf.field_id && value > 0) {
+      insertStmt.run(flightId, cf.field_id, value);
+    }
+  }
+}
+
+/**
+ * Insert a flight with its custom field values, legs and approaches, and record its first revision
+ * @param {number} userId - Owner of the flight
+ * @param {Object} data - Flight data in API request shape (pic, copilot, route, day_pic, ..., legs after applyLegs,
+ *   approaches after applyApproaches)
+ * @param {number} flight_time - Calculated total flight time
+ * @returns {number} ID of the new flight
+ */
+function insertFlight(userId, data, flight_time) {
+  const crossCountry = classifyCrossCountry(userId, data, flight_time);
+
+  const stmt = db.prepare(`
+    INSERT INTO flights (
+      user_id, date, aircraft_type, registration, pilot_in_command,
+      copilot_student, flight_details, flight_time_hours,
+      day_pic, night_pic, day_dual, night_dual, day_sic, night_sic,
+      day_cmnd_practice, night_cmnd_practice,
+      longline_hours, mountain_hours, instructor_hours, crosscountry_hours,
+      night_vision_hours, instrument_hours, simulated_instrument_hours, ground_instrument_hours,
+      aircraft_category, engine_type,
+      takeoffs_day, takeoffs_night, landings_day, landings_night, holds, intercepts,
+      departure, arrival, entry_type,
+      out_time, off_time, on_time, in_time, times_utc, distance_nm
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const result = stmt.run(
+    userId,
+    data.date,
+    data.aircraft_type,
+    data.registration || '',
+    data.pic || '',
+    data.copilot || '',
+    data.route || '',
+    flight_time,  // Calculated total
+    parseHours(data.day_pic),
+    parseHours(data.night_pic),
+    parseHours(data.day_dual),
+    parseHours(data.night_dual),
+    parseHours(data.day_sic),
+    parseHours(data.night_sic),
+    parseHours(data.day_cmnd_practice),
+    parseHours(data.night_cmnd_practice),
+    0,  // longline_hours - legacy column, no longer used
+    0,  // mountain_hours - legacy column, no longer used
+    0,  // instructor_hours - legacy column, no longer used
+    crossCountry.crosscountry_hours,  // Classified by the user's cross-country rule
+    0,  // night_vision_hours - legacy column, no longer used
+    parseHours(data.instrument_hours),
+    parseHours(data.simulated_instrument_hours),
+    parseHours(data.ground_instrument_hours),
+    data.aircraft_category || 'Helicopter',
+    data.engine_type || 'Single Engine',
+    parseInt(data.takeoffs_day) || 0,
+    parseInt(data.takeoffs_night) || 0,
+    parseInt(data.landings_day) || 0,
+    parseInt(data.landings_night) || 0,
+    parseInt(data.holds) || 0,
+    parseInt(data.intercepts) || 0,
+    data.departure || '',
+    data.arrival || '',
+    data.entry_type || 'flight',
+    formatTimeOfDay(data.out_time),
+    formatTimeOfDay(data.off_time),
+    formatTimeOfDay(data.on_time),
+    formatTimeOfDay(data.in_time),
+    isUtcTimes(data.times_utc) ? 1 : 0,
+    crossCountry.distance_nm
+  );
+
+  const flightId = result.lastInsertRowid;
+
+  // Handle custom fields if provided
+  if (Array.isArray(data.custom_fields)) {
+    saveCustomFieldValues(flightId, data.custom_fields);
+  }
+
+  saveFlightLegs(flightId, data.legs);
+  saveFlightApproaches(flightId, data.approaches);
+
+  recordRevision(userId, flightId, 'create', null, getFlightSnapshot(flightId));
+
+  return flightId;
+}
+
+module.exports = {
+  calculateFlightTime,
+  calculateBlockTimes,
+  parseTimeOfDay,
+  formatTimeOfDay,
+  isUtcTimes,
+  validateFlightData,
+  roundHours,
+  saveCustomFieldValues,
+  insertFlight
+};
@@ -0,0 +1,158 @@
+/**
+ * Flight Filters
+ * Shared filter specification for the flight list, CSV, summary and PDF exports,
+ * so an export always contains exactly the flights shown on screen
+ */
+
+// Role filter -> SQL expression that is > 0 when the flight logged time in that role
+const ROLE_FILTERS = {
+  pic: '(day_pic + night_pic)',
+  dual: '(day_dual + night_dual)',
+  sic: '(day_sic + night_sic)',
+  cmnd_practice: '(day_cmnd_practice + night_cmnd_practice)'
+};
+
+const ROLE_LABELS = {
+  pic: 'PIC',
+  dual: 'Dual',
+  sic: 'SIC',
+  cmnd_practice: 'Command Practice'
+};
+
+// Case-insensitive partial-match filters: query param -> column
+const TEXT_FILTERS = {
+  registration: 'registration',
+  pic: 'pilot_in_command',
+  copilot: 'copilot_student',
+  departure: 'departure',
+  arrival: 'arrival',
+  q: 'flight_details'
+};
+
+// Exact-match filters: query param -> column
+const EXACT_FILTERS = {
+  aircraft_type: 'aircraft_type',
+  aircraft_category: 'aircraft_category',
+  engine_type: 'engine_type'
+};
+
+// Human-readable labels for describeFlightFilters
+const FILTER_LABELS = {
+  aircraft_type: 'Aircraft',
+  aircraft_category: 'Category',
+  engine_type: 'Engine Type',
+  registration: 'Registration',
+  pic: 'Pilot in Command',
+  copilot: 'Co-pilot/Student',
+  departure: 'Departure',
+  arrival: 'Arrival',
+  q: 'Flight Details'
+};
+
+/**
+ * Read a filter value from the query, ignoring non-strings and blanks
+ */
+function readValue(query, key) {
+  return typeof query[key] === 'string' ? query[key].trim() : '';
+}
+
+/**
+ * Build a "contains" LIKE pattern, escaping wildcards in the user-supplied value
+ */
+function likePattern(value) {
+  return '%' + String(value).replace(/[\\%_]/g, '\\$&') + '%';
+}
+
+/**
+ * Build SQL conditions from filter query params
+ * Supported query params: date_from, date_to, aircraft_type, registration, pic, copilot,
+ * departure, arrival, aircraft_category, engine_type, role, night, q (free text in flight_details)
+ * Flights in the Trash (deleted_at set) are always excluded.
+ * @param {Object} query - Request query parameters
+ * @returns {{ where: string, params: Array }} SQL fragment (each condition prefixed with AND) and its params
+ */
+function buildFlightFilters(query) {
+  const conditions = ['deleted_at IS NULL'];
+  const params = [];
+
+  const dateFrom = readValue(query, 'date_from');
+  const dateTo = readValue(query, 'date_to');
+  if (dateFrom) {
+    conditions.push('date >= ?');
+    params.push(dateFrom);
+  }
+  if (dateTo) {
+    conditions.push('date <= ?');
+    params.push(dateTo);
+  }
+
+  Object.keys(EXACT_FILTERS).forEach(param => {
+    const value = readValue(query, param);
+    if (value) {
+      conditions.push(`${EXACT_FILTERS[param]} = ?`);
+      params.push(value);
+    }
+  });
+
+  Object.keys(TEXT_FILTERS).forEach(param => {
+    const value = readValue(query, param);
+    if (value) {
+      conditions.push(`${TEXT_FILTERS[param]} LIKE ? ESCAPE '\\'`);
+      params.push(likePattern(value));
+    }
+  });
+
+  if (query.role && ROLE_FILTERS[query.role]) {
+    conditions.push(`${ROLE_FILTERS[query.role]} > 0`);
+  }
+
+  if (query.night === '1' || query.night === 'true') {
+    conditions.push('(night_pic + night_dual + night_sic + night_cmnd_practice) > 0');
+  }
+
+  return {
+    where: conditions.map(c => ` AND ${c}`).join(''),
+    params
+  };
+}
+
+/**
+ * Describe the active filters for export headers
+ * @param {Object} query - Request query parameters
+ * @returns {string[]} One line per active filter (empty when exporting everything)
+ */
+function describeFlightFilters(query) {
+  const lines = [];
+
+  const dateFrom = readValue(query, 'date_from');
+  const dateTo = readValue(query, 'date_to');
+  if (dateFrom && dateTo) {
+    lines.push(`Period: ${dateFrom} to ${dateTo}`);
+  } else if (dateFrom) {
+    lines.push(`Period: since ${dateFrom}`);
+  } else if (dateTo) {
+    lines.push(`Period: up to ${dateTo}`);
+  }
+
+  Object.keys(FILTER_LABELS).forEach(param => {
+    const value = readValue(query, param);
+    if (value) {
+      lines.push(`${FILTER_LABELS[param]}: ${value}`);
+    }
+  });
+
+  if (query.role && ROLE_LABELS[query.role]) {
+    lines.push(`Role: ${ROLE_LABELS[query.role]}`);
+  }
+
+  if (query.night === '1' || query.night === 'true') {
+    lines.push('Night flights only');
+  }
+
+  return lines;
+}
+
+module.exports = {
+  buildFlightFilters,
+  describeFlightFilters
+};
@@ -0,0 +1,205 @@
+/**
+ * Flight History
+ * Records every create, update, delete and restore of a flight as a field-level diff,
+ * with a snapshot of the flight after the change so it can be reverted to later
+ */
+
+const db = require('../models/database');
+const { LOGBOOK_COLUMNS } = require('./csv');
+const { getFlightLegs, saveFlightLegs, legFlightTime } = require('./flight-legs');
+const { getFlightApproaches, saveFlightApproaches, describeApproaches } = require('./approaches');
+const { roundHours } = require('./hours');
+
+// Actions where a revision with no field changes is not worth recording
+const DIFF_ONLY_ACTIONS = ['update', 'revert'];
+
+/**
+ * Read the current state of a flight: logbook columns, non-zero custom field values ("custom:<id>"),
+ * for a multi-sector flight its legs, and any approaches flown
+ * @param {number} flightId - Flight ID
+ * @returns {Object|null} Snapshot, or null when the flight does not exist
+ */
+function getFlightSnapshot(flightId) {
+  const flight = db.prepare(`
+    SELECT ${LOGBOOK_COLUMNS.map(col => col.column).join(', ')}
+    FROM flights WHERE id = ?
+  `).get(flightId);
+
+  if (!flight) {
+    return null;
+  }
+
+  db.prepare(`
+    SELECT field_id, value FROM custom_field_values
+    WHERE flight_id = ? AND value != 0
+    ORDER BY field_id ASC
+  `).all(flightId).forEach(row => {
+    flight[`custom:${row.field_id}`] = row.value;
+  });
+
+  const legs = getFlightLegs(flightId);
+  if (legs.length > 0) {
+    flight.legs = legs.map(({ leg_number, ...leg }) => leg);
+  }
+
+  const approaches = getFlightApproaches(flightId);
+  if (approaches.length > 0) {
+    flight.approaches = approaches;
+  }
+
+  return flight;
+}
+
+/**
+ * Describe a snapshot's legs for the change list, e.g. "YSSY-YSCB 0.9, YSCB-YMML 1.1"
+ * @param {Array} [legs] - Legs from a snapshot
+ * @returns {string} Description ('' for a single-sector flight)
+ */
+function describeLegs(legs) {
+  return (legs || []).map(leg => {
+    return `${leg.departure || '?'}-${leg.arrival || '?'} ${legFlightTime(leg)}`;
+  }).join(', ');
+}
+
+/**
+ * Compare two snapshots field by field
+ * @param {Object} before - Snapshot before the change (empty object for a new flight)
+ * @param {Object} after - Snapshot after the change
+ * @param {Object} customLabels - Map of custom field id -> label
+ * @returns {Array<{field: string, label: string, from: *, to: *}>} Changed fields in logbook column order
+ */
+function diffSnapshots(before, after, customLabels) {
+  const changes = [];
+  const normalise = (value, col) => (value === null || value === undefined ? col.default : value);
+
+  const customKeys = Array.from(new Set(
+    Object.keys(before).concat(Object.keys(after)).filter(key => key.startsWith('custom:'))
+  )).sort((a, b) => parseInt(a.slice(7)) - parseInt(b.slice(7)));
+
+  const columns = LOGBOOK_COLUMNS.map(col => ({ key: col.column, label: col.header, default: col.default }))
+    .concat(customKeys.map(key => ({
+      key,
+      label: customLabels[key.slice(7)] || 'Deleted custom field',
+      default: 0
+    })))
+    .concat([{ key: 'legs', label: 'Legs', default: '' }, { key: 'approaches', label: 'Approaches', default: '' }]);
+
+  // Legs and approaches are compared by their descriptions
+  const describe = { legs: describeLegs, approaches: describeApproaches };
+  columns.forEach(col => {
+    const from = describe[col.key] ? describe[col.key](before[col.key]) : normalise(before[col.key], col);
+    const to = describe[col.key] ? describe[col.key](after[col.key]) : normalise(after[col.key], col);
+    if (from !== to) {
+      changes.push({ field: col.key, label: col.label, from: from === undefined ? null : from, to: to === undefined ? null : to });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Get a user's custom field labels
+ * @param {number} userId - User ID
+ * @returns {Object} Map of custom field id -> label
+ */
+function getCustomFieldLabels(userId) {
+  const labels = {};
+  db.prepare('SELECT id, field_label FROM custom_fields WHERE user_id = ?').all(userId).forEach(cf => {
+    labels[cf.id] = cf.field_label;
+  });
+  return labels;
+}
+
+/**
+ * Record a revision for a flight
+ * The first revision of a flight created before history was kept is preceded by a
+ * "baseline" revision holding its previous state, so that state can be reverted to as well.
+ * @param {number} userId - User who made the change
+ * @param {number} flightId - Flight ID
+ * @param {string} action - create, update, delete, restore or revert
+ * @param {Object|null} before - Snapshot before the change (null for create)
+ * @param {Object|null} after - Snapshot after the change (null to reuse before, e.g. delete)
+ * @param {number} [revertedFrom] - Revision ID a revert went back to
+ * @returns {number|null} New revision ID, or null when nothing changed
+ */
+function recordRevision(userId, flightId, action, before, after, revertedFrom) {
+  const snapshot = after || before;
+  const changes = diffSnapshots(before || {}, snapshot, getCustomFieldLabels(userId));
+
+  if (DIFF_ONLY_ACTIONS.includes(action) && changes.length === 0) {
+    return null;
+  }
+
+  const insertStmt = db.prepare(`
+    INSERT INTO flight_revisions (flight_id, user_id, action, changes, snapshot, reverted_from)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  if (before && action !== 'create') {
+    const existing = db.prepare('SELECT COUNT(*) as count FROM flight_revisions WHERE flight_id = ?').get(flightId);
+    if (existing.count === 0) {
+      insertStmt.run(flightId, userId, 'baseline', '[]', JSON.stringify(before), null);
+    }
+  }
+
+  const result = insertStmt.run(
+    flightId, userId, action, JSON.stringify(changes), JSON.stringify(snapshot), revertedFrom || null
+  );
+  return result.lastInsertRowid;
+}
+
+/**
+ * Get a flight's revisions, newest first
+ * @param {number} flightId - Flight ID
+ * @returns {Array} Revisions with parsed changes (snapshots are not included)
+ */
+function getRevisions(flightId) {
+  return db.prepare(`
+    SELECT id, action, changes, reverted_from, created_at
+    FROM flight_revisions
+    WHERE flight_id = ?
+    ORDER BY id DESC
+  `).all(flightId).map(revision => ({
+    ...revision,
+    changes: JSON.parse(revision.changes)
+  }));
+}
+
+/**
+ * Overwrite a flight with a revision snapshot, including its legs and approaches (custom fields that no longer
+ * exist are skipped)
+ * @param {number} userId - Owner of the flight
+ * @param {number} flightId - Flight ID
+ * @param {Object} snapshot - Snapshot from flight_revisions
+ */
+function applySnapshot(userId, flightId, snapshot) {
+  const columns = LOGBOOK_COLUMNS.filter(col => col.column in snapshot);
+  db.prepare(`
+    UPDATE flights SET ${columns.map(col => `${col.column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND user_id = ?
+  `).run(...columns.map(col => (col.type === 'hours' ? roundHours(snapshot[col.column]) : snapshot[col.column])), flightId, userId);
+
+  const labels = getCustomFieldLabels(userId);
+  const insertStmt = db.prepare(`
+    INSERT INTO custom_field_values (flight_id, field_id, value)
+    VALUES (?, ?, ?)
+  `);
+
+  db.prepare('DELETE FROM custom_field_values WHERE flight_id = ?').run(flightId);
+  Object.keys(snapshot).filter(key => key.startsWith('custom:')).forEach(key => {
+    const fieldId = parseInt(key.slice(7));
+    if (labels[fieldId] !== undefined) {
+      insertStmt.run(flightId, fieldId, roundHours(snapshot[key]));
+    }
+  });
+
+  saveFlightLegs(flightId, snapshot.legs || []);
+  saveFlightApproaches(flightId, snapshot.approaches || []);
+}
+
+module.exports = {
+  getFlightSnapshot,
+  recordRevision,
+  getRevisions,
+  applySnapshot
+};
@@ -0,0 +1,242 @@
+/**
+ * Flight Legs
+ * A multi-sector flight holds an ordered list of legs, each with its own departure, arrival,
+ * times and takeoffs/landings. The flight row keeps the totals so statistics, filters and
+ * exports work the same for flights with and without legs.
+ */
+
+const db = require('../models/database');
+const { parseHours, roundHours, parseTimeOfDay, formatTimeOfDay } = require('./hours');
+
+const LEG_TIME_FIELDS = [
+  'day_pic', 'night_pic', 'day_dual', 'night_dual',
+  'day_sic', 'night_sic', 'day_cmnd_practice', 'night_cmnd_practice'
+];
+
+const LEG_COUNT_FIELDS = ['takeoffs_day', 'takeoffs_night', 'landings_day', 'landings_night'];
+
+// Takeoff and landing time of a leg (HH:MM, in the flight's time basis; '' when not entered)
+const LEG_TIME_OF_DAY_FIELDS = ['off_time', 'on_time'];
+
+// Flight-level values that are not split by leg; per-leg export rows carry them on the first leg only
+const FLIGHT_ONLY_VALUES = [
+  'instrument_hours', 'simulated_instrument_hours', 'ground_instrument_hours',
+  'crosscountry_hours', 'distance_nm', 'holds', 'intercepts', 'approach_count'
+];
+
+const MAX_LEGS = 20;
+
+/**
+ * Normalise one leg from request data
+ * @param {Object} leg - Leg in API shape
+ * @returns {Object} Leg with trimmed airports, numeric times and integer counts
+ */
+function normaliseLeg(leg) {
+  const normalised = {
+    departure: typeof leg.departure === 'string' ? leg.departure.trim() : '',
+    arrival: typeof leg.arrival === 'string' ? leg.arrival.trim() : ''
+  };
+  LEG_TIME_OF_DAY_FIELDS.forEach(field => {
+    normalised[field] = formatTimeOfDay(leg[field]);
+  });
+  LEG_TIME_FIELDS.forEach(field => {
+    normalised[field] = parseHours(leg[field]);
+  });
+  LEG_COUNT_FIELDS.forEach(field => {
+    normalised[field] = parseInt(leg[field]) || 0;
+  });
+  return normalised;
+}
+
+/**
+ * Total flight time of a leg
+ */
+function legFlightTime(leg) {
+  return roundHours(LEG_TIME_FIELDS.reduce((sum, field) => sum + (leg[field] || 0), 0));
+}
+
+/**
+ * Validate data.legs and, when legs are given, replace the flight's times, takeoffs/landings,
+ * departure and arrival with the totals of the legs (data is modified in place)
+ * @param {Object} data - Flight data in API request shape
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function applyLegs(data) {
+  if (data.legs === undefined || data.legs === null) {
+    data.legs = [];
+    return { valid: true };
+  }
+
+  if (!Array.isArray(data.legs)) {
+    return { valid: false, error: 'Legs must be a list' };
+  }
+  if (data.legs.length === 0) {
+    return { valid: true };
+  }
+  if (data.legs.length > MAX_LEGS) {
+    return { valid: false, error: `A flight can have at most ${MAX_LEGS} legs` };
+  }
+  if (data.entry_type === 'prime') {
+    return { valid: false, error: 'Prime entries cannot have legs' };
+  }
+
+  const legs = [];
+  for (let i = 0; i < data.legs.length; i++) {
+    if (!data.legs[i] || typeof data.legs[i] !== 'object') {
+      return { valid: false, error: `Leg ${i + 1}: invalid leg` };
+    }
+    for (const field of LEG_TIME_OF_DAY_FIELDS) {
+      const value = data.legs[i][field];
+      if (value && parseTimeOfDay(value) === null) {
+        return { valid: false, error: `Leg ${i + 1}: invalid ${field === 'off_time' ? 'takeoff' : 'landing'} time. Use the 24-hour format HH:MM` };
+      }
+    }
+    const leg = normaliseLeg(data.legs[i]);
+    if (legFlightTime(leg) <= 0) {
+      return { valid: false, error: `Leg ${i + 1}: flight time must be greater than 0` };
+    }
+    legs.push(leg);
+  }
+
+  LEG_TIME_FIELDS.forEach(field => {
+    data[field] = roundHours(legs.reduce((sum, leg) => sum + leg[field], 0));
+  });
+  LEG_COUNT_FIELDS.forEach(field => {
+    data[field] = legs.reduce((sum, leg) => sum + leg[field], 0);
+  });
+  data.departure = legs[0].departure;
+  data.arrival = legs[legs.length - 1].arrival;
+  data.legs = legs;
+
+  return { valid: true };
+}
+
+/**
+ * Replace a flight's legs
+ * @param {number} flightId - Flight ID
+ * @param {Array} legs - Legs in order (empty for a single-sector flight)
+ */
+function saveFlightLegs(flightId, legs) {
+  db.prepare('DELETE FROM flight_legs WHERE flight_id = ?').run(flightId);
+
+  if (!legs || legs.length === 0) {
+    return;
+  }
+
+  const columns = ['departure', 'arrival', ...LEG_TIME_OF_DAY_FIELDS, ...LEG_TIME_FIELDS, ...LEG_COUNT_FIELDS];
+  const insertStmt = db.prepare(`
+    INSERT INTO flight_legs (flight_id, leg_number, ${columns.join(', ')})
+    VALUES (?, ?, ${columns.map(() => '?').join(', ')})
+  `);
+
+  legs.forEach((leg, index) => {
+    const normalised = normaliseLeg(leg);
+    insertStmt.run(flightId, index + 1, ...columns.map(col => normalised[col]));
+  });
+}
+
+/**
+ * Get a flight's legs in order
+ * @param {number} flightId - Flight ID
+ * @returns {Array} Legs with leg_number, departure, arrival, takeoff/landing time, times and counts
+ *   (empty when none)
+ */
+function getFlightLegs(flightId) {
+  return db.prepare(`
+    SELECT leg_number, departure, arrival, off_time, on_time, ${LEG_TIME_FIELDS.join(', ')}, ${LEG_COUNT_FIELDS.join(', ')}
+    FROM flight_legs
+    WHERE flight_id = ?
+    ORDER BY leg_number ASC
+  `).all(flightId);
+}
+
+/**
+ * Batch fetch legs for multiple flights
+ * @param {number[]} flightIds - Array of flight IDs
+ * @returns {Object} Map of flight_id -> legs in order (flights without legs are absent)
+ */
+function batchFetchFlightLegs(flightIds) {
+  if (!flightIds || flightIds.length === 0) {
+    return {};
+  }
+
+  const result = {};
+  db.prepare(`
+    SELECT flight_id, leg_number, departure, arrival, off_time, on_time, ${LEG_TIME_FIELDS.join(', ')}, ${LEG_COUNT_FIELDS.join(', ')}
+    FROM flight_legs
+    WHERE flight_id IN (${flightIds.map(() => '?').join(',')})
+    ORDER BY flight_id ASC, leg_number ASC
+  `).all(...flightIds).forEach(row => {
+    if (!result[row.flight_id]) {
+      result[row.flight_id] = [];
+    }
+    result[row.flight_id].push(row);
+  });
+
+  return result;
+}
+
+/**
+ * Split a flight into one export row per leg
+ * Flight-level values that are not split by leg (custom fields, instrument and cross-country time,
+ * route distance, holds, intercepts and approaches, flight details)
+ * stay on the first leg so the rows still add up to the flight.
+ * @param {Object} flight - Flight row (with customFieldValues when the export uses them)
+ * @param {Array} legs - The flight's legs (empty for a single-sector flight)
+ * @returns {Array} Rows; each leg row has leg_number and leg_count
+ */
+function expandLegRows(flight, legs) {
+  if (!legs || legs.length === 0) {
+    return [flight];
+  }
+
+  return legs.map((leg, index) => {
+    const row = { ...flight, leg_number: leg.leg_number, leg_count: legs.length };
+    ['departure', 'arrival', ...LEG_TIME_OF_DAY_FIELDS, ...LEG_TIME_FIELDS, ...LEG_COUNT_FIELDS].forEach(field => {
+      row[field] = leg[field];
+    });
+    row.flight_time_hours = legFlightTime(leg);
+
+    if (index > 0) {
+      FLIGHT_ONLY_VALUES.forEach(field => {
+        row[field] = 0;
+      });
+      row.flight_details = '';
+      row.approach_details = '';
+      row.customFieldValues = {};
+    }
+    return row;
+  });
+}
+
+/**
+ * Keep the first leg's departure and the last leg's arrival in step with the flight
+ * after its departure or arrival is changed directly (e.g. by a bulk edit)
+ * @param {number} flightId - Flight ID
+ */
+function syncLegEndpoints(flightId) {
+  const flight = db.prepare('SELECT departure, arrival FROM flights WHERE id = ?').get(flightId);
+  if (!flight) {
+    return;
+  }
+
+  db.prepare(`
+    UPDATE flight_legs SET departure = ?
+    WHERE flight_id = ? AND leg_number = (SELECT MIN(leg_number) FROM flight_legs WHERE flight_id = ?)
+  `).run(flight.departure, flightId, flightId);
+
+  db.prepare(`
+    UPDATE flight_legs SET arrival = ?
+    WHERE flight_id = ? AND leg_number = (SELECT MAX(leg_number) FROM flight_legs WHERE flight_id = ?)
+  `).run(flight.arrival, flightId, flightId);
+}
+
+module.exports = {
+  legFlightTime,
+  applyLegs,
+  saveFlightLegs,
+  getFlightLegs,
+  batchFetchFlightLegs,
+  expandLegRows,
+  syncLegEndpoints
+};
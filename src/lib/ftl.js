@@ -0,0 +1,401 @@
+/**
+ * Flight and Duty Time Limitations
+ * Duty periods (report to off-duty, with their flights) checked against a rule set of rolling
+ * flight and duty hour limits, a maximum duty period and a minimum rest between duties
+ */
+
+const db = require('../models/database');
+const { getPreferences } = require('./preferences');
+const { resolveTimezone, formatDateInTimezone, formatDateTimeInTimezone, localTimeToUtc } = require('./timezones');
+const { roundHours, parseHours } = require('./hours');
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+// Longest duty period that can be entered (catches a wrong date on the off-duty time)
+const MAX_DUTY_HOURS = 24;
+
+// Share of a limit used before it is flagged as close
+const WARNING_SHARE = 0.9;
+
+const MAX_LIMITS = 20;
+
+// Kinds of limit in a rule set; windowed limits add up hours over a rolling number of days
+const FTL_LIMIT_TYPES = {
+  flight_hours: { label: 'Flight hours', windowed: true },
+  duty_hours: { label: 'Duty hours', windowed: true },
+  duty_period: { label: 'Longest duty period', windowed: false },
+  min_rest: { label: 'Minimum rest before duty', windowed: false }
+};
+
+// Preset rule sets, modelled on common regimes. They are starting points: an operator's approved
+// scheme (extensions, split duty, acclimatisation, ...) can be copied into a custom rule set.
+const FTL_RULE_SETS = {
+  easa: {
+    label: 'EASA ORO.FTL-style',
+    limits: [
+      { type: 'flight_hours', days: 28, hours: 100 },
+      { type: 'flight_hours', days: 365, hours: 1000 },
+      { type: 'duty_hours', days: 7, hours: 60 },
+      { type: 'duty_hours', days: 14, hours: 110 },
+      { type: 'duty_hours', days: 28, hours: 190 },
+      { type: 'duty_period', hours: 13 },
+      { type: 'min_rest', hours: 12 }
+    ]
+  },
+  casa_caa: {
+    label: 'CASA/CAA-style',
+    limits: [
+      { type: 'flight_hours', days: 7, hours: 30 },
+      { type: 'flight_hours', days: 28, hours: 100 },
+      { type: 'flight_hours', days: 365, hours: 900 },
+      { type: 'duty_hours', days: 7, hours: 55 },
+      { type: 'duty_hours', days: 28, hours: 190 },
+      { type: 'duty_period', hours: 14 },
+      { type: 'min_rest', hours: 10 }
+    ]
+  }
+};
+
+// ==================== RULE SETS ====================
+
+/**
+ * The user's rule set from their preferences
+ * @param {Object} prefs - The user's preferences
+ * @returns {{ key: string, label: string, limits: Array }|null} null when limits are not tracked
+ */
+function getRuleSet(prefs) {
+  if (prefs.ftlRuleSet === 'custom') {
+    return { key: 'custom', label: 'Custom', limits: prefs.ftlCustomLimits };
+  }
+  const preset = FTL_RULE_SETS[prefs.ftlRuleSet];
+  return preset ? { key: prefs.ftlRuleSet, ...preset } : null;
+}
+
+/**
+ * Validate the limits of a custom rule set
+ * @returns {{ valid: boolean, error?: string, limits?: Array }} limits normalised to { type, hours, days? }
+ */
+function validateLimits(limits) {
+  if (!Array.isArray(limits)) {
+    return { valid: false, error: 'Limits must be a list' };
+  }
+  if (limits.length > MAX_LIMITS) {
+    return { valid: false, error: `A rule set can have at most ${MAX_LIMITS} limits` };
+  }
+
+  const normalised = [];
+  for (const limit of limits) {
+    const spec = limit && FTL_LIMIT_TYPES[limit.type];
+    if (!spec) {
+      return { valid: false, error: `Limit type must be one of: ${Object.keys(FTL_LIMIT_TYPES).join(', ')}` };
+    }
+
+    const hours = Number(limit.hours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > 10000) {
+      return { valid: false, error: `${spec.label}: hours must be a number between 0 and 10000` };
+    }
+
+    const entry = { type: limit.type, hours: roundHours(hours) };
+    if (spec.windowed) {
+      const days = Number(limit.days);
+      if (!Number.isInteger(days) || days < 1 || days > 365) {
+        return { valid: false, error: `${spec.label}: days must be a whole number from 1 to 365` };
+      }
+      entry.days = days;
+    }
+    normalised.push(entry);
+  }
+
+  return { valid: true, limits: normalised };
+}
+
+/**
+ * Describe a limit, e.g. "Flight hours in 28 days"
+ */
+function describeLimit(limit) {
+  const spec = FTL_LIMIT_TYPES[limit.type];
+  return spec.windowed ? `${spec.label} in ${limit.days} day${limit.days === 1 ? '' : 's'}` : spec.label;
+}
+
+// ==================== DUTY PERIODS ====================
+
+/**
+ * Read a local date and time (YYYY-MM-DDTHH:MM, as from a datetime-local input) in a timezone
+ * @returns {number|null} Milliseconds since the epoch, or null when the value is not a date and time
+ */
+function parseLocalDateTime(value, timezone) {
+  const match = String(value || '').trim().match(/^(\d{4}-\d{2}-\d{2})[T ](\d{1,2}):([0-5]\d)$/);
+  if (!match || parseInt(match[2]) > 23) {
+    return null;
+  }
+  return localTimeToUtc(match[1], parseInt(match[2]) * 60 + parseInt(match[3]), timezone);
+}
+
+/**
+ * Format a moment as a local date and time for a datetime-local input
+ * @returns {string} YYYY-MM-DDTHH:MM
+ */
+function formatLocalDateTime(time, timezone) {
+  return formatDateTimeInTimezone(time, timezone).replace(' ', 'T');
+}
+
+/**
+ * Validate and normalise duty period data from a request
+ * @param {Object} data - report_time and off_duty_time (local, in the user's home timezone),
+ *   planned_flight_hours and notes
+ * @param {string} timezone - The user's home timezone
+ * @returns {{ valid: boolean, error?: string, duty?: Object }} duty with report_at/off_duty_at as ISO UTC
+ */
+function validateDutyData(data, timezone) {
+  const report = parseLocalDateTime(data.report_time, timezone);
+  const offDuty = parseLocalDateTime(data.off_duty_time, timezone);
+  if (report === null) {
+    return { valid: false, error: 'Report time is required (date and time)' };
+  }
+  if (offDuty === null) {
+    return { valid: false, error: 'Off-duty time is required (date and time)' };
+  }
+  if (offDuty <= report) {
+    return { valid: false, error: 'Off-duty time must be after the report time' };
+  }
+  if (offDuty - report > MAX_DUTY_HOURS * MS_PER_HOUR) {
+    return { valid: false, error: `A duty period cannot be longer than ${MAX_DUTY_HOURS} hours` };
+  }
+
+  const plannedHours = parseHours(data.planned_flight_hours);
+  if (plannedHours < 0 || plannedHours > MAX_DUTY_HOURS) {
+    return { valid: false, error: `Planned flight time must be between 0 and ${MAX_DUTY_HOURS} hours` };
+  }
+
+  return {
+    valid: true,
+    duty: {
+      report_at: new Date(report).toISOString(),
+      off_duty_at: new Date(offDuty).toISOString(),
+      planned_flight_hours: plannedHours,
+      notes: typeof data.notes === 'string' ? data.notes.trim() : ''
+    }
+  };
+}
+
+/**
+ * Find a duty period of the user's that overlaps the given times
+ * @param {number|null} excludeId - Duty period being edited
+ * @returns {Object|undefined} The overlapping duty period
+ */
+function findOverlappingDuty(userId, duty, excludeId = null) {
+  return db.prepare(`
+    SELECT id, report_at, off_duty_at FROM duty_periods
+    WHERE user_id = ? AND id IS NOT ? AND report_at < ? AND off_duty_at > ?
+  `).get(userId, excludeId, duty.off_duty_at, duty.report_at);
+}
+
+/**
+ * Link flights to a duty period, replacing the flights it had
+ * @param {number[]} flightIds - IDs of the user's flights (others are ignored)
+ */
+function linkDutyFlights(userId, dutyId, flightIds) {
+  db.prepare('UPDATE flights SET duty_period_id = NULL WHERE duty_period_id = ?').run(dutyId);
+
+  const ids = (Array.isArray(flightIds) ? flightIds : [])
+    .map(id => parseInt(id))
+    .filter(id => Number.isInteger(id) && id > 0);
+  if (ids.length > 0) {
+    db.prepare(`
+      UPDATE flights SET duty_period_id = ?
+      WHERE user_id = ? AND id IN (${ids.map(() => '?').join(',')})
+    `).run(dutyId, userId, ...ids);
+  }
+}
+
+/**
+ * A user's duty periods in time order, with the hours of their linked flights
+ * @returns {Array} Duty periods with flight_count and flight_hours
+ */
+function getDutyPeriods(userId) {
+  return db.prepare(`
+    SELECT d.id, d.report_at, d.off_duty_at, d.planned_flight_hours, d.notes,
+           COUNT(f.id) as flight_count,
+           COALESCE(SUM(f.flight_time_hours), 0) as flight_hours
+    FROM duty_periods d
+    LEFT JOIN flights f ON f.duty_period_id = d.id AND f.deleted_at IS NULL
+    WHERE d.user_id = ?
+    GROUP BY d.id
+    ORDER BY d.report_at ASC
+  `).all(userId);
+}
+
+/**
+ * Shape a duty period for the API: times as ISO UTC and as local times in the home timezone
+ */
+function formatDuty(duty, timezone) {
+  const report = Date.parse(duty.report_at);
+  const offDuty = Date.parse(duty.off_duty_at);
+  return {
+    ...duty,
+    report_time: formatLocalDateTime(report, timezone),
+    off_duty_time: formatLocalDateTime(offDuty, timezone),
+    duty_hours: roundHours((offDuty - report) / MS_PER_HOUR),
+    flight_hours: roundHours(duty.flight_hours || 0)
+  };
+}
+
+// ==================== EVALUATION ====================
+
+/**
+ * Result for one limit
+ * @param {Object} limit - { type, hours, days? }
+ * @param {number|null} used - Hours used (for minimum rest, hours of rest taken)
+ * @param {string} [note] - Extra detail, e.g. when rest ends
+ */
+function limitResult(limit, used, note = '') {
+  const result = {
+    type: limit.type,
+    label: describeLimit(limit),
+    limit: limit.hours,
+    used: used === null ? null : roundHours(used),
+    note
+  };
+
+  if (limit.type === 'min_rest') {
+    result.remaining = used === null ? 0 : roundHours(Math.max(limit.hours - used, 0));
+    result.status = used === null || used >= limit.hours ? 'ok' : 'exceeded';
+  } else {
+    result.remaining = roundHours(limit.hours - used);
+    if (used > limit.hours) {
+      result.status = 'exceeded';
+    } else {
+      result.status = used >= limit.hours * WARNING_SHARE ? 'warning' : 'ok';
+    }
+  }
+  return result;
+}
+
+/**
+ * Hours of a duty period inside a window
+ */
+function overlapHours(duty, windowStart, windowEnd) {
+  const start = Math.max(Date.parse(duty.report_at), windowStart);
+  const end = Math.min(Date.parse(duty.off_duty_at), windowEnd);
+  return end > start ? (end - start) / MS_PER_HOUR : 0;
+}
+
+/**
+ * Check the user's limits, either as they stand now or as they would stand after a planned duty
+ * Flight hours are counted by flight date in the home timezone (prime entries and simulator sessions
+ * excluded), plus the planned flight time of duties that have not started yet.
+ * @param {number} userId - User ID
+ * @param {Object} [options]
+ * @param {Object} [options.planned] - Planned duty: report_at, off_duty_at (ISO UTC), planned_flight_hours
+ * @param {number} [options.excludeId] - Saved duty period the planned duty replaces (when editing one)
+ * @param {number} [options.now] - Current time (milliseconds since the epoch)
+ * @returns {{ ruleSet: Object|null, results: Array }} results in rule set order
+ */
+function evaluateLimits(userId, options = {}) {
+  const prefs = getPreferences(userId);
+  const ruleSet = getRuleSet(prefs);
+  if (!ruleSet) {
+    return { ruleSet: null, results: [] };
+  }
+
+  const timezone = resolveTimezone(prefs.timezone);
+  const now = options.now || Date.now();
+  const planned = options.planned || null;
+
+  const duties = getDutyPeriods(userId).filter(duty => duty.id !== options.excludeId);
+  if (planned) {
+    duties.push({ ...planned, id: null, flight_count: 0, flight_hours: 0 });
+    duties.sort((a, b) => a.report_at.localeCompare(b.report_at));
+  }
+
+  // Windows end now, or when the planned duty ends
+  const end = planned ? Date.parse(planned.off_duty_at) : now;
+  const endDate = formatDateInTimezone(end, timezone);
+
+  // The duty the single-duty limits apply to: the planned one, or the latest to have started
+  const started = duties.filter(duty => Date.parse(duty.report_at) <= now);
+  const current = planned ? duties.find(duty => duty.id === null) : started[started.length - 1];
+  const currentIndex = current ? duties.indexOf(current) : -1;
+  const previous = currentIndex > 0 ? duties[currentIndex - 1] : null;
+
+  const results = ruleSet.limits.map(limit => {
+    if (limit.type === 'flight_hours') {
+      const windowStart = end - limit.days * MS_PER_DAY;
+      const startDate = formatDateInTimezone(windowStart, timezone);
+      const flown = db.prepare(`
+        SELECT COALESCE(SUM(flight_time_hours), 0) as hours
+        FROM flights
+        WHERE user_id = ? AND deleted_at IS NULL AND entry_type != 'prime'
+          AND aircraft_category != 'Simulator' AND date > ? AND date <= ?
+      `).get(userId, startDate, endDate).hours;
+
+      const plannedHours = duties
+        .filter(duty => Date.parse(duty.report_at) > now && Date.parse(duty.report_at) < end && duty.flight_count === 0)
+        .reduce((sum, duty) => sum + (duty.planned_flight_hours || 0), 0);
+
+      return limitResult(limit, flown + plannedHours);
+    }
+
+    if (limit.type === 'duty_hours') {
+      const windowStart = end - limit.days * MS_PER_DAY;
+      return limitResult(limit, duties.reduce((sum, duty) => sum + overlapHours(duty, windowStart, end), 0));
+    }
+
+    if (limit.type === 'duty_period') {
+      if (!current) {
+        return limitResult(limit, 0, 'No duty logged yet');
+      }
+      return limitResult(limit, (Date.parse(current.off_duty_at) - Date.parse(current.report_at)) / MS_PER_HOUR);
+    }
+
+    // Minimum rest: before the planned duty; otherwise rest so far when off duty, or before the current duty
+    if (!planned && current && Date.parse(current.off_duty_at) <= now) {
+      const restEnd = Date.parse(current.off_duty_at) + limit.hours * MS_PER_HOUR;
+      const rested = (now - Date.parse(current.off_duty_at)) / MS_PER_HOUR;
+      if (restEnd > now) {
+        return {
+          ...limitResult(limit, rested),
+          status: 'warning',
+          note: `Resting until ${formatDateTimeInTimezone(restEnd, timezone)}`
+        };
+      }
+      return limitResult(limit, rested);
+    }
+    if (!previous) {
+      return limitResult(limit, null, 'No earlier duty');
+    }
+    return limitResult(limit, (Date.parse(current.report_at) - Date.parse(previous.off_duty_at)) / MS_PER_HOUR);
+  });
+
+  return { ruleSet: { key: ruleSet.key, label: ruleSet.label }, results };
+}
+
+/**
+ * Check every duty period that has not started yet against the limits
+ * @returns {Array} { duty, results } for each upcoming duty, with only the limits it breaks or comes close to
+ */
+function checkUpcomingDuties(userId, now = Date.now()) {
+  const timezone = resolveTimezone(getPreferences(userId).timezone);
+  return getDutyPeriods(userId)
+    .filter(duty => Date.parse(duty.report_at) > now)
+    .map(duty => ({
+      duty: formatDuty(duty, timezone),
+      results: evaluateLimits(userId, { planned: duty, excludeId: duty.id, now }).results
+        .filter(result => result.status !== 'ok')
+    }));
+}
+
+module.exports = {
+  FTL_LIMIT_TYPES,
+  FTL_RULE_SETS,
+  getRuleSet,
+  validateLimits,
+  validateDutyData,
+  findOverlappingDuty,
+  linkDutyFlights,
+  getDutyPeriods,
+  formatDuty,
+  evaluateLimits,
+  checkUpcomingDuties
+};
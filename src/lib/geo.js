@@ -0,0 +1,70 @@
+/**
+ * Geo
+ * Great-circle helpers for positions given in decimal degrees
+ */
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+// Mean radius of the earth in nautical miles
+const EARTH_RADIUS_NM = 3440.065;
+
+/**
+ * Angle between two positions along the great circle
+ * @returns {number} Radians
+ */
+function angularDistance(from, to) {
+  const lat1 = toRadians(from.latitude);
+  const lat2 = toRadians(to.latitude);
+  const dLat = lat2 - lat1;
+  const dLon = toRadians(to.longitude - from.longitude);
+
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+  return 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Great-circle distance between two positions
+ * @returns {number} Nautical miles
+ */
+function distanceNm(from, to) {
+  return angularDistance(from, to) * EARTH_RADIUS_NM;
+}
+
+/**
+ * Position a fraction of the way along the great circle from one position to another
+ * @param {{ latitude: number, longitude: number }} from - Start
+ * @param {{ latitude: number, longitude: number }} to - End
+ * @param {number} fraction - 0 (start) to 1 (end)
+ * @returns {{ latitude: number, longitude: number }}
+ */
+function intermediatePoint(from, to, fraction) {
+  const delta = angularDistance(from, to);
+  if (delta < 1e-9) {
+    return { latitude: from.latitude, longitude: from.longitude };
+  }
+
+  const lat1 = toRadians(from.latitude);
+  const lon1 = toRadians(from.longitude);
+  const lat2 = toRadians(to.latitude);
+  const lon2 = toRadians(to.longitude);
+
+  const a = Math.sin((1 - fraction) * delta) / Math.sin(delta);
+  const b = Math.sin(fraction * delta) / Math.sin(delta);
+  const x = a * Math.cos(lat1) * Math.cos(lon1) + b * Math.cos(lat2) * Math.cos(lon2);
+  const y = a * Math.cos(lat1) * Math.sin(lon1) + b * Math.cos(lat2) * Math.sin(lon2);
+  const z = a * Math.sin(lat1) + b * Math.sin(lat2);
+
+  return {
+    latitude: toDegrees(Math.atan2(z, Math.sqrt(x * x + y * y))),
+    longitude: toDegrees(Math.atan2(y, x))
+  };
+}
+
+module.exports = {
+  toRadians,
+  toDegrees,
+  angularDistance,
+  distanceNm,
+  intermediatePoint
+};
@@ -0,0 +1,97 @@
+/**
+ * Hours
+ * Flight times are saved as hours rounded to the whole minute, so decimal and HH:MM totals agree.
+ * Times are entered as decimal hours (1.5) or hours and minutes (1:30), and shown in the user's
+ * time format.
+ */
+
+// Time formats a user can choose; decimal tenths round to the nearest 6 minutes when shown
+const TIME_FORMATS = {
+  tenths: 'Decimal tenths (1.5)',
+  hundredths: 'Decimal hundredths (1.50)',
+  hhmm: 'Hours and minutes (1:30)'
+};
+
+const DEFAULT_TIME_FORMAT = 'hundredths';
+
+/**
+ * Whole minutes in a number of hours
+ */
+function toMinutes(hours) {
+  return Math.round((Number(hours) || 0) * 60);
+}
+
+/**
+ * Round hours to the whole minute
+ */
+function roundHours(value) {
+  return toMinutes(value) / 60;
+}
+
+/**
+ * Read hours given as a number, a decimal string ("1.5") or hours and minutes ("1:30")
+ * @returns {number} Hours to the whole minute (0 when blank or not a time)
+ */
+function parseHours(value) {
+  if (typeof value === 'number') {
+    return isFinite(value) ? roundHours(value) : 0;
+  }
+
+  const text = String(value === undefined || value === null ? '' : value).trim();
+  const hm = text.match(/^(\d+):([0-5]\d)$/);
+  if (hm) {
+    return (parseInt(hm[1]) * 60 + parseInt(hm[2])) / 60;
+  }
+  return roundHours(parseFloat(text) || 0);
+}
+
+/**
+ * Format hours in a time format
+ * @param {number} hours - Hours
+ * @param {string} [format] - Key of TIME_FORMATS
+ * @returns {string} e.g. "1.5", "1.50" or "1:30"
+ */
+function formatHours(hours, format = DEFAULT_TIME_FORMAT) {
+  const minutes = toMinutes(hours);
+  if (format === 'hhmm') {
+    const sign = minutes < 0 ? '-' : '';
+    const whole = Math.abs(minutes);
+    return `${sign}${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+  }
+  return (minutes / 60).toFixed(format === 'tenths' ? 1 : 2);
+}
+
+/**
+ * Parse a time of day: HH:MM, H:MM, HH:MM:SS or HHMM
+ * @returns {number|null} Minutes after midnight, or null when the value is not a time
+ */
+function parseTimeOfDay(value) {
+  const match = String(value).trim().match(/^(\d{1,2}):?([0-5]\d)(?::[0-5]\d)?$/);
+  if (!match || parseInt(match[1]) > 23) {
+    return null;
+  }
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+/**
+ * Format a time of day for storage
+ * @returns {string} HH:MM, or '' when no valid time is given
+ */
+function formatTimeOfDay(value) {
+  const minutes = value ? parseTimeOfDay(value) : null;
+  if (minutes === null) {
+    return '';
+  }
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+module.exports = {
+  TIME_FORMATS,
+  DEFAULT_TIME_FORMAT,
+  toMinutes,
+  roundHours,
+  parseHours,
+  formatHours,
+  parseTimeOfDay,
+  formatTimeOfDay
+};
@@ -0,0 +1,247 @@
+/**
+ * Import Formats
+ * Known logbook app layouts, format detection and column mapping suggestions for the CSV import wizard
+ */
+
+const { buildLogbookColumns, LEG_COLUMN } = require('./csv');
+
+// Role totals as other apps log them: overlapping PIC/Dual/SIC and Night columns.
+// They are split into this logbook's day/night role columns on import.
+const ROLE_TOTAL_TARGETS = [
+  { header: 'PIC (total)', field: 'pic_total', type: 'hours' },
+  { header: 'Dual (total)', field: 'dual_total', type: 'hours' },
+  { header: 'SIC (total)', field: 'sic_total', type: 'hours' },
+  { header: 'Night (total)', field: 'night_total', type: 'hours' }
+];
+
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+const TIME_UNITS = ['hours', 'minutes'];
+
+// Alternative header names per target field (normalised: lowercase letters and digits only), in order of preference
+const HEADER_SYNONYMS = {
+  date: ['date', 'flightdate', 'mccdate'],
+  aircraft_type: ['aircrafttype', 'type', 'actype', 'acmodel', 'typecode', 'model'],
+  registration: ['registration', 'rego', 'reg', 'aircraftid', 'acreg', 'tailnumber', 'tail'],
+  pic: ['pilotincommand', 'picname', 'pilot1name', 'picp1crew', 'captain'],
+  copilot: ['copilotstudent', 'copilot', 'student', 'pilot2name', 'sicp2crew'],
+  departure: ['departure', 'from', 'afdep', 'dep', 'origin'],
+  arrival: ['arrival', 'to', 'afarr', 'arr', 'destination'],
+  out_time: ['blockoff', 'offblock', 'out', 'timeout', 'timedep'],
+  off_time: ['takeoff', 'takeofftime', 'off', 'timeoff', 'timeto'],
+  on_time: ['landing', 'landingtime', 'on', 'timeon', 'timeldg'],
+  in_time: ['blockon', 'onblock', 'in', 'timein', 'timearr'],
+  times_utc: ['timesutc', 'utc', 'timesinutc'],
+  route: ['flightdetails', 'remarks', 'pilotcomments', 'comments', 'details', 'route'],
+  flight_time: ['totalhours', 'totaltime', 'timetotal', 'flighttime', 'total', 'duration'],
+  pic_total: ['pic', 'timepic', 'pictime'],
+  dual_total: ['dualreceived', 'dual', 'timedual', 'dualtime'],
+  sic_total: ['sic', 'timesic', 'sictime'],
+  night_total: ['night', 'timenight', 'nighttime'],
+  instrument_hours: ['actualinstrument', 'actualinstrumenttime', 'actualimc', 'imc', 'instrumentactual'],
+  simulated_instrument_hours: ['simulatedinstrument', 'simulatedinstrumenttime', 'hood', 'instrumentsimulated'],
+  ground_instrument_hours: ['groundinstrument', 'groundinstrumenttime', 'instrumentground'],
+  takeoffs_day: ['takeoffsday', 'daytakeoffs', 'today'],
+  takeoffs_night: ['takeoffsnight', 'nighttakeoffs', 'tonight'],
+  landings_day: ['landingsday', 'daylandings', 'daylandingsfullstop', 'ldgday'],
+  landings_night: ['landingsnight', 'nightlandings', 'nightlandingsfullstop', 'ldgnight'],
+  holds: ['holds', 'holding', 'holdingprocedures'],
+  approach_count: ['approaches', 'approachcount', 'instrumentapproaches', 'appr']
+};
+
+// Known formats, checked in order; a header row matches when it has every signature header
+const IMPORT_FORMATS = [
+  {
+    id: 'logbook',
+    name: "Pilot's Logbook CSV export",
+    signature: ['aircraftcategory', 'aircrafttype', 'totalhours', 'daypic', 'nightpic'],
+    date_format: 'YYYY-MM-DD',
+    time_unit: 'hours'
+  },
+  {
+    id: 'mccpilotlog',
+    name: 'MccPILOTLOG',
+    signature: ['afdep', 'afarr', 'timetotal'],
+    date_format: 'YYYY-MM-DD',
+    time_unit: 'minutes'
+  },
+  {
+    id: 'foreflight',
+    name: 'ForeFlight',
+    signature: ['aircraftid', 'totaltime', 'dualreceived', 'daylandingsfullstop'],
+    date_format: 'YYYY-MM-DD',
+    time_unit: 'hours'
+  },
+  {
+    id: 'logtenpro',
+    name: 'LogTen Pro',
+    signature: ['aircraftid', 'aircrafttype', 'totaltime', 'dualreceived'],
+    date_format: 'YYYY-MM-DD',
+    time_unit: 'hours'
+  }
+];
+
+// Fallback when no known format matches: first row is the header, columns guessed by name
+const SPREADSHEET_FORMAT = { id: 'spreadsheet', name: 'Excel / other spreadsheet', time_unit: 'hours' };
+
+/**
+ * Normalise a header for matching ("Day PIC" -> "daypic", "AF_DEP" -> "afdep")
+ */
+function normaliseHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Build the list of fields a source column can be mapped onto
+ * @param {Array<{id: number, field_label: string}>} customFields - User's custom fields
+ * @returns {Array} Logbook columns (including custom fields), the leg number and the role totals
+ */
+function buildImportTargets(customFields) {
+  return [...buildLogbookColumns(customFields), LEG_COLUMN, ...ROLE_TOTAL_TARGETS];
+}
+
+/**
+ * Find the header row and the format it belongs to
+ * @param {string[][]} rows - Parsed CSV rows
+ * @returns {{ format: Object, headerIndex: number }}
+ */
+function detectFormat(rows) {
+  for (let i = 0; i < rows.length; i++) {
+    const headers = rows[i].map(normaliseHeader);
+    const format = IMPORT_FORMATS.find(f => f.signature.every(h => headers.includes(h)));
+    if (format) {
+      return { format, headerIndex: i };
+    }
+  }
+
+  return { format: SPREADSHEET_FORMAT, headerIndex: 0 };
+}
+
+/**
+ * Suggest a mapping of source headers onto import targets
+ * Each target takes the first unassigned header matching its own label or one of its synonyms.
+ * @returns {Object} Map of source header -> target field
+ */
+function suggestMapping(headers, targets) {
+  const normalised = headers.map(normaliseHeader);
+  const assigned = new Set();
+  const columns = {};
+
+  targets.forEach(target => {
+    const candidates = [normaliseHeader(target.header), ...(HEADER_SYNONYMS[target.field] || [])];
+    for (const candidate of candidates) {
+      const index = normalised.findIndex((h, i) => h === candidate && !assigned.has(i));
+      if (index !== -1) {
+        assigned.add(index);
+        columns[headers[index].trim()] = target.field;
+        break;
+      }
+    }
+  });
+
+  return columns;
+}
+
+/**
+ * Guess the date format from sample values (ISO first, then day/month order)
+ */
+function guessDateFormat(values) {
+  if (values.some(v => /^\d{4}[-/.]\d{1,2}[-/.]\d{1,2}/.test(v))) {
+    return 'YYYY-MM-DD';
+  }
+
+  const parts = values
+    .map(v => v.match(/^(\d{1,2})[-/.](\d{1,2})[-/.]\d{2,4}/))
+    .filter(Boolean);
+  if (parts.some(p => parseInt(p[2]) > 12)) {
+    return 'MM/DD/YYYY';
+  }
+
+  return 'DD/MM/YYYY';
+}
+
+/**
+ * Convert a date in the given format to YYYY-MM-DD
+ * @returns {string} Converted date, or the original value when it does not match (validation reports it)
+ */
+function parseImportDate(raw, dateFormat) {
+  const pad = n => String(n).padStart(2, '0');
+
+  if (dateFormat === 'YYYY-MM-DD') {
+    const m = raw.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+    return m ? `${m[1]}-${pad(m[2])}-${pad(m[3])}` : raw;
+  }
+
+  const m = raw.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})\b/);
+  if (!m) {
+    return raw;
+  }
+
+  let year = parseInt(m[3]);
+  if (m[3].length === 2) {
+    // Two-digit years: assume the most recent century that is not in the future
+    const currentYear = new Date().getFullYear();
+    year += 2000;
+    if (year > currentYear) {
+      year -= 100;
+    }
+  }
+
+  const [day, month] = dateFormat === 'DD/MM/YYYY' ? [m[1], m[2]] : [m[2], m[1]];
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Convert a time value to decimal hours
+ * Accepts H:MM in any unit, otherwise a number in the given unit
+ * @returns {number} Hours (NaN when the value is not a time)
+ */
+function parseImportHours(raw, timeUnit) {
+  const hm = raw.match(/^(\d+):([0-5]\d)$/);
+  if (hm) {
+    return parseInt(hm[1]) + parseInt(hm[2]) / 60;
+  }
+
+  const number = Number(raw);
+  return timeUnit === 'minutes' ? number / 60 : number;
+}
+
+/**
+ * Read a ForeFlight-style aircraft table (AircraftID/TypeCode) above the flights
+ * @returns {Object} Map of registration -> aircraft type
+ */
+function findAircraftTypes(rows, headerIndex) {
+  const types = {};
+  let idCol = -1;
+  let typeCol = -1;
+
+  for (let i = 0; i < headerIndex; i++) {
+    const normalised = rows[i].map(normaliseHeader);
+    if (normalised.includes('aircraftid') && normalised.includes('typecode')) {
+      idCol = normalised.indexOf('aircraftid');
+      typeCol = normalised.indexOf('typecode');
+      continue;
+    }
+
+    if (idCol !== -1) {
+      const registration = (rows[i][idCol] || '').trim();
+      const type = (rows[i][typeCol] || '').trim();
+      if (registration && type) {
+        types[registration] = type;
+      }
+    }
+  }
+
+  return types;
+}
+
+module.exports = {
+  DATE_FORMATS,
+  TIME_UNITS,
+  buildImportTargets,
+  detectFormat,
+  suggestMapping,
+  guessDateFormat,
+  parseImportDate,
+  parseImportHours,
+  findAircraftTypes
+};
@@ -0,0 +1,178 @@
+/**
+ * Medical Certificate Validity
+ * Works out how long each privilege level of a medical certificate lasts from the issuing
+ * authority's rules, the class of the certificate and the holder's age at examination
+ */
+
+// Rule tables. A certificate of a class also carries the lower privilege levels listed with it,
+// each lasting as long as its own validity (so a Class 1 reverts to Class 2 privileges).
+// Validity bands apply by age at examination: `under` is the age the band ends at, `months` the
+// validity, and `untilAge` an age after which a certificate from that band lapses regardless.
+// monthEnd authorities run validity to the end of the calendar month.
+// These model the general rules only - operational limits (e.g. single-pilot commercial
+// passenger flights from age 40 or 60) are left to the notes.
+const EASA_PRIVILEGES = {
+  class1: {
+    label: 'Class 1',
+    validity: [{ under: 60, months: 12 }, { months: 6 }]
+  },
+  class2: {
+    label: 'Class 2',
+    validity: [{ under: 40, months: 60, untilAge: 42 }, { under: 50, months: 24 }, { months: 12 }]
+  },
+  lapl: {
+    label: 'LAPL',
+    validity: [{ under: 40, months: 60, untilAge: 42 }, { months: 24 }]
+  }
+};
+
+const EASA_CLASSES = {
+  class1: { label: 'Class 1', privileges: ['class1', 'class2', 'lapl'] },
+  class2: { label: 'Class 2', privileges: ['class2', 'lapl'] },
+  lapl: { label: 'LAPL', privileges: ['lapl'] }
+};
+
+const EASA_NOTE = 'Class 1 validity is 6 months from age 40 for single-pilot commercial air transport carrying passengers. ' +
+  'A Class 2 or LAPL certificate issued before age 40 lapses at age 42.';
+
+const MEDICAL_AUTHORITIES = {
+  easa: {
+    label: 'EASA',
+    monthEnd: false,
+    classes: EASA_CLASSES,
+    privileges: EASA_PRIVILEGES,
+    note: EASA_NOTE
+  },
+  uk_caa: {
+    label: 'UK CAA',
+    monthEnd: false,
+    classes: EASA_CLASSES,
+    privileges: EASA_PRIVILEGES,
+    note: EASA_NOTE
+  },
+  faa: {
+    label: 'FAA',
+    monthEnd: true,
+    classes: {
+      first: { label: 'First class', privileges: ['first', 'second', 'third'] },
+      second: { label: 'Second class', privileges: ['second', 'third'] },
+      third: { label: 'Third class', privileges: ['third'] }
+    },
+    privileges: {
+      first: { label: 'First class', validity: [{ under: 40, months: 12 }, { months: 6 }] },
+      second: { label: 'Second class', validity: [{ months: 12 }] },
+      third: { label: 'Third class', validity: [{ under: 40, months: 60 }, { months: 24 }] }
+    },
+    note: 'Validity runs to the end of the last calendar month.'
+  },
+  casa: {
+    label: 'CASA',
+    monthEnd: false,
+    classes: {
+      class1: { label: 'Class 1', privileges: ['class1', 'class2'] },
+      class2: { label: 'Class 2', privileges: ['class2'] }
+    },
+    privileges: {
+      class1: { label: 'Class 1', validity: [{ months: 12 }] },
+      class2: { label: 'Class 2', validity: [{ under: 40, months: 48 }, { months: 24 }] }
+    },
+    note: 'Class 1 validity is 6 months from age 60 for single-pilot air transport carrying passengers.'
+  },
+  caa_nz: {
+    label: 'CAA NZ',
+    monthEnd: false,
+    classes: {
+      class1: { label: 'Class 1', privileges: ['class1', 'class2'] },
+      class2: { label: 'Class 2', privileges: ['class2'] }
+    },
+    privileges: {
+      class1: { label: 'Class 1', validity: [{ under: 40, months: 12 }, { months: 6 }] },
+      class2: { label: 'Class 2', validity: [{ under: 40, months: 60 }, { months: 24 }] }
+    },
+    note: 'These are the longest validity periods the rules allow - a medical examiner can issue a certificate for less.'
+  }
+};
+
+function parseDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return { year, month, day };
+}
+
+function formatDate(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+}
+
+/**
+ * Full years of age on a date
+ * @param {string} dateOfBirth - YYYY-MM-DD
+ * @param {string} date - YYYY-MM-DD
+ */
+function ageOn(dateOfBirth, date) {
+  const birth = parseDate(dateOfBirth);
+  const on = parseDate(date);
+  const hadBirthday = on.month > birth.month || (on.month === birth.month && on.day >= birth.day);
+  return on.year - birth.year - (hadBirthday ? 0 : 1);
+}
+
+/**
+ * Last day of a validity period starting on a date
+ * Runs to the day before the same date N months later (the last day of a shorter month when
+ * that day doesn't exist), or to the end of the Nth calendar month for monthEnd authorities.
+ * @param {string} date - Start date (YYYY-MM-DD)
+ * @param {number} months - Months of validity
+ * @param {boolean} monthEnd - Run to the end of the calendar month
+ */
+function validUntil(date, months, monthEnd) {
+  const { year, month, day } = parseDate(date);
+  if (monthEnd) {
+    return formatDate(year, month + months + 1, 0);
+  }
+  const lastDayOfMonth = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  if (day > lastDayOfMonth) {
+    return formatDate(year, month + months, lastDayOfMonth);
+  }
+  return formatDate(year, month + months, day - 1);
+}
+
+/**
+ * Work out when each privilege level of a medical certificate expires
+ * @param {string} authorityKey - Key of MEDICAL_AUTHORITIES
+ * @param {string} classKey - Class of the certificate (a key of the authority's classes)
+ * @param {string} examDate - Date of the medical examination (YYYY-MM-DD)
+ * @param {string} dateOfBirth - Holder's date of birth (YYYY-MM-DD)
+ * @returns {{ age: number, privileges: Array }|null} age at examination and each privilege's
+ *   key, label and expiry_date (the last day it's valid), highest first; null for an unknown class
+ */
+function computeMedicalValidity(authorityKey, classKey, examDate, dateOfBirth) {
+  const authority = MEDICAL_AUTHORITIES[authorityKey];
+  const medicalClass = authority && authority.classes[classKey];
+  if (!medicalClass) {
+    return null;
+  }
+
+  const age = ageOn(dateOfBirth, examDate);
+  const privileges = medicalClass.privileges.map(key => {
+    const privilege = authority.privileges[key];
+    const band = privilege.validity.find(b => b.under === undefined || age < b.under);
+
+    let expiryDate = validUntil(examDate, band.months, authority.monthEnd);
+    if (band.untilAge) {
+      // Lapses on reaching the age, i.e. the last valid day is the day before that birthday
+      const birth = parseDate(dateOfBirth);
+      const lapse = formatDate(birth.year + band.untilAge, birth.month, birth.day - 1);
+      if (lapse < expiryDate) {
+        expiryDate = lapse;
+      }
+    }
+
+    return { key, label: privilege.label, expiry_date: expiryDate };
+  });
+
+  return { age, privileges };
+}
+
+module.exports = {
+  MEDICAL_AUTHORITIES,
+  ageOn,
+  computeMedicalValidity
+};
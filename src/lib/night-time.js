@@ -0,0 +1,236 @@
+/**
+ * Night Time
+ * Offline day/night split of a flight: the sun's position is worked out along the great-circle
+ * route for every minute between takeoff and landing, and it is night while the sun is more than
+ * 6 degrees below the horizon (between evening and morning civil twilight). A flight with legs is
+ * split leg by leg.
+ */
+
+const { toRadians, toDegrees, intermediatePoint } = require('./geo');
+const { localTimeToUtc, formatDateInTimezone } = require('./timezones');
+const { findAirport } = require('./airports');
+const { parseTimeOfDay, roundHours } = require('./hours');
+const { isUtcTimes } = require('./flight-data');
+const { getUserTimezone } = require('./preferences');
+
+// Sun elevation (degrees) at the end of evening / start of morning civil twilight
+const CIVIL_TWILIGHT_ELEVATION = -6;
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+/**
+ * Elevation of the sun's centre above the horizon (NOAA solar position equations)
+ * @param {number} time - Milliseconds since the epoch
+ * @param {number} latitude - Decimal degrees
+ * @param {number} longitude - Decimal degrees, east positive
+ * @returns {number} Degrees (negative below the horizon)
+ */
+function solarElevation(time, latitude, longitude) {
+  const julianCentury = (time / MS_PER_DAY + 2440587.5 - 2451545) / 36525;
+  const t = julianCentury;
+
+  const meanLongitude = (280.46646 + t * (36000.76983 + t * 0.0003032)) % 360;
+  const meanAnomaly = toRadians(357.52911 + t * (35999.05029 - 0.0001537 * t));
+  const eccentricity = 0.016708634 - t * (0.000042037 + 0.0000001267 * t);
+
+  const centre = Math.sin(meanAnomaly) * (1.914602 - t * (0.004817 + 0.000014 * t)) +
+    Math.sin(2 * meanAnomaly) * (0.019993 - 0.000101 * t) +
+    Math.sin(3 * meanAnomaly) * 0.000289;
+  const omega = toRadians(125.04 - 1934.136 * t);
+  const apparentLongitude = toRadians(meanLongitude + centre - 0.00569 - 0.00478 * Math.sin(omega));
+
+  const meanObliquity = 23 + (26 + (21.448 - t * (46.815 + t * (0.00059 - t * 0.001813))) / 60) / 60;
+  const obliquity = toRadians(meanObliquity + 0.00256 * Math.cos(omega));
+  const declination = Math.asin(Math.sin(obliquity) * Math.sin(apparentLongitude));
+
+  // Equation of time, in minutes
+  const l0 = toRadians(meanLongitude);
+  const y = Math.tan(obliquity / 2) ** 2;
+  const equationOfTime = 4 * toDegrees(
+    y * Math.sin(2 * l0) -
+    2 * eccentricity * Math.sin(meanAnomaly) +
+    4 * eccentricity * y * Math.sin(meanAnomaly) * Math.cos(2 * l0) -
+    0.5 * y * y * Math.sin(4 * l0) -
+    1.25 * eccentricity * eccentricity * Math.sin(2 * meanAnomaly)
+  );
+
+  const utcMinutes = (((time % MS_PER_DAY) + MS_PER_DAY) % MS_PER_DAY) / MS_PER_MINUTE;
+  const trueSolarTime = (utcMinutes + equationOfTime + 4 * longitude) % 1440;
+  const hourAngle = toRadians(trueSolarTime / 4 - 180);
+
+  const lat = toRadians(latitude);
+  const cosZenith = Math.sin(lat) * Math.sin(declination) +
+    Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle);
+  return 90 - toDegrees(Math.acos(Math.min(1, Math.max(-1, cosZenith))));
+}
+
+/**
+ * Whether it is night at a position and moment
+ */
+function isNight(time, position) {
+  return solarElevation(time, position.latitude, position.longitude) < CIVIL_TWILIGHT_ELEVATION;
+}
+
+/**
+ * The moment a UTC time of day happens on a flight's date, which is the local date at the departure
+ */
+function utcTimeOnLocalDate(date, minutes, timezone) {
+  const time = localTimeToUtc(date, minutes, 'UTC');
+  return [time, time - MS_PER_DAY, time + MS_PER_DAY]
+    .find(candidate => formatDateInTimezone(candidate, timezone) === date) || time;
+}
+
+/**
+ * Find a sector's departure and arrival in the airport database
+ * @returns {{ valid: boolean, error?: string, departure?: Object, arrival?: Object }}
+ */
+function findSectorAirports(userId, sector) {
+  const airports = { valid: true };
+  for (const field of ['departure', 'arrival']) {
+    const code = String(sector[field] || '').trim();
+    if (!code) {
+      return { valid: false, error: `A ${field} airport is needed to calculate night time` };
+    }
+    airports[field] = findAirport(userId, code);
+    if (!airports[field]) {
+      return { valid: false, error: `${code.toUpperCase()} is not in the airport database - add it as a private landing site to calculate night time` };
+    }
+  }
+  return airports;
+}
+
+/**
+ * Day/night split of one sector, sampled along its own great-circle route
+ * @param {number} userId - User ID
+ * @param {string} date - The flight's date (local date at the first departure)
+ * @param {Object} sector - departure, arrival, off_time, on_time
+ * @param {boolean} timesUtc - Whether the times are UTC
+ * @param {string} homeTimezone - Timezone for airports without one
+ * @param {number|null} after - Landing of the previous sector (ms); the takeoff is the first one
+ *   at or after it
+ * @returns {{ valid: boolean, error?: string, split?: Object, takeoff?: number, landing?: number }}
+ */
+function splitSector(userId, date, sector, timesUtc, homeTimezone, after) {
+  const takeoffMinutes = sector.off_time ? parseTimeOfDay(sector.off_time) : null;
+  const landingMinutes = sector.on_time ? parseTimeOfDay(sector.on_time) : null;
+  if (takeoffMinutes === null || landingMinutes === null) {
+    return { valid: false, error: 'Takeoff and landing times are needed to calculate night time' };
+  }
+
+  const airports = findSectorAirports(userId, sector);
+  if (!airports.valid) {
+    return airports;
+  }
+  const { departure, arrival } = airports;
+  const departureTimezone = departure.timezone || homeTimezone;
+  const arrivalTimezone = arrival.timezone || homeTimezone;
+
+  let takeoff = timesUtc
+    ? utcTimeOnLocalDate(date, takeoffMinutes, departureTimezone)
+    : localTimeToUtc(date, takeoffMinutes, departureTimezone);
+  while (after !== null && takeoff < after) {
+    takeoff += MS_PER_DAY;
+  }
+  let landing = localTimeToUtc(date, landingMinutes, timesUtc ? 'UTC' : arrivalTimezone);
+  while (landing <= takeoff) {
+    landing += MS_PER_DAY;
+  }
+  while (landing - takeoff > MS_PER_DAY) {
+    landing -= MS_PER_DAY;
+  }
+
+  // Sample the middle of each minute along the route
+  const minutes = Math.round((landing - takeoff) / MS_PER_MINUTE);
+  let nightMinutes = 0;
+  for (let i = 0; i < minutes; i++) {
+    const fraction = (i + 0.5) / minutes;
+    const time = takeoff + fraction * (landing - takeoff);
+    if (isNight(time, intermediatePoint(departure, arrival, fraction))) {
+      nightMinutes++;
+    }
+  }
+
+  const flightTime = roundHours(minutes / 60);
+  const nightTime = roundHours(nightMinutes / 60);
+
+  return {
+    valid: true,
+    takeoff,
+    landing,
+    split: {
+      flight_time: flightTime,
+      day_time: roundHours(flightTime - nightTime),
+      night_time: nightTime,
+      takeoff_night: isNight(takeoff, departure),
+      landing_night: isNight(landing, arrival),
+      takeoff_utc: new Date(takeoff).toISOString(),
+      landing_utc: new Date(landing).toISOString(),
+      departure: { code: departure.code, name: departure.name, timezone: departureTimezone },
+      arrival: { code: arrival.code, name: arrival.name, timezone: arrivalTimezone }
+    }
+  };
+}
+
+/**
+ * Suggest a flight's day/night split from its route and takeoff/landing times
+ * Takeoff and landing times are UTC, or local times at the departure and arrival (the user's
+ * home timezone where an airport has no timezone); the landing is the first one after takeoff
+ * at that time. A flight with legs is split leg by leg, each from its own airports and times,
+ * so the ground time between legs is not counted; each leg takes off at or after the landing
+ * of the one before.
+ * @param {number} userId - User ID (for private landing sites and home timezone)
+ * @param {Object} data - date, times_utc, and either departure, arrival, off_time and on_time or
+ *   legs, each with its own departure, arrival, off_time and on_time
+ * @returns {{ valid: boolean, error?: string, split?: Object }} split has flight_time, day_time and
+ *   night_time in hours, takeoff_night (first takeoff) and landing_night (last landing), the
+ *   airports used and, for a flight with legs, the same split for each leg in legs
+ */
+function calculateNightSplit(userId, data) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(data.date || '') || isNaN(new Date(data.date).getTime())) {
+    return { valid: false, error: 'A valid date is needed to calculate night time' };
+  }
+
+  const hasLegs = Array.isArray(data.legs) && data.legs.length > 0;
+  const sectors = hasLegs ? data.legs : [data];
+  const homeTimezone = getUserTimezone(userId);
+  const timesUtc = isUtcTimes(data.times_utc);
+
+  const legs = [];
+  let previousLanding = null;
+  for (let i = 0; i < sectors.length; i++) {
+    const sector = sectors[i] && typeof sectors[i] === 'object' ? sectors[i] : {};
+    const result = splitSector(userId, data.date, sector, timesUtc, homeTimezone, previousLanding);
+    if (!result.valid) {
+      return { valid: false, error: hasLegs ? `Leg ${i + 1}: ${result.error}` : result.error };
+    }
+    legs.push(result.split);
+    previousLanding = result.landing;
+  }
+
+  const first = legs[0];
+  const last = legs[legs.length - 1];
+  const split = {
+    flight_time: roundHours(legs.reduce((sum, leg) => sum + leg.flight_time, 0)),
+    day_time: roundHours(legs.reduce((sum, leg) => sum + leg.day_time, 0)),
+    night_time: roundHours(legs.reduce((sum, leg) => sum + leg.night_time, 0)),
+    takeoff_night: first.takeoff_night,
+    landing_night: last.landing_night,
+    takeoff_utc: first.takeoff_utc,
+    landing_utc: last.landing_utc,
+    times_utc: timesUtc,
+    departure: first.departure,
+    arrival: last.arrival
+  };
+  if (hasLegs) {
+    split.legs = legs;
+  }
+
+  return { valid: true, split };
+}
+
+module.exports = {
+  CIVIL_TWILIGHT_ELEVATION,
+  solarElevation,
+  calculateNightSplit
+};
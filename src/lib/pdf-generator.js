@@ -4,11 +4,34 @@
  */
 
 const PDFDocument = require('pdfkit');
+const { DEFAULT_TIME_FORMAT, formatHours } = require('./hours');
 
 class LogbookPDFGenerator {
   constructor(options = {}) {
     this.rowsPerSpread = options.rowsPerSpread || 22;  // Fixed 22 rows per page (fits A4 landscape)
     this.customFields = options.customFields || [];
+    this.timeFormat = options.timeFormat || DEFAULT_TIME_FORMAT;  // See TIME_FORMATS in lib/hours.js
+
+    // OTHER columns (17+): optional cross-country time and distance, then the chosen custom fields
+    this.otherColumns = [];
+    if (options.showCrossCountry) {
+      this.otherColumns.push({ key: 'crosscountry', label: 'X-COUNTRY', value: flight => flight.crosscountry_hours || 0 });
+    }
+    if (options.showDistance) {
+      this.otherColumns.push({
+        key: 'distance',
+        label: 'DIST (NM)',
+        value: flight => flight.distance_nm || 0,
+        format: value => (value ? String(Math.round(value)) : '')
+      });
+    }
+    this.customFields.forEach(cf => {
+      this.otherColumns.push({
+        key: `custom_${cf.id}`,
+        label: cf.field_label.toUpperCase(),
+        value: flight => flight.customFieldValues?.[cf.id] || 0
+      });
+    });
 
     // A4 Landscape dimensions in points
     this.pageWidth = 841.89;
@@ -46,6 +69,8 @@ class LogbookPDFGenerator {
 
   /**
    * Generate the complete PDF document
+   * Opening balance (prime) entries are not printed as rows: their totals become the
+   * first spread's brought forward line.
    * @param {Array} flights - Array of flight objects
    * @returns {PDFDocument} - The PDF document stream
    */
@@ -68,23 +93,30 @@ class LogbookPDFGenerator {
       return doc;
     }
 
-    // Calculate total spreads needed
-    const totalSpreads = Math.ceil(flights.length / this.rowsPerSpread);
+    const primeEntries = flights.filter(flight => flight.entry_type === 'prime');
+    const flightRows = flights.filter(flight => flight.entry_type !== 'prime');
 
-    // Running totals
-    let runningTotals = this.initializeTotals();
+    // Calculate total spreads needed (one spread even when there are only opening balances)
+    const totalSpreads = Math.max(1, Math.ceil(flightRows.length / this.rowsPerSpread));
+
+    // Running totals start from the opening balances
+    let runningTotals = this.calculateTotals(primeEntries, this.initializeTotals());
 
     // Process flights in chunks
     for (let spreadIndex = 0; spreadIndex < totalSpreads; spreadIndex++) {
       const startIdx = spreadIndex * this.rowsPerSpread;
-      const spreadFlights = flights.slice(startIdx, startIdx + this.rowsPerSpread);
+      const spreadFlights = flightRows.slice(startIdx, startIdx + this.rowsPerSpread);
 
       // Get year from first flight in spread
-      const year = this.getYear(spreadFlights[0].date);
+      const year = this.getYear((spreadFlights[0] || primeEntries[primeEntries.length - 1]).date);
+
+      const broughtForwardLabel = spreadIndex === 0 && primeEntries.length > 0
+        ? 'Brought forward from previous logbook'
+        : 'Totals brought forward';
 
       // Draw Page A (left side - flight details)
       doc.addPage();
-      this.drawPageA(doc, spreadFlights, year, spreadIndex + 1, totalSpreads, runningTotals);
+      this.drawPageA(doc, spreadFlights, year, spreadIndex + 1, totalSpreads, runningTotals, broughtForwardLabel);
 
       // Draw Page B (right side - hours breakdown)
       doc.addPage();
@@ -129,9 +161,9 @@ class LogbookPDFGenerator {
       grand_total: 0  // = helicopter + aeroplane (NOT simulator)
     };
 
-    // Add custom field totals
-    this.customFields.forEach(cf => {
-      totals[`custom_${cf.id}`] = 0;
+    // Add OTHER column totals
+    this.otherColumns.forEach(col => {
+      totals[col.key] = 0;
     });
 
     return totals;
@@ -193,10 +225,9 @@ class LogbookPDFGenerator {
         totals.grand_total += flight.flight_time_hours || 0;
       }
 
-      // Custom fields
-      this.customFields.forEach(cf => {
-        const value = flight.customFieldValues?.[cf.id] || 0;
-        totals[`custom_${cf.id}`] += value;
+      // OTHER columns
+      this.otherColumns.forEach(col => {
+        totals[col.key] += col.value(flight);
       });
     });
 
@@ -206,7 +237,7 @@ class LogbookPDFGenerator {
   /**
    * Draw Page A - Flight Details
    */
-  drawPageA(doc, flights, year, pageNum, totalPages, broughtForward) {
+  drawPageA(doc, flights, year, pageNum, totalPages, broughtForward, broughtForwardLabel = 'Totals brought forward') {
     const contentWidth = this.pageWidth - this.marginLeft - this.marginRight;
 
     // Header box starts at top margin and contains Year + column headers
@@ -291,7 +322,7 @@ class LogbookPDFGenerator {
     doc.font('Helvetica-Oblique').fontSize(9);
     const tbfX = detailsStartX + 10;
     const tbfWidth = this.pageAColumns.details - 30;  // Leave margin clearance
-    doc.text('Totals brought forward', tbfX, y, { align: 'right', width: tbfWidth });
+    doc.text(broughtForwardLabel, tbfX, y, { align: 'right', width: tbfWidth });
     y += this.rowHeight;
 
     // Draw separator line after "Totals brought forward"
@@ -440,8 +471,8 @@ class LogbookPDFGenerator {
 
     // Calculate column positions
     const numFixedCols = 16;  // 15 original + 1 SIM column
-    const numCustomCols = this.customFields.length;
-    const totalCols = numFixedCols + numCustomCols;
+    const numOtherCols = this.otherColumns.length;
+    const totalCols = numFixedCols + numOtherCols;
     const colWidth = Math.min(this.pageBColumnWidth, contentWidth / totalCols);
     const tableEndX = this.marginLeft + (colWidth * totalCols);
 
@@ -465,9 +496,9 @@ class LogbookPDFGenerator {
     doc.text('SIM', x, y, { width: colWidth, align: 'center' });
     x += colWidth;
 
-    // OTHER header (custom fields)
-    if (numCustomCols > 0) {
-      doc.text('OTHER', x, y, { width: colWidth * numCustomCols, align: 'center' });
+    // OTHER header (cross-country, distance and custom fields)
+    if (numOtherCols > 0) {
+      doc.text('OTHER', x, y, { width: colWidth * numOtherCols, align: 'center' });
     }
 
     y += 12;
@@ -540,9 +571,9 @@ class LogbookPDFGenerator {
     doc.text('TIME', x, y, { width: colWidth, align: 'center' });
     x += colWidth;
 
-    // Custom field columns
-    this.customFields.forEach(cf => {
-      doc.text(cf.field_label.toUpperCase(), x, y, { width: colWidth, align: 'center' });
+    // OTHER columns
+    this.otherColumns.forEach(col => {
+      doc.text(col.label, x, y, { width: colWidth, align: 'center' });
       x += colWidth;
     });
 
@@ -585,16 +616,17 @@ class LogbookPDFGenerator {
       bf.simulator_time  // SIM column (16)
     ];
 
-    // Add custom field brought forward values
-    this.customFields.forEach(cf => {
-      bfValues.push(bf[`custom_${cf.id}`] || 0);
-    });
-
     bfValues.forEach(val => {
       doc.text(this.formatHoursCell(val), x, y + bfTextVerticalOffset, { width: colWidth, align: 'center' });
       x += colWidth;
     });
 
+    // OTHER column brought forward values
+    this.otherColumns.forEach(col => {
+      doc.text(this.formatOtherCell(col, bf[col.key]), x, y + bfTextVerticalOffset, { width: colWidth, align: 'center' });
+      x += colWidth;
+    });
+
     y += this.rowHeight;
 
     // Calculate the data start position (after brought forward row)
@@ -699,10 +731,9 @@ class LogbookPDFGenerator {
       doc.text(isSimulator ? this.formatHoursCell(flight.flight_time_hours) : '', x, textY, { width: colWidth, align: 'center' });
       x += colWidth;
 
-      // Custom field columns (17+)
-      this.customFields.forEach(cf => {
-        const value = flight.customFieldValues?.[cf.id] || 0;
-        doc.text(this.formatHoursCell(value), x, textY, { width: colWidth, align: 'center' });
+      // OTHER columns (17+)
+      this.otherColumns.forEach(col => {
+        doc.text(this.formatOtherCell(col, col.value(flight)), x, textY, { width: colWidth, align: 'center' });
         x += colWidth;
       });
     });
@@ -734,16 +765,17 @@ class LogbookPDFGenerator {
       cumulativeTotals.simulator_time  // SIM column (16)
     ];
 
-    // Add custom field totals
-    this.customFields.forEach(cf => {
-      totalValues.push(cumulativeTotals[`custom_${cf.id}`] || 0);
-    });
-
     totalValues.forEach(val => {
       doc.text(this.formatHoursCell(val), x, y, { width: colWidth, align: 'center', lineBreak: false });
       x += colWidth;
     });
 
+    // OTHER column totals
+    this.otherColumns.forEach(col => {
+      doc.text(this.formatOtherCell(col, cumulativeTotals[col.key]), x, y, { width: colWidth, align: 'center', lineBreak: false });
+      x += colWidth;
+    });
+
     y += 12;
 
     // Column numbers at bottom
@@ -778,11 +810,10 @@ class LogbookPDFGenerator {
   }
 
   /**
-   * Format hours for display (e.g., "1.5" or empty for 0)
+   * Format hours for display in the user's time format (e.g., "1.5", "1.50" or "1:30")
    */
   formatHours(hours) {
-    if (!hours || hours === 0) return '0.0';
-    return hours.toFixed(1);
+    return formatHours(hours || 0, this.timeFormat);
   }
 
   /**
@@ -790,7 +821,14 @@ class LogbookPDFGenerator {
    */
   formatHoursCell(hours) {
     if (!hours || hours === 0) return '';
-    return hours.toFixed(1);
+    return formatHours(hours, this.timeFormat);
+  }
+
+  /**
+   * Format an OTHER column value for cell display (hours unless the column has its own format)
+   */
+  formatOtherCell(column, value) {
+    return column.format ? column.format(value) : this.formatHoursCell(value);
   }
 
   /**
@@ -0,0 +1,91 @@
+/**
+ * User Preferences
+ * Reads and writes the per-user settings stored as JSON in user_preferences.dashboard_config
+ */
+
+const db = require('../models/database');
+const { resolveTimezone } = require('./timezones');
+
+// Default preferences (also the full list of known keys)
+const DEFAULT_CONFIG = {
+  showHoursOverTime: true,
+  showAircraftChart: true,
+  showMonthlyActivity: true,
+  hiddenCustomFields: [],
+  trashRetentionDays: 30,  // 0 = keep deleted flights until purged by hand
+  timezone: '',  // Home timezone (IANA name); '' = the server's timezone
+  timesInUtc: false,  // New flights' out/off/on/in times are entered in UTC
+  crossCountryRule: 'landing_distance',  // See CROSS_COUNTRY_RULES in lib/cross-country.js
+  crossCountryMinNm: 50,  // Minimum distance for the cross-country rule, in nautical miles
+  timeFormat: 'hundredths',  // How times are shown and exported; see TIME_FORMATS in lib/hours.js
+  ftlRuleSet: 'off',  // Flight and duty limits: 'off', 'custom' or a key of FTL_RULE_SETS in lib/ftl.js
+  ftlCustomLimits: [],  // Limits of the 'custom' rule set
+  rollingWindows: [30, 90, 365],  // Days in each rolling window on the dashboard; [] hides the card
+  currencyByType: false,  // Work out currency per aircraft type as well as per category
+  dateOfBirth: ''  // Pilot's date of birth (YYYY-MM-DD), which medical validity depends on
+};
+
+/**
+ * Get a user's preferences merged with the defaults
+ * @param {number} userId - User ID
+ * @returns {Object} Preferences with every key in DEFAULT_CONFIG present
+ */
+function getPreferences(userId) {
+  const prefs = db.prepare(`
+    SELECT dashboard_config
+    FROM user_preferences
+    WHERE user_id = ?
+  `).get(userId);
+
+  if (!prefs) {
+    return { ...DEFAULT_CONFIG };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(prefs.dashboard_config);
+  } catch (e) {
+    config = {};
+  }
+
+  return { ...DEFAULT_CONFIG, ...config };
+}
+
+/**
+ * Save a user's preferences (insert or update)
+ * @param {number} userId - User ID
+ * @param {Object} config - Complete preferences object
+ */
+function savePreferences(userId, config) {
+  const configJson = JSON.stringify(config);
+  const existing = db.prepare('SELECT id FROM user_preferences WHERE user_id = ?').get(userId);
+
+  if (existing) {
+    db.prepare(`
+      UPDATE user_preferences
+      SET dashboard_config = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = ?
+    `).run(configJson, userId);
+  } else {
+    db.prepare(`
+      INSERT INTO user_preferences (user_id, dashboard_config)
+      VALUES (?, ?)
+    `).run(userId, configJson);
+  }
+}
+
+/**
+ * Get a user's home timezone: "today", month boundaries and export dates are worked out in it
+ * @param {number} userId - User ID
+ * @returns {string} IANA timezone name
+ */
+function getUserTimezone(userId) {
+  return resolveTimezone(getPreferences(userId).timezone);
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  getPreferences,
+  savePreferences,
+  getUserTimezone
+};
@@ -0,0 +1,399 @@
+/**
+ * Licence Requirements
+ * Templates of the experience a licence or rating needs ("150 h total, 35 h PIC, 10 h instrument,
+ * 5 h night"), each line mapped onto flight time columns, custom fields, categories and tags, and
+ * progress towards them from the whole logbook including opening balances
+ */
+
+const db = require('../models/database');
+const { flightMatchesRule } = require('./currency');
+const { roundHours } = require('./hours');
+
+const MAX_TEMPLATES = 20;
+const MAX_ITEMS = 30;
+
+// Qualifying flights listed with each line, most recent first
+const MAX_ITEM_FLIGHTS = 100;
+
+const pic = f => f.day_pic + f.night_pic;
+
+// What a line can count. Simulator sessions only count towards includesSimulator metrics, or when
+// a line is limited to the Simulator category.
+const REQUIREMENT_METRICS = {
+  total: { label: 'Total flight time', hours: true, value: f => f.flight_time_hours },
+  pic: { label: 'PIC', hours: true, value: pic },
+  dual: { label: 'Dual', hours: true, value: f => f.day_dual + f.night_dual },
+  sic: { label: 'SIC', hours: true, value: f => f.day_sic + f.night_sic },
+  cmnd_practice: { label: 'Command practice', hours: true, value: f => f.day_cmnd_practice + f.night_cmnd_practice },
+  night: {
+    label: 'Night',
+    hours: true,
+    value: f => f.night_pic + f.night_dual + f.night_sic + f.night_cmnd_practice
+  },
+  night_pic: { label: 'Night PIC', hours: true, value: f => f.night_pic },
+  night_dual: { label: 'Night dual', hours: true, value: f => f.night_dual },
+  crosscountry: { label: 'Cross-country', hours: true, value: f => f.crosscountry_hours },
+  // Cross-country time flown as PIC, as near as per-flight totals allow
+  crosscountry_pic: { label: 'Cross-country PIC', hours: true, value: f => Math.min(f.crosscountry_hours, pic(f)) },
+  instrument: {
+    label: 'Instrument (actual and simulated)',
+    hours: true,
+    value: f => f.instrument_hours + f.simulated_instrument_hours
+  },
+  instrument_actual: { label: 'Actual instrument', hours: true, value: f => f.instrument_hours },
+  instrument_simulated: { label: 'Simulated instrument', hours: true, value: f => f.simulated_instrument_hours },
+  instrument_ground: {
+    label: 'Ground instrument',
+    hours: true,
+    includesSimulator: true,
+    value: f => f.ground_instrument_hours
+  },
+  simulator: {
+    label: 'Simulator time',
+    hours: true,
+    includesSimulator: true,
+    value: f => (f.aircraft_category === 'Simulator' ? f.flight_time_hours : 0)
+  },
+  flights: { label: 'Flights', hours: false, value: f => (f.entry_type === 'prime' ? 0 : 1) },
+  landings: { label: 'Landings', hours: false, value: f => f.landings_day + f.landings_night },
+  night_landings: { label: 'Night landings', hours: false, value: f => f.landings_night },
+  custom_field_hours: {
+    label: 'Custom field hours',
+    hours: true,
+    needsCustomField: true,
+    value: (f, item) => f.custom_values[item.custom_field_id] || 0
+  }
+};
+
+// Bundled templates, modelled on common licence requirements. They are starting points: the
+// regulations have conditions (solo time, course credits, long cross-countries) that a line of
+// totals can't express, and a template can be copied to adjust it.
+const BUNDLED_TEMPLATES = {
+  faa_ppl_a: {
+    name: 'FAA Private Pilot (Aeroplane)',
+    description: '14 CFR 61.109(a)',
+    items: [
+      { label: 'Total flight time', metric: 'total', minimum: 40, aircraft_category: 'Aeroplane' },
+      { label: 'Dual instruction', metric: 'dual', minimum: 20, aircraft_category: 'Aeroplane' },
+      { label: 'Solo (PIC)', metric: 'pic', minimum: 10, aircraft_category: 'Aeroplane' },
+      { label: 'Cross-country dual', metric: 'crosscountry', minimum: 3, aircraft_category: 'Aeroplane' },
+      { label: 'Night dual', metric: 'night_dual', minimum: 3, aircraft_category: 'Aeroplane' },
+      { label: 'Night landings', metric: 'night_landings', minimum: 10, aircraft_category: 'Aeroplane' },
+      { label: 'Instrument training', metric: 'instrument', minimum: 3, aircraft_category: 'Aeroplane' },
+      { label: 'Solo cross-country', metric: 'crosscountry_pic', minimum: 5, aircraft_category: 'Aeroplane' }
+    ]
+  },
+  faa_ir_a: {
+    name: 'FAA Instrument Rating (Aeroplane)',
+    description: '14 CFR 61.65(d)',
+    items: [
+      { label: 'Cross-country PIC', metric: 'crosscountry_pic', minimum: 50 },
+      { label: 'Actual or simulated instrument', metric: 'instrument', minimum: 40 }
+    ]
+  },
+  faa_cpl_a: {
+    name: 'FAA Commercial Pilot (Aeroplane)',
+    description: '14 CFR 61.129(a)',
+    items: [
+      { label: 'Total flight time', metric: 'total', minimum: 250 },
+      { label: 'Powered aircraft', metric: 'total', minimum: 100, aircraft_category: 'Aeroplane' },
+      { label: 'PIC', metric: 'pic', minimum: 100 },
+      { label: 'Cross-country PIC', metric: 'crosscountry_pic', minimum: 50 },
+      { label: 'Instrument training', metric: 'instrument', minimum: 10 },
+      { label: 'Night', metric: 'night', minimum: 5 },
+      { label: 'Night landings', metric: 'night_landings', minimum: 10 }
+    ]
+  },
+  easa_ppl_h: {
+    name: 'EASA PPL(H)',
+    description: 'FCL.210.H',
+    items: [
+      { label: 'Total flight instruction', metric: 'total', minimum: 45, aircraft_category: 'Helicopter' },
+      { label: 'Dual instruction', metric: 'dual', minimum: 25, aircraft_category: 'Helicopter' },
+      { label: 'Supervised solo', metric: 'pic', minimum: 10, aircraft_category: 'Helicopter' },
+      { label: 'Solo cross-country', metric: 'crosscountry_pic', minimum: 5, aircraft_category: 'Helicopter' }
+    ]
+  },
+  easa_cpl_h: {
+    name: 'EASA CPL(H) (modular)',
+    description: 'FCL.320 and Appendix 3',
+    items: [
+      { label: 'Total flight time', metric: 'total', minimum: 185 },
+      { label: 'PIC', metric: 'pic', minimum: 50, aircraft_category: 'Helicopter' },
+      { label: 'Cross-country PIC', metric: 'crosscountry_pic', minimum: 10, aircraft_category: 'Helicopter' },
+      { label: 'Instrument instruction', metric: 'instrument', minimum: 5, aircraft_category: 'Helicopter' },
+      { label: 'Instrument ground time', metric: 'instrument_ground', minimum: 5 },
+      { label: 'Night', metric: 'night', minimum: 5, aircraft_category: 'Helicopter' }
+    ]
+  },
+  icao_cpl_a: {
+    name: 'ICAO CPL(A) (approved course)',
+    description: 'Annex 1, 2.4.3',
+    items: [
+      { label: 'Total flight time', metric: 'total', minimum: 150 },
+      { label: 'PIC', metric: 'pic', minimum: 70, aircraft_category: 'Aeroplane' },
+      { label: 'Cross-country PIC', metric: 'crosscountry_pic', minimum: 20, aircraft_category: 'Aeroplane' },
+      { label: 'Instrument instruction', metric: 'instrument', minimum: 10 },
+      { label: 'Night', metric: 'night', minimum: 5, aircraft_category: 'Aeroplane' }
+    ]
+  }
+};
+
+/**
+ * Validate and normalise one line of a template
+ * @returns {{ valid: boolean, error?: string, item?: Object }}
+ */
+function validateItem(data, userId) {
+  if (typeof data !== 'object' || data === null) {
+    return { valid: false, error: 'Each line must be an object' };
+  }
+
+  const text = key => (typeof data[key] === 'string' ? data[key].trim() : '');
+  const metric = REQUIREMENT_METRICS[data.metric];
+  if (!metric) {
+    return { valid: false, error: `Metric must be one of: ${Object.keys(REQUIREMENT_METRICS).join(', ')}` };
+  }
+
+  let customFieldId = null;
+  let field = null;
+  if (data.custom_field_id !== undefined && data.custom_field_id !== null && data.custom_field_id !== '') {
+    customFieldId = parseInt(data.custom_field_id);
+    field = db.prepare('SELECT id, field_label FROM custom_fields WHERE id = ? AND user_id = ?').get(customFieldId, userId);
+    if (!field) {
+      return { valid: false, error: 'Custom field not found' };
+    }
+  }
+
+  // A line counting a custom field's hours is named after the field unless given a label
+  const label = text('label') || (metric.needsCustomField && field ? field.field_label : metric.label);
+  if (label.length > 100) {
+    return { valid: false, error: 'Line labels must be 100 characters or less' };
+  }
+
+  const minimum = Number(data.minimum);
+  if (!isFinite(minimum) || minimum <= 0 || minimum > 100000 || (!metric.hours && !Number.isInteger(minimum))) {
+    return {
+      valid: false,
+      error: metric.hours ? `${label}: minimum must be more than 0 hours` : `${label}: minimum must be a whole number of at least 1`
+    };
+  }
+
+  const tag = text('tag');
+  if (tag && !/^[a-zA-Z0-9_-]+$/.test(tag)) {
+    return { valid: false, error: 'Tag can only contain letters, numbers, underscores, and hyphens' };
+  }
+
+  if (metric.needsCustomField && !customFieldId) {
+    return { valid: false, error: `${label}: choose the custom field whose hours the line counts` };
+  }
+
+  return {
+    valid: true,
+    item: {
+      label,
+      metric: data.metric,
+      minimum: metric.hours ? roundHours(minimum) : minimum,
+      aircraft_category: text('aircraft_category').slice(0, 50),
+      tag,
+      custom_field_id: customFieldId
+    }
+  };
+}
+
+/**
+ * Validate and normalise a template from a request
+ * @param {Object} data - name, description and items
+ * @param {number} userId - User ID (custom fields must be the user's)
+ * @returns {{ valid: boolean, error?: string, template?: Object }}
+ */
+function validateTemplateData(data, userId) {
+  const name = typeof data.name === 'string' ? data.name.trim() : '';
+  if (!name) {
+    return { valid: false, error: 'Template name is required' };
+  }
+  if (name.length > 100) {
+    return { valid: false, error: 'Template name must be 100 characters or less' };
+  }
+  const description = typeof data.description === 'string' ? data.description.trim() : '';
+  if (description.length > 500) {
+    return { valid: false, error: 'Description must be 500 characters or less' };
+  }
+
+  if (!Array.isArray(data.items) || data.items.length === 0) {
+    return { valid: false, error: 'A template needs at least one line' };
+  }
+  if (data.items.length > MAX_ITEMS) {
+    return { valid: false, error: `A template can have at most ${MAX_ITEMS} lines` };
+  }
+
+  const items = [];
+  for (const itemData of data.items) {
+    const validation = validateItem(itemData, userId);
+    if (!validation.valid) {
+      return validation;
+    }
+    items.push(validation.item);
+  }
+
+  return { valid: true, template: { name, description, items } };
+}
+
+/**
+ * Save a template's lines in order, replacing any it had
+ */
+function saveTemplateItems(templateId, items) {
+  db.prepare('DELETE FROM requirement_items WHERE template_id = ?').run(templateId);
+  const insert = db.prepare(`
+    INSERT INTO requirement_items (template_id, position, label, metric, minimum, aircraft_category, tag, custom_field_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  items.forEach((item, i) => {
+    insert.run(templateId, i, item.label, item.metric, item.minimum, item.aircraft_category, item.tag, item.custom_field_id);
+  });
+}
+
+/**
+ * A user's own templates with their lines
+ * @param {number} userId - User ID
+ * @param {number} [templateId] - Only this template
+ */
+function getUserTemplates(userId, templateId = null) {
+  const templates = db.prepare(`
+    SELECT id, name, description, created_at, updated_at
+    FROM requirement_templates
+    WHERE user_id = ? ${templateId ? 'AND id = ?' : ''}
+    ORDER BY name COLLATE NOCASE ASC
+  `).all(...(templateId ? [userId, templateId] : [userId]));
+
+  const items = db.prepare(`
+    SELECT ri.template_id, ri.label, ri.metric, ri.minimum, ri.aircraft_category, ri.tag, ri.custom_field_id,
+           cf.field_label as custom_field_label
+    FROM requirement_items ri
+    JOIN requirement_templates rt ON rt.id = ri.template_id
+    LEFT JOIN custom_fields cf ON cf.id = ri.custom_field_id
+    WHERE rt.user_id = ?
+    ORDER BY ri.template_id, ri.position
+  `).all(userId);
+
+  return templates.map(template => ({
+    ...template,
+    items: items
+      .filter(item => item.template_id === template.id)
+      .map(({ template_id: _templateId, ...item }) => item)
+  }));
+}
+
+/**
+ * Bundled templates in the same shape as a user's
+ */
+function getBundledTemplates() {
+  return Object.entries(BUNDLED_TEMPLATES).map(([key, template]) => ({
+    key,
+    name: template.name,
+    description: template.description,
+    items: template.items.map(item => ({ aircraft_category: '', tag: '', custom_field_id: null, ...item }))
+  }));
+}
+
+/**
+ * Every entry in the logbook (flights and opening balances) with the columns lines count from
+ */
+function getRequirementFlights(userId) {
+  const flights = db.prepare(`
+    SELECT id, date, entry_type, aircraft_category, aircraft_type, registration, flight_details, flight_time_hours,
+           day_pic, night_pic, day_dual, night_dual, day_sic, night_sic, day_cmnd_practice, night_cmnd_practice,
+           COALESCE(crosscountry_hours, 0) as crosscountry_hours,
+           COALESCE(instrument_hours, 0) as instrument_hours,
+           COALESCE(simulated_instrument_hours, 0) as simulated_instrument_hours,
+           COALESCE(ground_instrument_hours, 0) as ground_instrument_hours,
+           landings_day, landings_night
+    FROM flights
+    WHERE user_id = ? AND deleted_at IS NULL
+    ORDER BY date DESC, id DESC
+  `).all(userId);
+
+  const byId = {};
+  flights.forEach(flight => {
+    flight.custom_values = {};
+    byId[flight.id] = flight;
+  });
+  db.prepare(`
+    SELECT cfv.flight_id, cfv.field_id, cfv.value
+    FROM custom_field_values cfv
+    JOIN flights f ON f.id = cfv.flight_id
+    WHERE f.user_id = ? AND f.deleted_at IS NULL AND cfv.value > 0
+  `).all(userId).forEach(row => {
+    byId[row.flight_id].custom_values[row.field_id] = row.value;
+  });
+
+  return flights;
+}
+
+/**
+ * Progress towards each line of a template
+ * @param {Object} template - Template with items
+ * @param {Array} flights - From getRequirementFlights
+ * @returns {Object} the template with each item's logged, remaining, complete and qualifying
+ *   flights (value each contributed; flight_count is the full number), and overall progress (0-1)
+ */
+function evaluateTemplate(template, flights) {
+  const items = template.items.map(item => {
+    const metric = REQUIREMENT_METRICS[item.metric];
+    // Simulator sessions count towards simulator metrics unless the line picks a category
+    const simulatorRule = { filters: { ...item, aircraft_category: 'Simulator' } };
+    const rule = { filters: item };
+
+    let logged = 0;
+    const qualifying = [];
+    flights.forEach(flight => {
+      const matches = metric.includesSimulator && !item.aircraft_category && flight.aircraft_category === 'Simulator'
+        ? flightMatchesRule(flight, simulatorRule)
+        : flightMatchesRule(flight, rule);
+      const value = matches ? metric.value(flight, item) || 0 : 0;
+      if (value > 0) {
+        logged += value;
+        qualifying.push({
+          id: flight.id,
+          date: flight.date,
+          entry_type: flight.entry_type,
+          aircraft_type: flight.aircraft_type,
+          registration: flight.registration,
+          value: metric.hours ? roundHours(value) : value
+        });
+      }
+    });
+
+    logged = metric.hours ? roundHours(logged) : logged;
+    const remaining = Math.max(roundHours(item.minimum - logged), 0);
+    return {
+      ...item,
+      metric_label: metric.label,
+      hours: metric.hours,
+      logged,
+      remaining,
+      complete: remaining === 0,
+      flight_count: qualifying.length,
+      flights: qualifying.slice(0, MAX_ITEM_FLIGHTS)
+    };
+  });
+
+  const progress = items.reduce((sum, item) => sum + Math.min(item.logged / item.minimum, 1), 0) / items.length;
+  return {
+    ...template,
+    items,
+    complete: items.every(item => item.complete),
+    progress: Math.round(progress * 1000) / 1000
+  };
+}
+
+module.exports = {
+  MAX_TEMPLATES,
+  REQUIREMENT_METRICS,
+  BUNDLED_TEMPLATES,
+  validateTemplateData,
+  saveTemplateItems,
+  getUserTemplates,
+  getBundledTemplates,
+  getRequirementFlights,
+  evaluateTemplate
+};
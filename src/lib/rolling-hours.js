@@ -0,0 +1,178 @@
+/**
+ * Rolling Hours
+ * Hours flown in the last N days (30, 90, 365, ...) - what insurance forms and job applications
+ * ask for - broken down by time bucket, custom field, aircraft type and category.
+ */
+
+const db = require('../models/database');
+
+// Windows a user can have at once, and the longest window in days (10 years)
+const MAX_WINDOWS = 6;
+const MAX_WINDOW_DAYS = 3650;
+
+// Time buckets totalled for each window; all exclude simulator sessions except ground time
+const TIME_BUCKETS = [
+  { key: 'total', label: 'Total', sql: 'flight_time_hours' },
+  { key: 'pic', label: 'PIC', sql: 'day_pic + night_pic' },
+  { key: 'dual', label: 'Dual', sql: 'day_dual + night_dual' },
+  { key: 'sic', label: 'SIC', sql: 'day_sic + night_sic' },
+  { key: 'cmnd_practice', label: 'Command Practice', sql: 'day_cmnd_practice + night_cmnd_practice' },
+  { key: 'day', label: 'Day', sql: 'day_pic + day_dual + day_sic + day_cmnd_practice' },
+  { key: 'night', label: 'Night', sql: 'night_pic + night_dual + night_sic + night_cmnd_practice' },
+  { key: 'crosscountry', label: 'Cross-Country', sql: 'COALESCE(crosscountry_hours, 0)' }
+];
+
+/**
+ * Validate a list of windows
+ * @param {Array} windows - Window lengths in days
+ * @returns {{ valid: boolean, error?: string, windows?: number[] }} windows de-duplicated, shortest first
+ */
+function validateWindows(windows) {
+  if (!Array.isArray(windows)) {
+    return { valid: false, error: 'Windows must be a list of days' };
+  }
+
+  const days = [...new Set(windows.map(Number))];
+  if (days.some(d => !Number.isInteger(d) || d < 1 || d > MAX_WINDOW_DAYS)) {
+    return { valid: false, error: `Each window must be a whole number of days from 1 to ${MAX_WINDOW_DAYS}` };
+  }
+  if (days.length > MAX_WINDOWS) {
+    return { valid: false, error: `Choose at most ${MAX_WINDOWS} windows` };
+  }
+  return { valid: true, windows: days.sort((a, b) => a - b) };
+}
+
+/**
+ * First date of a window ending today, e.g. the last 30 days run from 29 days before today
+ * @param {string} today - YYYY-MM-DD
+ * @param {number} days - Window length
+ * @returns {string} YYYY-MM-DD
+ */
+function windowStart(today, days) {
+  const [year, month, day] = today.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day - days + 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * SQL summing an expression for each window, and its parameters
+ * @param {string} expression - SQL expression to sum
+ * @param {string[]} starts - First date of each window
+ * @param {string} [alias] - Column prefix; columns are named alias0, alias1, ...
+ * @param {string} [condition] - Extra SQL condition a row must meet to count
+ */
+function windowSums(expression, starts, alias = 'w', condition = '') {
+  const filter = condition ? ` AND ${condition}` : '';
+  return {
+    sql: starts.map((_, i) => `COALESCE(SUM(CASE WHEN f.date >= ?${filter} THEN ${expression} END), 0) as ${alias}${i}`).join(',\n        '),
+    params: starts
+  };
+}
+
+/**
+ * Pick a row's per-window values into an array
+ */
+function windowValues(row, count, alias = 'w') {
+  return Array.from({ length: count }, (_, i) => row[`${alias}${i}`]);
+}
+
+/**
+ * Hours in each window ending today (prime entries, being opening balances, are left out)
+ * @param {number} userId - User ID
+ * @param {number[]} windows - Window lengths in days, shortest first
+ * @param {string} today - Today in the user's home timezone (YYYY-MM-DD)
+ * @returns {Object} windows (with from dates), flights, buckets, customFields, byCategory and
+ *   byAircraftType, each holding one value per window
+ */
+function getRollingTotals(userId, windows, today) {
+  const starts = windows.map(days => windowStart(today, days));
+  const result = {
+    today,
+    windows: windows.map((days, i) => ({ days, from: starts[i] })),
+    flights: [],
+    buckets: [],
+    customFields: [],
+    byCategory: [],
+    byAircraftType: []
+  };
+  if (windows.length === 0) {
+    return result;
+  }
+
+  const earliest = starts.reduce((a, b) => (a < b ? a : b));
+  const scope = `f.user_id = ? AND f.deleted_at IS NULL AND f.entry_type != 'prime' AND f.date >= ? AND f.date <= ?`;
+  const scopeParams = [userId, earliest, today];
+
+  // Time buckets and flight count (simulator sessions count only as ground time)
+  const notSimulator = "f.aircraft_category != 'Simulator'";
+  const sums = [
+    ...TIME_BUCKETS.map(bucket => windowSums(`(${bucket.sql})`, starts, `${bucket.key}_`, notSimulator)),
+    windowSums('1', starts, 'flights_', notSimulator),
+    windowSums('f.flight_time_hours', starts, 'ground_', "f.aircraft_category = 'Simulator'")
+  ];
+  const totals = db.prepare(`
+    SELECT ${sums.map(sum => sum.sql).join(',\n        ')}
+    FROM flights f
+    WHERE ${scope}
+  `).get(...sums.flatMap(sum => sum.params), ...scopeParams);
+
+  result.flights = windowValues(totals, windows.length, 'flights_');
+  result.buckets = [
+    ...TIME_BUCKETS.map(bucket => ({
+      key: bucket.key,
+      label: bucket.label,
+      hours: windowValues(totals, windows.length, `${bucket.key}_`)
+    })),
+    { key: 'ground', label: 'Ground Time (Simulator)', hours: windowValues(totals, windows.length, 'ground_') }
+  ];
+
+  // Custom fields (every field, so a field with no recent time shows as zero)
+  const customSums = windowSums('cfv.value', starts);
+  result.customFields = db.prepare(`
+    SELECT cf.id, cf.field_label as label, ${customSums.sql}
+    FROM custom_fields cf
+    LEFT JOIN custom_field_values cfv ON cfv.field_id = cf.id
+    LEFT JOIN flights f ON f.id = cfv.flight_id AND ${scope}
+    WHERE cf.user_id = ?
+    GROUP BY cf.id
+    ORDER BY cf.field_label ASC
+  `).all(...customSums.params, ...scopeParams, userId).map(row => ({
+    id: row.id,
+    label: row.label,
+    hours: windowValues(row, windows.length)
+  }));
+
+  // Aircraft categories and types flown in the longest window
+  const hourSums = windowSums('f.flight_time_hours', starts);
+  result.byCategory = db.prepare(`
+    SELECT f.aircraft_category, ${hourSums.sql}
+    FROM flights f
+    WHERE ${scope}
+    GROUP BY f.aircraft_category
+    ORDER BY w${windows.length - 1} DESC
+  `).all(...hourSums.params, ...scopeParams).map(row => ({
+    aircraft_category: row.aircraft_category,
+    hours: windowValues(row, windows.length)
+  }));
+
+  result.byAircraftType = db.prepare(`
+    SELECT f.aircraft_type, f.aircraft_category, ${hourSums.sql}
+    FROM flights f
+    WHERE ${scope}
+    GROUP BY f.aircraft_type, f.aircraft_category
+    ORDER BY w${windows.length - 1} DESC
+  `).all(...hourSums.params, ...scopeParams).map(row => ({
+    aircraft_type: row.aircraft_type,
+    aircraft_category: row.aircraft_category,
+    hours: windowValues(row, windows.length)
+  }));
+
+  return result;
+}
+
+module.exports = {
+  MAX_WINDOWS,
+  MAX_WINDOW_DAYS,
+  TIME_BUCKETS,
+  validateWindows,
+  getRollingTotals
+};
@@ -0,0 +1,117 @@
+/**
+ * Timezones
+ * IANA timezone helpers built on Intl, so no timezone database needs to be bundled
+ */
+
+const MS_PER_MINUTE = 60 * 1000;
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Check whether a value is an IANA timezone name (e.g. Pacific/Auckland)
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * The timezone the server runs in (used when a user has not chosen a home timezone)
+ */
+function getServerTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * A user's timezone preference, or the server's timezone when it is empty or unknown
+ */
+function resolveTimezone(timezone) {
+  return timezone && isValidTimezone(timezone) ? timezone : getServerTimezone();
+}
+
+/**
+ * Local date and time parts of a moment in a timezone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number }}
+ */
+function getLocalParts(time, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric'
+  }).formatToParts(new Date(time)).forEach(part => {
+    parts[part.type] = parseInt(part.value);
+  });
+  return parts;
+}
+
+/**
+ * Format a moment as a local date in a timezone
+ * @returns {string} YYYY-MM-DD
+ */
+function formatDateInTimezone(time, timezone) {
+  const { year, month, day } = getLocalParts(time, timezone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Format a moment as a local date and time in a timezone
+ * @returns {string} YYYY-MM-DD HH:MM
+ */
+function formatDateTimeInTimezone(time, timezone) {
+  const { year, month, day, hour, minute } = getLocalParts(time, timezone);
+  return `${year}-${pad(month)}-${pad(day)} ${pad(hour)}:${pad(minute)}`;
+}
+
+/**
+ * Today's date in a timezone
+ * @returns {string} YYYY-MM-DD
+ */
+function todayInTimezone(timezone) {
+  return formatDateInTimezone(Date.now(), timezone);
+}
+
+/**
+ * Offset of a timezone from UTC at a moment in time
+ * @param {number} time - Milliseconds since the epoch
+ * @param {string} timezone - IANA timezone name
+ * @returns {number} Minutes ahead of UTC (negative west of Greenwich)
+ */
+function getTimezoneOffset(time, timezone) {
+  const parts = getLocalParts(time, timezone);
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return Math.round((local - Math.floor(time / MS_PER_MINUTE) * MS_PER_MINUTE) / MS_PER_MINUTE);
+}
+
+/**
+ * Convert a local date and time of day in a timezone to a UTC moment
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} minutes - Minutes after local midnight
+ * @param {string} timezone - IANA timezone name
+ * @returns {number} Milliseconds since the epoch
+ */
+function localTimeToUtc(date, minutes, timezone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day) + minutes * MS_PER_MINUTE;
+
+  // The offset can change between the guess and the answer when the time is near a DST change
+  let time = asUtc - getTimezoneOffset(asUtc, timezone) * MS_PER_MINUTE;
+  time = asUtc - getTimezoneOffset(time, timezone) * MS_PER_MINUTE;
+  return time;
+}
+
+module.exports = {
+  isValidTimezone,
+  getServerTimezone,
+  resolveTimezone,
+  formatDateInTimezone,
+  formatDateTimeInTimezone,
+  todayInTimezone,
+  getTimezoneOffset,
+  localTimeToUtc
+};
@@ -0,0 +1,348 @@
+/**
+ * GPS Tracks
+ * Reads GPX, KML and IGC track files, works out the takeoff and landing times, number of
+ * landings, nearest airports and distance flown, and stores a thinned copy of the track
+ * against a flight for plotting
+ */
+
+const db = require('../models/database');
+const { distanceNm } = require('./geo');
+const { findNearestAirport } = require('./airports');
+const { formatDateInTimezone, formatDateTimeInTimezone } = require('./timezones');
+const { roundHours } = require('./flight-data');
+const { getUserTimezone } = require('./preferences');
+
+const TRACK_FORMATS = { gpx: 'GPX', kml: 'KML', igc: 'IGC' };
+
+// Ground speed above which the aircraft is taken to be flying
+const AIRBORNE_SPEED_KT = 30;
+// Ground speed is averaged over this long so single noisy fixes don't count
+const SPEED_WINDOW_MS = 20 * 1000;
+// A stop at least this long between two flying periods is a landing (shorter ones are slow flight)
+const MIN_STOP_MS = 60 * 1000;
+// Furthest an airport can be from the takeoff or landing point to be suggested
+const AIRPORT_MATCH_NM = 3;
+// Most points kept when a track is stored with a flight
+const MAX_STORED_POINTS = 1500;
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// ==================== PARSING ====================
+
+/**
+ * Build a point, or null when the position or time is not usable
+ */
+function makePoint(latitude, longitude, time, altitude) {
+  const lat = parseFloat(latitude);
+  const lon = parseFloat(longitude);
+  const alt = parseFloat(altitude);
+  if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180 || isNaN(time)) {
+    return null;
+  }
+  return { latitude: lat, longitude: lon, time, altitude: isNaN(alt) ? null : alt };
+}
+
+function parseGpx(content) {
+  const points = [];
+  for (const match of content.matchAll(/<trkpt\b([^>]*)>([\s\S]*?)<\/trkpt>/g)) {
+    const lat = match[1].match(/\blat\s*=\s*["']([^"']+)["']/);
+    const lon = match[1].match(/\blon\s*=\s*["']([^"']+)["']/);
+    const time = match[2].match(/<time>\s*([^<]+?)\s*<\/time>/);
+    const ele = match[2].match(/<ele>\s*([^<]+?)\s*<\/ele>/);
+    if (lat && lon && time) {
+      points.push(makePoint(lat[1], lon[1], Date.parse(time[1]), ele && ele[1]));
+    }
+  }
+  return points;
+}
+
+function parseKml(content) {
+  const points = [];
+
+  // gx:Track - a list of <when> times and a matching list of "lon lat alt" coordinates
+  for (const track of content.matchAll(/<gx:Track\b[^>]*>([\s\S]*?)<\/gx:Track>/g)) {
+    const whens = [...track[1].matchAll(/<when>\s*([^<]+?)\s*<\/when>/g)].map(m => Date.parse(m[1]));
+    const coords = [...track[1].matchAll(/<gx:coord>\s*([^<]+?)\s*<\/gx:coord>/g)].map(m => m[1].split(/\s+/));
+    coords.forEach((coord, i) => {
+      if (i < whens.length) {
+        points.push(makePoint(coord[1], coord[0], whens[i], coord[2]));
+      }
+    });
+  }
+
+  // Otherwise one placemark per fix, each with a timestamp and a "lon,lat,alt" point
+  if (points.length === 0) {
+    for (const placemark of content.matchAll(/<Placemark\b[^>]*>([\s\S]*?)<\/Placemark>/g)) {
+      const when = placemark[1].match(/<when>\s*([^<]+?)\s*<\/when>/);
+      const coordinates = placemark[1].match(/<Point\b[^>]*>[\s\S]*?<coordinates>\s*([^<]+?)\s*<\/coordinates>/);
+      if (when && coordinates) {
+        const coord = coordinates[1].split(',');
+        points.push(makePoint(coord[1], coord[0], Date.parse(when[1]), coord[2]));
+      }
+    }
+  }
+
+  return points;
+}
+
+function parseIgc(content) {
+  // Flight date from the header: HFDTEDDMMYY or HFDTEDATE:DDMMYY
+  const header = content.match(/^HFDTE(?:DATE:)?(\d{2})(\d{2})(\d{2})/m);
+  if (!header) {
+    return [];
+  }
+  const year = parseInt(header[3]) + (parseInt(header[3]) >= 80 ? 1900 : 2000);
+  const midnight = Date.UTC(year, parseInt(header[2]) - 1, parseInt(header[1]));
+
+  // B records: HHMMSS DDMMmmm N/S DDDMMmmm E/W validity pressure-altitude GPS-altitude
+  const fixPattern = /^B(\d{2})(\d{2})(\d{2})(\d{2})(\d{5})([NS])(\d{3})(\d{5})([EW])[AV](-\d{4}|\d{5})(-\d{4}|\d{5})/;
+  const points = [];
+  let dayOffset = 0;
+  let previousSeconds = -1;
+
+  content.split(/\r?\n/).forEach(line => {
+    const fix = line.match(fixPattern);
+    if (!fix) {
+      return;
+    }
+
+    // Times are UTC and roll over past midnight
+    const seconds = parseInt(fix[1]) * 3600 + parseInt(fix[2]) * 60 + parseInt(fix[3]);
+    if (seconds < previousSeconds) {
+      dayOffset++;
+    }
+    previousSeconds = seconds;
+
+    const latitude = (parseInt(fix[4]) + parseInt(fix[5]) / 60000) * (fix[6] === 'S' ? -1 : 1);
+    const longitude = (parseInt(fix[7]) + parseInt(fix[8]) / 60000) * (fix[9] === 'W' ? -1 : 1);
+    const gpsAltitude = parseInt(fix[11]);
+    const altitude = gpsAltitude !== 0 ? gpsAltitude : parseInt(fix[10]);
+
+    points.push(makePoint(latitude, longitude, midnight + (dayOffset * 24 + seconds / 3600) * MS_PER_HOUR, altitude));
+  });
+
+  return points;
+}
+
+/**
+ * Read a track file (the format is recognised from the content)
+ * @param {string} content - File contents
+ * @returns {{ valid: boolean, error?: string, format?: string, points?: Array }} points are
+ *   { latitude, longitude, time (ms since the epoch), altitude (metres or null) } in time order
+ */
+function parseTrack(content) {
+  if (typeof content !== 'string' || !content.trim()) {
+    return { valid: false, error: 'The track file is empty' };
+  }
+
+  let format = null;
+  if (/<gpx\b/i.test(content)) {
+    format = 'gpx';
+  } else if (/<kml\b/i.test(content)) {
+    format = 'kml';
+  } else if (/^B\d{6}/m.test(content) && /^A/.test(content.trimStart())) {
+    format = 'igc';
+  }
+  if (!format) {
+    return { valid: false, error: 'The file is not a GPX, KML or IGC track' };
+  }
+
+  const parsers = { gpx: parseGpx, kml: parseKml, igc: parseIgc };
+  const seen = new Set();
+  const points = parsers[format](content)
+    .filter(Boolean)
+    .sort((a, b) => a.time - b.time)
+    .filter(point => !seen.has(point.time) && seen.add(point.time));
+
+  if (points.length < 2) {
+    return { valid: false, error: `The ${TRACK_FORMATS[format]} file has no track with timed positions` };
+  }
+
+  return { valid: true, format, points };
+}
+
+// ==================== ANALYSIS ====================
+
+/**
+ * Ground speed at each point in knots, averaged over SPEED_WINDOW_MS
+ */
+function groundSpeeds(points) {
+  const speeds = [0];
+  let j = 0;
+  for (let i = 1; i < points.length; i++) {
+    while (j < i - 1 && points[i].time - points[j + 1].time >= SPEED_WINDOW_MS) {
+      j++;
+    }
+    const hours = (points[i].time - points[j].time) / MS_PER_HOUR;
+    speeds.push(hours > 0 ? distanceNm(points[j], points[i]) / hours : 0);
+  }
+  return speeds;
+}
+
+/**
+ * Flying periods as { start, end } point indexes; stops shorter than MIN_STOP_MS are flown through
+ */
+function findFlyingPeriods(points) {
+  const periods = [];
+  groundSpeeds(points).forEach((speed, i) => {
+    if (speed <= AIRBORNE_SPEED_KT) {
+      return;
+    }
+    const last = periods[periods.length - 1];
+    if (last && (last.end === i - 1 || points[i].time - points[last.end].time < MIN_STOP_MS)) {
+      last.end = i;
+    } else {
+      periods.push({ start: i, end: i });
+    }
+  });
+  return periods;
+}
+
+/**
+ * Work out the flight from a track
+ * Times are given in UTC and as local times at the departure and arrival (the user's home
+ * timezone where no airport matches or its timezone is unknown); the date is the local date of
+ * the takeoff. Each stop of at least a minute counts as a landing and a takeoff.
+ * @param {number} userId - User ID (for private landing sites and home timezone)
+ * @param {Array} points - Points from parseTrack
+ * @returns {{ valid: boolean, error?: string, summary?: Object }}
+ */
+function analyzeTrack(userId, points) {
+  const periods = findFlyingPeriods(points);
+  if (periods.length === 0) {
+    return { valid: false, error: `No flying found in the track - the ground speed never went above ${AIRBORNE_SPEED_KT} kt` };
+  }
+
+  const takeoffPoint = points[periods[0].start];
+  const landingPoint = points[periods[periods.length - 1].end];
+  const departure = findNearestAirport(userId, takeoffPoint, AIRPORT_MATCH_NM);
+  const arrival = findNearestAirport(userId, landingPoint, AIRPORT_MATCH_NM);
+
+  let distance = 0;
+  periods.forEach(period => {
+    for (let i = period.start + 1; i <= period.end; i++) {
+      distance += distanceNm(points[i - 1], points[i]);
+    }
+  });
+
+  const homeTimezone = getUserTimezone(userId);
+  const departureTimezone = (departure && departure.timezone) || homeTimezone;
+  const arrivalTimezone = (arrival && arrival.timezone) || homeTimezone;
+  const timeOf = (time, timezone) => formatDateTimeInTimezone(time, timezone).slice(11);
+
+  return {
+    valid: true,
+    summary: {
+      date: formatDateInTimezone(takeoffPoint.time, departureTimezone),
+      off_time: timeOf(takeoffPoint.time, 'UTC'),
+      on_time: timeOf(landingPoint.time, 'UTC'),
+      off_time_local: timeOf(takeoffPoint.time, departureTimezone),
+      on_time_local: timeOf(landingPoint.time, arrivalTimezone),
+      takeoff_utc: new Date(takeoffPoint.time).toISOString(),
+      landing_utc: new Date(landingPoint.time).toISOString(),
+      flight_time: roundHours((landingPoint.time - takeoffPoint.time) / MS_PER_HOUR),
+      takeoffs: periods.length,
+      landings: periods.length,
+      departure: departure ? { code: departure.code, name: departure.name, timezone: departureTimezone } : null,
+      arrival: arrival ? { code: arrival.code, name: arrival.name, timezone: arrivalTimezone } : null,
+      distance_nm: Math.round(distance * 10) / 10
+    }
+  };
+}
+
+/**
+ * Thin a track to at most MAX_STORED_POINTS evenly spaced points (keeping the first and last)
+ * @returns {Array} [latitude, longitude, time, altitude] per point
+ */
+function thinTrack(points) {
+  const step = Math.max(1, (points.length - 1) / (MAX_STORED_POINTS - 1));
+  const kept = [];
+  for (let i = 0; i < points.length - 1; i += step) {
+    kept.push(points[Math.floor(i)]);
+  }
+  kept.push(points[points.length - 1]);
+
+  return kept.map(point => [
+    Math.round(point.latitude * 1e5) / 1e5,
+    Math.round(point.longitude * 1e5) / 1e5,
+    point.time,
+    point.altitude === null ? null : Math.round(point.altitude)
+  ]);
+}
+
+/**
+ * Read and analyze a track file
+ * @param {number} userId - User ID
+ * @param {Object} data - filename and content of the uploaded file
+ * @returns {{ valid: boolean, error?: string, track?: Object }} track has filename, format,
+ *   summary (see analyzeTrack) and points (see thinTrack)
+ */
+function readTrackFile(userId, data) {
+  const parsed = parseTrack(data.content);
+  if (!parsed.valid) {
+    return parsed;
+  }
+
+  const analysis = analyzeTrack(userId, parsed.points);
+  if (!analysis.valid) {
+    return analysis;
+  }
+
+  const filename = typeof data.filename === 'string' && data.filename.trim()
+    ? data.filename.trim().slice(0, 255)
+    : `track.${parsed.format}`;
+
+  return {
+    valid: true,
+    track: {
+      filename,
+      format: parsed.format,
+      summary: analysis.summary,
+      points: thinTrack(parsed.points)
+    }
+  };
+}
+
+// ==================== STORAGE ====================
+
+/**
+ * Store a track against a flight, replacing any track it already has
+ * @param {number} flightId - Flight ID
+ * @param {Object} track - Track from readTrackFile
+ */
+function saveFlightTrack(flightId, track) {
+  db.prepare(`
+    INSERT INTO flight_tracks (flight_id, filename, format, summary, points)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(flight_id) DO UPDATE SET
+      filename = excluded.filename, format = excluded.format, summary = excluded.summary,
+      points = excluded.points, created_at = CURRENT_TIMESTAMP
+  `).run(flightId, track.filename, track.format, JSON.stringify(track.summary), JSON.stringify(track.points));
+}
+
+/**
+ * Get a flight's stored track
+ * @param {number} flightId - Flight ID
+ * @returns {Object|null} filename, format, summary, points and created_at, or null when it has none
+ */
+function getFlightTrack(flightId) {
+  const row = db.prepare(`
+    SELECT filename, format, summary, points, created_at
+    FROM flight_tracks
+    WHERE flight_id = ?
+  `).get(flightId);
+
+  if (!row) {
+    return null;
+  }
+  return { ...row, summary: JSON.parse(row.summary), points: JSON.parse(row.points) };
+}
+
+module.exports = {
+  TRACK_FORMATS,
+  parseTrack,
+  analyzeTrack,
+  readTrackFile,
+  saveFlightTrack,
+  getFlightTrack
+};
@@ -0,0 +1,41 @@
+/**
+ * Trash
+ * Deleted flights stay in the Trash (deleted_at set) until restored, purged by hand,
+ * or purged automatically once they are older than the user's retention period
+ */
+
+const db = require('../models/database');
+const { getPreferences } = require('./preferences');
+
+/**
+ * Permanently delete trashed flights older than the retention period
+ * @param {number} [userId] - Only purge this user's Trash (default: every user)
+ * @returns {number} Number of flights purged
+ */
+function purgeExpiredFlights(userId) {
+  const userIds = userId !== undefined
+    ? [userId]
+    : db.prepare('SELECT DISTINCT user_id FROM flights WHERE deleted_at IS NOT NULL').all().map(row => row.user_id);
+
+  const purgeStmt = db.prepare(`
+    DELETE FROM flights
+    WHERE user_id = ? AND deleted_at IS NOT NULL AND deleted_at < datetime('now', ?)
+  `);
+
+  let purged = 0;
+  const purgeAll = db.transaction(() => {
+    userIds.forEach(id => {
+      const days = getPreferences(id).trashRetentionDays;
+      if (days > 0) {
+        purged += purgeStmt.run(id, `-${days} days`).changes;
+      }
+    });
+  });
+  purgeAll();
+
+  return purged;
+}
+
+module.exports = {
+  purgeExpiredFlights
+};
@@ -164,6 +164,81 @@ function initializeDatabase() {
     // Column already exists
   }
 
+  // Soft delete: flights in the Trash have deleted_at set until restored or purged
+  try {
+    db.exec(`ALTER TABLE flights ADD COLUMN deleted_at DATETIME`);
+  } catch (e) {
+    // Column already exists
+  }
+
+  // Entry type: 'flight' for a logged flight, 'prime' for an opening balance brought forward
+  // from a previous logbook. Prime entries used to be marked only by text in flight_details,
+  // so convert those once, when the column is first added.
+  try {
+    db.exec(`ALTER TABLE flights ADD COLUMN entry_type TEXT NOT NULL DEFAULT 'flight'`);
+    db.exec(`
+      UPDATE flights
+      SET entry_type = 'prime',
+          flight_details = TRIM(REPLACE(flight_details, '=== LOGBOOK PRIME ENTRY ===', ''))
+      WHERE flight_details LIKE '%LOGBOOK PRIME ENTRY%'
+    `);
+  } catch (e) {
+    // Column already exists
+  }
+
+  // Add out/off/on/in times of day (HH:MM, '' when not recorded)
+  try {
+    db.exec(`ALTER TABLE flights ADD COLUMN out_time TEXT DEFAULT ''`);
+  } catch (e) {
+    // Column already exists
+  }
+  try {
+    db.exec(`ALTER TABLE flights ADD COLUMN off_time TEXT DEFAULT ''`);
+  } catch (e) {
+    // Column already exists
+  }
+  try {
+    db.exec(`ALTER TABLE flights ADD COLUMN on_time TEXT DEFAULT ''`);
+  } catch (e) {
+    // Column already exists
+  }
+  try {
+    db.exec(`ALTER TABLE flights ADD COLUMN in_time TEXT DEFAULT ''`);
+  } catch (e) {
+    // Column already exists
+  }
+
+  // Whether the out/off/on/in times are UTC (1) or local times (0)
+  try {
+    db.exec(`ALTER TABLE flights ADD COLUMN times_utc INTEGER DEFAULT 0`);
+  } catch (e) {
+    // Column already exists
+  }
+  // Great-circle route distance in nautical miles; NULL until calculated (see lib/cross-country.js)
+  try {
+    db.exec(`ALTER TABLE flights ADD COLUMN distance_nm REAL`);
+  } catch (e) {
+    // Column already exists
+  }
+  // Duty period the flight was flown in (see lib/ftl.js); NULL when not linked to one
+  try {
+    db.exec(`ALTER TABLE flights ADD COLUMN duty_period_id INTEGER`);
+  } catch (e) {
+    // Column already exists
+  }
+  // Holding procedures and course intercepts flown, for instrument currency (approaches are
+  // kept per approach in flight_approaches)
+  try {
+    db.exec(`ALTER TABLE flights ADD COLUMN holds INTEGER DEFAULT 0`);
+  } catch (e) {
+    // Column already exists
+  }
+  try {
+    db.exec(`ALTER TABLE flights ADD COLUMN intercepts INTEGER DEFAULT 0`);
+  } catch (e) {
+    // Column already exists
+  }
+
   // Create aircraft_types table for managing saved aircraft
   db.exec(`
     CREATE TABLE IF NOT EXISTS aircraft_types (
@@ -226,6 +301,226 @@ function initializeDatabase() {
     )
   `);
 
+  // Create import_mappings table for saved CSV import column mappings
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS import_mappings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      format TEXT,
+      mapping TEXT NOT NULL DEFAULT '{}',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, name),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  // Create flight_revisions table: one row per create/update/delete with a field-level diff
+  // and a snapshot of the flight afterwards (used to revert to that revision)
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS flight_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      flight_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      action TEXT NOT NULL,
+      changes TEXT NOT NULL DEFAULT '[]',
+      snapshot TEXT NOT NULL DEFAULT '{}',
+      reverted_from INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (flight_id) REFERENCES flights(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  // Create flight_legs table for multi-sector flights: the flight's times, takeoffs/landings,
+  // departure and arrival are the totals of its legs
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS flight_legs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      flight_id INTEGER NOT NULL,
+      leg_number INTEGER NOT NULL,
+      departure TEXT DEFAULT '',
+      arrival TEXT DEFAULT '',
+      day_pic REAL DEFAULT 0,
+      night_pic REAL DEFAULT 0,
+      day_dual REAL DEFAULT 0,
+      night_dual REAL DEFAULT 0,
+      day_sic REAL DEFAULT 0,
+      night_sic REAL DEFAULT 0,
+      day_cmnd_practice REAL DEFAULT 0,
+      night_cmnd_practice REAL DEFAULT 0,
+      takeoffs_day INTEGER DEFAULT 0,
+      takeoffs_night INTEGER DEFAULT 0,
+      landings_day INTEGER DEFAULT 0,
+      landings_night INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (flight_id) REFERENCES flights(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create flight_approaches table: the instrument approaches flown on a flight, in order
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS flight_approaches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      flight_id INTEGER NOT NULL,
+      position INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      airport TEXT DEFAULT '',
+      runway TEXT DEFAULT '',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (flight_id) REFERENCES flights(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create landing_sites table for a user's private landing sites (farm strips, hospital pads,
+  // ship decks, ...) that are not in the bundled airport database
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS landing_sites (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      code TEXT NOT NULL,
+      name TEXT NOT NULL,
+      type TEXT NOT NULL DEFAULT 'other',
+      latitude REAL NOT NULL,
+      longitude REAL NOT NULL,
+      elevation_ft INTEGER,
+      timezone TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, code),
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  // Create flight_tracks table for a GPS track (GPX, KML or IGC) stored with a flight: a thinned
+  // copy of its points for plotting and what was worked out from it
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS flight_tracks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      flight_id INTEGER NOT NULL UNIQUE,
+      filename TEXT NOT NULL,
+      format TEXT NOT NULL,
+      summary TEXT NOT NULL,
+      points TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (flight_id) REFERENCES flights(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create duty_periods table for flight and duty time limitations: report and off-duty times
+  // (UTC, ISO 8601) and the flight time planned for a duty that has not been flown yet
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS duty_periods (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      report_at TEXT NOT NULL,
+      off_duty_at TEXT NOT NULL,
+      planned_flight_hours REAL DEFAULT 0,
+      notes TEXT DEFAULT '',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  // Create currency_rules table for user-defined currency and recency rules
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS currency_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      metric TEXT NOT NULL,
+      minimum REAL NOT NULL,
+      days INTEGER NOT NULL,
+      aircraft_category TEXT DEFAULT '',
+      aircraft_type TEXT DEFAULT '',
+      tag TEXT DEFAULT '',
+      custom_field_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (custom_field_id) REFERENCES custom_fields(id)
+    )
+  `);
+
+  // Create credentials table for licences, ratings, medicals and checks; the attachment (a scan
+  // of the document) is kept in the database so a backup of the database file includes it
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS credentials (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      type TEXT NOT NULL,
+      name TEXT NOT NULL,
+      reference TEXT DEFAULT '',
+      issuing_authority TEXT DEFAULT '',
+      issue_date DATE,
+      expiry_date DATE,
+      notes TEXT DEFAULT '',
+      attachment_name TEXT,
+      attachment_type TEXT,
+      attachment BLOB,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  // Authority and class of a medical (see lib/medical.js), which its validity is worked out from;
+  // '' when the expiry date is entered by hand
+  try {
+    db.exec(`ALTER TABLE credentials ADD COLUMN medical_authority TEXT DEFAULT ''`);
+  } catch (e) {
+    // Column already exists
+  }
+  try {
+    db.exec(`ALTER TABLE credentials ADD COLUMN medical_class TEXT DEFAULT ''`);
+  } catch (e) {
+    // Column already exists
+  }
+
+  // Takeoff and landing time of each leg (HH:MM, in the flight's time basis), which the leg's
+  // day/night split is worked out from
+  try {
+    db.exec(`ALTER TABLE flight_legs ADD COLUMN off_time TEXT DEFAULT ''`);
+  } catch (e) {
+    // Column already exists
+  }
+  try {
+    db.exec(`ALTER TABLE flight_legs ADD COLUMN on_time TEXT DEFAULT ''`);
+  } catch (e) {
+    // Column already exists
+  }
+
+  // Create requirement_templates and requirement_items tables for licence requirement progress:
+  // a template's lines, in order, each counting a metric (see lib/requirements.js) towards a minimum
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS requirement_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      description TEXT DEFAULT '',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS requirement_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      template_id INTEGER NOT NULL,
+      position INTEGER NOT NULL,
+      label TEXT NOT NULL,
+      metric TEXT NOT NULL,
+      minimum REAL NOT NULL,
+      aircraft_category TEXT DEFAULT '',
+      tag TEXT DEFAULT '',
+      custom_field_id INTEGER,
+      FOREIGN KEY (template_id) REFERENCES requirement_templates(id) ON DELETE CASCADE,
+      FOREIGN KEY (custom_field_id) REFERENCES custom_fields(id)
+    )
+  `);
+
   // Create index on date for faster sorting
   db.exec(`
     CREATE INDEX IF NOT EXISTS idx_flights_date ON flights(date DESC)
@@ -241,6 +536,72 @@ function initializeDatabase() {
     CREATE INDEX IF NOT EXISTS idx_flights_user_date ON flights(user_id, date DESC)
   `);
 
+  // Create index for listing and purging the Trash
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_flights_user_deleted ON flights(user_id, deleted_at)
+  `);
+
+  // Create index for a flight's revision history
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_flight_revisions_flight ON flight_revisions(flight_id, id DESC)
+  `);
+
+  // Create index for a flight's legs in order
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_flight_legs_flight ON flight_legs(flight_id, leg_number)
+  `);
+
+  // Create index for a flight's approaches in order
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_flight_approaches_flight ON flight_approaches(flight_id, position)
+  `);
+
+  // Create index for a user's duty periods in time order
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_duty_periods_user_report ON duty_periods(user_id, report_at)
+  `);
+
+  // Create index for a template's lines in order
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_requirement_items_template ON requirement_items(template_id, position)
+  `);
+
+  // Create index for a user's credentials by expiry
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_credentials_user_expiry ON credentials(user_id, expiry_date)
+  `);
+
+  // Times are stored to the whole minute so decimal and HH:MM views agree. Times saved before that
+  // (e.g. 1.33 for 1:20) are rounded once; user_version records that this has run, and values
+  // already to the minute are left alone.
+  if (db.pragma('user_version', { simple: true }) < 1) {
+    const HOURS_COLUMNS = {
+      flights: [
+        'flight_time_hours', 'day_hours', 'night_hours',
+        'day_pic', 'night_pic', 'day_dual', 'night_dual', 'day_sic', 'night_sic',
+        'day_cmnd_practice', 'night_cmnd_practice',
+        'longline_hours', 'mountain_hours', 'instructor_hours', 'crosscountry_hours', 'night_vision_hours',
+        'instrument_hours', 'simulated_instrument_hours', 'ground_instrument_hours'
+      ],
+      flight_legs: [
+        'day_pic', 'night_pic', 'day_dual', 'night_dual', 'day_sic', 'night_sic',
+        'day_cmnd_practice', 'night_cmnd_practice'
+      ],
+      custom_field_values: ['value']
+    };
+    db.transaction(() => {
+      Object.entries(HOURS_COLUMNS).forEach(([table, columns]) => {
+        columns.forEach(column => {
+          db.exec(`
+            UPDATE ${table} SET ${column} = ROUND(${column} * 60) / 60.0
+            WHERE ${column} != ROUND(${column} * 60) / 60.0
+          `);
+        });
+      });
+      db.pragma('user_version = 1');
+    })();
+  }
+
   // Check if default user exists
   const userCheck = db.prepare('SELECT COUNT(*) as count FROM users').get();
 
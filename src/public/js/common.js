@@ -110,13 +110,29 @@ function truncate(text, maxLength) {
 
 /**
  * Get today's date in YYYY-MM-DD format using local timezone
+ * @param {string} [timezone] - IANA timezone to use instead of the browser's (e.g. the user's home timezone)
  * @returns {string} Today's date in YYYY-MM-DD format
  */
-function getLocalDateString() {
+function getLocalDateString(timezone) {
+    if (timezone) {
+        return new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+    }
     const now = new Date();
     return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
 }
 
+/**
+ * Get the filename the server gave a download (dated in the user's home timezone)
+ * @param {Response} response - Fetch response
+ * @param {string} fallback - Filename to use when the server gives none
+ * @returns {string} Filename
+ */
+function getDownloadFilename(response, fallback) {
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="?([^";]+)"?/);
+    return match ? match[1] : fallback;
+}
+
 /**
  * Download a blob as a file
  * @param {Blob} blob - The blob to download
@@ -211,3 +227,145 @@ async function loadAircraftTypes(selectElement, placeholder = 'Select aircraft t
         return [];
     }
 }
+
+let preferencesRequest = null;
+
+/**
+ * Load the user's preferences (fetched once per page)
+ * @returns {Promise<Object>} Preferences, or {} when they cannot be loaded
+ */
+function loadPreferences() {
+    if (!preferencesRequest) {
+        preferencesRequest = fetch('/api/preferences')
+            .then(response => (response.ok ? response.json() : {}))
+            .catch(error => {
+                console.error('Error loading preferences:', error);
+                return {};
+            });
+    }
+    return preferencesRequest;
+}
+
+// How times are shown: 'tenths', 'hundredths' or 'hhmm' (set by loadTimeFormat)
+let timeFormat = 'hundredths';
+
+/**
+ * Load the user's time format preference into timeFormat
+ * @returns {Promise<string>} The time format
+ */
+async function loadTimeFormat() {
+    const prefs = await loadPreferences();
+    timeFormat = prefs.timeFormat || timeFormat;
+    return timeFormat;
+}
+
+/**
+ * Format hours in the user's time format (1.5 hours as "1.5", "1.50" or "1:30")
+ * @param {number} hours - Hours
+ * @param {string} format - Time format (default timeFormat)
+ * @returns {string} Formatted time
+ */
+function formatHours(hours, format = timeFormat) {
+    const minutes = Math.round((Number(hours) || 0) * 60);
+    if (format === 'hhmm') {
+        const sign = minutes < 0 ? '-' : '';
+        const whole = Math.abs(minutes);
+        return `${sign}${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+    }
+    return (minutes / 60).toFixed(format === 'tenths' ? 1 : 2);
+}
+
+/**
+ * Format hours for a time input without losing minutes: in tenths only when the time is a
+ * whole number of tenths, otherwise in hundredths
+ * @param {number} hours - Hours
+ * @returns {string} Formatted time
+ */
+function formatHoursInput(hours) {
+    const minutes = Math.round((Number(hours) || 0) * 60);
+    return formatHours(hours, timeFormat === 'tenths' && minutes % 6 !== 0 ? 'hundredths' : timeFormat);
+}
+
+/**
+ * Read a time typed as decimal hours ("1.5") or hours and minutes ("1:30"), to the whole minute
+ * @param {string} text - Input value
+ * @returns {number} Hours (0 when blank, NaN when not a time)
+ */
+function parseHoursInput(text) {
+    const value = String(text || '').trim();
+    if (!value) return 0;
+
+    const hm = value.match(/^(\d+):([0-5]\d)$/);
+    if (hm) {
+        return (parseInt(hm[1]) * 60 + parseInt(hm[2])) / 60;
+    }
+    if (!/^\d*\.?\d+$/.test(value)) {
+        return NaN;
+    }
+    return Math.round(parseFloat(value) * 60) / 60;
+}
+
+/**
+ * Render flight and duty limit results as headroom bars
+ * @param {Array} results - Limit results from /api/duty (label, limit, used, remaining, status, note)
+ * @returns {string} HTML
+ */
+function renderLimitResults(results) {
+    return results.map(result => {
+        const share = result.limit > 0 && result.used !== null ? Math.min(result.used / result.limit, 1) : 0;
+        const detail = result.type === 'min_rest'
+            ? (result.used === null ? '' : `${formatHours(result.used)} of ${formatHours(result.limit)} hrs rest`)
+            : `${formatHours(result.used)} of ${formatHours(result.limit)} hrs (${formatHours(Math.max(result.remaining, 0))} left)`;
+
+        return `
+            <div class="limit-item limit-${result.status}">
+                <div class="limit-header">
+                    <span>${escapeHtml(result.label)}</span>
+                    <span class="limit-detail">${detail}</span>
+                </div>
+                <div class="limit-bar"><div class="limit-bar-fill" style="width: ${Math.round(share * 100)}%"></div></div>
+                ${result.note ? `<div class="form-help">${escapeHtml(result.note)}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Describe what a currency requirement needs, e.g. "3 landings" or "1.5 NVG"
+ * @param {Object} requirement - Requirement from /api/currency (label, hours)
+ * @param {number} amount - Amount to describe
+ * @returns {string} Description
+ */
+function formatCurrencyAmount(requirement, amount) {
+    // Lower-case labels like "Night landings" but leave "PIC hours" or a custom field's "NVG" alone
+    const label = /^[A-Z][a-z]/.test(requirement.label) ? requirement.label.toLowerCase() : requirement.label;
+    return requirement.hours ? `${formatHours(amount)} ${label}` : `${amount} ${label}`;
+}
+
+// Traffic light for how soon a credential expires (from /api/credentials status)
+const CREDENTIAL_LIGHTS = {
+    expired: 'red',
+    within_30: 'red',
+    within_60: 'amber',
+    within_90: 'green'
+};
+
+/**
+ * Describe when a credential expires, e.g. "Expires in 12 days" or "Expired 3 days ago"
+ * @param {Object} credential - Credential from /api/credentials (expiry_date, days_left)
+ * @returns {string} Description
+ */
+function describeExpiry(credential) {
+    if (!credential.expiry_date) {
+        return 'No expiry';
+    }
+    const days = Math.abs(credential.days_left);
+    const plural = days === 1 ? 'day' : 'days';
+    if (credential.days_left < 0) {
+        return `Expired ${formatDate(credential.expiry_date)} (${days} ${plural} ago)`;
+    }
+    if (credential.days_left === 0) {
+        return 'Expires today';
+    }
+    return `Expires ${formatDate(credential.expiry_date)} (in ${days} ${plural})`;
+}
@@ -1,5 +1,6 @@
 // Dashboard functionality
-// Note: checkAuth, setupNavigation, logout, escapeHtml, formatDate, truncate are provided by common.js
+// Note: checkAuth, setupNavigation, logout, escapeHtml, formatDate, truncate, loadPreferences, loadTimeFormat,
+// formatHours, renderLimitResults, formatCurrencyAmount, describeExpiry, CREDENTIAL_LIGHTS are provided by common.js
 
 document.addEventListener('DOMContentLoaded', () => {
     // Check authentication
@@ -19,10 +20,10 @@ async function loadDashboard() {
 
     try {
         // Fetch summary stats, recent flights, and preferences in parallel
-        const [statsResponse, flightsResponse, prefsResponse] = await Promise.all([
+        const [statsResponse, flightsResponse, prefs] = await Promise.all([
             fetch('/api/flights/stats/summary'),
             fetch('/api/flights?limit=10'),
-            fetch('/api/preferences')
+            loadPreferences()
         ]);
 
         if (!statsResponse.ok) {
@@ -35,13 +36,8 @@ async function loadDashboard() {
         }
         const flightsData = await flightsResponse.json();
 
-        // Get preferences (default to all visible if fetch fails)
-        const prefs = prefsResponse.ok ? await prefsResponse.json() : {
-            showHoursOverTime: true,
-            showAircraftChart: true,
-            showMonthlyActivity: true,
-            hiddenCustomFields: []
-        };
+        // Times are shown in the user's time format (preferences default to all visible if the fetch fails)
+        await loadTimeFormat();
 
         // Hide loading, show content
         loading.classList.add('hidden');
@@ -55,6 +51,20 @@ async function loadDashboard() {
         // Display custom field stats (respecting preferences)
         displayCustomFieldStats(stats.customFieldTotals, prefs.hiddenCustomFields || []);
 
+        // Passenger-carrying currency
+        displayCurrency();
+
+        // Licences, ratings, medicals and checks coming up for renewal
+        displayExpiringCredentials();
+
+        // Hours in the user's rolling windows
+        displayRollingTotals(prefs.hiddenCustomFields || []);
+
+        // Flight and duty limits, when a rule set is chosen
+        if (prefs.ftlRuleSet && prefs.ftlRuleSet !== 'off') {
+            displayLimits();
+        }
+
         // Initialize charts based on preferences
         const hoursOverTimeContainer = document.getElementById('hoursOverTimeChart')?.closest('.chart-card');
         const aircraftChartContainer = document.getElementById('aircraftChart')?.closest('.chart-card');
@@ -99,13 +109,190 @@ async function loadDashboard() {
 }
 
 function displayStats(stats) {
-    document.getElementById('totalHours').textContent = stats.totalHours.toFixed(1);
+    document.getElementById('totalHours').textContent = formatHours(stats.totalHours);
     document.getElementById('totalFlights').textContent = stats.totalFlights;
-    document.getElementById('dayHours').textContent = stats.totalDayHours.toFixed(1);
-    document.getElementById('nightHours').textContent = stats.totalNightHours.toFixed(1);
-    document.getElementById('dualHours').textContent = stats.totalDualHours.toFixed(1);
-    document.getElementById('picHours').textContent = stats.totalPicHours.toFixed(1);
-    document.getElementById('groundTimeHours').textContent = (stats.groundTimeHours || 0).toFixed(1);
+    document.getElementById('dayHours').textContent = formatHours(stats.totalDayHours);
+    document.getElementById('nightHours').textContent = formatHours(stats.totalNightHours);
+    document.getElementById('dualHours').textContent = formatHours(stats.totalDualHours);
+    document.getElementById('picHours').textContent = formatHours(stats.totalPicHours);
+    document.getElementById('crossCountryHours').textContent = formatHours(stats.totalCrossCountryHours);
+    document.getElementById('totalDistance').textContent = Math.round(stats.totalDistanceNm || 0).toLocaleString();
+    document.getElementById('groundTimeHours').textContent = formatHours(stats.groundTimeHours);
+    document.getElementById('actualInstrumentHours').textContent = formatHours(stats.totalActualInstrumentHours);
+    document.getElementById('simulatedInstrumentHours').textContent = formatHours(stats.totalSimulatedInstrumentHours);
+    document.getElementById('groundInstrumentHours').textContent = formatHours(stats.totalGroundInstrumentHours);
+}
+
+const CURRENCY_STATUS_LABELS = {
+    current: 'Current',
+    expiring: 'Expiring',
+    lapsed: 'Lapsed',
+    not_current: 'Not Current'
+};
+
+async function displayCurrency() {
+    try {
+        const response = await fetch('/api/currency');
+        if (!response.ok) {
+            throw new Error('Failed to load currency');
+        }
+        const data = await response.json();
+        if (data.currencies.length === 0) return;
+
+        document.getElementById('currencyCards').innerHTML = data.currencies.map(currency => {
+            let scope = currency.aircraft_type
+                ? `${currency.aircraft_type} (${currency.aircraft_category})`
+                : currency.aircraft_category;
+            if (currency.custom) {
+                scope = [currency.aircraft_category, currency.aircraft_type].filter(Boolean).join(' ');
+            }
+
+            const progress = currency.requirements
+                .map(req => `${req.hours ? formatHours(req.value) : req.value}/${formatCurrencyAmount(req, req.minimum)}`)
+                .join(', ');
+            let subtitle = `${progress} in ${currency.months ? `${currency.months} calendar months` : `${currency.days} days`}`;
+            if (currency.current_until) {
+                subtitle = `${currency.status === 'lapsed' ? 'Lapsed after' : 'Current until'} ${formatDate(currency.current_until)} · ${subtitle}`;
+            }
+
+            // What it takes to be current again today
+            const needed = currency.requirements.filter(req => req.needed > 0);
+            const regain = (currency.status === 'lapsed' || currency.status === 'not_current') && needed.length > 0
+                ? `<div class="stat-subtitle">Needs ${needed.map(req => formatCurrencyAmount(req, req.needed)).join(' and ')} more</div>`
+                : '';
+
+            const flights = currency.flights.map(flight => `
+                <li><a href="/edit-flight.html?id=${flight.id}">${formatDate(flight.date)}</a> ${escapeHtml(flight.registration || flight.aircraft_type)}
+                    - ${currency.requirements.map(req => formatCurrencyAmount(req, flight.values[req.metric])).join(', ')}</li>
+            `).join('');
+
+            return `
+                <div class="stat-card currency-card currency-${currency.status}">
+                    <div class="stat-label">${escapeHtml(currency.label)}${scope ? ` · ${escapeHtml(scope)}` : ''}</div>
+                    <div class="stat-value">${CURRENCY_STATUS_LABELS[currency.status]}</div>
+                    <div class="stat-subtitle">${subtitle}</div>
+                    ${regain}
+                    ${flights ? `<details class="stat-subtitle"><summary>Flights it rests on</summary><ul>${flights}</ul></details>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        document.getElementById('currencyContainer').classList.remove('hidden');
+    } catch (error) {
+        console.error('Currency load error:', error);
+    }
+}
+
+async function displayExpiringCredentials() {
+    try {
+        const response = await fetch('/api/credentials/expiring');
+        if (!response.ok) {
+            throw new Error('Failed to load credentials');
+        }
+        const data = await response.json();
+        if (data.credentials.length === 0) return;
+
+        // One column per traffic light: expired or within 30 days, then within 60, then within 90
+        const [first, second, third] = data.windows;
+        const columns = [
+            { light: 'red', title: `Expired or within ${first} days` },
+            { light: 'amber', title: `${first + 1}-${second} days` },
+            { light: 'green', title: `${second + 1}-${third} days` }
+        ];
+
+        document.getElementById('credentialsPanel').innerHTML = columns.map(column => {
+            const items = data.credentials.filter(credential => CREDENTIAL_LIGHTS[credential.status] === column.light);
+            return `
+                <div class="credential-column">
+                    <h3 class="credential-column-title"><span class="traffic-light traffic-${column.light}"></span>${column.title}</h3>
+                    ${items.length === 0 ? '<p class="text-muted">Nothing</p>' : items.map(credential => `
+                        <div class="credential-item${credential.status === 'expired' ? ' credential-expired' : ''}">
+                            <div class="credential-name">${escapeHtml(credential.name)}${credential.privilege_label ? ` · ${escapeHtml(credential.privilege_label)} privileges` : ''}</div>
+                            <div class="credential-meta">${escapeHtml(credential.type_label)} · ${describeExpiry(credential)}</div>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+
+        document.getElementById('credentialsCard').classList.remove('hidden');
+    } catch (error) {
+        console.error('Credentials load error:', error);
+    }
+}
+
+async function displayRollingTotals(hiddenFieldIds) {
+    try {
+        const response = await fetch('/api/flights/stats/rolling');
+        if (!response.ok) {
+            throw new Error('Failed to load rolling totals');
+        }
+        const data = await response.json();
+        if (data.windows.length === 0) return;
+
+        const hoursCells = hours => hours.map(value => `<td>${formatHours(value)}</td>`).join('');
+        const section = title => `<tr><th colspan="${data.windows.length + 1}" class="text-muted">${title}</th></tr>`;
+        const hasHours = row => row.hours.some(value => value > 0);
+
+        document.getElementById('rollingTableHead').innerHTML = `
+            <tr>
+                <th></th>
+                ${data.windows.map(w => `<th title="Since ${formatDate(w.from)}">${w.days} days</th>`).join('')}
+            </tr>
+        `;
+
+        // Total and the buckets with time in them; custom fields follow the dashboard settings
+        const buckets = data.buckets.filter(bucket => bucket.key === 'total' || hasHours(bucket));
+        const customFields = data.customFields.filter(field => !hiddenFieldIds.includes(field.id) && hasHours(field));
+
+        let rows = `<tr><td>Flights</td>${data.flights.map(count => `<td>${count}</td>`).join('')}</tr>`;
+        rows += buckets.map(bucket => `<tr><td>${escapeHtml(bucket.label)}</td>${hoursCells(bucket.hours)}</tr>`).join('');
+        if (customFields.length > 0) {
+            rows += section('Custom Fields');
+            rows += customFields.map(field => `<tr><td>${escapeHtml(field.label)}</td>${hoursCells(field.hours)}</tr>`).join('');
+        }
+        if (data.byCategory.length > 0) {
+            rows += section('By Category');
+            rows += data.byCategory.map(row => `<tr><td>${escapeHtml(row.aircraft_category)}</td>${hoursCells(row.hours)}</tr>`).join('');
+        }
+        if (data.byAircraftType.length > 0) {
+            rows += section('By Aircraft Type');
+            rows += data.byAircraftType.map(row => `
+                <tr><td>${escapeHtml(row.aircraft_type)}${row.aircraft_category === 'Simulator' ? ' (Sim)' : ''}</td>${hoursCells(row.hours)}</tr>
+            `).join('');
+        }
+
+        document.getElementById('rollingTableBody').innerHTML = rows;
+        document.getElementById('rollingCard').classList.remove('hidden');
+    } catch (error) {
+        console.error('Rolling totals load error:', error);
+    }
+}
+
+async function displayLimits() {
+    try {
+        const response = await fetch('/api/duty/limits');
+        if (!response.ok) {
+            throw new Error('Failed to load limits');
+        }
+        const data = await response.json();
+        if (!data.rule_set) return;
+
+        document.getElementById('limitsRuleSet').textContent = data.rule_set.label;
+        document.getElementById('limitsContainer').innerHTML = renderLimitResults(data.limits);
+
+        // Planned duties that would break or come close to a limit
+        document.getElementById('upcomingWarnings').innerHTML = data.upcoming.map(item => `
+            <div class="alert alert-warning">
+                Duty reporting ${formatDate(item.duty.report_time.slice(0, 10))} ${item.duty.report_time.slice(11, 16)}:
+                ${item.results.map(result => `${escapeHtml(result.label)} ${result.status === 'exceeded' ? 'exceeded' : 'nearly reached'}`).join(', ')}
+            </div>
+        `).join('');
+
+        document.getElementById('limitsCard').classList.remove('hidden');
+    } catch (error) {
+        console.error('Limits load error:', error);
+    }
 }
 
 function displayCustomFieldStats(customFieldTotals, hiddenFieldIds) {
@@ -129,7 +316,7 @@ function displayCustomFieldStats(customFieldTotals, hiddenFieldIds) {
     const html = visibleFields.map(field => `
         <div class="stat-card">
             <div class="stat-label">${escapeHtml(field.field_label)}</div>
-            <div class="stat-value">${field.total_hours.toFixed(1)}</div>
+            <div class="stat-value">${formatHours(field.total_hours)}</div>
             <div class="stat-subtitle">Custom experience hours</div>
         </div>
     `).join('');
@@ -160,7 +347,7 @@ function displayAircraftBreakdown(aircraftData) {
                 </span>
             </div>
             <div style="font-weight: 700; color: ${isSimulator ? 'var(--text-secondary)' : 'var(--primary-color)'};">
-                ${item.hours.toFixed(1)} hrs
+                ${formatHours(item.hours)} hrs
             </div>
         </div>
     `;
@@ -189,7 +376,7 @@ function displayRecentFlights(flights) {
                             ${flight.route ? ` - ${escapeHtml(truncate(flight.route, 50))}` : ''}
                         </div>
                     </div>
-                    <div class="flight-hours">${flight.flight_time.toFixed(1)} hrs</div>
+                    <div class="flight-hours">${formatHours(flight.flight_time)} hrs</div>
                 </li>
             `).join('')}
         </ul>
@@ -282,7 +469,7 @@ function createHoursOverTimeChart(data) {
                 },
                 tooltip: {
                     callbacks: {
-                        label: (ctx) => `${ctx.parsed.y.toFixed(1)} hours`
+                        label: (ctx) => `${formatHours(ctx.parsed.y)} hours`
                     }
                 }
             },
@@ -358,7 +545,7 @@ function createAircraftChart(data) {
                         label: (ctx) => {
                             const total = ctx.dataset.data.reduce((a, b) => a + b, 0);
                             const pct = ((ctx.parsed / total) * 100).toFixed(1);
-                            return `${ctx.label}: ${ctx.parsed.toFixed(1)} hrs (${pct}%)`;
+                            return `${ctx.label}: ${formatHours(ctx.parsed)} hrs (${pct}%)`;
                         }
                     }
                 }
@@ -420,7 +607,7 @@ function createMonthlyActivityChart(data) {
                     callbacks: {
                         label: (ctx) => {
                             if (ctx.datasetIndex === 0) {
-                                return `Hours: ${ctx.parsed.y.toFixed(1)}`;
+                                return `Hours: ${formatHours(ctx.parsed.y)}`;
                             }
                             return `Flights: ${ctx.parsed.y}`;
                         }
@@ -0,0 +1,529 @@
+// Duty periods and flight/duty time limits
+// Note: checkAuth, setupNavigation, logout, escapeHtml, formatDate, truncate, showToast, loadTimeFormat, formatHours,
+// formatHoursInput, parseHoursInput, renderLimitResults are provided by common.js
+
+let duties = [];
+let editingDutyId = null;
+let deletingDutyId = null;
+
+// Rule set presets and limit types from the server, and the custom limits being edited
+let ruleSetInfo = null;
+let customLimits = [];
+
+document.addEventListener('DOMContentLoaded', async () => {
+    // Check authentication
+    checkAuth();
+
+    // Set up navigation
+    setupNavigation();
+
+    setupDutyForm();
+    setupRuleSetEditor();
+
+    // Times are shown in the user's time format
+    await loadTimeFormat();
+
+    loadLimits();
+    loadDuties();
+    loadRuleSets();
+});
+
+function showError(message) {
+    const errorAlert = document.getElementById('errorAlert');
+    errorAlert.textContent = message;
+    errorAlert.classList.remove('hidden');
+}
+
+function showSuccess(message) {
+    const successAlert = document.getElementById('successAlert');
+    showToast(message, 'success');
+    successAlert.textContent = message;
+    successAlert.classList.remove('hidden');
+    setTimeout(() => {
+        successAlert.classList.add('hidden');
+    }, 3000);
+}
+
+/**
+ * Format a duty time (YYYY-MM-DDTHH:MM, local to the home timezone) for display
+ */
+function formatDutyTime(value) {
+    return `${formatDate(value.slice(0, 10))} ${value.slice(11, 16)}`;
+}
+
+// ==================== LIMITS ====================
+
+async function loadLimits() {
+    const ruleSetLabel = document.getElementById('limitsRuleSet');
+    const container = document.getElementById('limitsContainer');
+    const upcoming = document.getElementById('upcomingWarnings');
+
+    try {
+        const response = await fetch('/api/duty/limits');
+        if (!response.ok) {
+            throw new Error('Failed to load limits');
+        }
+        const data = await response.json();
+
+        if (!data.rule_set) {
+            ruleSetLabel.textContent = 'Limits are not being tracked. Choose a rule set below to track them.';
+            container.innerHTML = '';
+            upcoming.classList.add('hidden');
+            return;
+        }
+
+        ruleSetLabel.textContent = `${data.rule_set.label} - as they stand now`;
+        container.innerHTML = renderLimitResults(data.limits);
+
+        if (data.upcoming.length > 0) {
+            upcoming.innerHTML = data.upcoming.map(item => `
+                <div class="alert alert-warning">
+                    Duty reporting ${escapeHtml(formatDutyTime(item.duty.report_time))}:
+                    ${item.results.map(result => `${escapeHtml(result.label)} ${result.status === 'exceeded' ? 'exceeded' : 'nearly reached'}`).join(', ')}
+                </div>
+            `).join('');
+            upcoming.classList.remove('hidden');
+        } else {
+            upcoming.classList.add('hidden');
+        }
+    } catch (error) {
+        console.error('Load limits error:', error);
+        container.innerHTML = '<p class="text-muted">Failed to load limits</p>';
+    }
+}
+
+// ==================== DUTY PERIODS ====================
+
+async function loadDuties() {
+    const loading = document.getElementById('loading');
+    const dutyContainer = document.getElementById('dutyContainer');
+    const tableBody = document.getElementById('dutyTableBody');
+    const noDuties = document.getElementById('noDuties');
+
+    try {
+        const response = await fetch('/api/duty');
+        if (!response.ok) {
+            throw new Error('Failed to load duty periods');
+        }
+        duties = await response.json();
+
+        loading.classList.add('hidden');
+        dutyContainer.classList.remove('hidden');
+
+        if (duties.length === 0) {
+            tableBody.innerHTML = '';
+            noDuties.classList.remove('hidden');
+            return;
+        }
+
+        noDuties.classList.add('hidden');
+        tableBody.innerHTML = duties.map(duty => `
+            <tr>
+                <td>${escapeHtml(formatDutyTime(duty.report_time))}</td>
+                <td>${escapeHtml(formatDutyTime(duty.off_duty_time))}</td>
+                <td>${formatHours(duty.duty_hours)} hrs</td>
+                <td>${duty.flight_count}</td>
+                <td>${duty.flight_count > 0
+                    ? `${formatHours(duty.flight_hours)} hrs`
+                    : `${formatHours(duty.planned_flight_hours)} hrs planned`}</td>
+                <td>${escapeHtml(truncate(duty.notes || '-', 40))}</td>
+                <td class="table-actions">
+                    <button class="btn btn-small btn-secondary" onclick="editDuty(${duty.id})">Edit</button>
+                    <button class="btn btn-small btn-danger" onclick="confirmDeleteDuty(${duty.id})">Delete</button>
+                </td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Load duty periods error:', error);
+        loading.classList.add('hidden');
+        showError('Failed to load duty periods. Please try again.');
+    }
+}
+
+function setupDutyForm() {
+    const form = document.getElementById('dutyForm');
+
+    form.addEventListener('submit', saveDuty);
+    document.getElementById('checkDutyBtn').addEventListener('click', checkDuty);
+    document.getElementById('cancelEditBtn').addEventListener('click', resetDutyForm);
+
+    // Flights to pick from follow the duty's dates
+    ['report_time', 'off_duty_time'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => loadDutyFlights(selectedFlightIds()));
+    });
+
+    // Reformat valid times in the user's time format
+    document.getElementById('planned_flight_hours').addEventListener('change', (e) => {
+        if (e.target.value.trim() && !isNaN(parseHoursInput(e.target.value))) {
+            e.target.value = formatHoursInput(parseHoursInput(e.target.value));
+        }
+    });
+
+    document.getElementById('confirmDeleteBtn').addEventListener('click', deleteDuty);
+    document.getElementById('cancelDeleteBtn').addEventListener('click', closeDeleteModal);
+}
+
+function selectedFlightIds() {
+    return Array.from(document.querySelectorAll('.duty-flight:checked')).map(cb => parseInt(cb.value));
+}
+
+/**
+ * List the flights on the duty's dates so they can be linked to it
+ * @param {number[]|null} selectedIds - Flights to tick (null: those on the duty being edited)
+ */
+async function loadDutyFlights(selectedIds) {
+    const container = document.getElementById('dutyFlights');
+    const report = document.getElementById('report_time').value;
+    const offDuty = document.getElementById('off_duty_time').value || report;
+
+    if (!report) {
+        container.innerHTML = '<p class="text-muted">Enter the report and off-duty times to pick flights flown on this duty</p>';
+        return;
+    }
+
+    try {
+        const params = new URLSearchParams({ date_from: report.slice(0, 10), date_to: offDuty.slice(0, 10) });
+        const response = await fetch(`/api/duty/flights?${params}`);
+        if (!response.ok) {
+            throw new Error('Failed to load flights');
+        }
+        const flights = await response.json();
+
+        if (flights.length === 0) {
+            container.innerHTML = '<p class="text-muted">No flights logged on these dates</p>';
+            return;
+        }
+
+        container.innerHTML = flights.map(flight => {
+            const otherDuty = flight.duty_period_id && flight.duty_period_id !== editingDutyId;
+            const checked = selectedIds ? selectedIds.includes(flight.id) : flight.duty_period_id === editingDutyId;
+            return `
+                <div class="form-check">
+                    <input type="checkbox" id="dutyFlight${flight.id}" class="form-check-input duty-flight" value="${flight.id}"
+                        ${checked ? 'checked' : ''}>
+                    <label for="dutyFlight${flight.id}" class="form-check-label">
+                        ${formatDate(flight.date)} - ${escapeHtml(flight.aircraft_type)} ${escapeHtml(flight.registration || '')}
+                        ${escapeHtml([flight.departure, flight.arrival].filter(Boolean).join(' - '))}
+                        (${formatHours(flight.flight_time)} hrs)${otherDuty ? ' - on another duty' : ''}
+                    </label>
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Load duty flights error:', error);
+        container.innerHTML = '<p class="text-muted">Failed to load flights</p>';
+    }
+}
+
+/**
+ * Read the duty form
+ * @returns {Object|null} Duty data, or null when the planned flight time is not a time
+ */
+function readDutyForm() {
+    const plannedHours = parseHoursInput(document.getElementById('planned_flight_hours').value);
+    if (isNaN(plannedHours)) {
+        showError('Enter times as decimal hours (e.g. 1.5) or hours and minutes (e.g. 1:30)');
+        return null;
+    }
+
+    return {
+        id: editingDutyId,
+        report_time: document.getElementById('report_time').value,
+        off_duty_time: document.getElementById('off_duty_time').value,
+        planned_flight_hours: plannedHours,
+        notes: document.getElementById('notes').value,
+        flight_ids: selectedFlightIds()
+    };
+}
+
+/**
+ * Show the limits a duty would break or come close to under the form
+ * @param {Array} results - Limit results
+ * @param {boolean} all - Show every limit rather than just the ones to look at
+ */
+function showCheckResult(results, all) {
+    const checkResult = document.getElementById('checkResult');
+    const shown = all ? results : results.filter(result => result.status !== 'ok');
+
+    if (shown.length === 0) {
+        checkResult.innerHTML = all ? '' : '<div class="alert alert-success">Within all limits</div>';
+        checkResult.classList.toggle('hidden', all);
+        return;
+    }
+
+    const exceeded = shown.some(result => result.status === 'exceeded');
+    checkResult.innerHTML = `
+        <div class="alert ${exceeded ? 'alert-error' : 'alert-warning'}">
+            ${exceeded ? 'This duty would exceed a limit' : 'This duty is close to a limit'}
+        </div>
+        ${renderLimitResults(shown)}
+    `;
+    checkResult.classList.remove('hidden');
+}
+
+async function checkDuty() {
+    document.getElementById('errorAlert').classList.add('hidden');
+    const data = readDutyForm();
+    if (!data) return;
+
+    try {
+        const response = await fetch('/api/duty/check', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(data),
+        });
+
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to check duty');
+        }
+
+        if (!result.rule_set) {
+            showError('Limits are not being tracked. Choose a rule set below to check duties against them.');
+            return;
+        }
+        showCheckResult(result.limits, true);
+    } catch (error) {
+        console.error('Check duty error:', error);
+        showError(error.message || 'Failed to check duty. Please try again.');
+    }
+}
+
+async function saveDuty(e) {
+    e.preventDefault();
+    document.getElementById('errorAlert').classList.add('hidden');
+    const data = readDutyForm();
+    if (!data) return;
+
+    const saveBtn = document.getElementById('saveDutyBtn');
+    const editing = editingDutyId !== null;
+
+    try {
+        saveBtn.disabled = true;
+
+        const response = await fetch(editing ? `/api/duty/${editingDutyId}` : '/api/duty', {
+            method: editing ? 'PUT' : 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(data),
+        });
+
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to save duty period');
+        }
+
+        resetDutyForm();
+        showSuccess(editing ? 'Duty period updated' : 'Duty period added');
+
+        // A duty yet to start is checked against the limits when saved
+        if (result.warnings.length > 0) {
+            showToast('This duty breaks or comes close to a limit', 'warning', 5000);
+            showCheckResult(result.warnings, false);
+        }
+
+        loadDuties();
+        loadLimits();
+    } catch (error) {
+        console.error('Save duty error:', error);
+        showError(error.message || 'Failed to save duty period. Please try again.');
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
+function editDuty(id) {
+    const duty = duties.find(d => d.id === id);
+    if (!duty) return;
+
+    editingDutyId = id;
+    document.getElementById('dutyFormTitle').textContent = 'Edit Duty Period';
+    document.getElementById('report_time').value = duty.report_time;
+    document.getElementById('off_duty_time').value = duty.off_duty_time;
+    document.getElementById('planned_flight_hours').value = duty.planned_flight_hours ? formatHoursInput(duty.planned_flight_hours) : '';
+    document.getElementById('notes').value = duty.notes || '';
+    document.getElementById('cancelEditBtn').classList.remove('hidden');
+    document.getElementById('checkResult').classList.add('hidden');
+
+    loadDutyFlights(null);
+
+    document.getElementById('dutyForm').scrollIntoView({ behavior: 'smooth' });
+}
+
+function resetDutyForm() {
+    editingDutyId = null;
+    document.getElementById('dutyForm').reset();
+    document.getElementById('dutyFormTitle').textContent = 'Add Duty Period';
+    document.getElementById('cancelEditBtn').classList.add('hidden');
+    document.getElementById('checkResult').classList.add('hidden');
+    loadDutyFlights([]);
+}
+
+function confirmDeleteDuty(id) {
+    deletingDutyId = id;
+    const modal = document.getElementById('deleteModal');
+    modal.classList.remove('hidden');
+    modal.style.display = 'flex';
+}
+
+function closeDeleteModal() {
+    const modal = document.getElementById('deleteModal');
+    modal.classList.add('hidden');
+    modal.style.display = 'none';
+    deletingDutyId = null;
+}
+
+async function deleteDuty() {
+    const id = deletingDutyId;
+    closeDeleteModal();
+
+    try {
+        const response = await fetch(`/api/duty/${id}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to delete duty period');
+        }
+
+        if (editingDutyId === id) {
+            resetDutyForm();
+        }
+        showSuccess('Duty period deleted');
+        loadDuties();
+        loadLimits();
+    } catch (error) {
+        console.error('Delete duty error:', error);
+        showError(error.message || 'Failed to delete duty period. Please try again.');
+    }
+}
+
+// ==================== RULE SET ====================
+
+function setupRuleSetEditor() {
+    document.getElementById('ruleSetSelect').addEventListener('change', (e) => {
+        document.getElementById('customLimitsSection').classList.toggle('hidden', e.target.value !== 'custom');
+    });
+
+    document.getElementById('addLimitBtn').addEventListener('click', () => {
+        customLimits.push({ type: 'flight_hours', hours: 100, days: 28 });
+        renderCustomLimits();
+    });
+
+    document.getElementById('copyPresetSelect').addEventListener('change', (e) => {
+        if (!e.target.value) return;
+        customLimits = ruleSetInfo.presets[e.target.value].limits.map(limit => ({ ...limit }));
+        e.target.value = '';
+        renderCustomLimits();
+    });
+
+    // Keep customLimits in step with the editor
+    const body = document.getElementById('customLimitsBody');
+    body.addEventListener('change', (e) => {
+        const index = parseInt(e.target.dataset.index);
+        const limit = customLimits[index];
+        if (e.target.dataset.field === 'type') {
+            limit.type = e.target.value;
+            if (ruleSetInfo.limit_types[limit.type].windowed) {
+                limit.days = limit.days || 28;
+            } else {
+                delete limit.days;
+            }
+            renderCustomLimits();
+        } else {
+            limit[e.target.dataset.field] = parseFloat(e.target.value);
+        }
+    });
+    body.addEventListener('click', (e) => {
+        if (e.target.classList.contains('remove-limit')) {
+            customLimits.splice(parseInt(e.target.dataset.index), 1);
+            renderCustomLimits();
+        }
+    });
+
+    document.getElementById('saveRuleSetBtn').addEventListener('click', saveRuleSet);
+}
+
+async function loadRuleSets() {
+    try {
+        const response = await fetch('/api/duty/rule-sets');
+        if (!response.ok) {
+            throw new Error('Failed to load rule sets');
+        }
+        ruleSetInfo = await response.json();
+        customLimits = ruleSetInfo.custom_limits.map(limit => ({ ...limit }));
+
+        const select = document.getElementById('ruleSetSelect');
+        const copySelect = document.getElementById('copyPresetSelect');
+        const customOption = select.querySelector('option[value="custom"]');
+        Object.entries(ruleSetInfo.presets).forEach(([key, preset]) => {
+            select.insertBefore(new Option(preset.label, key), customOption);
+            copySelect.add(new Option(preset.label, key));
+        });
+
+        select.value = ruleSetInfo.current;
+        document.getElementById('customLimitsSection').classList.toggle('hidden', ruleSetInfo.current !== 'custom');
+        renderCustomLimits();
+    } catch (error) {
+        console.error('Load rule sets error:', error);
+        showError('Failed to load rule sets. Please try again.');
+    }
+}
+
+function renderCustomLimits() {
+    const body = document.getElementById('customLimitsBody');
+
+    if (customLimits.length === 0) {
+        body.innerHTML = '<tr><td colspan="4" class="text-muted">No limits yet - add one or copy a preset</td></tr>';
+        return;
+    }
+
+    body.innerHTML = customLimits.map((limit, index) => {
+        const typeOptions = Object.entries(ruleSetInfo.limit_types)
+            .map(([key, spec]) => `<option value="${key}" ${key === limit.type ? 'selected' : ''}>${escapeHtml(spec.label)}</option>`)
+            .join('');
+        const windowed = ruleSetInfo.limit_types[limit.type].windowed;
+
+        return `
+            <tr>
+                <td><select class="form-select" data-index="${index}" data-field="type">${typeOptions}</select></td>
+                <td><input type="number" class="form-input" data-index="${index}" data-field="hours" min="0" step="0.5" value="${limit.hours}"></td>
+                <td>${windowed
+                    ? `<input type="number" class="form-input" data-index="${index}" data-field="days" min="1" max="365" step="1" value="${limit.days}">`
+                    : '-'}</td>
+                <td><button type="button" class="btn btn-small btn-danger remove-limit" data-index="${index}">Remove</button></td>
+            </tr>
+        `;
+    }).join('');
+}
+
+async function saveRuleSet() {
+    const ruleSet = document.getElementById('ruleSetSelect').value;
+    const body = { ftlRuleSet: ruleSet };
+    if (ruleSet === 'custom') {
+        body.ftlCustomLimits = customLimits;
+    }
+
+    try {
+        const response = await fetch('/api/preferences', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body),
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to save rule set');
+        }
+
+        document.getElementById('errorAlert').classList.add('hidden');
+        showToast('Rule set saved', 'success');
+        loadLimits();
+    } catch (error) {
+        console.error('Save rule set error:', error);
+        showError(error.message || 'Failed to save rule set. Please try again.');
+    }
+}
@@ -1,10 +1,21 @@
 // Flight form functionality (for both add and edit)
-// Note: checkAuth, setupNavigation, logout, escapeHtml, getLocalDateString, loadAircraftTypes are provided by common.js
+// Note: checkAuth, setupNavigation, logout, escapeHtml, formatDate, getLocalDateString, loadAircraftTypes,
+// loadPreferences, loadTimeFormat, formatHours, formatHoursInput, parseHoursInput, formatCurrencyAmount are provided by common.js
 
 let isEditMode = false;
 let isDuplicateMode = false;
 let flightId = null;
 let customFields = [];
+let revisionToRevert = null;
+
+// Legs of a multi-sector flight (empty for a single-sector flight)
+let legs = [];
+
+// Instrument approaches flown on the flight, in order
+let approaches = [];
+
+// Home timezone from Settings (the browser's until preferences load)
+let homeTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
 
 document.addEventListener('DOMContentLoaded', () => {
     // Check authentication
@@ -32,6 +43,9 @@ document.addEventListener('DOMContentLoaded', () => {
 
     if (isEditMode) {
         loadFlightData(flightId);
+        loadTrack(flightId);
+        setupHistory();
+        loadHistory();
     } else if (isDuplicateMode) {
         loadFlightData(duplicateId, true); // true = duplicate mode
     } else {
@@ -43,8 +57,37 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Set up form
     setupForm();
+
+    // Load home timezone and UTC times preference
+    loadTimePreferences();
 });
 
+async function loadTimePreferences() {
+    try {
+        const prefs = await loadPreferences();
+        await loadTimeFormat();
+        updateTotalFlightTime();
+        if (prefs.timezone) {
+            homeTimezone = prefs.timezone;
+        }
+
+        // New flights start with today's date in the home timezone and the preferred time format
+        if (!isEditMode && !isDuplicateMode) {
+            const dateInput = document.getElementById('date');
+            const today = getLocalDateString(homeTimezone);
+            if (dateInput.value === dateInput.max) {
+                dateInput.value = today;
+            }
+            dateInput.max = today;
+            document.getElementById('times_utc').checked = prefs.timesInUtc === true;
+        }
+        updateLocalTimes();
+    } catch (error) {
+        console.error('Error loading preferences:', error);
+        // Fall back to the browser's timezone and local times
+    }
+}
+
 async function loadCustomFields() {
     try {
         const response = await fetch('/api/custom-fields');
@@ -76,7 +119,7 @@ function renderCustomFields() {
         html += `
             <div class="form-group">
                 <label for="custom_${field1.field_name}" class="form-label">${escapeHtml(field1.field_label)}</label>
-                <input type="number" id="custom_${field1.field_name}" name="custom_${field1.field_name}" class="form-input custom-field-input" data-field-id="${field1.id}" step="any" min="0" value="0" placeholder="0.0">
+                <input type="text" id="custom_${field1.field_name}" name="custom_${field1.field_name}" class="form-input custom-field-input hours-input" data-field-id="${field1.id}" autocomplete="off" value="0" placeholder="0.0">
             </div>
         `;
 
@@ -86,7 +129,7 @@ function renderCustomFields() {
             html += `
                 <div class="form-group">
                     <label for="custom_${field2.field_name}" class="form-label">${escapeHtml(field2.field_label)}</label>
-                    <input type="number" id="custom_${field2.field_name}" name="custom_${field2.field_name}" class="form-input custom-field-input" data-field-id="${field2.id}" step="any" min="0" value="0" placeholder="0.0">
+                    <input type="text" id="custom_${field2.field_name}" name="custom_${field2.field_name}" class="form-input custom-field-input hours-input" data-field-id="${field2.id}" autocomplete="off" value="0" placeholder="0.0">
                 </div>
             `;
         }
@@ -175,6 +218,9 @@ async function loadFlightData(id, isDuplicate = false) {
     const form = document.getElementById('flightForm');
 
     try {
+        // Times are shown in the user's time format
+        await loadTimeFormat();
+
         const response = await fetch(`/api/flights/${id}`);
         if (!response.ok) {
             throw new Error('Flight not found');
@@ -199,16 +245,16 @@ async function loadFlightData(id, isDuplicate = false) {
         document.getElementById('departure').value = flight.departure || '';
         document.getElementById('arrival').value = flight.arrival || '';
         document.getElementById('route').value = flight.route || '';
+        checkAirport('departure');
+        checkAirport('arrival');
 
         // Populate new flight time breakdown fields
-        document.getElementById('day_pic').value = flight.day_pic || 0;
-        document.getElementById('night_pic').value = flight.night_pic || 0;
-        document.getElementById('day_dual').value = flight.day_dual || 0;
-        document.getElementById('night_dual').value = flight.night_dual || 0;
-        document.getElementById('day_sic').value = flight.day_sic || 0;
-        document.getElementById('night_sic').value = flight.night_sic || 0;
-        document.getElementById('day_cmnd_practice').value = flight.day_cmnd_practice || 0;
-        document.getElementById('night_cmnd_practice').value = flight.night_cmnd_practice || 0;
+        FLIGHT_TIME_FIELDS.forEach(field => {
+            document.getElementById(field).value = formatHoursInput(flight[field]);
+        });
+        INSTRUMENT_TIME_FIELDS.forEach(field => {
+            document.getElementById(field).value = formatHoursInput(flight[field]);
+        });
 
         // Set aircraft category radio button
         const aircraftCategory = flight.aircraft_category || 'Helicopter';
@@ -230,16 +276,37 @@ async function loadFlightData(id, isDuplicate = false) {
         document.getElementById('landings_day').value = flight.landings_day || 0;
         document.getElementById('landings_night').value = flight.landings_night || 0;
 
+        // Set out/off/on/in times
+        ['out_time', 'off_time', 'on_time', 'in_time'].forEach(field => {
+            document.getElementById(field).value = flight[field] || '';
+        });
+        document.getElementById('times_utc').checked = !!flight.times_utc;
+        updateBlockTimes();
+        updateLocalTimes();
+
+        // Set legs (the fields above already hold their totals)
+        legs = (flight.legs || []).map(({ leg_number, ...leg }) => leg);
+        renderLegs();
+
+        // Set approaches, holds and intercepts
+        approaches = (flight.approaches || []).map(approach => ({ ...approach }));
+        renderApproaches();
+        document.getElementById('holds').value = flight.holds || 0;
+        document.getElementById('intercepts').value = flight.intercepts || 0;
+
         // Set max date to today
         const today = getLocalDateString();
         document.getElementById('date').max = today;
 
-        // Load custom field values if they exist
+        // Load custom field values if they exist (fields without a value are reset, e.g. after a revert)
+        document.querySelectorAll('.custom-field-input').forEach(input => {
+            input.value = formatHoursInput(0);
+        });
         if (flight.custom_fields && Array.isArray(flight.custom_fields)) {
             flight.custom_fields.forEach(cf => {
                 const input = document.getElementById(`custom_${cf.field_name}`);
                 if (input) {
-                    input.value = cf.value || 0;
+                    input.value = formatHoursInput(cf.value);
                 }
             });
         }
@@ -248,24 +315,11 @@ async function loadFlightData(id, isDuplicate = false) {
         loading.classList.add('hidden');
         form.classList.remove('hidden');
 
-        // After form is set up, recalculate total flight time
-        // This needs to happen after setupForm() runs
-        setTimeout(() => {
-            const totalDisplay = document.getElementById('total_flight_time');
-            if (totalDisplay) {
-                const total = (
-                    (parseFloat(document.getElementById('day_pic').value) || 0) +
-                    (parseFloat(document.getElementById('night_pic').value) || 0) +
-                    (parseFloat(document.getElementById('day_dual').value) || 0) +
-                    (parseFloat(document.getElementById('night_dual').value) || 0) +
-                    (parseFloat(document.getElementById('day_sic').value) || 0) +
-                    (parseFloat(document.getElementById('night_sic').value) || 0) +
-                    (parseFloat(document.getElementById('day_cmnd_practice').value) || 0) +
-                    (parseFloat(document.getElementById('night_cmnd_practice').value) || 0)
-                );
-                totalDisplay.textContent = total.toFixed(1) + ' hours';
-            }
-        }, 100);
+        // Recalculate total flight time
+        updateTotalFlightTime();
+
+        // Check currency for the loaded date and aircraft
+        scheduleCurrencyCheck();
 
     } catch (error) {
         console.error('Load flight error:', error);
@@ -275,6 +329,29 @@ async function loadFlightData(id, isDuplicate = false) {
     }
 }
 
+// Flight time components; their sum is the total flight time
+const FLIGHT_TIME_FIELDS = [
+    'day_pic', 'night_pic', 'day_dual', 'night_dual',
+    'day_sic', 'night_sic', 'day_cmnd_practice', 'night_cmnd_practice'
+];
+
+// Instrument time, logged as part of the flight time
+const INSTRUMENT_TIME_FIELDS = ['instrument_hours', 'simulated_instrument_hours', 'ground_instrument_hours'];
+
+/**
+ * Calculate total flight time from all component fields and show it
+ */
+function updateTotalFlightTime() {
+    const total = FLIGHT_TIME_FIELDS.reduce(
+        (sum, field) => sum + (parseHoursInput(document.getElementById(field).value) || 0), 0
+    );
+
+    const totalDisplay = document.getElementById('total_flight_time');
+    totalDisplay.textContent = formatHours(total) + ' hours';
+
+    return total;
+}
+
 function setupForm() {
     const form = document.getElementById('flightForm');
 
@@ -282,40 +359,44 @@ function setupForm() {
     const today = getLocalDateString();
     document.getElementById('date').max = today;
 
-    // Calculate total flight time from all component fields
-    const calculateTotalFlightTime = () => {
-        const dayPic = parseFloat(document.getElementById('day_pic').value) || 0;
-        const nightPic = parseFloat(document.getElementById('night_pic').value) || 0;
-        const dayDual = parseFloat(document.getElementById('day_dual').value) || 0;
-        const nightDual = parseFloat(document.getElementById('night_dual').value) || 0;
-        const daySic = parseFloat(document.getElementById('day_sic').value) || 0;
-        const nightSic = parseFloat(document.getElementById('night_sic').value) || 0;
-        const dayCmndPractice = parseFloat(document.getElementById('day_cmnd_practice').value) || 0;
-        const nightCmndPractice = parseFloat(document.getElementById('night_cmnd_practice').value) || 0;
-
-        const total = dayPic + nightPic + dayDual + nightDual + daySic + nightSic + dayCmndPractice + nightCmndPractice;
-
-        const totalDisplay = document.getElementById('total_flight_time');
-        totalDisplay.textContent = total.toFixed(1) + ' hours';
-
-        return total;
-    };
-
     // Add event listeners to all flight time inputs to recalculate total
-    const flightTimeInputs = [
-        'day_pic', 'night_pic', 'day_dual', 'night_dual',
-        'day_sic', 'night_sic', 'day_cmnd_practice', 'night_cmnd_practice'
-    ];
-
-    flightTimeInputs.forEach(inputId => {
+    FLIGHT_TIME_FIELDS.forEach(inputId => {
         const input = document.getElementById(inputId);
         if (input) {
-            input.addEventListener('input', calculateTotalFlightTime);
+            input.addEventListener('input', updateTotalFlightTime);
+        }
+    });
+
+    // Times may be typed as decimal hours or H:MM; show them in the user's format once entered
+    form.addEventListener('change', (e) => {
+        if (e.target.classList.contains('hours-input') && e.target.value.trim() && !isNaN(parseHoursInput(e.target.value))) {
+            e.target.value = formatHoursInput(parseHoursInput(e.target.value));
         }
     });
 
     // Calculate initial total
-    calculateTotalFlightTime();
+    updateTotalFlightTime();
+
+    // Set up multi-sector legs
+    setupLegs();
+
+    // Set up instrument approaches
+    setupApproaches();
+
+    // Set up out/off/on/in time calculation
+    setupBlockTimes();
+
+    // Set up the suggested day/night split
+    setupNightSplit();
+
+    // Set up airport autocomplete and checks
+    setupAirportInputs();
+
+    // Set up GPS track upload
+    setupTrack();
+
+    // Set up the currency warning
+    setupCurrencyCheck();
 
     // Handle form submission
     form.addEventListener('submit', async (e) => {
@@ -339,6 +420,21 @@ async function submitForm() {
     submitText.textContent = isEditMode ? 'Updating...' : 'Adding...';
 
     try {
+        const invalidTime = Array.from(document.querySelectorAll('.hours-input'))
+            .find(input => isNaN(parseHoursInput(input.value)));
+        if (invalidTime) {
+            invalidTime.focus();
+            throw new Error('Enter times as decimal hours (e.g. 1.5) or hours and minutes (e.g. 1:30)');
+        }
+
+        const instrumentTime = INSTRUMENT_TIME_FIELDS.reduce(
+            (sum, field) => sum + parseHoursInput(document.getElementById(field).value), 0
+        );
+        if (Math.round(instrumentTime * 60) > Math.round(updateTotalFlightTime() * 60)) {
+            document.getElementById('instrument_hours').focus();
+            throw new Error('Actual, simulated and ground instrument time together cannot be more than the flight time');
+        }
+
         // Collect form data
         const formData = {
             date: document.getElementById('date').value,
@@ -352,18 +448,33 @@ async function submitForm() {
             arrival: document.getElementById('arrival').value.toUpperCase() || null,
             route: document.getElementById('route').value || null,
             // New flight time breakdown fields
-            day_pic: parseFloat(document.getElementById('day_pic').value) || 0,
-            night_pic: parseFloat(document.getElementById('night_pic').value) || 0,
-            day_dual: parseFloat(document.getElementById('day_dual').value) || 0,
-            night_dual: parseFloat(document.getElementById('night_dual').value) || 0,
-            day_sic: parseFloat(document.getElementById('day_sic').value) || 0,
-            night_sic: parseFloat(document.getElementById('night_sic').value) || 0,
-            day_cmnd_practice: parseFloat(document.getElementById('day_cmnd_practice').value) || 0,
-            night_cmnd_practice: parseFloat(document.getElementById('night_cmnd_practice').value) || 0,
+            day_pic: parseHoursInput(document.getElementById('day_pic').value),
+            night_pic: parseHoursInput(document.getElementById('night_pic').value),
+            day_dual: parseHoursInput(document.getElementById('day_dual').value),
+            night_dual: parseHoursInput(document.getElementById('night_dual').value),
+            day_sic: parseHoursInput(document.getElementById('day_sic').value),
+            night_sic: parseHoursInput(document.getElementById('night_sic').value),
+            day_cmnd_practice: parseHoursInput(document.getElementById('day_cmnd_practice').value),
+            night_cmnd_practice: parseHoursInput(document.getElementById('night_cmnd_practice').value),
+            instrument_hours: parseHoursInput(document.getElementById('instrument_hours').value),
+            simulated_instrument_hours: parseHoursInput(document.getElementById('simulated_instrument_hours').value),
+            ground_instrument_hours: parseHoursInput(document.getElementById('ground_instrument_hours').value),
             takeoffs_day: parseInt(document.getElementById('takeoffs_day').value) || 0,
             takeoffs_night: parseInt(document.getElementById('takeoffs_night').value) || 0,
             landings_day: parseInt(document.getElementById('landings_day').value) || 0,
             landings_night: parseInt(document.getElementById('landings_night').value) || 0,
+            holds: parseInt(document.getElementById('holds').value) || 0,
+            intercepts: parseInt(document.getElementById('intercepts').value) || 0,
+            approaches: approaches.map(approach => ({
+                ...approach,
+                airport: approach.airport.toUpperCase(),
+                runway: approach.runway.toUpperCase()
+            })),
+            out_time: document.getElementById('out_time').value || null,
+            off_time: document.getElementById('off_time').value || null,
+            on_time: document.getElementById('on_time').value || null,
+            in_time: document.getElementById('in_time').value || null,
+            times_utc: document.getElementById('times_utc').checked,
         };
 
         // Collect custom field values
@@ -371,7 +482,7 @@ async function submitForm() {
         const customFieldValues = [];
         customFieldInputs.forEach(input => {
             const fieldId = parseInt(input.getAttribute('data-field-id'));
-            const value = parseFloat(input.value) || 0;
+            const value = parseHoursInput(input.value);
             if (value > 0) {
                 customFieldValues.push({ field_id: fieldId, value: value });
             }
@@ -381,6 +492,14 @@ async function submitForm() {
             formData.custom_fields = customFieldValues;
         }
 
+        // Legs replace the flight's times and airports with their totals on the server (an empty list
+        // makes the flight single-sector)
+        formData.legs = legs.map(leg => ({
+            ...leg,
+            departure: leg.departure.toUpperCase(),
+            arrival: leg.arrival.toUpperCase()
+        }));
+
         // Validate date is not in future
         const flightDate = new Date(formData.date);
         const today = new Date();
@@ -404,6 +523,15 @@ async function submitForm() {
         const data = await response.json();
 
         if (response.ok) {
+            // Save or remove the GPS track now the flight exists
+            try {
+                await saveTrack(isEditMode ? flightId : data.id);
+                renderTrack();
+            } catch (error) {
+                console.error('Track save error:', error);
+                showToast(`Flight saved, but the track wasn't: ${error.message}`, 'error');
+            }
+
             // Success
             let successMessage = 'Flight added successfully!';
             if (isEditMode) {
@@ -426,6 +554,7 @@ async function submitForm() {
                 // Stay on page for edit
                 submitBtn.disabled = false;
                 submitText.textContent = 'Update Flight';
+                loadHistory();
             } else {
                 // Redirect to flights list after a short delay
                 setTimeout(() => {
@@ -445,3 +574,1094 @@ async function submitForm() {
         window.scrollTo({ top: 0, behavior: 'smooth' });
     }
 }
+
+// ==================== FLIGHT LEGS ====================
+
+// Leg fields shown for each leg; the flight form fields with the same IDs show their totals
+const LEG_TIME_FIELDS = [
+    { field: 'day_pic', label: 'Day PIC' },
+    { field: 'night_pic', label: 'Night PIC' },
+    { field: 'day_dual', label: 'Day Dual' },
+    { field: 'night_dual', label: 'Night Dual' },
+    { field: 'day_sic', label: 'Day SIC' },
+    { field: 'night_sic', label: 'Night SIC' },
+    { field: 'day_cmnd_practice', label: "Day Comm'd Practice" },
+    { field: 'night_cmnd_practice', label: "Night Comm'd Practice" }
+];
+
+const LEG_COUNT_FIELDS = [
+    { field: 'takeoffs_day', label: 'Day Takeoffs' },
+    { field: 'takeoffs_night', label: 'Night Takeoffs' },
+    { field: 'landings_day', label: 'Day Landings' },
+    { field: 'landings_night', label: 'Night Landings' }
+];
+
+// A leg's own takeoff and landing time, which its day/night split is worked out from
+const LEG_TIME_OF_DAY_FIELDS = [
+    { field: 'off_time', label: 'Takeoff' },
+    { field: 'on_time', label: 'Landing' }
+];
+
+function setupLegs() {
+    const container = document.getElementById('legsContainer');
+
+    document.getElementById('addLegBtn').addEventListener('click', addLeg);
+
+    container.addEventListener('input', (e) => {
+        const index = parseInt(e.target.dataset.leg);
+        const field = e.target.dataset.field;
+        if (isNaN(index) || !field) {
+            return;
+        }
+        if (e.target.classList.contains('hours-input')) {
+            legs[index][field] = parseHoursInput(e.target.value) || 0;
+        } else {
+            legs[index][field] = e.target.type === 'number' ? (parseFloat(e.target.value) || 0) : e.target.value;
+        }
+        updateLegTotals();
+    });
+
+    // Check the flight's airports once a leg's airport has been entered, and update the
+    // day/night split once a leg's route or times change
+    container.addEventListener('change', (e) => {
+        const field = e.target.dataset.field;
+        if (field === 'departure' || field === 'arrival') {
+            checkAirport('departure');
+            checkAirport('arrival');
+        }
+        if (['departure', 'arrival', 'off_time', 'on_time'].includes(field)) {
+            scheduleNightSplit();
+        }
+    });
+
+    container.addEventListener('click', (e) => {
+        if (e.target.classList.contains('remove-leg-btn')) {
+            removeLeg(parseInt(e.target.dataset.leg));
+        }
+    });
+}
+
+/**
+ * Read the flight form's own airports, times and counts as a leg
+ */
+function readFlightAsLeg() {
+    const leg = {
+        departure: document.getElementById('departure').value,
+        arrival: document.getElementById('arrival').value,
+        off_time: document.getElementById('off_time').value,
+        on_time: document.getElementById('on_time').value
+    };
+    LEG_TIME_FIELDS.forEach(({ field }) => {
+        leg[field] = parseHoursInput(document.getElementById(field).value) || 0;
+    });
+    LEG_COUNT_FIELDS.forEach(({ field }) => {
+        leg[field] = parseFloat(document.getElementById(field).value) || 0;
+    });
+    return leg;
+}
+
+function emptyLeg(departure) {
+    const leg = { departure: departure || '', arrival: '', off_time: '', on_time: '' };
+    LEG_TIME_FIELDS.concat(LEG_COUNT_FIELDS).forEach(({ field }) => {
+        leg[field] = 0;
+    });
+    return leg;
+}
+
+function addLeg() {
+    if (legs.length === 0) {
+        // The first click turns what's already entered into leg 1
+        legs.push(readFlightAsLeg());
+    }
+    // A new leg departs from where the previous one arrived
+    legs.push(emptyLeg(legs[legs.length - 1].arrival));
+    renderLegs();
+    updateLegTotals();
+}
+
+function removeLeg(index) {
+    legs.splice(index, 1);
+    updateLegTotals();
+    if (legs.length === 1) {
+        // A single leg is just the flight itself; its values stay in the flight fields
+        legs = [];
+    }
+    renderLegs();
+}
+
+function renderLegs() {
+    const container = document.getElementById('legsContainer');
+    const hasLegs = legs.length > 0;
+
+    container.innerHTML = legs.map((leg, index) => `
+        <div class="leg-item">
+            <div class="leg-header">
+                <span>Leg ${index + 1}</span>
+                <button type="button" class="btn btn-small btn-danger remove-leg-btn" data-leg="${index}">Remove</button>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label class="form-label">Departure</label>
+                    <input type="text" class="form-input" data-leg="${index}" data-field="departure" style="text-transform: uppercase;" list="airportOptions" autocomplete="off">
+                </div>
+                <div class="form-group">
+                    <label class="form-label">Arrival</label>
+                    <input type="text" class="form-input" data-leg="${index}" data-field="arrival" style="text-transform: uppercase;" list="airportOptions" autocomplete="off">
+                </div>
+                ${LEG_TIME_OF_DAY_FIELDS.map(({ field, label }) => `
+                    <div class="form-group">
+                        <label class="form-label">${label}</label>
+                        <input type="time" class="form-input" data-leg="${index}" data-field="${field}">
+                    </div>
+                `).join('')}
+            </div>
+            <div class="leg-times">
+                ${LEG_TIME_FIELDS.map(({ field, label }) => `
+                    <div class="form-group">
+                        <label class="form-label">${label}</label>
+                        <input type="text" class="form-input hours-input" data-leg="${index}" data-field="${field}" autocomplete="off" placeholder="0.0">
+                    </div>
+                `).join('')}
+                ${LEG_COUNT_FIELDS.map(({ field, label }) => `
+                    <div class="form-group">
+                        <label class="form-label">${label}</label>
+                        <input type="number" class="form-input" data-leg="${index}" data-field="${field}" min="0" placeholder="0">
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+
+    // Values are set on the inputs rather than in the markup so airport names need no escaping
+    container.querySelectorAll('[data-field]').forEach(input => {
+        const value = legs[input.dataset.leg][input.dataset.field];
+        input.value = input.classList.contains('hours-input') ? formatHoursInput(value) : value;
+    });
+
+    // With legs, the flight's own airports, times and counts are totals of the legs
+    ['departure', 'arrival'].concat(LEG_TIME_FIELDS.concat(LEG_COUNT_FIELDS).map(({ field }) => field)).forEach(field => {
+        document.getElementById(field).readOnly = hasLegs;
+    });
+
+    updateBlockTimes();
+    scheduleNightSplit();
+
+    document.getElementById('legsHelp').textContent = hasLegs
+        ? 'Departure, arrival, flight times and takeoffs/landings below are totalled from the legs.'
+        : 'Flying more than one sector? Add a leg for each one.';
+}
+
+/**
+ * Copy the totals of the legs into the flight form fields
+ */
+function updateLegTotals() {
+    if (legs.length === 0) {
+        return;
+    }
+
+    document.getElementById('departure').value = legs[0].departure;
+    document.getElementById('arrival').value = legs[legs.length - 1].arrival;
+    LEG_TIME_FIELDS.forEach(({ field }) => {
+        const total = legs.reduce((sum, leg) => sum + leg[field], 0);
+        document.getElementById(field).value = formatHoursInput(total);
+    });
+    LEG_COUNT_FIELDS.forEach(({ field }) => {
+        document.getElementById(field).value = legs.reduce((sum, leg) => sum + leg[field], 0);
+    });
+
+    // Refresh the total flight time display
+    document.getElementById('day_pic').dispatchEvent(new Event('input'));
+}
+
+// ==================== INSTRUMENT APPROACHES ====================
+
+const APPROACH_TYPES = [
+    { value: 'ils', label: 'ILS' },
+    { value: 'loc', label: 'LOC' },
+    { value: 'rnp', label: 'RNP' },
+    { value: 'vor', label: 'VOR' },
+    { value: 'ndb', label: 'NDB' },
+    { value: 'other', label: 'Other' }
+];
+
+function setupApproaches() {
+    const container = document.getElementById('approachesContainer');
+
+    document.getElementById('addApproachBtn').addEventListener('click', () => {
+        // A new approach is most likely to the flight's arrival airport
+        const previous = approaches[approaches.length - 1];
+        approaches.push({
+            type: previous ? previous.type : 'ils',
+            airport: document.getElementById('arrival').value.toUpperCase(),
+            runway: ''
+        });
+        renderApproaches();
+    });
+
+    container.addEventListener('input', (e) => {
+        const index = parseInt(e.target.dataset.approach);
+        if (!isNaN(index) && e.target.dataset.field) {
+            approaches[index][e.target.dataset.field] = e.target.value;
+        }
+    });
+
+    container.addEventListener('click', (e) => {
+        if (e.target.classList.contains('remove-approach-btn')) {
+            approaches.splice(parseInt(e.target.dataset.approach), 1);
+            renderApproaches();
+        }
+    });
+}
+
+function renderApproaches() {
+    const container = document.getElementById('approachesContainer');
+
+    container.innerHTML = approaches.map((approach, index) => `
+        <div class="approach-item">
+            <select class="form-select" data-approach="${index}" data-field="type" aria-label="Approach ${index + 1} type">
+                ${APPROACH_TYPES.map(({ value, label }) => `<option value="${value}">${label}</option>`).join('')}
+            </select>
+            <input type="text" class="form-input" data-approach="${index}" data-field="airport" placeholder="Airport" aria-label="Approach ${index + 1} airport" style="text-transform: uppercase;" list="airportOptions" autocomplete="off" maxlength="10">
+            <input type="text" class="form-input" data-approach="${index}" data-field="runway" placeholder="Rwy" aria-label="Approach ${index + 1} runway" style="text-transform: uppercase;" autocomplete="off" maxlength="5">
+            <button type="button" class="btn btn-small btn-danger remove-approach-btn" data-approach="${index}">Remove</button>
+        </div>
+    `).join('');
+
+    // Values are set on the inputs rather than in the markup so airport names need no escaping
+    container.querySelectorAll('[data-field]').forEach(input => {
+        input.value = approaches[input.dataset.approach][input.dataset.field];
+    });
+}
+
+// ==================== AIRPORTS ====================
+
+// Search results by query and lookups by code, so repeated typing doesn't refetch
+const airportSearchCache = {};
+const airportLookupCache = {};
+let airportSearchTimer = null;
+
+function setupAirportInputs() {
+    // Suggestions for every airport input, including those on legs and approaches
+    document.getElementById('flightForm').addEventListener('input', (e) => {
+        if (e.target.getAttribute('list') === 'airportOptions') {
+            clearTimeout(airportSearchTimer);
+            const query = e.target.value.trim();
+            if (query.length >= 2) {
+                airportSearchTimer = setTimeout(() => loadAirportOptions(query), 250);
+            }
+        }
+    });
+
+    ['departure', 'arrival'].forEach(fieldId => {
+        document.getElementById(fieldId).addEventListener('change', () => checkAirport(fieldId));
+    });
+}
+
+async function loadAirportOptions(query) {
+    const key = query.toUpperCase();
+
+    try {
+        if (!airportSearchCache[key]) {
+            const response = await fetch(`/api/airports?q=${encodeURIComponent(query)}`);
+            if (!response.ok) {
+                return;
+            }
+            airportSearchCache[key] = await response.json();
+        }
+
+        const datalist = document.getElementById('airportOptions');
+        datalist.innerHTML = '';
+        airportSearchCache[key].forEach(airport => {
+            const option = document.createElement('option');
+            option.value = airport.code;
+            option.label = [airport.name, airport.city].filter(Boolean).join(', ');
+            datalist.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Error searching airports:', error);
+        // Fail silently - suggestions are optional
+    }
+}
+
+/**
+ * Look up an airport or private landing site by code
+ * @returns {Promise<Object|null>} Airport, or null when the code is unknown
+ */
+async function lookupAirport(code) {
+    if (!(code in airportLookupCache)) {
+        const response = await fetch(`/api/airports/${encodeURIComponent(code)}`);
+        if (response.status === 404) {
+            airportLookupCache[code] = null;
+        } else if (response.ok) {
+            airportLookupCache[code] = await response.json();
+        } else {
+            throw new Error('Airport lookup failed');
+        }
+    }
+    return airportLookupCache[code];
+}
+
+/**
+ * Show the airport name under a departure/arrival field, or a warning when the code is unknown
+ * (unknown codes can still be saved, e.g. a place name or a site not added yet)
+ */
+async function checkAirport(fieldId) {
+    const code = document.getElementById(fieldId).value.trim().toUpperCase();
+    const status = document.getElementById(`${fieldId}Status`);
+
+    if (!code) {
+        status.textContent = '';
+        status.classList.remove('airport-unknown');
+        return;
+    }
+
+    try {
+        const airport = await lookupAirport(code);
+        // Ignore the result if the field changed while it was loading
+        if (document.getElementById(fieldId).value.trim().toUpperCase() !== code) {
+            return;
+        }
+        status.textContent = airport
+            ? `${airport.name}${airport.source === 'private' ? ' (private landing site)' : ''}`
+            : 'Not in the airport database - check the code, or add it as a private landing site in Settings';
+        status.classList.toggle('airport-unknown', !airport);
+    } catch (error) {
+        console.error('Error checking airport:', error);
+        status.textContent = '';
+    }
+}
+
+// ==================== OUT/OFF/ON/IN TIMES ====================
+
+function setupBlockTimes() {
+    document.querySelectorAll('.block-time-input').forEach(input => {
+        input.addEventListener('input', updateBlockTimes);
+        input.addEventListener('input', updateLocalTimes);
+    });
+    ['times_utc', 'date', 'departure', 'arrival'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateLocalTimes);
+    });
+    document.getElementById('applyFlightTimeBtn').addEventListener('click', applyFlightTime);
+}
+
+/**
+ * Hours from one HH:MM time to another, crossing midnight when the second is earlier
+ * @returns {number|null} Hours (whole minutes), or null when either time is missing
+ */
+function hoursBetween(fromId, toId) {
+    const from = document.getElementById(fromId).value;
+    const to = document.getElementById(toId).value;
+    if (!from || !to) {
+        return null;
+    }
+
+    const toMinutes = time => parseInt(time.slice(0, 2)) * 60 + parseInt(time.slice(3, 5));
+    const minutes = (toMinutes(to) - toMinutes(from) + 24 * 60) % (24 * 60);
+    return minutes / 60;
+}
+
+function updateBlockTimes() {
+    const flightTime = hoursBetween('off_time', 'on_time');
+    const blockTime = hoursBetween('out_time', 'in_time');
+    const summary = document.getElementById('blockTimesSummary');
+
+    if (flightTime === null && blockTime === null) {
+        summary.classList.add('hidden');
+        return;
+    }
+
+    const parts = [];
+    if (flightTime !== null) {
+        parts.push(`Flight time: ${formatHours(flightTime)} hours`);
+    }
+    if (blockTime !== null) {
+        parts.push(`Block time: ${formatHours(blockTime)} hours`);
+    }
+    document.getElementById('blockTimesText').textContent = parts.join(' · ');
+
+    // With legs, times are entered per leg so the flight's own fields can't be filled in
+    const canApply = flightTime !== null && legs.length === 0;
+    document.getElementById('applyFlightTimeBtn').disabled = !canApply;
+    document.getElementById('applyTimeField').disabled = !canApply;
+    document.getElementById('applyFlightTimeHelp').textContent = legs.length > 0
+        ? 'This flight has legs - enter the time on each leg'
+        : 'Puts the calculated flight time in the chosen field below';
+
+    summary.classList.remove('hidden');
+}
+
+// Where each time happens: times up to takeoff at the departure, from landing at the arrival
+const TIME_PLACES = { out_time: 'departure', off_time: 'departure', on_time: 'arrival', in_time: 'arrival' };
+
+/**
+ * Convert a UTC time on a date to local time in a timezone
+ * @returns {string} HH:MM
+ */
+function formatUtcAsLocal(date, time, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    return new Date(Date.UTC(year, month - 1, day, hour, minute))
+        .toLocaleTimeString('en-GB', { timeZone, hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * With UTC times, show the local time under each one - at the airport where it happens when
+ * the airport's timezone is known, otherwise in the home timezone
+ */
+async function updateLocalTimes() {
+    const timesUtc = document.getElementById('times_utc').checked;
+    const date = document.getElementById('date').value || getLocalDateString(homeTimezone);
+
+    const zones = {};
+    for (const place of ['departure', 'arrival']) {
+        const code = document.getElementById(place).value.trim().toUpperCase();
+        let airport = null;
+        if (timesUtc && code) {
+            try {
+                airport = await lookupAirport(code);
+            } catch (error) {
+                airport = null;
+            }
+        }
+        zones[place] = airport && airport.timezone
+            ? { timezone: airport.timezone, label: `local at ${airport.code}` }
+            : { timezone: homeTimezone, label: `home time (${homeTimezone})` };
+    }
+
+    Object.entries(TIME_PLACES).forEach(([field, place]) => {
+        const help = document.getElementById(`${field}Local`);
+        const value = document.getElementById(field).value;
+        if (!document.getElementById('times_utc').checked || !value) {
+            help.textContent = '';
+            return;
+        }
+        help.textContent = `${formatUtcAsLocal(date, value, zones[place].timezone)} ${zones[place].label}`;
+    });
+}
+
+function applyFlightTime() {
+    const flightTime = hoursBetween('off_time', 'on_time');
+    if (flightTime === null) {
+        return;
+    }
+
+    const input = document.getElementById(document.getElementById('applyTimeField').value);
+    input.value = formatHoursInput(flightTime);
+    // Refresh the total flight time display
+    input.dispatchEvent(new Event('input'));
+}
+
+// ==================== DAY/NIGHT SPLIT ====================
+
+const NIGHT_SPLIT_FIELDS = ['date', 'departure', 'arrival', 'off_time', 'on_time'];
+
+// Each leg's own route and times are used instead of the flight's when the flight has legs
+const NIGHT_SPLIT_LEG_FIELDS = ['departure', 'arrival', 'off_time', 'on_time'];
+
+// Latest suggestion from the server, and suggestions already fetched by request
+let nightSplit = null;
+const nightSplitCache = {};
+let nightSplitTimer = null;
+
+function setupNightSplit() {
+    NIGHT_SPLIT_FIELDS.concat('times_utc').forEach(id => {
+        document.getElementById(id).addEventListener('change', scheduleNightSplit);
+    });
+    document.getElementById('applyNightSplitBtn').addEventListener('click', applyNightSplit);
+}
+
+function scheduleNightSplit() {
+    clearTimeout(nightSplitTimer);
+    nightSplitTimer = setTimeout(updateNightSplit, 300);
+}
+
+/**
+ * The night split request for the form as it is, or null until the route and takeoff/landing
+ * times (of every leg, when the flight has legs) are filled in
+ */
+function readNightSplitRequest() {
+    const request = {
+        date: document.getElementById('date').value.trim(),
+        times_utc: document.getElementById('times_utc').checked
+    };
+
+    if (legs.length > 0) {
+        request.legs = legs.map(leg => {
+            const sector = {};
+            NIGHT_SPLIT_LEG_FIELDS.forEach(field => {
+                sector[field] = String(leg[field] || '').trim();
+            });
+            return sector;
+        });
+        const complete = request.legs.every(sector => NIGHT_SPLIT_LEG_FIELDS.every(field => sector[field]));
+        return request.date && complete ? request : null;
+    }
+
+    NIGHT_SPLIT_FIELDS.forEach(id => {
+        request[id] = document.getElementById(id).value.trim();
+    });
+    return NIGHT_SPLIT_FIELDS.every(id => request[id]) ? request : null;
+}
+
+async function updateNightSplit() {
+    const summary = document.getElementById('nightSplitSummary');
+    const text = document.getElementById('nightSplitText');
+    const help = document.getElementById('nightSplitHelp');
+    const applyBtn = document.getElementById('applyNightSplitBtn');
+
+    nightSplit = null;
+    applyBtn.disabled = true;
+    document.getElementById('applySplitRole').disabled = true;
+
+    // Nothing to suggest until the route and takeoff/landing times are filled in
+    const request = readNightSplitRequest();
+    if (!request) {
+        summary.classList.add('hidden');
+        return;
+    }
+
+    const key = JSON.stringify(request);
+    try {
+        if (!nightSplitCache[key]) {
+            const response = await fetch('/api/flights/night-split', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: key
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                text.textContent = '';
+                help.textContent = data.error || 'Night time could not be calculated';
+                summary.classList.remove('hidden');
+                return;
+            }
+            nightSplitCache[key] = data;
+        }
+
+        // Ignore the result if the form changed while it was loading
+        if (JSON.stringify(readNightSplitRequest()) !== key) {
+            return;
+        }
+
+        nightSplit = nightSplitCache[key];
+        text.textContent = `Suggested: ${formatHours(nightSplit.day_time)} day · ${formatHours(nightSplit.night_time)} night` +
+            (nightSplit.legs ? ` over ${nightSplit.legs.length} legs` : '') +
+            ` · takeoff ${nightSplit.takeoff_night ? 'at night' : 'by day'}` +
+            ` · landing ${nightSplit.landing_night ? 'at night' : 'by day'}`;
+        let timesHelp;
+        if (nightSplit.times_utc) {
+            timesHelp = 'Takeoff and landing are UTC.';
+        } else if (nightSplit.legs) {
+            timesHelp = "Each leg's takeoff and landing are local times at its own airports.";
+        } else {
+            timesHelp = `Takeoff and landing are local times at ${nightSplit.departure.code} (${nightSplit.departure.timezone}) and ${nightSplit.arrival.code} (${nightSplit.arrival.timezone}).`;
+        }
+        help.textContent = 'Night runs from the end of evening civil twilight to the start of morning civil twilight along the route. ' + timesHelp;
+        applyBtn.disabled = false;
+        document.getElementById('applySplitRole').disabled = false;
+        summary.classList.remove('hidden');
+    } catch (error) {
+        console.error('Error calculating night time:', error);
+        summary.classList.add('hidden');
+    }
+}
+
+/**
+ * Move a number of takeoffs or landings to day or night (at least one)
+ * @returns {number[]} [day, night]
+ */
+function splitDayNightCount(day, night, atNight) {
+    const count = Math.max((parseInt(day) || 0) + (parseInt(night) || 0), 1);
+    return atNight ? [0, count] : [count, 0];
+}
+
+/**
+ * Put the suggested day and night time in the chosen role, and move the takeoffs and landings
+ * to day or night by when the takeoff and landing happen (leg by leg when the flight has legs)
+ */
+function applyNightSplit() {
+    if (!nightSplit) {
+        return;
+    }
+
+    const role = document.getElementById('applySplitRole').value;
+
+    if (nightSplit.legs) {
+        if (nightSplit.legs.length !== legs.length) {
+            return;
+        }
+        nightSplit.legs.forEach((split, index) => {
+            const leg = legs[index];
+            leg[`day_${role}`] = split.day_time;
+            leg[`night_${role}`] = split.night_time;
+            [['takeoffs', split.takeoff_night], ['landings', split.landing_night]].forEach(([prefix, atNight]) => {
+                [leg[`${prefix}_day`], leg[`${prefix}_night`]] = splitDayNightCount(leg[`${prefix}_day`], leg[`${prefix}_night`], atNight);
+            });
+        });
+        renderLegs();
+        updateLegTotals();
+        return;
+    }
+
+    document.getElementById(`day_${role}`).value = formatHoursInput(nightSplit.day_time);
+    document.getElementById(`night_${role}`).value = formatHoursInput(nightSplit.night_time);
+
+    [['takeoffs', nightSplit.takeoff_night], ['landings', nightSplit.landing_night]].forEach(([prefix, atNight]) => {
+        const dayInput = document.getElementById(`${prefix}_day`);
+        const nightInput = document.getElementById(`${prefix}_night`);
+        [dayInput.value, nightInput.value] = splitDayNightCount(dayInput.value, nightInput.value, atNight);
+    });
+
+    // Refresh the total flight time display
+    document.getElementById(`day_${role}`).dispatchEvent(new Event('input'));
+}
+
+// ==================== CURRENCY ====================
+
+// Fields that decide which currencies the flight needs
+const CURRENCY_FIELDS = ['date', 'aircraft_type', 'route', 'night_pic', 'night_dual', 'night_sic', 'night_cmnd_practice', 'takeoffs_night', 'landings_night'];
+
+let currencyTimer = null;
+
+function setupCurrencyCheck() {
+    CURRENCY_FIELDS.forEach(id => {
+        document.getElementById(id).addEventListener('change', scheduleCurrencyCheck);
+    });
+    document.getElementById('customFieldsContainer').addEventListener('change', scheduleCurrencyCheck);
+    document.querySelectorAll('input[name="aircraft_category"]').forEach(radio => {
+        radio.addEventListener('change', scheduleCurrencyCheck);
+    });
+
+    // New flights are checked straight away; edited ones once they have loaded
+    if (!isEditMode && !isDuplicateMode) {
+        scheduleCurrencyCheck();
+    }
+}
+
+function scheduleCurrencyCheck() {
+    clearTimeout(currencyTimer);
+    currencyTimer = setTimeout(updateCurrencyWarning, 300);
+}
+
+/**
+ * Whether the flight on the form has any night time, takeoffs or landings
+ */
+function isNightFlight() {
+    const nightTime = ['night_pic', 'night_dual', 'night_sic', 'night_cmnd_practice']
+        .some(id => parseHoursInput(document.getElementById(id).value) > 0);
+    return nightTime || ['takeoffs_night', 'landings_night'].some(id => (parseInt(document.getElementById(id).value) || 0) > 0);
+}
+
+/**
+ * Warn when the pilot wasn't current on the flight date: day currency for every flight, and
+ * night currency as well for a flight with night time
+ */
+async function updateCurrencyWarning() {
+    const warning = document.getElementById('currencyWarning');
+    const date = document.getElementById('date').value;
+    const category = document.querySelector('input[name="aircraft_category"]:checked')?.value;
+
+    if (!date || !category) {
+        warning.classList.add('hidden');
+        return;
+    }
+
+    // Flight details and custom field time decide which of the user's own rules apply
+    const params = new URLSearchParams({
+        date,
+        aircraft_category: category,
+        aircraft_type: document.getElementById('aircraft_type').value,
+        flight_details: document.getElementById('route').value,
+        custom_field_ids: Array.from(document.querySelectorAll('.custom-field-input'))
+            .filter(input => parseHoursInput(input.value) > 0)
+            .map(input => input.dataset.fieldId)
+            .join(',')
+    });
+    if (isEditMode) {
+        params.set('exclude_id', flightId);
+    }
+
+    try {
+        const response = await fetch(`/api/currency/check?${params}`);
+        if (!response.ok) {
+            throw new Error('Failed to check currency');
+        }
+        const data = await response.json();
+
+        const night = isNightFlight();
+        const notCurrent = data.currencies.filter(currency =>
+            (night || !currency.night) && (currency.status === 'lapsed' || currency.status === 'not_current'));
+
+        if (notCurrent.length === 0) {
+            warning.classList.add('hidden');
+            return;
+        }
+
+        warning.innerHTML = `<strong>Not current on this date</strong> - check you weren't carrying passengers:<ul>` +
+            notCurrent.map(currency => {
+                const scope = currency.custom ? '' : ` in ${currency.aircraft_type || currency.aircraft_category}`;
+                const detail = currency.current_until
+                    ? `lapsed after ${formatDate(currency.current_until)}`
+                    : `needs ${currency.requirements.map(req => formatCurrencyAmount(req, req.minimum)).join(' and ')} in ${currency.days} days`;
+                return `<li>${escapeHtml(currency.label + scope)}: ${detail}</li>`;
+            }).join('') +
+            '</ul>';
+        warning.classList.remove('hidden');
+    } catch (error) {
+        console.error('Currency check error:', error);
+        warning.classList.add('hidden');
+    }
+}
+
+// ==================== GPS TRACK ====================
+
+// Track shown on the form ({ filename, format, summary, points }), and a file chosen but not
+// yet saved with the flight
+let track = null;
+let trackUpload = null;
+let trackRemoved = false;
+
+function setupTrack() {
+    document.getElementById('trackFile').addEventListener('change', (e) => readTrackFile(e.target.files[0]));
+    document.getElementById('applyTrackBtn').addEventListener('click', applyTrack);
+    document.getElementById('removeTrackBtn').addEventListener('click', removeTrack);
+}
+
+async function loadTrack(id) {
+    try {
+        const response = await fetch(`/api/flights/tracks/${id}`);
+        if (!response.ok) {
+            return;
+        }
+        track = await response.json();
+        renderTrack();
+    } catch (error) {
+        console.error('Error loading track:', error);
+        // Fail silently - the flight can still be edited
+    }
+}
+
+async function readTrackFile(file) {
+    if (!file) {
+        return;
+    }
+
+    try {
+        const content = await file.text();
+        const response = await fetch('/api/flights/tracks/analyze', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ filename: file.name, content }),
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to read track');
+        }
+
+        track = data;
+        trackUpload = { filename: file.name, content };
+        trackRemoved = false;
+        renderTrack();
+    } catch (error) {
+        console.error('Track error:', error);
+        showToast(error.message || 'Failed to read track', 'error');
+        document.getElementById('trackFile').value = '';
+    }
+}
+
+function renderTrack() {
+    const details = document.getElementById('trackDetails');
+    if (!track) {
+        details.classList.add('hidden');
+        return;
+    }
+
+    const summary = track.summary;
+    const place = airport => (airport ? airport.code : 'unknown site');
+    document.getElementById('trackSummaryText').textContent =
+        `${place(summary.departure)} → ${place(summary.arrival)}` +
+        ` · takeoff ${summary.off_time} UTC · landing ${summary.on_time} UTC` +
+        ` · ${summary.landings} landing${summary.landings === 1 ? '' : 's'}` +
+        ` · ${summary.distance_nm.toFixed(1)} nm`;
+    document.getElementById('trackHelp').textContent = trackUpload
+        ? `${track.filename} - saved with the flight when you ${isEditMode ? 'update' : 'add'} it`
+        : `${track.filename} (${track.format.toUpperCase()})`;
+    document.getElementById('trackPlot').innerHTML = renderTrackPlot(track.points, summary);
+    details.classList.remove('hidden');
+}
+
+/**
+ * Draw a track as an SVG outline, north up, with the takeoff (green) and landing (red) points
+ * @param {Array} points - [latitude, longitude, time, altitude] per point
+ * @returns {string} SVG markup
+ */
+function renderTrackPlot(points, summary) {
+    const width = 600;
+    const height = 300;
+    const margin = 20;
+
+    // Equirectangular projection around the track's middle latitude
+    const lats = points.map(p => p[0]);
+    const midLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+    const xScale = Math.cos(midLat * Math.PI / 180);
+    const projected = points.map(p => [p[1] * xScale, p[0]]);
+
+    const xs = projected.map(p => p[0]);
+    const ys = projected.map(p => p[1]);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const spanX = Math.max(...xs) - minX;
+    const spanY = Math.max(...ys) - minY;
+    const scale = Math.min((width - 2 * margin) / (spanX || 1e-6), (height - 2 * margin) / (spanY || 1e-6));
+    const offsetX = (width - spanX * scale) / 2;
+    const offsetY = (height - spanY * scale) / 2;
+
+    const coords = projected.map(([x, y]) => [
+        (offsetX + (x - minX) * scale).toFixed(1),
+        (height - offsetY - (y - minY) * scale).toFixed(1)
+    ]);
+
+    // Takeoff and landing points are the track points nearest those times
+    const nearestPoint = iso => {
+        const time = Date.parse(iso);
+        let best = 0;
+        points.forEach((p, i) => {
+            if (Math.abs(p[2] - time) < Math.abs(points[best][2] - time)) {
+                best = i;
+            }
+        });
+        return coords[best];
+    };
+    const marker = ([x, y], color, label) => `
+        <circle cx="${x}" cy="${y}" r="5" style="fill: ${color};"></circle>
+        ${label ? `<text x="${x}" y="${y}" dx="8" dy="-8" style="fill: var(--text-primary); font-size: 12px;">${escapeHtml(label)}</text>` : ''}`;
+
+    return `
+        <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="GPS track">
+            <polyline points="${coords.map(c => c.join(',')).join(' ')}"
+                style="fill: none; stroke: var(--primary-color); stroke-width: 2; stroke-linejoin: round;"></polyline>
+            ${marker(nearestPoint(summary.takeoff_utc), 'var(--success-color)', summary.departure && summary.departure.code)}
+            ${marker(nearestPoint(summary.landing_utc), 'var(--danger-color)', summary.arrival && summary.arrival.code)}
+        </svg>`;
+}
+
+/**
+ * Fill in the date, airports, takeoff/landing times and takeoffs/landings from the track
+ * (times in UTC or local time to match the Times are UTC box)
+ */
+function applyTrack() {
+    if (!track) {
+        return;
+    }
+    if (legs.length > 0) {
+        showToast('This flight has legs - enter the track\'s times on each leg', 'error');
+        return;
+    }
+
+    const summary = track.summary;
+    const timesUtc = document.getElementById('times_utc').checked;
+    const values = {
+        date: summary.date,
+        off_time: timesUtc ? summary.off_time : summary.off_time_local,
+        on_time: timesUtc ? summary.on_time : summary.on_time_local,
+        takeoffs_day: summary.takeoffs,
+        takeoffs_night: 0,
+        landings_day: summary.landings,
+        landings_night: 0
+    };
+    if (summary.departure) {
+        values.departure = summary.departure.code;
+    }
+    if (summary.arrival) {
+        values.arrival = summary.arrival.code;
+    }
+
+    // Setting the fields refreshes the airport names, flight time and day/night suggestion
+    Object.entries(values).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        input.value = value;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+
+    showToast('Flight filled in from the track - check the day/night split below', 'success');
+}
+
+function removeTrack() {
+    // A stored track is deleted when the flight is saved
+    trackRemoved = isEditMode;
+    track = null;
+    trackUpload = null;
+    document.getElementById('trackFile').value = '';
+    renderTrack();
+}
+
+/**
+ * Save the chosen track with the flight, or delete the flight's track when it was removed
+ */
+async function saveTrack(id) {
+    if (trackUpload) {
+        const response = await fetch(`/api/flights/tracks/${id}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(trackUpload),
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to save track');
+        }
+        track = data;
+        trackUpload = null;
+    } else if (trackRemoved) {
+        const response = await fetch(`/api/flights/tracks/${id}`, { method: 'DELETE' });
+        if (!response.ok && response.status !== 404) {
+            throw new Error('Failed to remove track');
+        }
+        trackRemoved = false;
+    }
+}
+
+// ==================== REVISION HISTORY ====================
+
+const REVISION_ACTIONS = {
+    baseline: 'Before history was recorded',
+    create: 'Created',
+    update: 'Edited',
+    delete: 'Moved to Trash',
+    restore: 'Restored from Trash',
+    revert: 'Reverted'
+};
+
+function setupHistory() {
+    document.getElementById('confirmRevertBtn').addEventListener('click', revertFlight);
+    document.getElementById('cancelRevertBtn').addEventListener('click', closeRevertModal);
+}
+
+/**
+ * Format a revision timestamp (stored in UTC) in local time
+ * @param {string} timestamp - SQLite timestamp (YYYY-MM-DD HH:MM:SS, UTC)
+ * @returns {string} Local date and time
+ */
+function formatRevisionTime(timestamp) {
+    const date = new Date(timestamp.replace(' ', 'T') + 'Z');
+    return date.toLocaleString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+function formatRevisionValue(value) {
+    return value === null || value === '' ? '(empty)' : escapeHtml(String(value));
+}
+
+async function loadHistory() {
+    const historyCard = document.getElementById('historyCard');
+    const historyList = document.getElementById('historyList');
+
+    try {
+        const response = await fetch(`/api/flights/${flightId}/revisions`);
+        if (!response.ok) {
+            throw new Error('Failed to load history');
+        }
+
+        const revisions = await response.json();
+        historyCard.classList.remove('hidden');
+
+        if (revisions.length === 0) {
+            historyList.innerHTML = '<p class="text-muted">No changes recorded yet</p>';
+            return;
+        }
+
+        // The newest revision is the flight's current state, so it has nothing to revert to
+        historyList.innerHTML = revisions.map((revision, index) => {
+            const changes = revision.action === 'create' ? [] : revision.changes;
+            let title = REVISION_ACTIONS[revision.action] || revision.action;
+            if (revision.action === 'revert') {
+                const target = revisions.find(r => r.id === revision.reverted_from);
+                title = target ? `Reverted to ${formatRevisionTime(target.created_at)}` : title;
+            }
+
+            return `
+                <div class="history-item">
+                    <div class="history-header">
+                        <div>
+                            <strong>${escapeHtml(title)}</strong>
+                            <div class="history-meta">${formatRevisionTime(revision.created_at)}</div>
+                        </div>
+                        ${index > 0 ? `<button type="button" class="btn btn-small btn-secondary" onclick="confirmRevert(${revision.id}, '${revision.created_at}')">Revert</button>` : ''}
+                    </div>
+                    ${changes.length > 0 ? `
+                        <ul class="history-changes">
+                            ${changes.map(change => `
+                                <li>${escapeHtml(change.label)}: ${formatRevisionValue(change.from)} &rarr; ${formatRevisionValue(change.to)}</li>
+                            `).join('')}
+                        </ul>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Load history error:', error);
+        historyCard.classList.remove('hidden');
+        historyList.innerHTML = '<p class="text-muted">Failed to load history</p>';
+    }
+}
+
+function confirmRevert(revisionId, createdAt) {
+    revisionToRevert = revisionId;
+    document.getElementById('revertDate').textContent = formatRevisionTime(createdAt);
+
+    const modal = document.getElementById('revertModal');
+    modal.classList.remove('hidden');
+    modal.style.display = 'flex';
+}
+
+function closeRevertModal() {
+    const modal = document.getElementById('revertModal');
+    modal.classList.add('hidden');
+    modal.style.display = 'none';
+    revisionToRevert = null;
+}
+
+async function revertFlight() {
+    const confirmBtn = document.getElementById('confirmRevertBtn');
+    const errorAlert = document.getElementById('errorAlert');
+
+    try {
+        confirmBtn.disabled = true;
+        confirmBtn.textContent = 'Reverting...';
+
+        const response = await fetch(`/api/flights/${flightId}/revisions/${revisionToRevert}/revert`, {
+            method: 'POST'
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to revert flight');
+        }
+
+        closeRevertModal();
+        showToast(data.changed ? 'Flight reverted' : 'Flight already matches that revision', 'success');
+
+        await loadFlightData(flightId);
+        await loadHistory();
+    } catch (error) {
+        console.error('Revert error:', error);
+        closeRevertModal();
+        errorAlert.textContent = error.message || 'Failed to revert flight. Please try again.';
+        errorAlert.classList.remove('hidden');
+    } finally {
+        confirmBtn.disabled = false;
+        confirmBtn.textContent = 'Revert';
+    }
+}
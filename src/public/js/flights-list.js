@@ -1,11 +1,17 @@
 // Flights list functionality
-// Note: checkAuth, setupNavigation, logout, escapeHtml, formatDate, truncate, downloadBlob are provided by common.js
+// Note: checkAuth, setupNavigation, logout, escapeHtml, formatDate, truncate, downloadBlob, getDownloadFilename,
+// loadTimeFormat, formatHours are provided by common.js
 
 let currentPage = 1;
 let totalPages = 1;
-let currentFilter = '';
+let currentFilters = {};
 let flightToDelete = null;
 
+// Bulk selection: explicit flight IDs (kept across pages), or every flight matching the filters
+let selectedFlightIds = new Set();
+let selectAllMatching = false;
+let matchingFlightCount = 0;
+
 document.addEventListener('DOMContentLoaded', () => {
     // Check authentication
     checkAuth();
@@ -25,6 +31,9 @@ document.addEventListener('DOMContentLoaded', () => {
     // Set up export
     setupExport();
 
+    // Set up multi-select and bulk actions
+    setupBulkActions();
+
     // Load flights
     loadFlights();
 });
@@ -55,12 +64,118 @@ async function loadAircraftTypesForFilter() {
 }
 
 function setupFilters() {
-    const aircraftFilter = document.getElementById('aircraftFilter');
-    aircraftFilter.addEventListener('change', () => {
-        currentFilter = aircraftFilter.value;
+    const filterForm = document.getElementById('filterForm');
+    filterForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        currentFilters = readFilters();
         currentPage = 1;
+        clearSelection();
         loadFlights();
     });
+
+    // Period presets fill in the date range (days back from today, or year to date)
+    const periodFilter = document.getElementById('periodFilter');
+    const dateFromFilter = document.getElementById('dateFromFilter');
+    const dateToFilter = document.getElementById('dateToFilter');
+    periodFilter.addEventListener('change', () => {
+        const period = periodFilter.value;
+        if (period === 'custom') {
+            dateFromFilter.focus();
+            return;
+        }
+        if (!period) {
+            dateFromFilter.value = '';
+            dateToFilter.value = '';
+        } else if (period === 'ytd') {
+            dateFromFilter.value = `${new Date().getFullYear()}-01-01`;
+            dateToFilter.value = getLocalDateString();
+        } else {
+            dateFromFilter.value = getDateDaysAgo(parseInt(period));
+            dateToFilter.value = getLocalDateString();
+        }
+        currentFilters = readFilters();
+        currentPage = 1;
+        clearSelection();
+        loadFlights();
+    });
+    [dateFromFilter, dateToFilter].forEach(input => {
+        input.addEventListener('change', () => {
+            periodFilter.value = 'custom';
+        });
+    });
+
+    // Selects apply immediately, like the original aircraft filter
+    filterForm.querySelectorAll('select[name]').forEach(select => {
+        select.addEventListener('change', () => {
+            currentFilters = readFilters();
+            currentPage = 1;
+            clearSelection();
+            loadFlights();
+        });
+    });
+
+    document.getElementById('clearFiltersBtn').addEventListener('click', () => {
+        filterForm.reset();
+        currentFilters = {};
+        currentPage = 1;
+        clearSelection();
+        loadFlights();
+    });
+
+    const toggleBtn = document.getElementById('toggleFiltersBtn');
+    const moreFilters = document.getElementById('moreFilters');
+    toggleBtn.addEventListener('click', () => {
+        moreFilters.classList.toggle('hidden');
+        toggleBtn.textContent = moreFilters.classList.contains('hidden') ? 'More Filters' : 'Fewer Filters';
+    });
+}
+
+/**
+ * Read the non-empty filter values from the filter form
+ * @returns {Object} Map of query param name -> value
+ */
+function readFilters() {
+    const filters = {};
+    const formData = new FormData(document.getElementById('filterForm'));
+    formData.forEach((value, key) => {
+        const trimmed = String(value).trim();
+        if (trimmed) {
+            filters[key] = trimmed;
+        }
+    });
+    return filters;
+}
+
+/**
+ * Get the local date N days before today in YYYY-MM-DD format
+ * @param {number} days - Number of days back
+ * @returns {string} Date string
+ */
+function getDateDaysAgo(days) {
+    const date = new Date();
+    date.setDate(date.getDate() - days);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Build a query string from the active filters
+ * The same filters are accepted by the list, CSV, summary and PDF endpoints
+ * @returns {string} Query string without leading "?" (empty if no filters)
+ */
+function buildFilterQuery() {
+    return new URLSearchParams(currentFilters).toString();
+}
+
+/**
+ * Query for the CSV and PDF exports: the active filters plus rows=legs when
+ * multi-sector flights should be split into one row per leg
+ */
+function buildExportParams() {
+    const params = new URLSearchParams(currentFilters);
+    if (document.getElementById('exportRowsSelect').value === 'legs') {
+        params.set('rows', 'legs');
+    }
+    return params;
 }
 
 function setupPagination() {
@@ -89,8 +204,9 @@ function setupExport() {
             exportBtn.disabled = true;
             exportBtn.textContent = 'Exporting...';
 
-            const url = currentFilter
-                ? `/api/flights/export/csv?aircraft_type=${encodeURIComponent(currentFilter)}`
+            const exportQuery = buildExportParams().toString();
+            const url = exportQuery
+                ? `/api/flights/export/csv?${exportQuery}`
                 : '/api/flights/export/csv';
 
             const response = await fetch(url);
@@ -99,7 +215,7 @@ function setupExport() {
             }
 
             const blob = await response.blob();
-            downloadBlob(blob, `flights_${new Date().toISOString().split('T')[0]}.csv`);
+            downloadBlob(blob, getDownloadFilename(response, 'logbook-export.csv'));
 
             showToast('CSV exported successfully', 'success');
             exportBtn.disabled = false;
@@ -119,13 +235,14 @@ function setupExport() {
             exportSummaryBtn.disabled = true;
             exportSummaryBtn.textContent = 'Exporting...';
 
-            const response = await fetch('/api/flights/export/summary');
+            const filterQuery = buildFilterQuery();
+            const response = await fetch(filterQuery ? `/api/flights/export/summary?${filterQuery}` : '/api/flights/export/summary');
             if (!response.ok) {
                 throw new Error('Export failed');
             }
 
             const blob = await response.blob();
-            downloadBlob(blob, `logbook-summary_${new Date().toISOString().split('T')[0]}.txt`);
+            downloadBlob(blob, getDownloadFilename(response, 'logbook-summary.txt'));
 
             showToast('Summary exported successfully', 'success');
             exportSummaryBtn.disabled = false;
@@ -186,6 +303,9 @@ async function showPdfExportModal() {
             customFieldsList.querySelectorAll('label').forEach(el => el.remove());
         }
 
+        // Only mention filtering when some filter is active
+        document.getElementById('pdfFilterNote').style.display = Object.keys(currentFilters).length > 0 ? '' : 'none';
+
         // Show modal
         modal.classList.remove('hidden');
         modal.style.display = 'flex';
@@ -197,11 +317,15 @@ async function showPdfExportModal() {
                 selectedFields.push(cb.value);
             });
 
+            const extraColumns = Array.from(
+                document.querySelectorAll('#pdfExtraColumnsList input[type="checkbox"]:checked')
+            ).map(cb => cb.value);
+
             // Close modal
             closePdfModal();
 
             // Export PDF
-            await exportToPdf(selectedFields);
+            await exportToPdf(selectedFields, extraColumns);
         };
 
         // Handle cancel button
@@ -223,18 +347,23 @@ function closePdfModal() {
     modal.style.display = 'none';
 }
 
-async function exportToPdf(fieldIds) {
+async function exportToPdf(fieldIds, extraColumns = []) {
     const exportPdfBtn = document.getElementById('exportPdfBtn');
 
     try {
         exportPdfBtn.disabled = true;
         exportPdfBtn.textContent = 'Generating PDF...';
 
-        // Build URL with custom field IDs
-        let url = '/api/flights/export/pdf';
+        // Build URL with custom field IDs, optional columns, the active filters and the export rows option
+        const params = buildExportParams();
         if (fieldIds.length > 0) {
-            url += `?fields=${fieldIds.join(',')}`;
+            params.set('fields', fieldIds.join(','));
         }
+        if (extraColumns.length > 0) {
+            params.set('columns', extraColumns.join(','));
+        }
+        const query = params.toString();
+        const url = query ? `/api/flights/export/pdf?${query}` : '/api/flights/export/pdf';
 
         const response = await fetch(url);
         if (!response.ok) {
@@ -243,7 +372,7 @@ async function exportToPdf(fieldIds) {
         }
 
         const blob = await response.blob();
-        downloadBlob(blob, `logbook_${new Date().toISOString().split('T')[0]}.pdf`);
+        downloadBlob(blob, getDownloadFilename(response, 'logbook.pdf'));
 
         showToast('PDF exported successfully', 'success');
         exportPdfBtn.disabled = false;
@@ -269,10 +398,14 @@ async function loadFlights() {
     errorAlert.classList.add('hidden');
 
     try {
-        // Build URL with pagination and filter
+        // Times are shown in the user's time format
+        await loadTimeFormat();
+
+        // Build URL with pagination and filters
         let url = `/api/flights?page=${currentPage}&limit=20`;
-        if (currentFilter) {
-            url += `&aircraft_type=${encodeURIComponent(currentFilter)}`;
+        const filterQuery = buildFilterQuery();
+        if (filterQuery) {
+            url += `&${filterQuery}`;
         }
 
         const response = await fetch(url);
@@ -286,6 +419,9 @@ async function loadFlights() {
         totalPages = data.totalPages;
         currentPage = data.currentPage;
         updatePaginationUI();
+        displayFilterTotals(data.total, data.totals);
+        matchingFlightCount = data.total;
+        updateBulkActionsUI();
 
         // Hide loading, show content
         loading.classList.add('hidden');
@@ -312,11 +448,12 @@ function displayFlights(flights) {
 
     const html = flights.map(flight => `
         <tr>
+            <td><input type="checkbox" class="flight-select" value="${flight.id}" ${selectAllMatching || selectedFlightIds.has(flight.id) ? 'checked' : ''}></td>
             <td>${formatDate(flight.date)}</td>
             <td>${escapeHtml(flight.aircraft_type)}</td>
             <td class="registration-cell">${escapeHtml(flight.registration || '-')}</td>
-            <td>${escapeHtml(truncate(flight.route || '-', 40))}</td>
-            <td>${flight.flight_time.toFixed(1)} hrs</td>
+            <td>${flight.entry_type === 'prime' ? '<em class="text-muted">Brought forward from previous logbook</em>' : escapeHtml(truncate(flight.route || '-', 40))}${flight.leg_count > 0 ? ` <span class="text-muted">(${flight.leg_count} legs)</span>` : ''}</td>
+            <td>${formatHours(flight.flight_time)} hrs</td>
             <td class="table-actions">
                 <button class="btn btn-small btn-secondary" onclick="duplicateFlight(${flight.id})" title="Duplicate">Dup</button>
                 <button class="btn btn-small btn-secondary" onclick="editFlight(${flight.id})">Edit</button>
@@ -326,6 +463,32 @@ function displayFlights(flights) {
     `).join('');
 
     tableBody.innerHTML = html;
+    updatePageCheckbox();
+}
+
+function displayFilterTotals(count, totals) {
+    const container = document.getElementById('filterTotals');
+    if (!totals || count === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const cards = [
+        { label: 'Flights', value: totals.flights },
+        { label: 'Total Hours', value: formatHours(totals.hours) },
+        { label: 'PIC', value: formatHours(totals.pic) },
+        { label: 'Dual', value: formatHours(totals.dual) },
+        { label: 'Night', value: formatHours(totals.night) }
+    ];
+    const subtitle = Object.keys(currentFilters).length > 0 ? 'Matching filters' : 'All flights';
+
+    container.innerHTML = cards.map(card => `
+        <div class="stat-card">
+            <div class="stat-label">${card.label}</div>
+            <div class="stat-value">${card.value}</div>
+            <div class="stat-subtitle">${subtitle}</div>
+        </div>
+    `).join('');
 }
 
 function updatePaginationUI() {
@@ -388,14 +551,16 @@ async function deleteFlight() {
             throw new Error('Failed to delete flight');
         }
 
-        // Close modal
+        // Drop the flight from any bulk selection, then close modal
+        selectedFlightIds.delete(flightToDelete);
+        updateBulkActionsUI();
         closeDeleteModal();
 
         // Show toast notification
-        showToast('Flight deleted successfully', 'success');
+        showToast('Flight moved to the Trash', 'success');
 
         // Show success message
-        successAlert.textContent = 'Flight deleted successfully';
+        successAlert.textContent = 'Flight moved to the Trash';
         successAlert.classList.remove('hidden');
         setTimeout(() => {
             successAlert.classList.add('hidden');
@@ -418,4 +583,266 @@ async function deleteFlight() {
     }
 }
 
+// ==================== BULK ACTIONS ====================
+
+function setupBulkActions() {
+    const tableBody = document.getElementById('flightsTableBody');
+    tableBody.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('flight-select')) {
+            return;
+        }
+        // Unticking one flight turns "all matching" into the explicit IDs on this page
+        if (selectAllMatching) {
+            selectAllMatching = false;
+            document.querySelectorAll('.flight-select').forEach(cb => {
+                selectedFlightIds.add(parseInt(cb.value));
+            });
+        }
+        const id = parseInt(e.target.value);
+        if (e.target.checked) {
+            selectedFlightIds.add(id);
+        } else {
+            selectedFlightIds.delete(id);
+        }
+        updatePageCheckbox();
+        updateBulkActionsUI();
+    });
+
+    document.getElementById('selectPageCheckbox').addEventListener('change', (e) => {
+        selectAllMatching = false;
+        document.querySelectorAll('.flight-select').forEach(cb => {
+            cb.checked = e.target.checked;
+            if (e.target.checked) {
+                selectedFlightIds.add(parseInt(cb.value));
+            } else {
+                selectedFlightIds.delete(parseInt(cb.value));
+            }
+        });
+        updateBulkActionsUI();
+    });
+
+    document.getElementById('selectAllMatchingBtn').addEventListener('click', () => {
+        selectAllMatching = true;
+        document.querySelectorAll('.flight-select').forEach(cb => {
+            cb.checked = true;
+        });
+        updatePageCheckbox();
+        updateBulkActionsUI();
+    });
+
+    document.getElementById('clearSelectionBtn').addEventListener('click', () => {
+        clearSelection();
+        document.querySelectorAll('.flight-select').forEach(cb => {
+            cb.checked = false;
+        });
+        updatePageCheckbox();
+    });
+
+    document.getElementById('bulkEditBtn').addEventListener('click', showBulkEditModal);
+    document.getElementById('bulkDeleteBtn').addEventListener('click', showBulkDeleteModal);
+
+    document.getElementById('bulkEditForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await bulkEditFlights();
+    });
+    document.getElementById('cancelBulkEditBtn').addEventListener('click', () => closeModal('bulkEditModal'));
+
+    document.getElementById('confirmBulkDeleteBtn').addEventListener('click', bulkDeleteFlights);
+    document.getElementById('cancelBulkDeleteBtn').addEventListener('click', () => closeModal('bulkDeleteModal'));
+}
+
+function clearSelection() {
+    selectedFlightIds = new Set();
+    selectAllMatching = false;
+    updateBulkActionsUI();
+}
+
+function getSelectionCount() {
+    return selectAllMatching ? matchingFlightCount : selectedFlightIds.size;
+}
+
+/**
+ * Build the request body that identifies the selected flights for the bulk API
+ * @returns {Object} { filters } when every matching flight is selected (with all: true when no
+ *   filters are set, to confirm the whole logbook), otherwise { ids }
+ */
+function buildSelectionBody() {
+    if (!selectAllMatching) {
+        return { ids: Array.from(selectedFlightIds) };
+    }
+    return { filters: currentFilters, all: Object.keys(currentFilters).length === 0 };
+}
+
+function formatFlightCount(count) {
+    return `${count} flight${count === 1 ? '' : 's'}`;
+}
+
+function updatePageCheckbox() {
+    const checkboxes = document.querySelectorAll('.flight-select');
+    const checked = document.querySelectorAll('.flight-select:checked');
+    const pageCheckbox = document.getElementById('selectPageCheckbox');
+    pageCheckbox.checked = checkboxes.length > 0 && checked.length === checkboxes.length;
+    pageCheckbox.indeterminate = checked.length > 0 && checked.length < checkboxes.length;
+}
+
+function updateBulkActionsUI() {
+    const count = getSelectionCount();
+    const bulkActions = document.getElementById('bulkActions');
+    const selectAllBtn = document.getElementById('selectAllMatchingBtn');
+
+    bulkActions.classList.toggle('hidden', count === 0);
+    document.getElementById('bulkSelectionInfo').textContent = selectAllMatching
+        ? `All ${formatFlightCount(count)} matching the filters selected`
+        : `${formatFlightCount(count)} selected`;
+
+    // Offer to extend the selection beyond this page
+    selectAllBtn.textContent = `Select all ${formatFlightCount(matchingFlightCount)}`;
+    selectAllBtn.classList.toggle('hidden', selectAllMatching || count === 0 || count >= matchingFlightCount);
+}
+
+function openModal(id) {
+    const modal = document.getElementById(id);
+    modal.classList.remove('hidden');
+    modal.style.display = 'flex';
+}
+
+function closeModal(id) {
+    const modal = document.getElementById(id);
+    modal.classList.add('hidden');
+    modal.style.display = 'none';
+}
+
+async function showBulkEditModal() {
+    const form = document.getElementById('bulkEditForm');
+    const aircraftSelect = document.getElementById('bulkAircraftType');
+
+    form.reset();
+    document.getElementById('bulkEditCount').textContent = formatFlightCount(getSelectionCount());
+
+    // Aircraft options come from Settings (first option "Keep current" is preserved)
+    aircraftSelect.querySelectorAll('option:not(:first-child)').forEach(option => option.remove());
+    try {
+        const response = await fetch('/api/aircraft');
+        const aircraft = response.ok ? await response.json() : [];
+        aircraft.forEach(a => {
+            const option = document.createElement('option');
+            option.value = a.name;
+            option.textContent = a.name;
+            aircraftSelect.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Error loading aircraft types:', error);
+    }
+
+    openModal('bulkEditModal');
+}
+
+async function bulkEditFlights() {
+    const confirmBtn = document.getElementById('confirmBulkEditBtn');
+    const successAlert = document.getElementById('successAlert');
+    const errorAlert = document.getElementById('errorAlert');
+
+    // Only filled-in fields are changed
+    const changes = {};
+    const formData = new FormData(document.getElementById('bulkEditForm'));
+    formData.forEach((value, key) => {
+        const trimmed = String(value).trim();
+        if (trimmed) {
+            changes[key] = ['registration', 'departure', 'arrival'].includes(key) ? trimmed.toUpperCase() : trimmed;
+        }
+    });
+
+    if (Object.keys(changes).length === 0) {
+        showToast('Fill in at least one field to change', 'error');
+        return;
+    }
+
+    try {
+        confirmBtn.disabled = true;
+        confirmBtn.textContent = 'Saving...';
+
+        const response = await fetch('/api/flights/bulk', {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ ...buildSelectionBody(), changes }),
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to update flights');
+        }
+
+        closeModal('bulkEditModal');
+        clearSelection();
+
+        successAlert.textContent = `${formatFlightCount(data.flights_updated)} updated`;
+        successAlert.classList.remove('hidden');
+        setTimeout(() => {
+            successAlert.classList.add('hidden');
+        }, 3000);
+
+        await loadFlights();
+    } catch (error) {
+        console.error('Bulk edit error:', error);
+        closeModal('bulkEditModal');
+        errorAlert.textContent = error.message || 'Failed to update flights. Please try again.';
+        errorAlert.classList.remove('hidden');
+    } finally {
+        confirmBtn.disabled = false;
+        confirmBtn.textContent = 'Apply Changes';
+    }
+}
+
+function showBulkDeleteModal() {
+    document.getElementById('bulkDeleteCount').textContent = formatFlightCount(getSelectionCount());
+    openModal('bulkDeleteModal');
+}
+
+async function bulkDeleteFlights() {
+    const confirmBtn = document.getElementById('confirmBulkDeleteBtn');
+    const successAlert = document.getElementById('successAlert');
+    const errorAlert = document.getElementById('errorAlert');
+
+    try {
+        confirmBtn.disabled = true;
+        confirmBtn.textContent = 'Deleting...';
+
+        const response = await fetch('/api/flights/bulk-delete', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(buildSelectionBody()),
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to delete flights');
+        }
+
+        closeModal('bulkDeleteModal');
+        clearSelection();
+        showToast(`${formatFlightCount(data.flights_deleted)} moved to the Trash`, 'success');
+
+        successAlert.textContent = `${formatFlightCount(data.flights_deleted)} moved to the Trash`;
+        successAlert.classList.remove('hidden');
+        setTimeout(() => {
+            successAlert.classList.add('hidden');
+        }, 3000);
+
+        currentPage = 1;
+        await loadFlights();
+    } catch (error) {
+        console.error('Bulk delete error:', error);
+        closeModal('bulkDeleteModal');
+        errorAlert.textContent = error.message || 'Failed to delete flights. Please try again.';
+        errorAlert.classList.remove('hidden');
+    } finally {
+        confirmBtn.disabled = false;
+        confirmBtn.textContent = 'Delete';
+    }
+}
+
 // Utility functions (formatDate, escapeHtml, truncate, downloadBlob) are provided by common.js
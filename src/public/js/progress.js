@@ -0,0 +1,435 @@
+// Progress towards licence and rating requirements
+// Note: checkAuth, setupNavigation, logout, escapeHtml, formatDate, showToast, loadTimeFormat, formatHours
+// are provided by common.js
+
+// Bundled and custom templates, and what a line can count, from the server
+let bundledTemplates = [];
+let customTemplates = [];
+let metrics = [];
+let tags = [];
+let customFields = [];
+
+// The template being edited (null id for a new one) and its lines
+let editingTemplateId = null;
+let editorItems = [];
+
+const CATEGORIES = ['Helicopter', 'Aeroplane', 'Simulator'];
+
+document.addEventListener('DOMContentLoaded', async () => {
+    // Check authentication
+    checkAuth();
+
+    // Set up navigation
+    setupNavigation();
+
+    setupTemplatePicker();
+    setupTemplateEditor();
+
+    // Hours are shown in the user's time format
+    await loadTimeFormat();
+
+    await Promise.all([loadTemplates(), loadEditorOptions()]);
+    loadProgress();
+});
+
+function showError(message) {
+    const errorAlert = document.getElementById('errorAlert');
+    errorAlert.textContent = message;
+    errorAlert.classList.remove('hidden');
+}
+
+function showSuccess(message) {
+    const successAlert = document.getElementById('successAlert');
+    showToast(message, 'success');
+    successAlert.textContent = message;
+    successAlert.classList.remove('hidden');
+    setTimeout(() => {
+        successAlert.classList.add('hidden');
+    }, 3000);
+}
+
+/**
+ * The template chosen in the picker
+ * @returns {{ kind: string, template: Object }|null} kind is bundled or custom
+ */
+function selectedTemplate() {
+    const [kind, id] = document.getElementById('templateSelect').value.split(':');
+    const template = kind === 'bundled'
+        ? bundledTemplates.find(t => t.key === id)
+        : customTemplates.find(t => String(t.id) === id);
+    return template ? { kind, template } : null;
+}
+
+// ==================== TEMPLATES ====================
+
+function setupTemplatePicker() {
+    document.getElementById('templateSelect').addEventListener('change', () => {
+        closeEditor();
+        loadProgress();
+    });
+
+    document.getElementById('newTemplateBtn').addEventListener('click', () => {
+        openEditor(null, { name: '', description: '', items: [{ label: '', metric: 'total', minimum: 1 }] });
+    });
+
+    document.getElementById('copyTemplateBtn').addEventListener('click', () => {
+        const selected = selectedTemplate();
+        if (selected) {
+            openEditor(null, { ...selected.template, name: `${selected.template.name} (copy)`.slice(0, 100) });
+        }
+    });
+
+    document.getElementById('editTemplateBtn').addEventListener('click', () => {
+        const selected = selectedTemplate();
+        if (selected && selected.kind === 'custom') {
+            openEditor(selected.template.id, selected.template);
+        }
+    });
+
+    document.getElementById('deleteTemplateBtn').addEventListener('click', confirmDeleteTemplate);
+    document.getElementById('confirmDeleteBtn').addEventListener('click', deleteTemplate);
+    document.getElementById('cancelDeleteBtn').addEventListener('click', closeDeleteModal);
+}
+
+/**
+ * Load the templates into the picker, keeping the current choice (or choosing `select`)
+ * @param {string} [select] - Picker value to choose, e.g. custom:3
+ */
+async function loadTemplates(select) {
+    const picker = document.getElementById('templateSelect');
+    const chosen = select || picker.value;
+
+    try {
+        const response = await fetch('/api/requirements/templates');
+        if (!response.ok) {
+            throw new Error('Failed to load templates');
+        }
+        const data = await response.json();
+        bundledTemplates = data.bundled;
+        customTemplates = data.custom;
+
+        document.getElementById('bundledTemplates').innerHTML = bundledTemplates.map(template =>
+            `<option value="bundled:${escapeHtml(template.key)}">${escapeHtml(template.name)}</option>`
+        ).join('');
+        const customGroup = document.getElementById('customTemplates');
+        customGroup.innerHTML = customTemplates.map(template =>
+            `<option value="custom:${template.id}">${escapeHtml(template.name)}</option>`
+        ).join('');
+        customGroup.classList.toggle('hidden', customTemplates.length === 0);
+
+        if (chosen && [...picker.options].some(option => option.value === chosen)) {
+            picker.value = chosen;
+        } else if (customTemplates.length > 0) {
+            // Your own templates are usually the ones you're working towards
+            picker.value = `custom:${customTemplates[0].id}`;
+        } else if (bundledTemplates.length > 0) {
+            picker.value = `bundled:${bundledTemplates[0].key}`;
+        }
+    } catch (error) {
+        console.error('Load templates error:', error);
+        showError('Failed to load requirement templates. Please try again.');
+    }
+}
+
+// ==================== PROGRESS ====================
+
+async function loadProgress() {
+    const selected = selectedTemplate();
+    const loading = document.getElementById('loading');
+    const card = document.getElementById('progressCard');
+
+    const custom = !!selected && selected.kind === 'custom';
+    document.getElementById('editTemplateBtn').classList.toggle('hidden', !custom);
+    document.getElementById('deleteTemplateBtn').classList.toggle('hidden', !custom);
+
+    if (!selected) {
+        loading.classList.add('hidden');
+        card.classList.add('hidden');
+        return;
+    }
+
+    const url = selected.kind === 'bundled'
+        ? `/api/requirements/bundled/${encodeURIComponent(selected.template.key)}/progress`
+        : `/api/requirements/templates/${selected.template.id}/progress`;
+
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error('Failed to load progress');
+        }
+        renderProgress(await response.json());
+        card.classList.remove('hidden');
+    } catch (error) {
+        console.error('Load progress error:', error);
+        showError('Failed to work out progress. Please try again.');
+    } finally {
+        loading.classList.add('hidden');
+    }
+}
+
+/**
+ * Describe an amount of a line's metric, e.g. "12:30 hrs", or a count as it is
+ */
+function formatRequirementAmount(item, amount) {
+    return item.hours ? `${formatHours(amount)} hrs` : `${amount}`;
+}
+
+function renderProgress(result) {
+    document.getElementById('progressTitle').textContent = result.name;
+    document.getElementById('progressDescription').textContent = result.description || '';
+
+    const percent = Math.round(result.progress * 100);
+    document.getElementById('progressOverall').className = `limit-item requirement-item ${result.complete ? 'requirement-complete' : ''}`;
+    document.getElementById('progressOverall').innerHTML = `
+        <div class="limit-header">
+            <strong>Overall</strong>
+            <span class="limit-detail">${result.complete ? 'All requirements met' : `${percent}%`}</span>
+        </div>
+        <div class="limit-bar"><div class="limit-bar-fill" style="width: ${percent}%"></div></div>
+    `;
+
+    document.getElementById('progressItems').innerHTML = result.items.map(item => {
+        const share = Math.min(item.logged / item.minimum, 1);
+        const conditions = [
+            item.label !== item.metric_label ? item.metric_label : '',
+            item.aircraft_category,
+            item.tag ? `#${item.tag}` : '',
+            item.custom_field_label || ''
+        ].filter(Boolean);
+        const detail = item.complete
+            ? `${formatRequirementAmount(item, item.logged)} of ${formatRequirementAmount(item, item.minimum)} - met`
+            : `${formatRequirementAmount(item, item.logged)} of ${formatRequirementAmount(item, item.minimum)} (${formatRequirementAmount(item, item.remaining)} to go)`;
+
+        return `
+            <div class="limit-item requirement-item ${item.complete ? 'requirement-complete' : ''}">
+                <div class="limit-header">
+                    <span>${escapeHtml(item.label)}${conditions.length > 0 ? ` <span class="text-muted">(${escapeHtml(conditions.join(', '))})</span>` : ''}</span>
+                    <span class="limit-detail">${detail}</span>
+                </div>
+                <div class="limit-bar"><div class="limit-bar-fill" style="width: ${Math.round(share * 100)}%"></div></div>
+                ${item.flight_count > 0 ? renderQualifyingFlights(item) : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+function renderQualifyingFlights(item) {
+    const more = item.flight_count - item.flights.length;
+    return `
+        <details class="requirement-flights">
+            <summary>${item.flight_count} ${item.flight_count === 1 ? 'entry counts' : 'entries count'}</summary>
+            <ul>
+                ${item.flights.map(flight => `
+                    <li>
+                        ${flight.entry_type === 'prime'
+                            ? '<em class="text-muted">Brought forward from previous logbook</em>'
+                            : `<a href="/edit-flight.html?id=${flight.id}">${escapeHtml(formatDate(flight.date))} ${escapeHtml(flight.aircraft_type || '')} ${escapeHtml(flight.registration || '')}</a>`}
+                        <span>${formatRequirementAmount(item, flight.value)}</span>
+                    </li>
+                `).join('')}
+                ${more > 0 ? `<li class="text-muted">and ${more} earlier</li>` : ''}
+            </ul>
+        </details>
+    `;
+}
+
+// ==================== TEMPLATE EDITOR ====================
+
+function setupTemplateEditor() {
+    document.getElementById('templateForm').addEventListener('submit', saveTemplate);
+    document.getElementById('cancelEditBtn').addEventListener('click', closeEditor);
+
+    document.getElementById('addItemBtn').addEventListener('click', () => {
+        editorItems.push({ label: '', metric: 'total', minimum: 1, aircraft_category: '', tag: '', custom_field_id: null });
+        renderEditorItems();
+    });
+
+    // Keep editorItems in step with the editor
+    const body = document.getElementById('itemsBody');
+    body.addEventListener('change', (e) => {
+        const item = editorItems[parseInt(e.target.dataset.index)];
+        if (!item) return;
+        const field = e.target.dataset.field;
+        item[field] = field === 'custom_field_id' ? (e.target.value || null) : e.target.value;
+        if (field === 'metric') {
+            renderEditorItems();
+        }
+    });
+    body.addEventListener('click', (e) => {
+        if (e.target.classList.contains('remove-item')) {
+            editorItems.splice(parseInt(e.target.dataset.index), 1);
+            renderEditorItems();
+        }
+    });
+}
+
+// Tags and custom fields a line can be limited to
+async function loadEditorOptions() {
+    try {
+        const [metricsResponse, tagsResponse, fieldsResponse] = await Promise.all([
+            fetch('/api/requirements/metrics'),
+            fetch('/api/tags'),
+            fetch('/api/custom-fields')
+        ]);
+        metrics = metricsResponse.ok ? await metricsResponse.json() : [];
+        tags = tagsResponse.ok ? await tagsResponse.json() : [];
+        customFields = fieldsResponse.ok ? await fieldsResponse.json() : [];
+    } catch (error) {
+        console.error('Load editor options error:', error);
+    }
+}
+
+/**
+ * Open the editor on a template
+ * @param {number|null} id - Template to update, or null to save a new one
+ * @param {Object} template - name, description and items to start from
+ */
+function openEditor(id, template) {
+    editingTemplateId = id;
+    editorItems = template.items.map(item => ({
+        aircraft_category: '',
+        tag: '',
+        custom_field_id: null,
+        ...item
+    }));
+
+    document.getElementById('editorTitle').textContent = id ? 'Edit Template' : 'New Template';
+    document.getElementById('templateName').value = template.name;
+    document.getElementById('templateDescription').value = template.description || '';
+    renderEditorItems();
+
+    const card = document.getElementById('editorCard');
+    card.classList.remove('hidden');
+    card.scrollIntoView({ behavior: 'smooth' });
+}
+
+function closeEditor() {
+    editingTemplateId = null;
+    editorItems = [];
+    document.getElementById('editorCard').classList.add('hidden');
+}
+
+function renderEditorItems() {
+    const body = document.getElementById('itemsBody');
+
+    if (editorItems.length === 0) {
+        body.innerHTML = '<tr><td colspan="7" class="text-muted">No lines yet - add one</td></tr>';
+        return;
+    }
+
+    const options = (values, selected, any) => `<option value="">${any}</option>` + values.map(([value, label]) =>
+        `<option value="${escapeHtml(String(value))}" ${String(value) === String(selected || '') ? 'selected' : ''}>${escapeHtml(label)}</option>`
+    ).join('');
+
+    body.innerHTML = editorItems.map((item, index) => {
+        const metric = metrics.find(m => m.key === item.metric) || {};
+        const metricOptions = metrics.map(m =>
+            `<option value="${m.key}" ${m.key === item.metric ? 'selected' : ''}>${escapeHtml(m.label)}</option>`
+        ).join('');
+
+        return `
+            <tr>
+                <td><input type="text" class="form-input" data-index="${index}" data-field="label" maxlength="100" placeholder="${escapeHtml(metric.label || '')}" value="${escapeHtml(item.label || '')}"></td>
+                <td><select class="form-select" data-index="${index}" data-field="metric">${metricOptions}</select></td>
+                <td><input type="number" class="form-input" data-index="${index}" data-field="minimum" min="${metric.hours ? 0.1 : 1}" step="${metric.hours ? 0.1 : 1}" value="${item.minimum}" required></td>
+                <td><select class="form-select" data-index="${index}" data-field="aircraft_category">${options(CATEGORIES.map(c => [c, c]), item.aircraft_category, 'Any')}</select></td>
+                <td><select class="form-select" data-index="${index}" data-field="tag">${options(tags.map(t => [t.name, t.name]), item.tag, 'Any')}</select></td>
+                <td><select class="form-select" data-index="${index}" data-field="custom_field_id" ${metric.needs_custom_field ? 'required' : ''}>${options(customFields.map(f => [f.id, f.field_label]), item.custom_field_id, metric.needs_custom_field ? 'Select custom field' : 'Any')}</select></td>
+                <td><button type="button" class="btn btn-small btn-danger remove-item" data-index="${index}">Remove</button></td>
+            </tr>
+        `;
+    }).join('');
+}
+
+async function saveTemplate(e) {
+    e.preventDefault();
+
+    const saveBtn = document.getElementById('saveTemplateBtn');
+    const body = {
+        name: document.getElementById('templateName').value,
+        description: document.getElementById('templateDescription').value,
+        items: editorItems.map(item => ({
+            label: item.label,
+            metric: item.metric,
+            minimum: parseFloat(item.minimum),
+            aircraft_category: item.aircraft_category,
+            tag: item.tag,
+            custom_field_id: item.custom_field_id
+        }))
+    };
+
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Saving...';
+
+    try {
+        const response = await fetch(editingTemplateId ? `/api/requirements/templates/${editingTemplateId}` : '/api/requirements/templates', {
+            method: editingTemplateId ? 'PUT' : 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body),
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to save template');
+        }
+
+        document.getElementById('errorAlert').classList.add('hidden');
+        showSuccess(editingTemplateId ? 'Template updated' : 'Template saved');
+        closeEditor();
+        await loadTemplates(`custom:${data.id}`);
+        loadProgress();
+    } catch (error) {
+        console.error('Save template error:', error);
+        showError(error.message || 'Failed to save template. Please try again.');
+    } finally {
+        saveBtn.disabled = false;
+        saveBtn.textContent = 'Save Template';
+    }
+}
+
+// ==================== DELETE ====================
+
+function confirmDeleteTemplate() {
+    const selected = selectedTemplate();
+    if (!selected || selected.kind !== 'custom') return;
+
+    document.getElementById('deleteTemplateName').textContent = selected.template.name;
+    const modal = document.getElementById('deleteModal');
+    modal.classList.remove('hidden');
+    modal.style.display = 'flex';
+}
+
+function closeDeleteModal() {
+    const modal = document.getElementById('deleteModal');
+    modal.classList.add('hidden');
+    modal.style.display = 'none';
+}
+
+async function deleteTemplate() {
+    const selected = selectedTemplate();
+    if (!selected || selected.kind !== 'custom') return;
+
+    try {
+        const response = await fetch(`/api/requirements/templates/${selected.template.id}`, {
+            method: 'DELETE',
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to delete template');
+        }
+
+        closeDeleteModal();
+        closeEditor();
+        showSuccess('Template deleted');
+        document.getElementById('templateSelect').value = '';
+        await loadTemplates();
+        loadProgress();
+    } catch (error) {
+        console.error('Delete template error:', error);
+        closeDeleteModal();
+        showError(error.message || 'Failed to delete template. Please try again.');
+    }
+}
@@ -1,9 +1,15 @@
-// Settings page functionality (Aircraft + Custom Fields + Tags)
-// Note: checkAuth, setupNavigation, logout, escapeHtml, formatDate, loadAircraftTypes are provided by common.js
+// Settings page functionality (Aircraft + Custom Fields + Currency Rules + Credentials + Tags + Landing Sites + General + Import)
+// Note: checkAuth, setupNavigation, logout, escapeHtml, formatDate, loadAircraftTypes, formatHours, formatHoursInput,
+// parseHoursInput, formatCurrencyAmount, describeExpiry, CREDENTIAL_LIGHTS are provided by common.js
 
 let aircraftToDelete = null;
 let customFieldToDelete = null;
 let tagToDelete = null;
+let landingSiteToDelete = null;
+let currencyRuleToDelete = null;
+let currencyRuleToEdit = null;
+let credentialToDelete = null;
+let credentialToEdit = null;
 let aircraftToEdit = null;
 let customFieldToEdit = null;
 
@@ -24,7 +30,11 @@ document.addEventListener('DOMContentLoaded', () => {
     loadAircraftList();
     loadCustomFields();
     loadTags();
+    loadLandingSites();
+    loadCurrencyRules();
+    loadCredentials();
     loadDashboardSettings();
+    loadGeneralSettings();
 
     // Load aircraft for prime logbook form using common.js helper
     const primeAircraftSelect = document.getElementById('primeAircraftType');
@@ -91,6 +101,59 @@ function setupForms() {
         await addTag();
     });
 
+    // Currency rules form
+    const currencyRuleForm = document.getElementById('currencyRuleForm');
+    currencyRuleForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveCurrencyRule();
+    });
+    document.getElementById('cancelCurrencyRuleBtn').addEventListener('click', resetCurrencyRuleForm);
+    document.getElementById('ruleMetric').addEventListener('change', updateRuleMetricFields);
+
+    // Credentials form
+    const credentialForm = document.getElementById('credentialForm');
+    credentialForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await saveCredential();
+    });
+    document.getElementById('cancelCredentialBtn').addEventListener('click', resetCredentialForm);
+    document.getElementById('credentialType').addEventListener('change', updateMedicalFields);
+    document.getElementById('medicalAuthority').addEventListener('change', () => {
+        updateMedicalClasses();
+        updateMedicalFields();
+    });
+    document.getElementById('medicalClass').addEventListener('change', updateMedicalFields);
+
+    // Landing sites form
+    const landingSiteForm = document.getElementById('addLandingSiteForm');
+    landingSiteForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await addLandingSite();
+    });
+
+    // General settings
+    document.getElementById('saveGeneralSettings').addEventListener('click', () => saveGeneralSettings('saveGeneralSettings', {
+        timezone: document.getElementById('homeTimezone').value,
+        timesInUtc: document.getElementById('timesInUtc').checked
+    }));
+    document.getElementById('saveCrossCountrySettings').addEventListener('click', () => saveGeneralSettings('saveCrossCountrySettings', {
+        crossCountryRule: document.getElementById('crossCountryRule').value,
+        crossCountryMinNm: parseFloat(document.getElementById('crossCountryMinNm').value)
+    }));
+    document.getElementById('saveProfileSettings').addEventListener('click', async () => {
+        if (await saveGeneralSettings('saveProfileSettings', { dateOfBirth: document.getElementById('dateOfBirth').value })) {
+            // Medical expiries depend on the date of birth
+            loadCredentials();
+        }
+    });
+    document.getElementById('saveTimeFormatSettings').addEventListener('click', async () => {
+        const format = document.getElementById('timeFormat').value;
+        if (await saveGeneralSettings('saveTimeFormatSettings', { timeFormat: format })) {
+            timeFormat = format;
+            calculatePrimeTotal();
+        }
+    });
+
     // Prime logbook form
     const primeForm = document.getElementById('primeLogbookForm');
     primeForm.addEventListener('submit', async (e) => {
@@ -103,6 +166,22 @@ function setupForms() {
     primeClearBtn.addEventListener('click', () => {
         document.getElementById('primeLogbookForm').reset();
     });
+
+    // CSV import wizard (submit = preview)
+    const importForm = document.getElementById('importCsvForm');
+    importForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await previewImport();
+    });
+
+    document.getElementById('importCommitBtn').addEventListener('click', commitImport);
+    document.getElementById('importFile').addEventListener('change', analyzeImportFile);
+    document.getElementById('importSavedMapping').addEventListener('change', applySavedImportMapping);
+    document.getElementById('saveImportMappingBtn').addEventListener('click', saveImportMapping);
+    document.getElementById('deleteImportMappingBtn').addEventListener('click', deleteImportMapping);
+
+    // Any mapping change needs a fresh preview before it can be imported
+    document.getElementById('importMappingSection').addEventListener('change', resetImportPreview);
 }
 
 // ==================== AIRCRAFT MANAGEMENT ====================
@@ -830,258 +909,1129 @@ async function deleteTag() {
     }
 }
 
-// ==================== PRIME LOGBOOK ====================
-// loadAircraftTypes for prime logbook is now handled by common.js helper in DOMContentLoaded
+// ==================== LANDING SITES MANAGEMENT ====================
 
-async function loadPrimeCustomFields() {
-    try {
-        const response = await fetch('/api/custom-fields');
-        if (response.ok) {
-            const customFields = await response.json();
-            renderPrimeCustomFields(customFields);
-        }
-    } catch (error) {
-        console.error('Error loading custom fields for prime form:', error);
-    }
-}
+const LANDING_SITE_TYPE_LABELS = {
+    airstrip: 'Farm strip / airstrip',
+    helipad: 'Hospital pad / helipad',
+    ship: 'Ship deck',
+    other: 'Other'
+};
 
-function renderPrimeCustomFields(customFields) {
-    const container = document.getElementById('primeCustomFieldsContainer');
-    if (!customFields || customFields.length === 0) {
-        container.innerHTML = '';
-        return;
-    }
+async function loadLandingSites() {
+    const loading = document.getElementById('landingSitesLoading');
+    const errorAlert = document.getElementById('errorAlert');
+    const container = document.getElementById('landingSitesContainer');
+    const list = document.getElementById('landingSitesList');
+    const noSites = document.getElementById('noLandingSites');
 
-    let html = '<div class="form-group"><label class="form-label">Custom Specialty Fields (Optional)</label></div>';
+    // Show loading
+    loading.classList.remove('hidden');
+    container.classList.add('hidden');
 
-    for (let i = 0; i < customFields.length; i += 2) {
-        html += '<div class="form-row">';
+    try {
+        const response = await fetch('/api/airports/sites');
+        if (!response.ok) {
+            throw new Error('Failed to load landing sites');
+        }
 
-        const field1 = customFields[i];
-        html += `
-            <div class="form-group">
-                <label for="prime_custom_${field1.field_name}" class="form-label">${escapeHtml(field1.field_label)}</label>
-                <input type="number" id="prime_custom_${field1.field_name}" name="prime_custom_${field1.field_name}" class="form-input prime-custom-field-input" data-field-id="${field1.id}" step="any" min="0" value="0" placeholder="0.0">
-            </div>
-        `;
+        const sites = await response.json();
 
-        if (i + 1 < customFields.length) {
-            const field2 = customFields[i + 1];
-            html += `
-                <div class="form-group">
-                    <label for="prime_custom_${field2.field_name}" class="form-label">${escapeHtml(field2.field_label)}</label>
-                    <input type="number" id="prime_custom_${field2.field_name}" name="prime_custom_${field2.field_name}" class="form-input prime-custom-field-input" data-field-id="${field2.id}" step="any" min="0" value="0" placeholder="0.0">
-                </div>
-            `;
+        // Hide loading, show content
+        loading.classList.add('hidden');
+        container.classList.remove('hidden');
+
+        if (sites.length === 0) {
+            list.innerHTML = '';
+            noSites.classList.remove('hidden');
+        } else {
+            noSites.classList.add('hidden');
+            displayLandingSites(sites);
         }
 
-        html += '</div>';
+    } catch (error) {
+        console.error('Load landing sites error:', error);
+        loading.classList.add('hidden');
+        errorAlert.textContent = 'Failed to load landing sites. Please try again.';
+        errorAlert.classList.remove('hidden');
     }
+}
 
-    container.innerHTML = html;
+function displayLandingSites(sites) {
+    const list = document.getElementById('landingSitesList');
+
+    const html = sites.map(site => {
+        const safeCode = site.code.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+        const details = [
+            LANDING_SITE_TYPE_LABELS[site.type] || site.type,
+            `${site.latitude.toFixed(4)}, ${site.longitude.toFixed(4)}`,
+            site.elevation_ft !== null ? `${site.elevation_ft} ft` : '',
+            site.timezone || ''
+        ].filter(Boolean).join(' • ');
+        return `
+        <div class="custom-field-item">
+            <div>
+                <div class="field-name">${escapeHtml(site.code)} - ${escapeHtml(site.name)}</div>
+                <div class="field-meta">${escapeHtml(details)}</div>
+            </div>
+            <div class="btn-group-inline">
+                <button class="btn btn-small btn-danger" onclick="confirmDeleteLandingSite(${site.id}, '${safeCode}')">Delete</button>
+            </div>
+        </div>
+    `;
+    }).join('');
+
+    list.innerHTML = html;
 }
 
-async function submitPrimeEntry() {
-    const primeBtn = document.getElementById('primeLogbookBtn');
-    const submitText = document.getElementById('primeSubmitText');
+async function addLandingSite() {
+    const addBtn = document.getElementById('addLandingSiteBtn');
     const successAlert = document.getElementById('successAlert');
     const errorAlert = document.getElementById('errorAlert');
+    const form = document.getElementById('addLandingSiteForm');
 
     // Clear previous messages
     successAlert.classList.add('hidden');
     errorAlert.classList.add('hidden');
 
+    const site = {
+        code: document.getElementById('siteCode').value.trim().toUpperCase(),
+        name: document.getElementById('siteName').value.trim(),
+        type: document.getElementById('siteType').value,
+        latitude: document.getElementById('siteLatitude').value,
+        longitude: document.getElementById('siteLongitude').value,
+        elevation_ft: document.getElementById('siteElevation').value,
+        timezone: document.getElementById('siteTimezone').value.trim()
+    };
+
     // Disable button
-    primeBtn.disabled = true;
-    submitText.textContent = 'Creating...';
+    addBtn.disabled = true;
+    addBtn.textContent = 'Adding...';
 
     try {
-        // Collect breakdown field data
-        const dayPic = parseFloat(document.getElementById('primeDayPic').value) || 0;
-        const nightPic = parseFloat(document.getElementById('primeNightPic').value) || 0;
-        const dayDual = parseFloat(document.getElementById('primeDayDual').value) || 0;
-        const nightDual = parseFloat(document.getElementById('primeNightDual').value) || 0;
-        const daySic = parseFloat(document.getElementById('primeDaySic').value) || 0;
-        const nightSic = parseFloat(document.getElementById('primeNightSic').value) || 0;
-        const dayCmndPractice = parseFloat(document.getElementById('primeDayCmndPractice').value) || 0;
-        const nightCmndPractice = parseFloat(document.getElementById('primeNightCmndPractice').value) || 0;
-
-        // Calculate totals from breakdown fields
-        const totalHours = dayPic + nightPic + dayDual + nightDual + daySic + nightSic + dayCmndPractice + nightCmndPractice;
-        const dayHours = dayPic + dayDual + daySic + dayCmndPractice;
-        const nightHours = nightPic + nightDual + nightSic + nightCmndPractice;
-
-        // Validate that total hours is > 0
-        if (totalHours <= 0) {
-            throw new Error('Please enter at least one flight time breakdown value');
-        }
-
-        const formData = {
-            date: document.getElementById('primeDate').value,
-            aircraft_category: document.querySelector('input[name="primeAircraftCategory"]:checked').value,
-            engine_type: document.querySelector('input[name="primeEngineType"]:checked').value,
-            aircraft_type: document.getElementById('primeAircraftType').value,
-            registration: '',
-            pic: '',
-            copilot: '',
-            route: '=== LOGBOOK PRIME ENTRY ===',
-            flight_time: totalHours,
-            day_hours: dayHours,
-            night_hours: nightHours,
-            day_pic: dayPic,
-            night_pic: nightPic,
-            day_dual: dayDual,
-            night_dual: nightDual,
-            day_sic: daySic,
-            night_sic: nightSic,
-            day_cmnd_practice: dayCmndPractice,
-            night_cmnd_practice: nightCmndPractice,
-            takeoffs_day: parseInt(document.getElementById('primeTakeoffsDay').value) || 0,
-            takeoffs_night: parseInt(document.getElementById('primeTakeoffsNight').value) || 0,
-            landings_day: parseInt(document.getElementById('primeLandingsDay').value) || 0,
-            landings_night: parseInt(document.getElementById('primeLandingsNight').value) || 0,
-        };
-
-        // Collect custom field values
-        const customFieldInputs = document.querySelectorAll('.prime-custom-field-input');
-        const customFieldValues = [];
-        customFieldInputs.forEach(input => {
-            const fieldId = parseInt(input.getAttribute('data-field-id'));
-            const value = parseFloat(input.value) || 0;
-            if (value > 0) {
-                customFieldValues.push({ field_id: fieldId, value: value });
-            }
-        });
-
-        if (customFieldValues.length > 0) {
-            formData.custom_fields = customFieldValues;
-        }
-
-        // Submit to flights API
-        const response = await fetch('/api/flights', {
+        const response = await fetch('/api/airports/sites', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify(formData),
+            body: JSON.stringify(site),
         });
 
         const data = await response.json();
 
         if (response.ok) {
-            successAlert.textContent = `Prime entry created successfully for ${formData.aircraft_type} with ${totalHours.toFixed(1)} hours!`;
+            // Success
+            successAlert.textContent = `Landing site "${site.code}" added successfully!`;
             successAlert.classList.remove('hidden');
 
             // Clear form
-            document.getElementById('primeLogbookForm').reset();
-
-            // Reset the total display
-            document.getElementById('primeTotalDisplay').textContent = '0.0 hours';
+            form.reset();
 
-            // Scroll to top
-            window.scrollTo({ top: 0, behavior: 'smooth' });
+            // Reload landing sites list
+            await loadLandingSites();
 
+            // Hide success message after 3 seconds
             setTimeout(() => {
                 successAlert.classList.add('hidden');
-            }, 5000);
+            }, 3000);
         } else {
-            throw new Error(data.error || 'Failed to create prime entry');
+            throw new Error(data.error || 'Failed to add landing site');
         }
 
     } catch (error) {
-        console.error('Prime entry error:', error);
-        errorAlert.textContent = error.message || 'Failed to create prime entry. Please try again.';
+        console.error('Add landing site error:', error);
+        errorAlert.textContent = error.message || 'Failed to add landing site. Please try again.';
         errorAlert.classList.remove('hidden');
-        window.scrollTo({ top: 0, behavior: 'smooth' });
     } finally {
-        primeBtn.disabled = false;
-        submitText.textContent = 'Create Prime Entry';
+        addBtn.disabled = false;
+        addBtn.textContent = 'Add Landing Site';
     }
 }
 
-// ==================== PRIME BREAKDOWN CALCULATION ====================
+function confirmDeleteLandingSite(id, code) {
+    landingSiteToDelete = id;
+    document.getElementById('deleteLandingSiteName').textContent = code;
 
-function setupPrimeBreakdownCalculation() {
-    const breakdownInputs = document.querySelectorAll('.prime-breakdown-input');
-    breakdownInputs.forEach(input => {
-        input.addEventListener('input', calculatePrimeTotal);
-    });
-}
+    const modal = document.getElementById('deleteLandingSiteModal');
+    modal.classList.remove('hidden');
+    modal.style.display = 'flex';
 
-function calculatePrimeTotal() {
-    const dayPic = parseFloat(document.getElementById('primeDayPic').value) || 0;
-    const nightPic = parseFloat(document.getElementById('primeNightPic').value) || 0;
-    const dayDual = parseFloat(document.getElementById('primeDayDual').value) || 0;
-    const nightDual = parseFloat(document.getElementById('primeNightDual').value) || 0;
-    const daySic = parseFloat(document.getElementById('primeDaySic').value) || 0;
-    const nightSic = parseFloat(document.getElementById('primeNightSic').value) || 0;
-    const dayCmndPractice = parseFloat(document.getElementById('primeDayCmndPractice').value) || 0;
-    const nightCmndPractice = parseFloat(document.getElementById('primeNightCmndPractice').value) || 0;
+    const confirmBtn = document.getElementById('confirmDeleteLandingSiteBtn');
+    const cancelBtn = document.getElementById('cancelDeleteLandingSiteBtn');
 
-    const total = dayPic + nightPic + dayDual + nightDual + daySic + nightSic + dayCmndPractice + nightCmndPractice;
+    confirmBtn.onclick = async () => {
+        await deleteLandingSite();
+    };
 
-    const display = document.getElementById('primeTotalDisplay');
-    if (display) {
-        display.textContent = `${total.toFixed(1)} hours`;
-    }
+    cancelBtn.onclick = () => {
+        closeDeleteLandingSiteModal();
+    };
 }
 
-// ==================== DASHBOARD SETTINGS ====================
+function closeDeleteLandingSiteModal() {
+    const modal = document.getElementById('deleteLandingSiteModal');
+    modal.style.display = 'none';
+    landingSiteToDelete = null;
+}
 
-let dashboardCustomFields = [];
+async function deleteLandingSite() {
+    const confirmBtn = document.getElementById('confirmDeleteLandingSiteBtn');
+    const errorAlert = document.getElementById('errorAlert');
+    const successAlert = document.getElementById('successAlert');
 
-async function loadDashboardSettings() {
-    const loading = document.getElementById('dashboardSettingsLoading');
-    const content = document.getElementById('dashboardSettingsContent');
+    try {
+        confirmBtn.disabled = true;
+        confirmBtn.textContent = 'Deleting...';
 
-    // Check if elements exist (they might not if tab hasn't been rendered)
-    if (!loading || !content) {
-        console.warn('Dashboard settings elements not found');
-        return;
+        const response = await fetch(`/api/airports/sites/${landingSiteToDelete}`, {
+            method: 'DELETE',
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to delete landing site');
+        }
+
+        // Close modal
+        closeDeleteLandingSiteModal();
+
+        // Show success message
+        successAlert.textContent = 'Landing site deleted successfully';
+        successAlert.classList.remove('hidden');
+        setTimeout(() => {
+            successAlert.classList.add('hidden');
+        }, 3000);
+
+        // Reload landing sites list
+        await loadLandingSites();
+
+    } catch (error) {
+        console.error('Delete error:', error);
+        closeDeleteLandingSiteModal();
+        errorAlert.textContent = error.message || 'Failed to delete landing site. Please try again.';
+        errorAlert.classList.remove('hidden');
+        setTimeout(() => {
+            errorAlert.classList.add('hidden');
+        }, 5000);
+    } finally {
+        confirmBtn.disabled = false;
+        confirmBtn.textContent = 'Delete';
     }
+}
+
+// ==================== CURRENCY RULES ====================
+
+let currencyMetrics = [];
+let currencyRules = [];
+
+async function loadCurrencyRules() {
+    const loading = document.getElementById('currencyRulesLoading');
+    const errorAlert = document.getElementById('errorAlert');
+    const container = document.getElementById('currencyRulesContainer');
+    const noRules = document.getElementById('noCurrencyRules');
 
     // Show loading
     loading.classList.remove('hidden');
-    content.classList.add('hidden');
+    container.classList.add('hidden');
 
     try {
-        // Fetch preferences and custom fields in parallel
-        const [prefsResponse, fieldsResponse] = await Promise.all([
-            fetch('/api/preferences'),
-            fetch('/api/custom-fields')
+        const [metricsResponse, rulesResponse] = await Promise.all([
+            fetch('/api/currency/metrics'),
+            fetch('/api/currency/rules')
         ]);
-
-        // Default preferences if API fails
-        let prefs = {
-            showHoursOverTime: true,
-            showAircraftChart: true,
-            showMonthlyActivity: true,
-            hiddenCustomFields: []
-        };
-
-        if (prefsResponse.ok) {
-            prefs = await prefsResponse.json();
+        if (!metricsResponse.ok || !rulesResponse.ok) {
+            throw new Error('Failed to load currency rules');
         }
 
-        dashboardCustomFields = fieldsResponse.ok ? await fieldsResponse.json() : [];
-
-        // Set chart toggle states
-        const hoursToggle = document.getElementById('showHoursOverTime');
-        const aircraftToggle = document.getElementById('showAircraftChart');
-        const monthlyToggle = document.getElementById('showMonthlyActivity');
-
-        if (hoursToggle) hoursToggle.checked = prefs.showHoursOverTime !== false;
-        if (aircraftToggle) aircraftToggle.checked = prefs.showAircraftChart !== false;
-        if (monthlyToggle) monthlyToggle.checked = prefs.showMonthlyActivity !== false;
-
-        // Render custom field toggles
-        renderCustomFieldToggles(dashboardCustomFields, prefs.hiddenCustomFields || []);
+        currencyMetrics = await metricsResponse.json();
+        currencyRules = await rulesResponse.json();
+        await loadCurrencyRuleOptions();
 
         // Hide loading, show content
         loading.classList.add('hidden');
-        content.classList.remove('hidden');
+        container.classList.remove('hidden');
 
-        // Set up save button (only once)
+        if (currencyRules.length === 0) {
+            document.getElementById('currencyRulesList').innerHTML = '';
+            noRules.classList.remove('hidden');
+        } else {
+            noRules.classList.add('hidden');
+            displayCurrencyRules(currencyRules);
+        }
+
+    } catch (error) {
+        console.error('Load currency rules error:', error);
+        loading.classList.add('hidden');
+        errorAlert.textContent = 'Failed to load currency rules. Please try again.';
+        errorAlert.classList.remove('hidden');
+    }
+}
+
+// Fill the rule form's selects, keeping whatever is chosen
+async function loadCurrencyRuleOptions() {
+    const metricSelect = document.getElementById('ruleMetric');
+    const typeSelect = document.getElementById('ruleAircraftType');
+    const tagSelect = document.getElementById('ruleTag');
+    const fieldSelect = document.getElementById('ruleCustomField');
+    const chosen = [metricSelect, typeSelect, tagSelect, fieldSelect].map(select => select.value);
+
+    const [tagsResponse, fieldsResponse] = await Promise.all([
+        fetch('/api/tags'),
+        fetch('/api/custom-fields'),
+        loadAircraftTypes(typeSelect, 'Any')
+    ]);
+    const tags = tagsResponse.ok ? await tagsResponse.json() : [];
+    const fields = fieldsResponse.ok ? await fieldsResponse.json() : [];
+
+    metricSelect.innerHTML = currencyMetrics.map(metric =>
+        `<option value="${metric.key}">${escapeHtml(metric.label)}</option>`
+    ).join('');
+    tagSelect.innerHTML = '<option value="">Any</option>' + tags.map(tag =>
+        `<option value="${escapeHtml(tag.name)}">${escapeHtml(tag.name)}</option>`
+    ).join('');
+    fieldSelect.innerHTML = '<option value="">Any</option>' + fields.map(field =>
+        `<option value="${field.id}">${escapeHtml(field.field_label)}</option>`
+    ).join('');
+
+    [metricSelect, typeSelect, tagSelect, fieldSelect].forEach((select, i) => {
+        if (chosen[i]) {
+            select.value = chosen[i];
+        }
+    });
+    updateRuleMetricFields();
+}
+
+// Counting a custom field's hours needs the field chosen; whole-number metrics need whole minimums
+function updateRuleMetricFields() {
+    const metric = currencyMetrics.find(m => m.key === document.getElementById('ruleMetric').value);
+    const fieldSelect = document.getElementById('ruleCustomField');
+    const minimum = document.getElementById('ruleMinimum');
+
+    fieldSelect.required = !!(metric && metric.needs_custom_field);
+    fieldSelect.options[0].textContent = fieldSelect.required ? 'Select custom field' : 'Any';
+    minimum.step = metric && metric.hours ? 'any' : '1';
+}
+
+function describeCurrencyRule(rule) {
+    const metric = currencyMetrics.find(m => m.key === rule.metric) || { label: rule.metric, hours: false };
+    const label = rule.metric === 'custom_field_hours' ? rule.custom_field_label : metric.label;
+    const amount = formatCurrencyAmount({ label, hours: metric.hours }, rule.minimum);
+    const filters = [
+        rule.aircraft_category,
+        rule.aircraft_type,
+        rule.tag ? `#${rule.tag}` : '',
+        rule.custom_field_id && rule.metric !== 'custom_field_hours' ? `with ${rule.custom_field_label}` : ''
+    ].filter(Boolean);
+    return [`At least ${amount} within ${rule.days} days`, ...filters].join(' • ');
+}
+
+function displayCurrencyRules(rules) {
+    const list = document.getElementById('currencyRulesList');
+
+    list.innerHTML = rules.map(rule => {
+        const safeName = rule.name.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+        return `
+        <div class="custom-field-item">
+            <div>
+                <div class="field-name">${escapeHtml(rule.name)}</div>
+                <div class="field-meta">${escapeHtml(describeCurrencyRule(rule))}</div>
+            </div>
+            <div class="btn-group-inline">
+                <button class="btn btn-small btn-secondary" onclick="editCurrencyRule(${rule.id})">Edit</button>
+                <button class="btn btn-small btn-danger" onclick="confirmDeleteCurrencyRule(${rule.id}, '${escapeHtml(safeName)}')">Delete</button>
+            </div>
+        </div>
+    `;
+    }).join('');
+}
+
+function editCurrencyRule(id) {
+    const rule = currencyRules.find(r => r.id === id);
+    if (!rule) {
+        return;
+    }
+    currencyRuleToEdit = id;
+
+    document.getElementById('ruleName').value = rule.name;
+    document.getElementById('ruleMetric').value = rule.metric;
+    document.getElementById('ruleMinimum').value = rule.minimum;
+    document.getElementById('ruleDays').value = rule.days;
+    document.getElementById('ruleCategory').value = rule.aircraft_category;
+    document.getElementById('ruleAircraftType').value = rule.aircraft_type;
+    document.getElementById('ruleTag').value = rule.tag;
+    document.getElementById('ruleCustomField').value = rule.custom_field_id || '';
+    updateRuleMetricFields();
+
+    document.getElementById('currencyRuleFormTitle').textContent = 'Edit Currency Rule';
+    document.getElementById('saveCurrencyRuleBtn').textContent = 'Save Rule';
+    document.getElementById('cancelCurrencyRuleBtn').classList.remove('hidden');
+    document.getElementById('currencyRuleForm').scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+function resetCurrencyRuleForm() {
+    currencyRuleToEdit = null;
+    document.getElementById('currencyRuleForm').reset();
+    updateRuleMetricFields();
+    document.getElementById('currencyRuleFormTitle').textContent = 'Add Currency Rule';
+    document.getElementById('saveCurrencyRuleBtn').textContent = 'Add Rule';
+    document.getElementById('cancelCurrencyRuleBtn').classList.add('hidden');
+}
+
+async function saveCurrencyRule() {
+    const saveBtn = document.getElementById('saveCurrencyRuleBtn');
+    const successAlert = document.getElementById('successAlert');
+    const errorAlert = document.getElementById('errorAlert');
+    const editing = currencyRuleToEdit !== null;
+
+    // Clear previous messages
+    successAlert.classList.add('hidden');
+    errorAlert.classList.add('hidden');
+
+    const rule = {
+        name: document.getElementById('ruleName').value.trim(),
+        metric: document.getElementById('ruleMetric').value,
+        minimum: parseFloat(document.getElementById('ruleMinimum').value),
+        days: parseInt(document.getElementById('ruleDays').value),
+        aircraft_category: document.getElementById('ruleCategory').value,
+        aircraft_type: document.getElementById('ruleAircraftType').value,
+        tag: document.getElementById('ruleTag').value,
+        custom_field_id: document.getElementById('ruleCustomField').value || null
+    };
+
+    // Disable button
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Saving...';
+
+    try {
+        const response = await fetch(editing ? `/api/currency/rules/${currencyRuleToEdit}` : '/api/currency/rules', {
+            method: editing ? 'PUT' : 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(rule),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to save currency rule');
+        }
+
+        successAlert.textContent = `Currency rule "${rule.name}" ${editing ? 'updated' : 'added'} successfully!`;
+        successAlert.classList.remove('hidden');
+
+        resetCurrencyRuleForm();
+        await loadCurrencyRules();
+
+        // Hide success message after 3 seconds
+        setTimeout(() => {
+            successAlert.classList.add('hidden');
+        }, 3000);
+
+    } catch (error) {
+        console.error('Save currency rule error:', error);
+        errorAlert.textContent = error.message || 'Failed to save currency rule. Please try again.';
+        errorAlert.classList.remove('hidden');
+    } finally {
+        saveBtn.disabled = false;
+        saveBtn.textContent = currencyRuleToEdit !== null ? 'Save Rule' : 'Add Rule';
+    }
+}
+
+function confirmDeleteCurrencyRule(id, name) {
+    currencyRuleToDelete = id;
+    document.getElementById('deleteCurrencyRuleName').textContent = name;
+
+    const modal = document.getElementById('deleteCurrencyRuleModal');
+    modal.classList.remove('hidden');
+    modal.style.display = 'flex';
+
+    document.getElementById('confirmDeleteCurrencyRuleBtn').onclick = async () => {
+        await deleteCurrencyRule();
+    };
+
+    document.getElementById('cancelDeleteCurrencyRuleBtn').onclick = () => {
+        closeDeleteCurrencyRuleModal();
+    };
+}
+
+function closeDeleteCurrencyRuleModal() {
+    const modal = document.getElementById('deleteCurrencyRuleModal');
+    modal.style.display = 'none';
+    currencyRuleToDelete = null;
+}
+
+async function deleteCurrencyRule() {
+    const confirmBtn = document.getElementById('confirmDeleteCurrencyRuleBtn');
+    const errorAlert = document.getElementById('errorAlert');
+    const successAlert = document.getElementById('successAlert');
+
+    try {
+        confirmBtn.disabled = true;
+        confirmBtn.textContent = 'Deleting...';
+
+        if (currencyRuleToDelete === currencyRuleToEdit) {
+            resetCurrencyRuleForm();
+        }
+
+        const response = await fetch(`/api/currency/rules/${currencyRuleToDelete}`, {
+            method: 'DELETE',
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to delete currency rule');
+        }
+
+        // Close modal
+        closeDeleteCurrencyRuleModal();
+
+        // Show success message
+        successAlert.textContent = 'Currency rule deleted successfully';
+        successAlert.classList.remove('hidden');
+        setTimeout(() => {
+            successAlert.classList.add('hidden');
+        }, 3000);
+
+        // Reload currency rules list
+        await loadCurrencyRules();
+
+    } catch (error) {
+        console.error('Delete error:', error);
+        closeDeleteCurrencyRuleModal();
+        errorAlert.textContent = error.message || 'Failed to delete currency rule. Please try again.';
+        errorAlert.classList.remove('hidden');
+        setTimeout(() => {
+            errorAlert.classList.add('hidden');
+        }, 5000);
+    } finally {
+        confirmBtn.disabled = false;
+        confirmBtn.textContent = 'Delete';
+    }
+}
+
+// ==================== CREDENTIALS ====================
+
+let credentials = [];
+let medicalAuthorities = [];
+
+async function loadCredentials() {
+    const loading = document.getElementById('credentialsLoading');
+    const errorAlert = document.getElementById('errorAlert');
+    const container = document.getElementById('credentialsContainer');
+    const noCredentials = document.getElementById('noCredentials');
+
+    // Show loading
+    loading.classList.remove('hidden');
+    container.classList.add('hidden');
+
+    try {
+        const [typesResponse, credentialsResponse, medicalResponse] = await Promise.all([
+            fetch('/api/credentials/types'),
+            fetch('/api/credentials'),
+            fetch('/api/credentials/medical-rules')
+        ]);
+        if (!typesResponse.ok || !credentialsResponse.ok || !medicalResponse.ok) {
+            throw new Error('Failed to load credentials');
+        }
+
+        medicalAuthorities = await medicalResponse.json();
+        const authoritySelect = document.getElementById('medicalAuthority');
+        const chosenAuthority = authoritySelect.value;
+        authoritySelect.innerHTML = '<option value="">Nothing - I\'ll enter the expiry date</option>' +
+            medicalAuthorities.map(authority => `<option value="${authority.key}">${escapeHtml(authority.label)} rules</option>`).join('');
+        authoritySelect.value = chosenAuthority;
+
+        const types = await typesResponse.json();
+        const typeSelect = document.getElementById('credentialType');
+        const chosenType = typeSelect.value;
+        typeSelect.innerHTML = types.map(type => `<option value="${type.key}">${escapeHtml(type.label)}</option>`).join('');
+        if (chosenType) {
+            typeSelect.value = chosenType;
+        }
+        updateMedicalClasses();
+        updateMedicalFields();
+
+        credentials = await credentialsResponse.json();
+
+        // Hide loading, show content
+        loading.classList.add('hidden');
+        container.classList.remove('hidden');
+
+        if (credentials.length === 0) {
+            document.getElementById('credentialsList').innerHTML = '';
+            noCredentials.classList.remove('hidden');
+        } else {
+            noCredentials.classList.add('hidden');
+            displayCredentials(credentials);
+        }
+
+    } catch (error) {
+        console.error('Load credentials error:', error);
+        loading.classList.add('hidden');
+        errorAlert.textContent = 'Failed to load credentials. Please try again.';
+        errorAlert.classList.remove('hidden');
+    }
+}
+
+function displayCredentials(items) {
+    const list = document.getElementById('credentialsList');
+
+    list.innerHTML = items.map(credential => {
+        const safeName = credential.name.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+        const light = CREDENTIAL_LIGHTS[credential.status];
+        const details = [
+            credential.type_label,
+            credential.medical_class_label ? `${credential.medical_authority_label} ${credential.medical_class_label}` : '',
+            credential.reference,
+            credential.issuing_authority,
+            credential.issue_date ? `${credential.medical_authority ? 'Examined' : 'Issued'} ${formatDate(credential.issue_date)}` : '',
+            credential.privileges || !credential.medical_authority ? describeExpiry(credential) : ''
+        ].filter(Boolean).join(' • ');
+
+        // A medical's privilege levels, each with its own expiry
+        let medical = '';
+        if (credential.privileges) {
+            medical = credential.privileges.map(privilege =>
+                `${privilege.label} ${privilege.status === 'expired' ? 'expired' : 'until'} ${formatDate(privilege.expiry_date)}`
+            ).join(' • ') + ` (age ${credential.age_at_examination} at examination)`;
+        } else if (credential.needs_date_of_birth) {
+            medical = 'Add your date of birth under General to work out when this medical expires';
+        }
+        return `
+        <div class="custom-field-item">
+            <div>
+                <div class="field-name">${light ? `<span class="traffic-light traffic-${light}" title="${escapeHtml(describeExpiry(credential))}"></span> ` : ''}${escapeHtml(credential.name)}</div>
+                <div class="field-meta">${escapeHtml(details)}</div>
+                ${medical ? `<div class="field-meta">${escapeHtml(medical)}</div>` : ''}
+                ${credential.notes ? `<div class="field-meta">${escapeHtml(credential.notes)}</div>` : ''}
+            </div>
+            <div class="btn-group-inline">
+                ${credential.has_attachment ? `<a class="btn btn-small btn-secondary" href="/api/credentials/${credential.id}/attachment" title="${escapeHtml(credential.attachment_name)}">Attachment</a>` : ''}
+                <button class="btn btn-small btn-secondary" onclick="editCredential(${credential.id})">Edit</button>
+                <button class="btn btn-small btn-danger" onclick="confirmDeleteCredential(${credential.id}, '${escapeHtml(safeName)}')">Delete</button>
+            </div>
+        </div>
+    `;
+    }).join('');
+}
+
+function editCredential(id) {
+    const credential = credentials.find(c => c.id === id);
+    if (!credential) {
+        return;
+    }
+    credentialToEdit = id;
+
+    document.getElementById('credentialType').value = credential.type;
+    document.getElementById('credentialName').value = credential.name;
+    document.getElementById('credentialReference').value = credential.reference;
+    document.getElementById('credentialAuthority').value = credential.issuing_authority;
+    document.getElementById('credentialIssueDate').value = credential.issue_date || '';
+    document.getElementById('credentialExpiryDate').value = credential.expiry_date || '';
+    document.getElementById('credentialNotes').value = credential.notes;
+    document.getElementById('medicalAuthority').value = credential.medical_authority || '';
+    updateMedicalClasses();
+    document.getElementById('medicalClass').value = credential.medical_class || '';
+    updateMedicalFields();
+    document.getElementById('credentialAttachment').value = '';
+    document.getElementById('removeAttachment').checked = false;
+    document.getElementById('currentAttachmentName').textContent = credential.attachment_name || '';
+    document.getElementById('currentAttachment').classList.toggle('hidden', !credential.has_attachment);
+
+    document.getElementById('credentialFormTitle').textContent = 'Edit Credential';
+    document.getElementById('saveCredentialBtn').textContent = 'Save Credential';
+    document.getElementById('cancelCredentialBtn').classList.remove('hidden');
+    document.getElementById('credentialForm').scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+function resetCredentialForm() {
+    credentialToEdit = null;
+    document.getElementById('credentialForm').reset();
+    updateMedicalClasses();
+    updateMedicalFields();
+    document.getElementById('currentAttachment').classList.add('hidden');
+    document.getElementById('credentialFormTitle').textContent = 'Add Credential';
+    document.getElementById('saveCredentialBtn').textContent = 'Add Credential';
+    document.getElementById('cancelCredentialBtn').classList.add('hidden');
+}
+
+function updateMedicalClasses() {
+    const authority = medicalAuthorities.find(a => a.key === document.getElementById('medicalAuthority').value);
+    const classSelect = document.getElementById('medicalClass');
+    const chosenClass = classSelect.value;
+
+    classSelect.innerHTML = (authority ? authority.classes : []).map(medicalClass =>
+        `<option value="${medicalClass.key}">${escapeHtml(medicalClass.label)}</option>`
+    ).join('');
+    if (chosenClass) {
+        classSelect.value = chosenClass;
+    }
+}
+
+// Medicals can have their expiry worked out from an authority's rules instead of entered
+function updateMedicalFields() {
+    const isMedical = document.getElementById('credentialType').value === 'medical';
+    const authority = isMedical
+        ? medicalAuthorities.find(a => a.key === document.getElementById('medicalAuthority').value)
+        : null;
+    const medicalClass = authority && authority.classes.find(c => c.key === document.getElementById('medicalClass').value);
+    const help = document.getElementById('medicalRulesHelp');
+
+    document.getElementById('medicalRulesSection').classList.toggle('hidden', !isMedical);
+    document.getElementById('medicalClassGroup').classList.toggle('hidden', !authority);
+    document.getElementById('credentialExpiryGroup').classList.toggle('hidden', !!authority);
+    document.getElementById('credentialIssueDate').required = !!authority;
+
+    const issueLabel = document.getElementById('credentialIssueDateLabel');
+    issueLabel.textContent = authority ? 'Examination Date' : 'Issue Date';
+    issueLabel.classList.toggle('required', !!authority);
+
+    help.classList.toggle('hidden', !medicalClass);
+    if (medicalClass) {
+        help.textContent = `Gives ${medicalClass.privileges.join(', ')} privileges, each valid for as long as ` +
+            `${authority.label} rules allow for your age at the examination. ${authority.note} ` +
+            'Check the expiries against your certificate.';
+    }
+}
+
+/**
+ * Read a chosen file as { name, type, data } with its contents base64-encoded
+ */
+function readAttachment(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve({
+            name: file.name,
+            type: file.type,
+            data: reader.result.slice(reader.result.indexOf(',') + 1)
+        });
+        reader.onerror = () => reject(new Error('Failed to read the attachment'));
+        reader.readAsDataURL(file);
+    });
+}
+
+async function saveCredential() {
+    const saveBtn = document.getElementById('saveCredentialBtn');
+    const successAlert = document.getElementById('successAlert');
+    const errorAlert = document.getElementById('errorAlert');
+    const editing = credentialToEdit !== null;
+
+    // Clear previous messages
+    successAlert.classList.add('hidden');
+    errorAlert.classList.add('hidden');
+
+    const credential = {
+        type: document.getElementById('credentialType').value,
+        name: document.getElementById('credentialName').value.trim(),
+        reference: document.getElementById('credentialReference').value.trim(),
+        issuing_authority: document.getElementById('credentialAuthority').value.trim(),
+        issue_date: document.getElementById('credentialIssueDate').value,
+        expiry_date: document.getElementById('credentialExpiryDate').value,
+        notes: document.getElementById('credentialNotes').value.trim(),
+        medical_authority: document.getElementById('medicalAuthority').value,
+        medical_class: document.getElementById('medicalClass').value,
+        remove_attachment: document.getElementById('removeAttachment').checked
+    };
+
+    // Disable button
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Saving...';
+
+    try {
+        const file = document.getElementById('credentialAttachment').files[0];
+        if (file) {
+            if (file.size > 5 * 1024 * 1024) {
+                throw new Error('Attachment must be 5 MB or less');
+            }
+            credential.attachment = await readAttachment(file);
+        }
+
+        const response = await fetch(editing ? `/api/credentials/${credentialToEdit}` : '/api/credentials', {
+            method: editing ? 'PUT' : 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(credential),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to save credential');
+        }
+
+        successAlert.textContent = `Credential "${credential.name}" ${editing ? 'updated' : 'added'} successfully!`;
+        successAlert.classList.remove('hidden');
+
+        resetCredentialForm();
+        await loadCredentials();
+
+        // Hide success message after 3 seconds
+        setTimeout(() => {
+            successAlert.classList.add('hidden');
+        }, 3000);
+
+    } catch (error) {
+        console.error('Save credential error:', error);
+        errorAlert.textContent = error.message || 'Failed to save credential. Please try again.';
+        errorAlert.classList.remove('hidden');
+    } finally {
+        saveBtn.disabled = false;
+        saveBtn.textContent = credentialToEdit !== null ? 'Save Credential' : 'Add Credential';
+    }
+}
+
+function confirmDeleteCredential(id, name) {
+    credentialToDelete = id;
+    document.getElementById('deleteCredentialName').textContent = name;
+
+    const modal = document.getElementById('deleteCredentialModal');
+    modal.classList.remove('hidden');
+    modal.style.display = 'flex';
+
+    document.getElementById('confirmDeleteCredentialBtn').onclick = async () => {
+        await deleteCredential();
+    };
+
+    document.getElementById('cancelDeleteCredentialBtn').onclick = () => {
+        closeDeleteCredentialModal();
+    };
+}
+
+function closeDeleteCredentialModal() {
+    const modal = document.getElementById('deleteCredentialModal');
+    modal.style.display = 'none';
+    credentialToDelete = null;
+}
+
+async function deleteCredential() {
+    const confirmBtn = document.getElementById('confirmDeleteCredentialBtn');
+    const errorAlert = document.getElementById('errorAlert');
+    const successAlert = document.getElementById('successAlert');
+
+    try {
+        confirmBtn.disabled = true;
+        confirmBtn.textContent = 'Deleting...';
+
+        if (credentialToDelete === credentialToEdit) {
+            resetCredentialForm();
+        }
+
+        const response = await fetch(`/api/credentials/${credentialToDelete}`, {
+            method: 'DELETE',
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to delete credential');
+        }
+
+        // Close modal
+        closeDeleteCredentialModal();
+
+        // Show success message
+        successAlert.textContent = 'Credential deleted successfully';
+        successAlert.classList.remove('hidden');
+        setTimeout(() => {
+            successAlert.classList.add('hidden');
+        }, 3000);
+
+        // Reload credentials list
+        await loadCredentials();
+
+    } catch (error) {
+        console.error('Delete error:', error);
+        closeDeleteCredentialModal();
+        errorAlert.textContent = error.message || 'Failed to delete credential. Please try again.';
+        errorAlert.classList.remove('hidden');
+        setTimeout(() => {
+            errorAlert.classList.add('hidden');
+        }, 5000);
+    } finally {
+        confirmBtn.disabled = false;
+        confirmBtn.textContent = 'Delete';
+    }
+}
+
+// ==================== PRIME LOGBOOK ====================
+// loadAircraftTypes for prime logbook is now handled by common.js helper in DOMContentLoaded
+
+async function loadPrimeCustomFields() {
+    try {
+        const response = await fetch('/api/custom-fields');
+        if (response.ok) {
+            const customFields = await response.json();
+            renderPrimeCustomFields(customFields);
+        }
+    } catch (error) {
+        console.error('Error loading custom fields for prime form:', error);
+    }
+}
+
+function renderPrimeCustomFields(customFields) {
+    const container = document.getElementById('primeCustomFieldsContainer');
+    if (!customFields || customFields.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    let html = '<div class="form-group"><label class="form-label">Custom Specialty Fields (Optional)</label></div>';
+
+    for (let i = 0; i < customFields.length; i += 2) {
+        html += '<div class="form-row">';
+
+        const field1 = customFields[i];
+        html += `
+            <div class="form-group">
+                <label for="prime_custom_${field1.field_name}" class="form-label">${escapeHtml(field1.field_label)}</label>
+                <input type="text" id="prime_custom_${field1.field_name}" name="prime_custom_${field1.field_name}" class="form-input prime-custom-field-input hours-input" data-field-id="${field1.id}" autocomplete="off" value="0" placeholder="0.0">
+            </div>
+        `;
+
+        if (i + 1 < customFields.length) {
+            const field2 = customFields[i + 1];
+            html += `
+                <div class="form-group">
+                    <label for="prime_custom_${field2.field_name}" class="form-label">${escapeHtml(field2.field_label)}</label>
+                    <input type="text" id="prime_custom_${field2.field_name}" name="prime_custom_${field2.field_name}" class="form-input prime-custom-field-input hours-input" data-field-id="${field2.id}" autocomplete="off" value="0" placeholder="0.0">
+                </div>
+            `;
+        }
+
+        html += '</div>';
+    }
+
+    container.innerHTML = html;
+}
+
+async function submitPrimeEntry() {
+    const primeBtn = document.getElementById('primeLogbookBtn');
+    const submitText = document.getElementById('primeSubmitText');
+    const successAlert = document.getElementById('successAlert');
+    const errorAlert = document.getElementById('errorAlert');
+
+    // Clear previous messages
+    successAlert.classList.add('hidden');
+    errorAlert.classList.add('hidden');
+
+    // Disable button
+    primeBtn.disabled = true;
+    submitText.textContent = 'Creating...';
+
+    try {
+        // Times may be typed as decimal hours or H:MM
+        const invalidTime = Array.from(document.querySelectorAll('#primeLogbookForm .hours-input'))
+            .find(input => isNaN(parseHoursInput(input.value)));
+        if (invalidTime) {
+            invalidTime.focus();
+            throw new Error('Enter times as decimal hours (e.g. 1.5) or hours and minutes (e.g. 1:30)');
+        }
+
+        // Collect breakdown field data
+        const dayPic = parseHoursInput(document.getElementById('primeDayPic').value) || 0;
+        const nightPic = parseHoursInput(document.getElementById('primeNightPic').value) || 0;
+        const dayDual = parseHoursInput(document.getElementById('primeDayDual').value) || 0;
+        const nightDual = parseHoursInput(document.getElementById('primeNightDual').value) || 0;
+        const daySic = parseHoursInput(document.getElementById('primeDaySic').value) || 0;
+        const nightSic = parseHoursInput(document.getElementById('primeNightSic').value) || 0;
+        const dayCmndPractice = parseHoursInput(document.getElementById('primeDayCmndPractice').value) || 0;
+        const nightCmndPractice = parseHoursInput(document.getElementById('primeNightCmndPractice').value) || 0;
+
+        // Calculate totals from breakdown fields
+        const totalHours = dayPic + nightPic + dayDual + nightDual + daySic + nightSic + dayCmndPractice + nightCmndPractice;
+        const dayHours = dayPic + dayDual + daySic + dayCmndPractice;
+        const nightHours = nightPic + nightDual + nightSic + nightCmndPractice;
+
+        // Validate that total hours is > 0
+        if (totalHours <= 0) {
+            throw new Error('Please enter at least one flight time breakdown value');
+        }
+
+        const formData = {
+            date: document.getElementById('primeDate').value,
+            aircraft_category: document.querySelector('input[name="primeAircraftCategory"]:checked').value,
+            engine_type: document.querySelector('input[name="primeEngineType"]:checked').value,
+            aircraft_type: document.getElementById('primeAircraftType').value,
+            registration: '',
+            pic: '',
+            copilot: '',
+            route: '',
+            entry_type: 'prime',
+            flight_time: totalHours,
+            day_hours: dayHours,
+            night_hours: nightHours,
+            day_pic: dayPic,
+            night_pic: nightPic,
+            day_dual: dayDual,
+            night_dual: nightDual,
+            day_sic: daySic,
+            night_sic: nightSic,
+            day_cmnd_practice: dayCmndPractice,
+            night_cmnd_practice: nightCmndPractice,
+            takeoffs_day: parseInt(document.getElementById('primeTakeoffsDay').value) || 0,
+            takeoffs_night: parseInt(document.getElementById('primeTakeoffsNight').value) || 0,
+            landings_day: parseInt(document.getElementById('primeLandingsDay').value) || 0,
+            landings_night: parseInt(document.getElementById('primeLandingsNight').value) || 0,
+        };
+
+        // Collect custom field values
+        const customFieldInputs = document.querySelectorAll('.prime-custom-field-input');
+        const customFieldValues = [];
+        customFieldInputs.forEach(input => {
+            const fieldId = parseInt(input.getAttribute('data-field-id'));
+            const value = parseHoursInput(input.value);
+            if (value > 0) {
+                customFieldValues.push({ field_id: fieldId, value: value });
+            }
+        });
+
+        if (customFieldValues.length > 0) {
+            formData.custom_fields = customFieldValues;
+        }
+
+        // Submit to flights API
+        const response = await fetch('/api/flights', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(formData),
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            successAlert.textContent = `Prime entry created successfully for ${formData.aircraft_type} with ${formatHours(totalHours)} hours!`;
+            successAlert.classList.remove('hidden');
+
+            // Clear form
+            document.getElementById('primeLogbookForm').reset();
+
+            // Reset the total display
+            calculatePrimeTotal();
+
+            // Scroll to top
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+
+            setTimeout(() => {
+                successAlert.classList.add('hidden');
+            }, 5000);
+        } else {
+            throw new Error(data.error || 'Failed to create prime entry');
+        }
+
+    } catch (error) {
+        console.error('Prime entry error:', error);
+        errorAlert.textContent = error.message || 'Failed to create prime entry. Please try again.';
+        errorAlert.classList.remove('hidden');
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    } finally {
+        primeBtn.disabled = false;
+        submitText.textContent = 'Create Prime Entry';
+    }
+}
+
+// ==================== PRIME BREAKDOWN CALCULATION ====================
+
+function setupPrimeBreakdownCalculation() {
+    const breakdownInputs = document.querySelectorAll('.prime-breakdown-input');
+    breakdownInputs.forEach(input => {
+        input.addEventListener('input', calculatePrimeTotal);
+    });
+
+    // Times may be typed as decimal hours or H:MM; show them in the user's format once entered
+    document.getElementById('primeLogbookForm').addEventListener('change', (e) => {
+        if (e.target.classList.contains('hours-input') && e.target.value.trim() && !isNaN(parseHoursInput(e.target.value))) {
+            e.target.value = formatHoursInput(parseHoursInput(e.target.value));
+        }
+    });
+}
+
+function calculatePrimeTotal() {
+    const dayPic = parseHoursInput(document.getElementById('primeDayPic').value) || 0;
+    const nightPic = parseHoursInput(document.getElementById('primeNightPic').value) || 0;
+    const dayDual = parseHoursInput(document.getElementById('primeDayDual').value) || 0;
+    const nightDual = parseHoursInput(document.getElementById('primeNightDual').value) || 0;
+    const daySic = parseHoursInput(document.getElementById('primeDaySic').value) || 0;
+    const nightSic = parseHoursInput(document.getElementById('primeNightSic').value) || 0;
+    const dayCmndPractice = parseHoursInput(document.getElementById('primeDayCmndPractice').value) || 0;
+    const nightCmndPractice = parseHoursInput(document.getElementById('primeNightCmndPractice').value) || 0;
+
+    const total = dayPic + nightPic + dayDual + nightDual + daySic + nightSic + dayCmndPractice + nightCmndPractice;
+
+    const display = document.getElementById('primeTotalDisplay');
+    if (display) {
+        display.textContent = `${formatHours(total)} hours`;
+    }
+}
+
+// ==================== DASHBOARD SETTINGS ====================
+
+let dashboardCustomFields = [];
+
+// Rolling windows offered as toggles; others can be typed in
+const ROLLING_WINDOW_PRESETS = [7, 28, 30, 60, 90, 180, 365];
+
+async function loadDashboardSettings() {
+    const loading = document.getElementById('dashboardSettingsLoading');
+    const content = document.getElementById('dashboardSettingsContent');
+
+    // Check if elements exist (they might not if tab hasn't been rendered)
+    if (!loading || !content) {
+        console.warn('Dashboard settings elements not found');
+        return;
+    }
+
+    // Show loading
+    loading.classList.remove('hidden');
+    content.classList.add('hidden');
+
+    try {
+        // Fetch preferences and custom fields in parallel
+        const [prefsResponse, fieldsResponse] = await Promise.all([
+            fetch('/api/preferences'),
+            fetch('/api/custom-fields')
+        ]);
+
+        // Default preferences if API fails
+        let prefs = {
+            showHoursOverTime: true,
+            showAircraftChart: true,
+            showMonthlyActivity: true,
+            hiddenCustomFields: []
+        };
+
+        if (prefsResponse.ok) {
+            prefs = await prefsResponse.json();
+        }
+
+        dashboardCustomFields = fieldsResponse.ok ? await fieldsResponse.json() : [];
+
+        // Set chart toggle states
+        const hoursToggle = document.getElementById('showHoursOverTime');
+        const aircraftToggle = document.getElementById('showAircraftChart');
+        const monthlyToggle = document.getElementById('showMonthlyActivity');
+
+        if (hoursToggle) hoursToggle.checked = prefs.showHoursOverTime !== false;
+        if (aircraftToggle) aircraftToggle.checked = prefs.showAircraftChart !== false;
+        if (monthlyToggle) monthlyToggle.checked = prefs.showMonthlyActivity !== false;
+        document.getElementById('currencyByType').checked = prefs.currencyByType === true;
+
+        // Render rolling window toggles
+        renderRollingWindowToggles(prefs.rollingWindows || [30, 90, 365]);
+
+        // Render custom field toggles
+        renderCustomFieldToggles(dashboardCustomFields, prefs.hiddenCustomFields || []);
+
+        // Hide loading, show content
+        loading.classList.add('hidden');
+        content.classList.remove('hidden');
+
+        // Set up save button (only once)
         const saveBtn = document.getElementById('saveDashboardSettings');
         if (saveBtn && !saveBtn.hasAttribute('data-listener-added')) {
             saveBtn.addEventListener('click', saveDashboardSettings);
@@ -1097,6 +2047,19 @@ async function loadDashboardSettings() {
     }
 }
 
+function renderRollingWindowToggles(windows) {
+    document.getElementById('rollingWindowToggles').innerHTML = ROLLING_WINDOW_PRESETS.map(days => `
+        <label class="toggle-item">
+            <input type="checkbox" class="rolling-window-toggle" value="${days}" ${windows.includes(days) ? 'checked' : ''}>
+            <span>${days} days</span>
+        </label>
+    `).join('');
+
+    document.getElementById('rollingWindowsOther').value = windows
+        .filter(days => !ROLLING_WINDOW_PRESETS.includes(days))
+        .join(', ');
+}
+
 function renderCustomFieldToggles(customFields, hiddenFieldIds) {
     const section = document.getElementById('customFieldTogglesSection');
     const container = document.getElementById('customFieldToggles');
@@ -1139,6 +2102,7 @@ async function saveDashboardSettings() {
         const showHoursOverTime = document.getElementById('showHoursOverTime').checked;
         const showAircraftChart = document.getElementById('showAircraftChart').checked;
         const showMonthlyActivity = document.getElementById('showMonthlyActivity').checked;
+        const currencyByType = document.getElementById('currencyByType').checked;
 
         // Collect hidden custom field IDs (unchecked = hidden)
         const hiddenCustomFields = [];
@@ -1148,6 +2112,19 @@ async function saveDashboardSettings() {
             }
         });
 
+        // Collect rolling windows: ticked presets plus any typed in
+        const otherWindows = document.getElementById('rollingWindowsOther').value
+            .split(',')
+            .map(value => value.trim())
+            .filter(Boolean);
+        if (otherWindows.some(value => !/^\d+$/.test(value))) {
+            throw new Error('Other windows must be whole numbers of days, separated by commas');
+        }
+        const rollingWindows = [
+            ...Array.from(document.querySelectorAll('.rolling-window-toggle:checked')).map(toggle => parseInt(toggle.value)),
+            ...otherWindows.map(value => parseInt(value))
+        ];
+
         const response = await fetch('/api/preferences', {
             method: 'PUT',
             headers: {
@@ -1157,7 +2134,9 @@ async function saveDashboardSettings() {
                 showHoursOverTime,
                 showAircraftChart,
                 showMonthlyActivity,
-                hiddenCustomFields
+                hiddenCustomFields,
+                rollingWindows,
+                currencyByType
             }),
         });
 
@@ -1184,6 +2163,448 @@ async function saveDashboardSettings() {
     }
 }
 
+// ==================== GENERAL SETTINGS ====================
+
+async function loadGeneralSettings() {
+    const loading = document.getElementById('generalSettingsLoading');
+    const content = document.getElementById('generalSettingsContent');
+    const select = document.getElementById('homeTimezone');
+    const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    loading.classList.remove('hidden');
+    content.classList.add('hidden');
+
+    try {
+        const response = await fetch('/api/preferences');
+        if (!response.ok) {
+            throw new Error('Failed to load settings');
+        }
+        const prefs = await response.json();
+
+        // Every timezone the browser knows, plus the saved one in case it doesn't know it
+        const timezones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [browserTimezone];
+        ['UTC', prefs.timezone].filter(Boolean).forEach(timezone => {
+            if (!timezones.includes(timezone)) {
+                timezones.push(timezone);
+            }
+        });
+
+        select.innerHTML = '<option value="">Server default</option>';
+        timezones.sort().forEach(timezone => {
+            const option = document.createElement('option');
+            option.value = timezone;
+            option.textContent = timezone.replace(/_/g, ' ');
+            select.appendChild(option);
+        });
+        select.value = prefs.timezone || '';
+
+        document.getElementById('homeTimezoneHelp').textContent = `This browser is set to ${browserTimezone}.`;
+        document.getElementById('timesInUtc').checked = prefs.timesInUtc === true;
+        document.getElementById('crossCountryRule').value = prefs.crossCountryRule;
+        document.getElementById('crossCountryMinNm').value = prefs.crossCountryMinNm;
+        document.getElementById('timeFormat').value = prefs.timeFormat;
+        document.getElementById('dateOfBirth').value = prefs.dateOfBirth || '';
+
+        // The prime form's total is shown in the user's time format
+        timeFormat = prefs.timeFormat;
+        calculatePrimeTotal();
+    } catch (error) {
+        console.error('Load general settings error:', error);
+    } finally {
+        loading.classList.add('hidden');
+        content.classList.remove('hidden');
+    }
+}
+
+// Save the preferences from one card on the General tab (resolves to whether they were saved)
+async function saveGeneralSettings(buttonId, changes) {
+    const saveBtn = document.getElementById(buttonId);
+    const successAlert = document.getElementById('successAlert');
+    const errorAlert = document.getElementById('errorAlert');
+
+    // Clear previous messages
+    successAlert.classList.add('hidden');
+    errorAlert.classList.add('hidden');
+
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Saving...';
+
+    try {
+        const response = await fetch('/api/preferences', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(changes),
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            successAlert.textContent = 'Settings saved successfully!';
+            successAlert.classList.remove('hidden');
+
+            setTimeout(() => {
+                successAlert.classList.add('hidden');
+            }, 3000);
+            return true;
+        } else {
+            throw new Error(data.error || 'Failed to save settings');
+        }
+
+    } catch (error) {
+        console.error('Save general settings error:', error);
+        errorAlert.textContent = error.message || 'Failed to save settings. Please try again.';
+        errorAlert.classList.remove('hidden');
+        return false;
+    } finally {
+        saveBtn.disabled = false;
+        saveBtn.textContent = 'Save Settings';
+    }
+}
+
+// ==================== CSV IMPORT ====================
+
+let importCsvText = null;
+let importAnalysis = null;
+let importSavedMappings = [];
+
+function resetImportPreview() {
+    document.getElementById('importCommitBtn').disabled = true;
+    document.getElementById('importResults').classList.add('hidden');
+}
+
+async function analyzeImportFile() {
+    const file = document.getElementById('importFile').files[0];
+    const errorAlert = document.getElementById('errorAlert');
+    const mappingSection = document.getElementById('importMappingSection');
+    const previewBtn = document.getElementById('importPreviewBtn');
+
+    errorAlert.classList.add('hidden');
+    mappingSection.classList.add('hidden');
+    previewBtn.disabled = true;
+    resetImportPreview();
+    importCsvText = null;
+    importAnalysis = null;
+
+    if (!file) {
+        return;
+    }
+
+    try {
+        importCsvText = await file.text();
+
+        const response = await fetch('/api/flights/import/analyze', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ csv: importCsvText }),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to read CSV file');
+        }
+
+        importAnalysis = data;
+
+        // Date format options come from the server
+        document.getElementById('importDateFormat').innerHTML = data.date_formats
+            .map(f => `<option value="${f}">${f}</option>`)
+            .join('');
+
+        document.getElementById('importFormatNote').textContent =
+            `Detected format: ${data.format.name} - ${data.total_rows} rows. Check the mapping below, then click Preview.`;
+
+        await loadImportMappings(data.saved_mapping_id);
+        applySavedImportMapping();
+
+        mappingSection.classList.remove('hidden');
+        previewBtn.disabled = false;
+    } catch (error) {
+        console.error('Import analyze error:', error);
+        errorAlert.textContent = error.message || 'Failed to read CSV file. Please try again.';
+        errorAlert.classList.remove('hidden');
+    }
+}
+
+async function loadImportMappings(selectedId) {
+    const select = document.getElementById('importSavedMapping');
+
+    try {
+        const response = await fetch('/api/flights/import/mappings');
+        importSavedMappings = response.ok ? await response.json() : [];
+    } catch (error) {
+        console.error('Error loading import mappings:', error);
+        importSavedMappings = [];
+    }
+
+    select.innerHTML = '<option value="">Suggested mapping</option>' + importSavedMappings
+        .map(m => `<option value="${m.id}">${escapeHtml(m.name)}</option>`)
+        .join('');
+    select.value = selectedId ? String(selectedId) : '';
+}
+
+function applySavedImportMapping() {
+    const selectedId = parseInt(document.getElementById('importSavedMapping').value);
+    const saved = importSavedMappings.find(m => m.id === selectedId);
+
+    document.getElementById('importMappingName').value = saved ? saved.name : '';
+    renderImportMapping(saved ? saved.mapping : importAnalysis.mapping);
+}
+
+function renderImportMapping(mapping) {
+    const body = document.getElementById('importMappingBody');
+    const sample = importAnalysis.sample_rows[0] || [];
+    const options = importAnalysis.targets
+        .map(t => `<option value="${escapeHtml(t.field)}">${escapeHtml(t.label)}</option>`)
+        .join('');
+
+    body.innerHTML = importAnalysis.headers.map((header, index) => `
+        <tr>
+            <td>${escapeHtml(header)}</td>
+            <td class="text-muted">${escapeHtml(truncate(sample[index] || '', 30))}</td>
+            <td>
+                <select class="form-select import-mapping-select" data-index="${index}">
+                    <option value="">- Ignore -</option>
+                    ${options}
+                </select>
+            </td>
+        </tr>
+    `).join('');
+
+    body.querySelectorAll('.import-mapping-select').forEach(select => {
+        const header = importAnalysis.headers[select.getAttribute('data-index')];
+        select.value = mapping.columns[header] || '';
+    });
+
+    document.getElementById('importDateFormat').value = mapping.date_format || importAnalysis.mapping.date_format;
+    document.getElementById('importTimeUnit').value = mapping.time_unit || 'hours';
+}
+
+function readImportMapping() {
+    const columns = {};
+    document.querySelectorAll('.import-mapping-select').forEach(select => {
+        if (select.value) {
+            columns[importAnalysis.headers[select.getAttribute('data-index')]] = select.value;
+        }
+    });
+
+    return {
+        columns,
+        date_format: document.getElementById('importDateFormat').value,
+        time_unit: document.getElementById('importTimeUnit').value
+    };
+}
+
+async function saveImportMapping() {
+    const saveBtn = document.getElementById('saveImportMappingBtn');
+    const name = document.getElementById('importMappingName').value.trim();
+
+    if (!name) {
+        showToast('Enter a name for this mapping', 'error');
+        return;
+    }
+
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Saving...';
+
+    try {
+        const response = await fetch('/api/flights/import/mappings', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ name, format: importAnalysis.format.id, mapping: readImportMapping() }),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to save mapping');
+        }
+
+        await loadImportMappings(data.id);
+        showToast(`Mapping "${data.name}" saved`);
+    } catch (error) {
+        console.error('Save import mapping error:', error);
+        showToast(error.message || 'Failed to save mapping', 'error');
+    } finally {
+        saveBtn.disabled = false;
+        saveBtn.textContent = 'Save Mapping';
+    }
+}
+
+async function deleteImportMapping() {
+    const select = document.getElementById('importSavedMapping');
+    const saved = importSavedMappings.find(m => m.id === parseInt(select.value));
+
+    if (!saved || !confirm(`Delete the saved mapping "${saved.name}"?`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/flights/import/mappings/${saved.id}`, { method: 'DELETE' });
+
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Failed to delete mapping');
+        }
+
+        await loadImportMappings(null);
+        applySavedImportMapping();
+        showToast('Mapping deleted');
+    } catch (error) {
+        console.error('Delete import mapping error:', error);
+        showToast(error.message || 'Failed to delete mapping', 'error');
+    }
+}
+
+async function postImport(dryRun) {
+    const createAircraft = document.getElementById('importCreateAircraft');
+
+    const response = await fetch('/api/flights/import/csv', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+            csv: importCsvText,
+            mapping: readImportMapping(),
+            dry_run: dryRun,
+            create_aircraft_types: Boolean(createAircraft && createAircraft.checked)
+        }),
+    });
+
+    return { ok: response.ok, data: await response.json() };
+}
+
+async function previewImport() {
+    const previewBtn = document.getElementById('importPreviewBtn');
+    const commitBtn = document.getElementById('importCommitBtn');
+    const errorAlert = document.getElementById('errorAlert');
+
+    errorAlert.classList.add('hidden');
+    commitBtn.disabled = true;
+
+    if (!importCsvText) {
+        return;
+    }
+
+    previewBtn.disabled = true;
+    previewBtn.textContent = 'Checking...';
+
+    try {
+        const { ok, data } = await postImport(true);
+
+        if (!ok) {
+            throw new Error(data.error || 'Failed to check CSV file');
+        }
+
+        renderImportResults(data);
+        commitBtn.disabled = data.errors.length > 0 || data.total_rows === 0;
+    } catch (error) {
+        console.error('Import preview error:', error);
+        errorAlert.textContent = error.message || 'Failed to check CSV file. Please try again.';
+        errorAlert.classList.remove('hidden');
+        document.getElementById('importResults').classList.add('hidden');
+    } finally {
+        previewBtn.disabled = false;
+        previewBtn.textContent = 'Preview';
+    }
+}
+
+function renderImportResults(data) {
+    const results = document.getElementById('importResults');
+    let html = `<p><strong>${data.valid_rows} of ${data.total_rows}</strong> rows are ready to import.</p>`;
+
+    data.warnings.forEach(warning => {
+        html += `<div class="alert alert-warning">${escapeHtml(warning)}</div>`;
+    });
+
+    if (data.new_aircraft_types.length > 0) {
+        html += `
+            <div class="form-check mb-2">
+                <input type="checkbox" id="importCreateAircraft" class="form-check-input" checked>
+                <label for="importCreateAircraft" class="form-check-label">
+                    Add missing aircraft types to Settings: ${data.new_aircraft_types.map(escapeHtml).join(', ')}
+                </label>
+            </div>
+        `;
+    }
+
+    if (data.errors.length > 0) {
+        html += `
+            <div class="alert alert-error">Fix these rows in your file or mapping and preview again:</div>
+            <div class="table-container">
+                <table class="table">
+                    <thead><tr><th>Row</th><th>Problem</th></tr></thead>
+                    <tbody>
+                        ${data.errors.map(e => `<tr><td>${e.row}</td><td>${escapeHtml(e.error)}</td></tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    results.innerHTML = html;
+    results.classList.remove('hidden');
+}
+
+async function commitImport() {
+    const commitBtn = document.getElementById('importCommitBtn');
+    const successAlert = document.getElementById('successAlert');
+    const errorAlert = document.getElementById('errorAlert');
+
+    successAlert.classList.add('hidden');
+    errorAlert.classList.add('hidden');
+
+    commitBtn.disabled = true;
+    commitBtn.textContent = 'Importing...';
+
+    try {
+        const { ok, data } = await postImport(false);
+
+        if (!ok) {
+            if (data.errors) {
+                renderImportResults(data);
+            }
+            throw new Error(data.error || 'Failed to import flights');
+        }
+
+        successAlert.textContent = data.aircraft_types_created > 0
+            ? `Imported ${data.flights_imported} flights and added ${data.aircraft_types_created} aircraft types successfully!`
+            : `Imported ${data.flights_imported} flights successfully!`;
+        successAlert.classList.remove('hidden');
+
+        // Reset so the same file is not imported twice by accident
+        document.getElementById('importCsvForm').reset();
+        document.getElementById('importMappingSection').classList.add('hidden');
+        document.getElementById('importResults').classList.add('hidden');
+        document.getElementById('importPreviewBtn').disabled = true;
+        importCsvText = null;
+        importAnalysis = null;
+
+        if (data.aircraft_types_created > 0) {
+            loadAircraftList();
+        }
+
+        setTimeout(() => {
+            successAlert.classList.add('hidden');
+        }, 5000);
+    } catch (error) {
+        console.error('Import error:', error);
+        errorAlert.textContent = error.message || 'Failed to import flights. Please try again.';
+        errorAlert.classList.remove('hidden');
+    } finally {
+        commitBtn.textContent = 'Import Flights';
+    }
+
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
 // ==================== UTILITY FUNCTIONS ====================
 // formatDate, escapeHtml are provided by common.js
 
@@ -0,0 +1,273 @@
+// Trash (recycle bin) functionality
+// Note: checkAuth, setupNavigation, logout, escapeHtml, formatDate, truncate, showToast, loadTimeFormat, formatHours
+// are provided by common.js
+
+let trashedFlights = [];
+let selectedFlightIds = new Set();
+
+// Flights to purge when the confirmation modal is accepted: array of IDs, or 'all' to empty the Trash
+let pendingPurge = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Check authentication
+    checkAuth();
+
+    // Set up navigation
+    setupNavigation();
+
+    // Set up actions
+    setupTrashActions();
+
+    // Load deleted flights
+    loadTrash();
+});
+
+function setupTrashActions() {
+    document.getElementById('trashTableBody').addEventListener('change', (e) => {
+        if (!e.target.classList.contains('flight-select')) {
+            return;
+        }
+        const id = parseInt(e.target.value);
+        if (e.target.checked) {
+            selectedFlightIds.add(id);
+        } else {
+            selectedFlightIds.delete(id);
+        }
+        updateSelectionUI();
+    });
+
+    document.getElementById('selectAllCheckbox').addEventListener('change', (e) => {
+        selectedFlightIds = e.target.checked ? new Set(trashedFlights.map(f => f.id)) : new Set();
+        document.querySelectorAll('.flight-select').forEach(cb => {
+            cb.checked = e.target.checked;
+        });
+        updateSelectionUI();
+    });
+
+    document.getElementById('restoreSelectedBtn').addEventListener('click', () => restoreFlights(Array.from(selectedFlightIds)));
+    document.getElementById('purgeSelectedBtn').addEventListener('click', () => confirmPurge(Array.from(selectedFlightIds)));
+    document.getElementById('emptyTrashBtn').addEventListener('click', () => confirmPurge('all'));
+
+    document.getElementById('confirmPurgeBtn').addEventListener('click', purgeFlights);
+    document.getElementById('cancelPurgeBtn').addEventListener('click', closePurgeModal);
+
+    document.getElementById('retentionSelect').addEventListener('change', saveRetention);
+}
+
+async function loadTrash() {
+    const loading = document.getElementById('loading');
+    const errorAlert = document.getElementById('errorAlert');
+    const trashContainer = document.getElementById('trashContainer');
+    const tableBody = document.getElementById('trashTableBody');
+    const noFlights = document.getElementById('noFlights');
+
+    // Show loading
+    loading.classList.remove('hidden');
+    trashContainer.classList.add('hidden');
+    errorAlert.classList.add('hidden');
+
+    try {
+        // Times are shown in the user's time format
+        await loadTimeFormat();
+
+        const response = await fetch('/api/flights/trash');
+        if (!response.ok) {
+            throw new Error('Failed to load trash');
+        }
+
+        const data = await response.json();
+        trashedFlights = data.flights;
+        selectedFlightIds = new Set();
+
+        setRetentionOption(data.retention_days);
+
+        // Hide loading, show content
+        loading.classList.add('hidden');
+        trashContainer.classList.remove('hidden');
+
+        if (trashedFlights.length === 0) {
+            tableBody.innerHTML = '';
+            noFlights.classList.remove('hidden');
+        } else {
+            noFlights.classList.add('hidden');
+            displayTrash(trashedFlights);
+        }
+
+        updateSelectionUI();
+    } catch (error) {
+        console.error('Load trash error:', error);
+        loading.classList.add('hidden');
+        errorAlert.textContent = 'Failed to load the Trash. Please try again.';
+        errorAlert.classList.remove('hidden');
+    }
+}
+
+function displayTrash(flights) {
+    const tableBody = document.getElementById('trashTableBody');
+
+    tableBody.innerHTML = flights.map(flight => `
+        <tr>
+            <td><input type="checkbox" class="flight-select" value="${flight.id}"></td>
+            <td>${formatDate(flight.date)}</td>
+            <td>${escapeHtml(flight.aircraft_type)}</td>
+            <td class="registration-cell">${escapeHtml(flight.registration || '-')}</td>
+            <td>${escapeHtml(truncate(flight.route || '-', 40))}</td>
+            <td>${formatHours(flight.flight_time)} hrs</td>
+            <td>${formatDate(flight.deleted_at)}</td>
+            <td>${flight.purge_at ? formatDate(flight.purge_at) : 'Never'}</td>
+            <td class="table-actions">
+                <button class="btn btn-small btn-secondary" onclick="restoreFlights([${flight.id}])">Restore</button>
+                <button class="btn btn-small btn-danger" onclick="confirmPurge([${flight.id}])">Delete Forever</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Select the retention option, adding it if the stored value isn't one of the presets
+ * @param {number} days - Retention period in days (0 = never purge)
+ */
+function setRetentionOption(days) {
+    const select = document.getElementById('retentionSelect');
+    const value = String(days);
+    if (!Array.from(select.options).some(option => option.value === value)) {
+        select.add(new Option(`${days} days`, value));
+    }
+    select.value = value;
+}
+
+function updateSelectionUI() {
+    const count = selectedFlightIds.size;
+    const selectAll = document.getElementById('selectAllCheckbox');
+
+    document.getElementById('restoreSelectedBtn').disabled = count === 0;
+    document.getElementById('purgeSelectedBtn').disabled = count === 0;
+    document.getElementById('emptyTrashBtn').disabled = trashedFlights.length === 0;
+
+    selectAll.checked = trashedFlights.length > 0 && count === trashedFlights.length;
+    selectAll.indeterminate = count > 0 && count < trashedFlights.length;
+}
+
+function formatFlightCount(count) {
+    return `${count} flight${count === 1 ? '' : 's'}`;
+}
+
+function showSuccess(message) {
+    const successAlert = document.getElementById('successAlert');
+    showToast(message, 'success');
+    successAlert.textContent = message;
+    successAlert.classList.remove('hidden');
+    setTimeout(() => {
+        successAlert.classList.add('hidden');
+    }, 3000);
+}
+
+async function restoreFlights(ids) {
+    const errorAlert = document.getElementById('errorAlert');
+    errorAlert.classList.add('hidden');
+
+    try {
+        const response = await fetch('/api/flights/trash/restore', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ ids }),
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to restore flights');
+        }
+
+        showSuccess(`${formatFlightCount(data.flights_restored)} restored`);
+        await loadTrash();
+    } catch (error) {
+        console.error('Restore error:', error);
+        errorAlert.textContent = error.message || 'Failed to restore flights. Please try again.';
+        errorAlert.classList.remove('hidden');
+    }
+}
+
+function confirmPurge(ids) {
+    pendingPurge = ids;
+    const count = ids === 'all' ? trashedFlights.length : ids.length;
+    document.getElementById('purgeCount').textContent = ids === 'all'
+        ? `all ${formatFlightCount(count)} in the Trash`
+        : formatFlightCount(count);
+
+    const modal = document.getElementById('purgeModal');
+    modal.classList.remove('hidden');
+    modal.style.display = 'flex';
+}
+
+function closePurgeModal() {
+    const modal = document.getElementById('purgeModal');
+    modal.classList.add('hidden');
+    modal.style.display = 'none';
+    pendingPurge = null;
+}
+
+async function purgeFlights() {
+    const confirmBtn = document.getElementById('confirmPurgeBtn');
+    const errorAlert = document.getElementById('errorAlert');
+    const body = pendingPurge === 'all' ? { all: true } : { ids: pendingPurge };
+
+    try {
+        confirmBtn.disabled = true;
+        confirmBtn.textContent = 'Deleting...';
+
+        const response = await fetch('/api/flights/trash/purge', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body),
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to delete flights');
+        }
+
+        closePurgeModal();
+        showSuccess(`${formatFlightCount(data.flights_purged)} permanently deleted`);
+        await loadTrash();
+    } catch (error) {
+        console.error('Purge error:', error);
+        closePurgeModal();
+        errorAlert.textContent = error.message || 'Failed to delete flights. Please try again.';
+        errorAlert.classList.remove('hidden');
+    } finally {
+        confirmBtn.disabled = false;
+        confirmBtn.textContent = 'Delete Forever';
+    }
+}
+
+async function saveRetention() {
+    const select = document.getElementById('retentionSelect');
+    const errorAlert = document.getElementById('errorAlert');
+
+    try {
+        const response = await fetch('/api/preferences', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ trashRetentionDays: parseInt(select.value) }),
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to save retention period');
+        }
+
+        showToast('Retention period saved', 'success');
+        // Purge dates (and anything now past its retention) change with the setting
+        await loadTrash();
+    } catch (error) {
+        console.error('Save retention error:', error);
+        errorAlert.textContent = error.message || 'Failed to save retention period. Please try again.';
+        errorAlert.classList.remove('hidden');
+    }
+}
@@ -0,0 +1,93 @@
+const express = require('express');
+const db = require('../models/database');
+const { requireAuth } = require('../middleware/auth');
+const { findAirport, searchAirports, getLandingSites, validateLandingSite } = require('../lib/airports');
+const { recalculateCrossCountry } = require('../lib/cross-country');
+const router = express.Router();
+
+// All routes require authentication
+router.use(requireAuth);
+
+// Search airports, heliports and private landing sites (?q=text&limit=n)
+router.get('/', (req, res) => {
+  try {
+    res.json(searchAirports(req.session.userId, req.query.q, req.query.limit));
+  } catch (error) {
+    console.error('Error searching airports:', error);
+    res.status(500).json({ error: 'Error searching airports' });
+  }
+});
+
+// Get the user's private landing sites
+router.get('/sites', (req, res) => {
+  try {
+    res.json(getLandingSites(req.session.userId));
+  } catch (error) {
+    console.error('Error fetching landing sites:', error);
+    res.status(500).json({ error: 'Error fetching landing sites' });
+  }
+});
+
+// Add a private landing site
+router.post('/sites', (req, res) => {
+  const validation = validateLandingSite(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  const { code, name, type, latitude, longitude, elevation_ft, timezone } = validation.site;
+
+  try {
+    const result = db.prepare(`
+      INSERT INTO landing_sites (user_id, code, name, type, latitude, longitude, elevation_ft, timezone)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(req.session.userId, code, name, type, latitude, longitude, elevation_ft, timezone);
+
+    // Flights already logged to or from the site now have a distance
+    recalculateCrossCountry(req.session.userId);
+
+    res.status(201).json(findAirport(req.session.userId, code) || { id: result.lastInsertRowid });
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      return res.status(400).json({ error: 'You already have a landing site with this code' });
+    }
+    console.error('Error adding landing site:', error);
+    res.status(500).json({ error: 'Error adding landing site' });
+  }
+});
+
+// Delete a private landing site (flights that use its code keep it as text, without a distance)
+router.delete('/sites/:id', (req, res) => {
+  try {
+    const result = db.prepare('DELETE FROM landing_sites WHERE id = ? AND user_id = ?')
+      .run(req.params.id, req.session.userId);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Landing site not found' });
+    }
+
+    recalculateCrossCountry(req.session.userId);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting landing site:', error);
+    res.status(500).json({ error: 'Error deleting landing site' });
+  }
+});
+
+// Look up an airport or landing site by ICAO, IATA or site code
+router.get('/:code', (req, res) => {
+  try {
+    const airport = findAirport(req.session.userId, req.params.code);
+    if (!airport) {
+      return res.status(404).json({ error: 'Airport not found' });
+    }
+
+    res.json(airport);
+  } catch (error) {
+    console.error('Error fetching airport:', error);
+    res.status(500).json({ error: 'Error fetching airport' });
+  }
+});
+
+module.exports = router;
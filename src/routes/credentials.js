@@ -0,0 +1,188 @@
+const express = require('express');
+const db = require('../models/database');
+const { requireAuth } = require('../middleware/auth');
+const { getPreferences, getUserTimezone } = require('../lib/preferences');
+const { todayInTimezone } = require('../lib/timezones');
+const {
+  CREDENTIAL_TYPES,
+  EXPIRY_WINDOWS,
+  MAX_CREDENTIALS,
+  CREDENTIAL_COLUMNS,
+  validateCredentialData,
+  formatCredential,
+  getCredentials,
+  getExpiringCredentials
+} = require('../lib/credentials');
+const { MEDICAL_AUTHORITIES } = require('../lib/medical');
+const router = express.Router();
+
+// All routes require authentication
+router.use(requireAuth);
+
+/**
+ * Today in the user's home timezone, which expiry dates are counted from
+ */
+function userToday(userId) {
+  return todayInTimezone(getUserTimezone(userId));
+}
+
+/**
+ * Read back a saved credential as the API returns it
+ */
+function readCredential(id, userId) {
+  const row = db.prepare(`SELECT ${CREDENTIAL_COLUMNS} FROM credentials WHERE id = ? AND user_id = ?`).get(id, userId);
+  return row ? formatCredential(row, userToday(userId), getPreferences(userId).dateOfBirth) : null;
+}
+
+// Get all credentials
+router.get('/', (req, res) => {
+  try {
+    res.json(getCredentials(req.session.userId, userToday(req.session.userId)));
+  } catch (error) {
+    console.error('Error fetching credentials:', error);
+    res.status(500).json({ error: 'Error fetching credentials' });
+  }
+});
+
+// Credentials that have expired or expire within the next 90 days (for the dashboard)
+router.get('/expiring', (req, res) => {
+  try {
+    const today = userToday(req.session.userId);
+    res.json({
+      as_of: today,
+      windows: EXPIRY_WINDOWS,
+      credentials: getExpiringCredentials(req.session.userId, today)
+    });
+  } catch (error) {
+    console.error('Error fetching expiring credentials:', error);
+    res.status(500).json({ error: 'Error fetching expiring credentials' });
+  }
+});
+
+// Kinds of credential
+router.get('/types', (req, res) => {
+  res.json(Object.entries(CREDENTIAL_TYPES).map(([key, label]) => ({ key, label })));
+});
+
+// Medical authorities whose rules a medical's validity can be worked out from
+router.get('/medical-rules', (req, res) => {
+  res.json(Object.entries(MEDICAL_AUTHORITIES).map(([key, authority]) => ({
+    key,
+    label: authority.label,
+    note: authority.note,
+    classes: Object.entries(authority.classes).map(([classKey, medicalClass]) => ({
+      key: classKey,
+      label: medicalClass.label,
+      privileges: medicalClass.privileges.map(privilege => authority.privileges[privilege].label)
+    }))
+  })));
+});
+
+// Download a credential's attachment
+router.get('/:id/attachment', (req, res) => {
+  try {
+    const row = db.prepare(`
+      SELECT attachment_name, attachment_type, attachment
+      FROM credentials
+      WHERE id = ? AND user_id = ?
+    `).get(req.params.id, req.session.userId);
+
+    if (!row || !row.attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    // res.attachment adds an ASCII fallback and a UTF-8 filename* for names outside Latin-1
+    res.attachment(row.attachment_name);
+    res.setHeader('Content-Type', row.attachment_type);
+    res.send(row.attachment);
+  } catch (error) {
+    console.error('Error fetching attachment:', error);
+    res.status(500).json({ error: 'Error fetching attachment' });
+  }
+});
+
+// Add a credential
+router.post('/', (req, res) => {
+  const validation = validateCredentialData(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const count = db.prepare('SELECT COUNT(*) as count FROM credentials WHERE user_id = ?').get(req.session.userId);
+    if (count.count >= MAX_CREDENTIALS) {
+      return res.status(400).json({ error: `Maximum of ${MAX_CREDENTIALS} credentials allowed` });
+    }
+
+    const { credential } = validation;
+    const attachment = validation.attachment || { name: null, type: null, data: null };
+    const result = db.prepare(`
+      INSERT INTO credentials (user_id, type, name, reference, issuing_authority, issue_date, expiry_date, notes,
+                               medical_authority, medical_class, attachment_name, attachment_type, attachment)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(req.session.userId, credential.type, credential.name, credential.reference, credential.issuing_authority,
+      credential.issue_date, credential.expiry_date, credential.notes, credential.medical_authority, credential.medical_class,
+      attachment.name, attachment.type, attachment.data);
+
+    res.status(201).json(readCredential(result.lastInsertRowid, req.session.userId));
+  } catch (error) {
+    console.error('Error creating credential:', error);
+    res.status(500).json({ error: 'Error creating credential' });
+  }
+});
+
+// Update a credential (its attachment is kept unless a new one is sent or remove_attachment is set)
+router.put('/:id', (req, res) => {
+  const validation = validateCredentialData(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const { credential, attachment } = validation;
+    const result = db.transaction(() => {
+      const updated = db.prepare(`
+        UPDATE credentials
+        SET type = ?, name = ?, reference = ?, issuing_authority = ?, issue_date = ?, expiry_date = ?, notes = ?,
+            medical_authority = ?, medical_class = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND user_id = ?
+      `).run(credential.type, credential.name, credential.reference, credential.issuing_authority,
+        credential.issue_date, credential.expiry_date, credential.notes, credential.medical_authority,
+        credential.medical_class, req.params.id, req.session.userId);
+
+      if (updated.changes > 0 && attachment !== undefined) {
+        db.prepare(`
+          UPDATE credentials SET attachment_name = ?, attachment_type = ?, attachment = ? WHERE id = ?
+        `).run(attachment && attachment.name, attachment && attachment.type, attachment && attachment.data, req.params.id);
+      }
+      return updated;
+    })();
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Credential not found' });
+    }
+
+    res.json(readCredential(req.params.id, req.session.userId));
+  } catch (error) {
+    console.error('Error updating credential:', error);
+    res.status(500).json({ error: 'Error updating credential' });
+  }
+});
+
+// Delete a credential
+router.delete('/:id', (req, res) => {
+  try {
+    const result = db.prepare('DELETE FROM credentials WHERE id = ? AND user_id = ?').run(req.params.id, req.session.userId);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Credential not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting credential:', error);
+    res.status(500).json({ error: 'Error deleting credential' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require('express');
+const db = require('../models/database');
+const { requireAuth } = require('../middleware/auth');
+const { getPreferences, getUserTimezone } = require('../lib/preferences');
+const { todayInTimezone } = require('../lib/timezones');
+const {
+  CURRENCY_METRICS,
+  MAX_RULES,
+  validateRuleData,
+  getUserRules,
+  getCurrencyFlights,
+  evaluateCurrencies
+} = require('../lib/currency');
+const router = express.Router();
+
+// All routes require authentication
+router.use(requireAuth);
+
+// Get the user's currencies as of today
+router.get('/', (req, res) => {
+  try {
+    const asOf = todayInTimezone(getUserTimezone(req.session.userId));
+    const byType = getPreferences(req.session.userId).currencyByType;
+    const flights = getCurrencyFlights(req.session.userId, asOf);
+
+    res.json({
+      as_of: asOf,
+      by_type: byType,
+      currencies: evaluateCurrencies(flights, asOf, byType, getUserRules(req.session.userId))
+    });
+  } catch (error) {
+    console.error('Error fetching currency:', error);
+    res.status(500).json({ error: 'Error fetching currency' });
+  }
+});
+
+// Check currency for a flight being logged: as of its date, for the rules that apply to it,
+// leaving out the flight itself when it is being edited. flight_details and custom_field_ids
+// (fields with time logged) decide which of the user's own rules apply.
+router.get('/check', (req, res) => {
+  const { date, aircraft_category: category, aircraft_type: type } = req.query;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+    return res.status(400).json({ error: 'date must be a date (YYYY-MM-DD)' });
+  }
+  if (!category) {
+    return res.status(400).json({ error: 'aircraft_category is required' });
+  }
+
+  try {
+    // Currency isn't needed to log simulator time
+    if (category === 'Simulator') {
+      return res.json({ as_of: date, currencies: [] });
+    }
+
+    const customValues = {};
+    String(req.query.custom_field_ids || '').split(',').filter(Boolean).forEach(id => {
+      customValues[parseInt(id)] = 1;
+    });
+
+    const byType = getPreferences(req.session.userId).currencyByType;
+    const flights = getCurrencyFlights(req.session.userId, date, parseInt(req.query.exclude_id) || null);
+
+    res.json({
+      as_of: date,
+      currencies: evaluateCurrencies(flights, date, byType, getUserRules(req.session.userId), {
+        aircraft_category: category,
+        aircraft_type: type || '',
+        flight_details: req.query.flight_details || '',
+        custom_values: customValues
+      })
+    });
+  } catch (error) {
+    console.error('Error checking currency:', error);
+    res.status(500).json({ error: 'Error checking currency' });
+  }
+});
+
+// ==================== RULES ====================
+
+// What a rule can count (for the rule builder)
+router.get('/metrics', (req, res) => {
+  res.json(Object.entries(CURRENCY_METRICS).map(([key, metric]) => ({
+    key,
+    label: metric.label,
+    hours: metric.hours,
+    needs_custom_field: !!metric.needsCustomField
+  })));
+});
+
+// Get the user's own rules
+router.get('/rules', (req, res) => {
+  try {
+    res.json(getUserRules(req.session.userId));
+  } catch (error) {
+    console.error('Error fetching currency rules:', error);
+    res.status(500).json({ error: 'Error fetching currency rules' });
+  }
+});
+
+// Add a rule
+router.post('/rules', (req, res) => {
+  const validation = validateRuleData(req.body, req.session.userId);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const count = db.prepare('SELECT COUNT(*) as count FROM currency_rules WHERE user_id = ?').get(req.session.userId);
+    if (count.count >= MAX_RULES) {
+      return res.status(400).json({ error: `Maximum of ${MAX_RULES} currency rules allowed` });
+    }
+
+    const { rule } = validation;
+    const result = db.prepare(`
+      INSERT INTO currency_rules (user_id, name, metric, minimum, days, aircraft_category, aircraft_type, tag, custom_field_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(req.session.userId, rule.name, rule.metric, rule.minimum, rule.days,
+      rule.aircraft_category, rule.aircraft_type, rule.tag, rule.custom_field_id);
+
+    res.status(201).json({ id: result.lastInsertRowid, ...rule });
+  } catch (error) {
+    console.error('Error creating currency rule:', error);
+    res.status(500).json({ error: 'Error creating currency rule' });
+  }
+});
+
+// Update a rule
+router.put('/rules/:id', (req, res) => {
+  const validation = validateRuleData(req.body, req.session.userId);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const { rule } = validation;
+    const result = db.prepare(`
+      UPDATE currency_rules
+      SET name = ?, metric = ?, minimum = ?, days = ?, aircraft_category = ?, aircraft_type = ?, tag = ?,
+          custom_field_id = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND user_id = ?
+    `).run(rule.name, rule.metric, rule.minimum, rule.days, rule.aircraft_category, rule.aircraft_type,
+      rule.tag, rule.custom_field_id, req.params.id, req.session.userId);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Currency rule not found' });
+    }
+
+    res.json({ id: parseInt(req.params.id), ...rule });
+  } catch (error) {
+    console.error('Error updating currency rule:', error);
+    res.status(500).json({ error: 'Error updating currency rule' });
+  }
+});
+
+// Delete a rule
+router.delete('/rules/:id', (req, res) => {
+  try {
+    const result = db.prepare('DELETE FROM currency_rules WHERE id = ? AND user_id = ?').run(req.params.id, req.session.userId);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Currency rule not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting currency rule:', error);
+    res.status(500).json({ error: 'Error deleting currency rule' });
+  }
+});
+
+module.exports = router;
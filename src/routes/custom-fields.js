@@ -137,6 +137,29 @@ router.delete('/:id', (req, res) => {
       });
     }
 
+    // Check if field is used by any currency rules
+    const rules = db.prepare('SELECT COUNT(*) as count FROM currency_rules WHERE custom_field_id = ?').get(fieldId);
+
+    if (rules.count > 0) {
+      return res.status(400).json({
+        error: `Cannot delete custom field "${field.field_label}". It is used by ${rules.count} currency rule(s).`
+      });
+    }
+
+    // Check if field is used by any requirement templates
+    const templates = db.prepare(`
+      SELECT COUNT(DISTINCT ri.template_id) as count
+      FROM requirement_items ri
+      JOIN requirement_templates rt ON rt.id = ri.template_id
+      WHERE ri.custom_field_id = ? AND rt.user_id = ?
+    `).get(fieldId, req.session.userId);
+
+    if (templates.count > 0) {
+      return res.status(400).json({
+        error: `Cannot delete custom field "${field.field_label}". It is used by ${templates.count} requirement template(s).`
+      });
+    }
+
     // Delete the custom field (will cascade delete values due to ON DELETE CASCADE)
     db.prepare('DELETE FROM custom_fields WHERE id = ?').run(fieldId);
 
@@ -0,0 +1,228 @@
+const express = require('express');
+const db = require('../models/database');
+const { requireAuth } = require('../middleware/auth');
+const { getPreferences, getUserTimezone } = require('../lib/preferences');
+const {
+  FTL_LIMIT_TYPES,
+  FTL_RULE_SETS,
+  validateDutyData,
+  findOverlappingDuty,
+  linkDutyFlights,
+  getDutyPeriods,
+  formatDuty,
+  evaluateLimits,
+  checkUpcomingDuties
+} = require('../lib/ftl');
+const router = express.Router();
+
+// All routes require authentication
+router.use(requireAuth);
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Validate a duty period from the request and check it doesn't overlap another
+ * @param {number|null} excludeId - Duty period being edited
+ * @returns {{ valid: boolean, error?: string, duty?: Object }}
+ */
+function readDuty(req, excludeId = null) {
+  const validation = validateDutyData(req.body, getUserTimezone(req.session.userId));
+  if (!validation.valid) {
+    return validation;
+  }
+
+  if (findOverlappingDuty(req.session.userId, validation.duty, excludeId)) {
+    return { valid: false, error: 'This duty period overlaps another one' };
+  }
+  return validation;
+}
+
+/**
+ * Limits a saved duty period breaks or comes close to (only checked for duties yet to start)
+ */
+function dutyWarnings(userId, duty, dutyId) {
+  if (Date.parse(duty.report_at) <= Date.now()) {
+    return [];
+  }
+  return evaluateLimits(userId, { planned: duty, excludeId: dutyId }).results
+    .filter(result => result.status !== 'ok');
+}
+
+// ==================== ROUTES ====================
+
+// List duty periods, most recent first
+router.get('/', (req, res) => {
+  try {
+    const timezone = getUserTimezone(req.session.userId);
+    const duties = getDutyPeriods(req.session.userId)
+      .reverse()
+      .map(duty => formatDuty(duty, timezone));
+
+    res.json(duties);
+  } catch (error) {
+    console.error('Error fetching duty periods:', error);
+    res.status(500).json({ error: 'Error fetching duty periods' });
+  }
+});
+
+// Limits as they stand now, plus upcoming duties that would break one
+router.get('/limits', (req, res) => {
+  try {
+    const { ruleSet, results } = evaluateLimits(req.session.userId);
+
+    res.json({
+      rule_set: ruleSet,
+      limits: results,
+      upcoming: ruleSet ? checkUpcomingDuties(req.session.userId).filter(item => item.results.length > 0) : []
+    });
+  } catch (error) {
+    console.error('Error checking limits:', error);
+    res.status(500).json({ error: 'Error checking limits' });
+  }
+});
+
+// Preset rule sets and the kinds of limit a custom rule set can have
+router.get('/rule-sets', (req, res) => {
+  const prefs = getPreferences(req.session.userId);
+  res.json({
+    current: prefs.ftlRuleSet,
+    custom_limits: prefs.ftlCustomLimits,
+    presets: FTL_RULE_SETS,
+    limit_types: FTL_LIMIT_TYPES
+  });
+});
+
+// Flights that can be linked to a duty period: those on the duty's dates
+router.get('/flights', (req, res) => {
+  const dateFrom = req.query.date_from;
+  const dateTo = req.query.date_to || dateFrom;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateFrom || '') || !/^\d{4}-\d{2}-\d{2}$/.test(dateTo)) {
+    return res.status(400).json({ error: 'date_from and date_to must be dates (YYYY-MM-DD)' });
+  }
+
+  try {
+    const flights = db.prepare(`
+      SELECT id, date, aircraft_type, registration, departure, arrival,
+             flight_time_hours as flight_time, duty_period_id
+      FROM flights
+      WHERE user_id = ? AND deleted_at IS NULL AND entry_type != 'prime' AND date >= ? AND date <= ?
+      ORDER BY date ASC, off_time ASC, id ASC
+    `).all(req.session.userId, dateFrom, dateTo);
+
+    res.json(flights);
+  } catch (error) {
+    console.error('Error fetching duty flights:', error);
+    res.status(500).json({ error: 'Error fetching flights' });
+  }
+});
+
+// Check a planned duty against the limits without saving it
+router.post('/check', (req, res) => {
+  const excludeId = parseInt(req.body.id) || null;
+  const validation = readDuty(req, excludeId);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const { ruleSet, results } = evaluateLimits(req.session.userId, { planned: validation.duty, excludeId });
+    res.json({ rule_set: ruleSet, limits: results });
+  } catch (error) {
+    console.error('Error checking duty:', error);
+    res.status(500).json({ error: 'Error checking duty' });
+  }
+});
+
+// Add a duty period
+router.post('/', (req, res) => {
+  const validation = readDuty(req);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const { duty } = validation;
+    const dutyId = db.transaction(() => {
+      const result = db.prepare(`
+        INSERT INTO duty_periods (user_id, report_at, off_duty_at, planned_flight_hours, notes)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(req.session.userId, duty.report_at, duty.off_duty_at, duty.planned_flight_hours, duty.notes);
+
+      linkDutyFlights(req.session.userId, result.lastInsertRowid, req.body.flight_ids);
+      return result.lastInsertRowid;
+    })();
+
+    res.status(201).json({
+      id: dutyId,
+      ...duty,
+      warnings: dutyWarnings(req.session.userId, duty, dutyId)
+    });
+  } catch (error) {
+    console.error('Error creating duty period:', error);
+    res.status(500).json({ error: 'Error creating duty period' });
+  }
+});
+
+// Update a duty period
+router.put('/:id', (req, res) => {
+  const dutyId = parseInt(req.params.id);
+  const existing = db.prepare('SELECT id FROM duty_periods WHERE id = ? AND user_id = ?').get(dutyId, req.session.userId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Duty period not found' });
+  }
+
+  const validation = readDuty(req, dutyId);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const { duty } = validation;
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE duty_periods
+        SET report_at = ?, off_duty_at = ?, planned_flight_hours = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(duty.report_at, duty.off_duty_at, duty.planned_flight_hours, duty.notes, dutyId);
+
+      // Linked flights are replaced as a whole ([] unlinks them all); a duty period updated
+      // without flight_ids keeps the flights it has
+      if (req.body.flight_ids !== undefined) {
+        linkDutyFlights(req.session.userId, dutyId, req.body.flight_ids);
+      }
+    })();
+
+    res.json({
+      id: dutyId,
+      ...duty,
+      warnings: dutyWarnings(req.session.userId, duty, dutyId)
+    });
+  } catch (error) {
+    console.error('Error updating duty period:', error);
+    res.status(500).json({ error: 'Error updating duty period' });
+  }
+});
+
+// Delete a duty period (its flights are kept, just no longer linked)
+router.delete('/:id', (req, res) => {
+  try {
+    const deleted = db.transaction(() => {
+      const result = db.prepare('DELETE FROM duty_periods WHERE id = ? AND user_id = ?').run(req.params.id, req.session.userId);
+      if (result.changes > 0) {
+        db.prepare('UPDATE flights SET duty_period_id = NULL WHERE duty_period_id = ?').run(req.params.id);
+      }
+      return result.changes > 0;
+    })();
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Duty period not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting duty period:', error);
+    res.status(500).json({ error: 'Error deleting duty period' });
+  }
+});
+
+module.exports = router;
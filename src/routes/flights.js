@@ -1,6 +1,25 @@
 const express = require('express');
 const db = require('../models/database');
 const { requireAuth } = require('../middleware/auth');
+const { buildFlightFilters, describeFlightFilters } = require('../lib/flight-filters');
+const { calculateFlightTime, validateFlightData, roundHours, insertFlight, saveCustomFieldValues, calculateBlockTimes, formatTimeOfDay, isUtcTimes } = require('../lib/flight-data');
+const { buildLogbookColumns, LEG_COLUMN, formatCsvRow } = require('../lib/csv');
+const { getFlightSnapshot, recordRevision, getRevisions, applySnapshot } = require('../lib/flight-history');
+const { applyLegs, saveFlightLegs, getFlightLegs, batchFetchFlightLegs, expandLegRows, syncLegEndpoints } = require('../lib/flight-legs');
+const {
+  APPROACH_TYPES,
+  applyApproaches,
+  saveFlightApproaches,
+  getFlightApproaches,
+  batchFetchFlightApproaches,
+  describeApproaches
+} = require('../lib/approaches');
+const { calculateNightSplit } = require('../lib/night-time');
+const { classifyCrossCountry, updateFlightCrossCountry } = require('../lib/cross-country');
+const { getPreferences, getUserTimezone } = require('../lib/preferences');
+const { parseHours, formatHours } = require('../lib/hours');
+const { todayInTimezone, formatDateTimeInTimezone } = require('../lib/timezones');
+const { validateWindows, getRollingTotals } = require('../lib/rolling-hours');
 const router = express.Router();
 
 // All routes require authentication
@@ -8,46 +27,6 @@ router.use(requireAuth);
 
 // ==================== HELPER FUNCTIONS ====================
 
-/**
- * Calculate total flight time from component fields
- */
-function calculateFlightTime(data) {
-  return (
-    (parseFloat(data.day_pic) || 0) +
-    (parseFloat(data.night_pic) || 0) +
-    (parseFloat(data.day_dual) || 0) +
-    (parseFloat(data.night_dual) || 0) +
-    (parseFloat(data.day_sic) || 0) +
-    (parseFloat(data.night_sic) || 0) +
-    (parseFloat(data.day_cmnd_practice) || 0) +
-    (parseFloat(data.night_cmnd_practice) || 0)
-  );
-}
-
-/**
- * Validate flight data
- * @returns {{ valid: boolean, error?: string }}
- */
-function validateFlightData(data, flight_time) {
-  if (!data.date || !data.aircraft_type) {
-    return { valid: false, error: 'Missing required fields: Date and Aircraft Type are required' };
-  }
-
-  if (flight_time <= 0) {
-    return { valid: false, error: 'Total flight time must be greater than 0. Please enter at least one flight time value.' };
-  }
-
-  const flightDate = new Date(data.date);
-  const today = new Date();
-  today.setHours(23, 59, 59, 999);
-
-  if (flightDate > today) {
-    return { valid: false, error: 'Flight date cannot be in the future' };
-  }
-
-  return { valid: true };
-}
-
 /**
  * Batch fetch custom field values for multiple flights
  * @param {number[]} flightIds - Array of flight IDs
@@ -77,11 +56,42 @@ function batchFetchCustomFieldValues(flightIds) {
   return result;
 }
 
+// Fields that can be set across many flights at once: API field -> column (and allowed values where the form restricts them)
+const BULK_EDIT_FIELDS = {
+  aircraft_type: { column: 'aircraft_type', label: 'Aircraft Type', required: true },
+  aircraft_category: { column: 'aircraft_category', label: 'Aircraft Category', values: ['Helicopter', 'Aeroplane', 'Simulator'] },
+  engine_type: { column: 'engine_type', label: 'Engine Type', values: ['Single Engine', 'Multi Engine'] },
+  registration: { column: 'registration', label: 'Registration' },
+  pic: { column: 'pilot_in_command', label: 'Pilot in Command' },
+  copilot: { column: 'copilot_student', label: 'Co-pilot/Student' },
+  departure: { column: 'departure', label: 'Departure' },
+  arrival: { column: 'arrival', label: 'Arrival' }
+};
+
 /**
- * Round a number to 2 decimal places
+ * Build the SQL selection for a bulk operation from explicit flight IDs or flight list filters
+ * Filters that narrow nothing would select the whole logbook, so they also need all: true.
+ * @param {Object} body - Request body with either ids (array of flight IDs) or filters (flight list query params)
+ * @returns {{ valid: boolean, error?: string, where?: string, params?: Array }}
  */
-function roundHours(value) {
-  return Math.round(value * 100) / 100;
+function buildBulkSelection(body) {
+  if (Array.isArray(body.ids)) {
+    const ids = body.ids.map(id => parseInt(id)).filter(id => Number.isInteger(id) && id > 0);
+    if (ids.length === 0) {
+      return { valid: false, error: 'Select at least one flight' };
+    }
+    return { valid: true, where: ` AND id IN (${ids.map(() => '?').join(',')}) AND deleted_at IS NULL`, params: ids };
+  }
+
+  if (body.filters && typeof body.filters === 'object' && !Array.isArray(body.filters)) {
+    const filters = buildFlightFilters(body.filters);
+    if (filters.where === buildFlightFilters({}).where && body.all !== true) {
+      return { valid: false, error: 'No filters are set - confirm with all: true to select every flight' };
+    }
+    return { valid: true, ...filters };
+  }
+
+  return { valid: false, error: 'Select flights by ids or filters' };
 }
 
 // ==================== ROUTES ====================
@@ -91,29 +101,50 @@ router.get('/', (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 20;
   const offset = (page - 1) * limit;
-  const aircraftFilter = req.query.aircraft_type || '';
 
   try {
-    let query = 'SELECT id, date, aircraft_type, registration, pilot_in_command, copilot_student, flight_details as route, flight_time_hours as flight_time, day_hours, night_hours FROM flights WHERE user_id = ?';
-    let countQuery = 'SELECT COUNT(*) as total FROM flights WHERE user_id = ?';
-    const params = [req.session.userId];
-
-    if (aircraftFilter) {
-      query += ' AND aircraft_type = ?';
-      countQuery += ' AND aircraft_type = ?';
-      params.push(aircraftFilter);
-    }
-
-    query += ' ORDER BY date DESC, id DESC LIMIT ? OFFSET ?';
+    const filters = buildFlightFilters(req.query);
+    const params = [req.session.userId, ...filters.params];
+
+    const flights = db.prepare(`
+      SELECT id, date, aircraft_type, aircraft_category, engine_type, registration,
+             pilot_in_command, copilot_student, departure, arrival, entry_type,
+             flight_details as route, flight_time_hours as flight_time, day_hours, night_hours,
+             (SELECT COUNT(*) FROM flight_legs WHERE flight_legs.flight_id = flights.id) as leg_count
+      FROM flights
+      WHERE user_id = ?${filters.where}
+      ORDER BY date DESC, id DESC LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    // Count and subtotals for the whole filtered set (not just this page); opening balances add hours but are not flights
+    const totals = db.prepare(`
+      SELECT COUNT(*) as total,
+             COALESCE(SUM(CASE WHEN entry_type != 'prime' THEN 1 ELSE 0 END), 0) as flights,
+             COALESCE(SUM(flight_time_hours), 0) as hours,
+             COALESCE(SUM(day_pic + day_dual + day_sic + day_cmnd_practice), 0) as day,
+             COALESCE(SUM(night_pic + night_dual + night_sic + night_cmnd_practice), 0) as night,
+             COALESCE(SUM(day_pic + night_pic), 0) as pic,
+             COALESCE(SUM(day_dual + night_dual), 0) as dual,
+             COALESCE(SUM(day_sic + night_sic), 0) as sic,
+             COALESCE(SUM(day_cmnd_practice + night_cmnd_practice), 0) as cmnd_practice,
+             COALESCE(SUM(takeoffs_day + takeoffs_night), 0) as takeoffs,
+             COALESCE(SUM(landings_day + landings_night), 0) as landings
+      FROM flights
+      WHERE user_id = ?${filters.where}
+    `).get(...params);
 
-    const flights = db.prepare(query).all(...params, limit, offset);
-    const { total } = db.prepare(countQuery).get(...params);
+    const { total } = totals;
+    delete totals.total;
+    ['hours', 'day', 'night', 'pic', 'dual', 'sic', 'cmnd_practice'].forEach(key => {
+      totals[key] = roundHours(totals[key]);
+    });
 
     res.json({
       flights,
       currentPage: page,
       totalPages: Math.ceil(total / limit),
-      total
+      total,
+      totals
     });
   } catch (error) {
     console.error('Error fetching flights:', error);
@@ -121,6 +152,132 @@ router.get('/', (req, res) => {
   }
 });
 
+// Set fields across a selection of flights
+router.patch('/bulk', (req, res) => {
+  const selection = buildBulkSelection(req.body);
+  if (!selection.valid) {
+    return res.status(400).json({ error: selection.error });
+  }
+
+  const changes = req.body.changes;
+  if (!changes || typeof changes !== 'object' || Object.keys(changes).length === 0) {
+    return res.status(400).json({ error: 'Choose at least one field to change' });
+  }
+
+  const columns = [];
+  const values = [];
+  for (const [field, value] of Object.entries(changes)) {
+    if (!Object.hasOwn(BULK_EDIT_FIELDS, field)) {
+      return res.status(400).json({ error: `${field} cannot be bulk edited` });
+    }
+
+    const spec = BULK_EDIT_FIELDS[field];
+    if (typeof value !== 'string') {
+      return res.status(400).json({ error: `${spec.label} must be text` });
+    }
+
+    const trimmed = value.trim();
+    if (spec.required && !trimmed) {
+      return res.status(400).json({ error: `${spec.label} cannot be empty` });
+    }
+    if (spec.values && !spec.values.includes(trimmed)) {
+      return res.status(400).json({ error: `${spec.label} must be one of: ${spec.values.join(', ')}` });
+    }
+
+    columns.push(spec.column);
+    values.push(trimmed);
+  }
+
+  try {
+    // Only touch flights where something actually changes, so the count (and updated_at) is accurate
+    const bulkUpdate = db.transaction(() => {
+      const flightIds = db.prepare(`
+        SELECT id FROM flights
+        WHERE user_id = ?${selection.where}
+          AND NOT (${columns.map(col => `${col} IS ?`).join(' AND ')})
+      `).all(req.session.userId, ...selection.params, ...values).map(row => row.id);
+
+      const updateStmt = db.prepare(`
+        UPDATE flights SET ${columns.map(col => `${col} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `);
+
+      flightIds.forEach(id => {
+        const before = getFlightSnapshot(id);
+        updateStmt.run(...values, id);
+        if (columns.includes('departure') || columns.includes('arrival')) {
+          syncLegEndpoints(id);
+        }
+        if (columns.some(col => ['departure', 'arrival', 'aircraft_category'].includes(col))) {
+          updateFlightCrossCountry(req.session.userId, id);
+        }
+        recordRevision(req.session.userId, id, 'update', before, getFlightSnapshot(id));
+      });
+
+      return flightIds.length;
+    });
+
+    const flightsUpdated = bulkUpdate();
+
+    res.json({ success: true, flights_updated: flightsUpdated });
+  } catch (error) {
+    console.error('Error bulk updating flights:', error);
+    res.status(500).json({ error: 'Error updating flights' });
+  }
+});
+
+// Move a selection of flights to the Trash
+router.post('/bulk-delete', (req, res) => {
+  const selection = buildBulkSelection(req.body);
+  if (!selection.valid) {
+    return res.status(400).json({ error: selection.error });
+  }
+
+  try {
+    const bulkDelete = db.transaction(() => {
+      const flightIds = db.prepare(
+        `SELECT id FROM flights WHERE user_id = ?${selection.where}`
+      ).all(req.session.userId, ...selection.params).map(row => row.id);
+
+      const deleteStmt = db.prepare('UPDATE flights SET deleted_at = CURRENT_TIMESTAMP WHERE id = ?');
+      flightIds.forEach(id => {
+        deleteStmt.run(id);
+        recordRevision(req.session.userId, id, 'delete', getFlightSnapshot(id), null);
+      });
+
+      return flightIds.length;
+    });
+
+    const flightsDeleted = bulkDelete();
+
+    res.json({ success: true, flights_deleted: flightsDeleted });
+  } catch (error) {
+    console.error('Error bulk deleting flights:', error);
+    res.status(500).json({ error: 'Error deleting flights' });
+  }
+});
+
+// Suggest a day/night split from the route and takeoff/landing times
+// (GET ?date=&departure=&arrival=&off_time=&on_time=&times_utc=, or POST the same as JSON;
+// a flight with legs is POSTed with legs, each with its own departure, arrival, off_time and on_time)
+function sendNightSplit(req, res, data) {
+  try {
+    const result = calculateNightSplit(req.session.userId, data || {});
+    if (!result.valid) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result.split);
+  } catch (error) {
+    console.error('Error calculating night time:', error);
+    res.status(500).json({ error: 'Error calculating night time' });
+  }
+}
+
+router.get('/night-split', (req, res) => sendNightSplit(req, res, req.query));
+
+router.post('/night-split', (req, res) => sendNightSplit(req, res, req.body));
+
 // Get single flight
 router.get('/:id', (req, res) => {
   try {
@@ -133,9 +290,9 @@ router.get('/:id', (req, res) => {
              longline_hours, mountain_hours, instructor_hours, crosscountry_hours,
              night_vision_hours, instrument_hours, simulated_instrument_hours, ground_instrument_hours,
              aircraft_category, engine_type,
-             takeoffs_day, takeoffs_night, landings_day, landings_night,
-             departure, arrival
-      FROM flights WHERE id = ? AND user_id = ?
+             takeoffs_day, takeoffs_night, landings_day, landings_night, holds, intercepts,
+             departure, arrival, entry_type, out_time, off_time, on_time, in_time, times_utc, distance_nm
+      FROM flights WHERE id = ? AND user_id = ? AND deleted_at IS NULL
     `).get(req.params.id, req.session.userId);
 
     if (!flight) {
@@ -152,6 +309,13 @@ router.get('/:id', (req, res) => {
 
     // Add custom fields to flight object
     flight.custom_fields = customFieldValues;
+    flight.legs = getFlightLegs(flight.id);
+    flight.approaches = getFlightApproaches(flight.id);
+
+    // Times worked out from out/off/on/in (null when not recorded)
+    const blockTimes = calculateBlockTimes(flight);
+    flight.calculated_flight_time = blockTimes.flight_time;
+    flight.block_time = blockTimes.block_time;
 
     res.json(flight);
   } catch (error) {
@@ -160,17 +324,70 @@ router.get('/:id', (req, res) => {
   }
 });
 
+// Get a flight's revision history, newest first
+router.get('/:id/revisions', (req, res) => {
+  try {
+    const flight = db.prepare(
+      'SELECT id FROM flights WHERE id = ? AND user_id = ? AND deleted_at IS NULL'
+    ).get(req.params.id, req.session.userId);
+
+    if (!flight) {
+      return res.status(404).json({ error: 'Flight not found' });
+    }
+
+    res.json(getRevisions(flight.id));
+  } catch (error) {
+    console.error('Error fetching flight history:', error);
+    res.status(500).json({ error: 'Error fetching flight history' });
+  }
+});
+
+// Revert a flight to the state recorded in one of its revisions
+router.post('/:id/revisions/:revisionId/revert', (req, res) => {
+  try {
+    const flight = db.prepare(
+      'SELECT id FROM flights WHERE id = ? AND user_id = ? AND deleted_at IS NULL'
+    ).get(req.params.id, req.session.userId);
+
+    if (!flight) {
+      return res.status(404).json({ error: 'Flight not found' });
+    }
+
+    const revision = db.prepare(
+      'SELECT id, snapshot FROM flight_revisions WHERE id = ? AND flight_id = ?'
+    ).get(req.params.revisionId, flight.id);
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const revert = db.transaction(() => {
+      const before = getFlightSnapshot(flight.id);
+      applySnapshot(req.session.userId, flight.id, JSON.parse(revision.snapshot));
+      updateFlightCrossCountry(req.session.userId, flight.id);
+      return recordRevision(req.session.userId, flight.id, 'revert', before, getFlightSnapshot(flight.id), revision.id);
+    });
+
+    const revisionId = revert();
+
+    res.json({ success: true, changed: revisionId !== null });
+  } catch (error) {
+    console.error('Error reverting flight:', error);
+    res.status(500).json({ error: 'Error reverting flight' });
+  }
+});
+
 // Get dashboard statistics
 router.get('/stats/summary', (req, res) => {
   try {
     // Total flight hours (excludes simulator flights)
     const totalHours = db.prepare(
-      "SELECT COALESCE(SUM(flight_time_hours), 0) as total FROM flights WHERE user_id = ? AND aircraft_category != 'Simulator'"
+      "SELECT COALESCE(SUM(flight_time_hours), 0) as total FROM flights WHERE user_id = ? AND deleted_at IS NULL AND aircraft_category != 'Simulator'"
     ).get(req.session.userId);
 
     // Ground time (simulator flights only)
     const groundTimeHours = db.prepare(
-      "SELECT COALESCE(SUM(flight_time_hours), 0) as total FROM flights WHERE user_id = ? AND aircraft_category = 'Simulator'"
+      "SELECT COALESCE(SUM(flight_time_hours), 0) as total FROM flights WHERE user_id = ? AND deleted_at IS NULL AND aircraft_category = 'Simulator'"
     ).get(req.session.userId);
 
     // Total day and night hours (sum from new fields, excludes simulator)
@@ -178,7 +395,7 @@ router.get('/stats/summary', (req, res) => {
       `SELECT
         COALESCE(SUM(day_pic + day_dual + day_sic + day_cmnd_practice), 0) as day,
         COALESCE(SUM(night_pic + night_dual + night_sic + night_cmnd_practice), 0) as night
-      FROM flights WHERE user_id = ? AND aircraft_category != 'Simulator'`
+      FROM flights WHERE user_id = ? AND deleted_at IS NULL AND aircraft_category != 'Simulator'`
     ).get(req.session.userId);
 
     // Total dual and PIC hours (sum from new fields, excludes simulator)
@@ -186,59 +403,90 @@ router.get('/stats/summary', (req, res) => {
       `SELECT
         COALESCE(SUM(day_dual + night_dual), 0) as dual,
         COALESCE(SUM(day_pic + night_pic), 0) as pic
-      FROM flights WHERE user_id = ? AND aircraft_category != 'Simulator'`
+      FROM flights WHERE user_id = ? AND deleted_at IS NULL AND aircraft_category != 'Simulator'`
+    ).get(req.session.userId);
+
+    // Cross-country hours and total route distance (excludes simulator)
+    const crossCountryTotals = db.prepare(
+      `SELECT
+        COALESCE(SUM(crosscountry_hours), 0) as hours,
+        COALESCE(SUM(distance_nm), 0) as distance
+      FROM flights WHERE user_id = ? AND deleted_at IS NULL AND aircraft_category != 'Simulator'`
+    ).get(req.session.userId);
+
+    // Instrument hours (includes simulator sessions, whose instrument time is logged as ground instrument)
+    const instrumentHours = db.prepare(
+      `SELECT
+        COALESCE(SUM(instrument_hours), 0) as actual,
+        COALESCE(SUM(simulated_instrument_hours), 0) as simulated,
+        COALESCE(SUM(ground_instrument_hours), 0) as ground
+      FROM flights WHERE user_id = ? AND deleted_at IS NULL`
     ).get(req.session.userId);
 
     // Hours by aircraft type (flight count excludes prime entries)
     const hoursByAircraft = db.prepare(`
       SELECT aircraft_type, aircraft_category, SUM(flight_time_hours) as hours,
-        SUM(CASE WHEN flight_details IS NULL OR flight_details NOT LIKE '%LOGBOOK PRIME ENTRY%' THEN 1 ELSE 0 END) as flights
+        SUM(CASE WHEN entry_type != 'prime' THEN 1 ELSE 0 END) as flights
       FROM flights
-      WHERE user_id = ?
+      WHERE user_id = ? AND deleted_at IS NULL
       GROUP BY aircraft_type, aircraft_category
       ORDER BY hours DESC
     `).all(req.session.userId);
 
     // Total flights count (excludes prime entries and simulator flights)
     const totalFlights = db.prepare(
-      "SELECT COUNT(*) as count FROM flights WHERE user_id = ? AND aircraft_category != 'Simulator' AND (flight_details IS NULL OR flight_details NOT LIKE '%LOGBOOK PRIME ENTRY%')"
+      "SELECT COUNT(*) as count FROM flights WHERE user_id = ? AND deleted_at IS NULL AND aircraft_category != 'Simulator' AND entry_type != 'prime'"
     ).get(req.session.userId);
 
-    // Last 10 flights - select specific columns to avoid issues with missing columns
+    // Last 10 flights (not opening balances) - select specific columns to avoid issues with missing columns
     const recentFlights = db.prepare(`
       SELECT id, date, aircraft_type, aircraft_category, registration, pilot_in_command, copilot_student,
              flight_details, flight_time_hours, day_hours, night_hours,
              longline_hours, mountain_hours, instructor_hours,
              COALESCE(crosscountry_hours, 0) as crosscountry_hours,
              takeoffs_day, takeoffs_night, landings_day, landings_night
-      FROM flights WHERE user_id = ? ORDER BY date DESC, id DESC LIMIT 10
+      FROM flights WHERE user_id = ? AND deleted_at IS NULL AND entry_type != 'prime'
+      ORDER BY date DESC, id DESC LIMIT 10
     `).all(req.session.userId);
 
-    // Monthly activity (last 12 months, for bar chart)
-    const monthlyActivity = db.prepare(`
+    // Monthly activity (the last 12 calendar months in the user's timezone, for bar chart)
+    const today = todayInTimezone(getUserTimezone(req.session.userId));
+    const [year, month] = today.split('-').map(Number);
+    const months = [];
+    for (let i = 11; i >= 0; i--) {
+      months.push(new Date(Date.UTC(year, month - 1 - i, 1)).toISOString().slice(0, 7));
+    }
+
+    const activityByMonth = {};
+    db.prepare(`
       SELECT strftime('%Y-%m', date) as month,
              COUNT(*) as flights,
              COALESCE(SUM(flight_time_hours), 0) as hours
       FROM flights
-      WHERE user_id = ? AND aircraft_category != 'Simulator'
-        AND (flight_details IS NULL OR flight_details NOT LIKE '%LOGBOOK PRIME ENTRY%')
+      WHERE user_id = ? AND deleted_at IS NULL AND aircraft_category != 'Simulator'
+        AND entry_type != 'prime' AND date >= ? AND date <= ?
       GROUP BY strftime('%Y-%m', date)
-      ORDER BY month DESC
-      LIMIT 12
-    `).all(req.session.userId).reverse();
+    `).all(req.session.userId, `${months[0]}-01`, today).forEach(row => {
+      activityByMonth[row.month] = row;
+    });
+    const monthlyActivity = months.map(m => activityByMonth[m] || { month: m, flights: 0, hours: 0 });
 
-    // Cumulative hours by month (for line chart)
+    // Cumulative hours by month (for line chart); opening balances are the starting point rather than a monthly spike
     const monthlyHours = db.prepare(`
       SELECT strftime('%Y-%m', date) as month,
              COALESCE(SUM(flight_time_hours), 0) as hours
       FROM flights
-      WHERE user_id = ? AND aircraft_category != 'Simulator'
+      WHERE user_id = ? AND deleted_at IS NULL AND aircraft_category != 'Simulator' AND entry_type != 'prime'
       GROUP BY strftime('%Y-%m', date)
       ORDER BY month ASC
     `).all(req.session.userId);
 
+    const primeHours = db.prepare(
+      "SELECT COALESCE(SUM(flight_time_hours), 0) as total FROM flights WHERE user_id = ? AND deleted_at IS NULL AND aircraft_category != 'Simulator' AND entry_type = 'prime'"
+    ).get(req.session.userId);
+
     // Calculate cumulative totals
-    let runningTotal = 0;
+    let runningTotal = primeHours.total;
     const cumulativeHours = monthlyHours.map(item => {
       runningTotal += item.hours;
       return { month: item.month, totalHours: runningTotal };
@@ -247,10 +495,10 @@ router.get('/stats/summary', (req, res) => {
     // Get custom field totals for this user
     const customFieldTotals = db.prepare(`
       SELECT cf.id, cf.field_name, cf.field_label,
-             COALESCE(SUM(cfv.value), 0) as total_hours
+             COALESCE(SUM(CASE WHEN f.id IS NOT NULL THEN cfv.value END), 0) as total_hours
       FROM custom_fields cf
       LEFT JOIN custom_field_values cfv ON cf.id = cfv.field_id
-      LEFT JOIN flights f ON cfv.flight_id = f.id AND f.user_id = ?
+      LEFT JOIN flights f ON cfv.flight_id = f.id AND f.user_id = ? AND f.deleted_at IS NULL
       WHERE cf.user_id = ?
       GROUP BY cf.id, cf.field_name, cf.field_label
       ORDER BY cf.field_label ASC
@@ -263,6 +511,11 @@ router.get('/stats/summary', (req, res) => {
       totalNightHours: dayNightHours.night,
       totalDualHours: dualPicHours.dual,
       totalPicHours: dualPicHours.pic,
+      totalCrossCountryHours: crossCountryTotals.hours,
+      totalDistanceNm: Math.round(crossCountryTotals.distance * 10) / 10,
+      totalActualInstrumentHours: instrumentHours.actual,
+      totalSimulatedInstrumentHours: instrumentHours.simulated,
+      totalGroundInstrumentHours: instrumentHours.ground,
       totalFlights: totalFlights.count,
       byAircraft: hoursByAircraft,
       flights: recentFlights,
@@ -276,109 +529,49 @@ router.get('/stats/summary', (req, res) => {
   }
 });
 
+// Get hours in rolling windows ending today (the user's chosen windows, or ?windows=30,90,365)
+router.get('/stats/rolling', (req, res) => {
+  let windows = getPreferences(req.session.userId).rollingWindows;
+  if (req.query.windows !== undefined) {
+    const validation = validateWindows(String(req.query.windows).split(',').filter(Boolean));
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+    windows = validation.windows;
+  }
+
+  try {
+    const today = todayInTimezone(getUserTimezone(req.session.userId));
+    res.json(getRollingTotals(req.session.userId, windows, today));
+  } catch (error) {
+    console.error('Error fetching rolling totals:', error);
+    res.status(500).json({ error: 'Error fetching rolling totals' });
+  }
+});
+
 // Create new flight
 router.post('/', (req, res) => {
-  const {
-    date,
-    aircraft_type,
-    registration,
-    pic,
-    copilot,
-    route,
-    day_pic,
-    night_pic,
-    day_dual,
-    night_dual,
-    day_sic,
-    night_sic,
-    day_cmnd_practice,
-    night_cmnd_practice,
-    aircraft_category,
-    engine_type,
-    takeoffs_day,
-    takeoffs_night,
-    landings_day,
-    landings_night,
-    departure,
-    arrival
-  } = req.body;
+  // A multi-sector flight's times and airports are the totals of its legs
+  const legsResult = applyLegs(req.body);
+  if (!legsResult.valid) {
+    return res.status(400).json({ error: legsResult.error });
+  }
+  const approachesResult = applyApproaches(req.body);
+  if (!approachesResult.valid) {
+    return res.status(400).json({ error: approachesResult.error });
+  }
 
   // Calculate total flight time using helper
   const flight_time = calculateFlightTime(req.body);
 
   // Validate using helper
-  const validation = validateFlightData(req.body, flight_time);
+  const validation = validateFlightData(req.body, flight_time, getUserTimezone(req.session.userId));
   if (!validation.valid) {
     return res.status(400).json({ error: validation.error });
   }
 
   try {
-    const stmt = db.prepare(`
-      INSERT INTO flights (
-        user_id, date, aircraft_type, registration, pilot_in_command,
-        copilot_student, flight_details, flight_time_hours,
-        day_pic, night_pic, day_dual, night_dual, day_sic, night_sic,
-        day_cmnd_practice, night_cmnd_practice,
-        longline_hours, mountain_hours, instructor_hours, crosscountry_hours,
-        night_vision_hours, instrument_hours, simulated_instrument_hours, ground_instrument_hours,
-        aircraft_category, engine_type,
-        takeoffs_day, takeoffs_night, landings_day, landings_night,
-        departure, arrival
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-
-    const result = stmt.run(
-      req.session.userId,
-      date,
-      aircraft_type,
-      registration || '',
-      pic || '',
-      copilot || '',
-      route || '',
-      flight_time,  // Calculated total
-      parseFloat(day_pic) || 0,
-      parseFloat(night_pic) || 0,
-      parseFloat(day_dual) || 0,
-      parseFloat(night_dual) || 0,
-      parseFloat(day_sic) || 0,
-      parseFloat(night_sic) || 0,
-      parseFloat(day_cmnd_practice) || 0,
-      parseFloat(night_cmnd_practice) || 0,
-      0,  // longline_hours - legacy column, no longer used
-      0,  // mountain_hours - legacy column, no longer used
-      0,  // instructor_hours - legacy column, no longer used
-      0,  // crosscountry_hours - legacy column, no longer used
-      0,  // night_vision_hours - legacy column, no longer used
-      0,  // instrument_hours - legacy column, no longer used
-      0,  // simulated_instrument_hours - legacy column, no longer used
-      0,  // ground_instrument_hours - legacy column, no longer used
-      aircraft_category || 'Helicopter',
-      engine_type || 'Single Engine',
-      parseInt(takeoffs_day) || 0,
-      parseInt(takeoffs_night) || 0,
-      parseInt(landings_day) || 0,
-      parseInt(landings_night) || 0,
-      departure || '',
-      arrival || ''
-    );
-
-    const flightId = result.lastInsertRowid;
-
-    // Handle custom fields if provided
-    if (req.body.custom_fields && Array.isArray(req.body.custom_fields)) {
-      const customFieldStmt = db.prepare(`
-        INSERT INTO custom_field_values (flight_id, field_id, value)
-        VALUES (?, ?, ?)
-        ON CONFLICT(flight_id, field_id) DO UPDATE SET value = excluded.value
-      `);
-
-      for (const cf of req.body.custom_fields) {
-        if (cf.field_id && cf.value !== undefined) {
-          customFieldStmt.run(flightId, cf.field_id, parseFloat(cf.value) || 0);
-        }
-      }
-    }
-
+    const flightId = db.transaction(() => insertFlight(req.session.userId, req.body, flight_time))();
     const newFlight = db.prepare('SELECT * FROM flights WHERE id = ?').get(flightId);
 
     res.status(201).json(newFlight);
@@ -390,6 +583,24 @@ router.post('/', (req, res) => {
 
 // Update flight
 router.put('/:id', (req, res) => {
+  // Legs and approaches are replaced as a whole ([] removes them); a flight updated without them
+  // keeps its own, so a multi-sector flight's times and airports stay the totals of its legs
+  if (req.body.legs === undefined) {
+    req.body.legs = getFlightLegs(req.params.id);
+  }
+  if (req.body.approaches === undefined) {
+    req.body.approaches = getFlightApproaches(req.params.id);
+  }
+
+  const legsResult = applyLegs(req.body);
+  if (!legsResult.valid) {
+    return res.status(400).json({ error: legsResult.error });
+  }
+  const approachesResult = applyApproaches(req.body);
+  if (!approachesResult.valid) {
+    return res.status(400).json({ error: approachesResult.error });
+  }
+
   const {
     date,
     aircraft_type,
@@ -405,21 +616,31 @@ router.put('/:id', (req, res) => {
     night_sic,
     day_cmnd_practice,
     night_cmnd_practice,
+    instrument_hours,
+    simulated_instrument_hours,
+    ground_instrument_hours,
     aircraft_category,
     engine_type,
     takeoffs_day,
     takeoffs_night,
     landings_day,
     landings_night,
+    holds,
+    intercepts,
     departure,
-    arrival
+    arrival,
+    out_time,
+    off_time,
+    on_time,
+    in_time,
+    times_utc
   } = req.body;
 
   // Calculate total flight time using helper
   const flight_time = calculateFlightTime(req.body);
 
   // Validate using helper
-  const validation = validateFlightData(req.body, flight_time);
+  const validation = validateFlightData(req.body, flight_time, getUserTimezone(req.session.userId));
   if (!validation.valid) {
     return res.status(400).json({ error: validation.error });
   }
@@ -434,68 +655,80 @@ router.put('/:id', (req, res) => {
         longline_hours = ?, mountain_hours = ?, instructor_hours = ?, crosscountry_hours = ?,
         night_vision_hours = ?, instrument_hours = ?, simulated_instrument_hours = ?, ground_instrument_hours = ?,
         aircraft_category = ?, engine_type = ?,
-        takeoffs_day = ?, takeoffs_night = ?, landings_day = ?, landings_night = ?,
+        takeoffs_day = ?, takeoffs_night = ?, landings_day = ?, landings_night = ?, holds = ?, intercepts = ?,
         departure = ?, arrival = ?,
+        out_time = ?, off_time = ?, on_time = ?, in_time = ?, times_utc = ?, distance_nm = ?,
         updated_at = CURRENT_TIMESTAMP
-      WHERE id = ? AND user_id = ?
+      WHERE id = ? AND user_id = ? AND deleted_at IS NULL
     `);
 
-    const result = stmt.run(
-      date,
-      aircraft_type,
-      registration || '',
-      pic || '',
-      copilot || '',
-      route || '',
-      flight_time,  // Calculated total
-      parseFloat(day_pic) || 0,
-      parseFloat(night_pic) || 0,
-      parseFloat(day_dual) || 0,
-      parseFloat(night_dual) || 0,
-      parseFloat(day_sic) || 0,
-      parseFloat(night_sic) || 0,
-      parseFloat(day_cmnd_practice) || 0,
-      parseFloat(night_cmnd_practice) || 0,
-      0,  // longline_hours - legacy column, no longer used
-      0,  // mountain_hours - legacy column, no longer used
-      0,  // instructor_hours - legacy column, no longer used
-      0,  // crosscountry_hours - legacy column, no longer used
-      0,  // night_vision_hours - legacy column, no longer used
-      0,  // instrument_hours - legacy column, no longer used
-      0,  // simulated_instrument_hours - legacy column, no longer used
-      0,  // ground_instrument_hours - legacy column, no longer used
-      aircraft_category || 'Helicopter',
-      engine_type || 'Single Engine',
-      parseInt(takeoffs_day) || 0,
-      parseInt(takeoffs_night) || 0,
-      parseInt(landings_day) || 0,
-      parseInt(landings_night) || 0,
-      departure || '',
-      arrival || '',
-      req.params.id,
-      req.session.userId
-    );
-
-    if (result.changes === 0) {
-      return res.status(404).json({ error: 'Flight not found' });
-    }
+    // The flight, its custom fields, legs, approaches and revision are saved together or not at all
+    const updated = db.transaction(() => {
+      const before = getFlightSnapshot(req.params.id);
+      const crossCountry = classifyCrossCountry(req.session.userId, req.body, flight_time);
+
+      const result = stmt.run(
+        date,
+        aircraft_type,
+        registration || '',
+        pic || '',
+        copilot || '',
+        route || '',
+        flight_time,  // Calculated total
+        parseHours(day_pic),
+        parseHours(night_pic),
+        parseHours(day_dual),
+        parseHours(night_dual),
+        parseHours(day_sic),
+        parseHours(night_sic),
+        parseHours(day_cmnd_practice),
+        parseHours(night_cmnd_practice),
+        0,  // longline_hours - legacy column, no longer used
+        0,  // mountain_hours - legacy column, no longer used
+        0,  // instructor_hours - legacy column, no longer used
+        crossCountry.crosscountry_hours,  // Classified by the user's cross-country rule
+        0,  // night_vision_hours - legacy column, no longer used
+        parseHours(instrument_hours),
+        parseHours(simulated_instrument_hours),
+        parseHours(ground_instrument_hours),
+        aircraft_category || 'Helicopter',
+        engine_type || 'Single Engine',
+        parseInt(takeoffs_day) || 0,
+        parseInt(takeoffs_night) || 0,
+        parseInt(landings_day) || 0,
+        parseInt(landings_night) || 0,
+        parseInt(holds) || 0,
+        parseInt(intercepts) || 0,
+        departure || '',
+        arrival || '',
+        formatTimeOfDay(out_time),
+        formatTimeOfDay(off_time),
+        formatTimeOfDay(on_time),
+        formatTimeOfDay(in_time),
+        isUtcTimes(times_utc) ? 1 : 0,
+        crossCountry.distance_nm,
+        req.params.id,
+        req.session.userId
+      );
+
+      if (result.changes === 0) {
+        return false;
+      }
 
-    // Handle custom fields if provided
-    if (req.body.custom_fields && Array.isArray(req.body.custom_fields)) {
-      // First, delete existing custom field values for this flight
-      db.prepare('DELETE FROM custom_field_values WHERE flight_id = ?').run(req.params.id);
+      // Handle custom fields if provided
+      if (Array.isArray(req.body.custom_fields)) {
+        saveCustomFieldValues(req.params.id, req.body.custom_fields);
+      }
 
-      // Insert new values
-      const customFieldStmt = db.prepare(`
-        INSERT INTO custom_field_values (flight_id, field_id, value)
-        VALUES (?, ?, ?)
-      `);
+      saveFlightLegs(req.params.id, req.body.legs);
+      saveFlightApproaches(req.params.id, req.body.approaches);
 
-      for (const cf of req.body.custom_fields) {
-        if (cf.field_id && cf.value !== undefined && parseFloat(cf.value) > 0) {
-          customFieldStmt.run(req.params.id, cf.field_id, parseFloat(cf.value));
-        }
-      }
+      recordRevision(req.session.userId, req.params.id, 'update', before, getFlightSnapshot(req.params.id));
+      return true;
+    })();
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Flight not found' });
     }
 
     const updatedFlight = db.prepare('SELECT * FROM flights WHERE id = ?').get(req.params.id);
@@ -507,13 +740,23 @@ router.put('/:id', (req, res) => {
   }
 });
 
-// Delete flight
+// Delete flight (moves it to the Trash; see routes/trash.js)
 router.delete('/:id', (req, res) => {
   try {
-    const stmt = db.prepare('DELETE FROM flights WHERE id = ? AND user_id = ?');
-    const result = stmt.run(req.params.id, req.session.userId);
+    const deleted = db.transaction(() => {
+      const result = db.prepare(
+        'UPDATE flights SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND deleted_at IS NULL'
+      ).run(req.params.id, req.session.userId);
+
+      if (result.changes === 0) {
+        return false;
+      }
+
+      recordRevision(req.session.userId, req.params.id, 'delete', getFlightSnapshot(req.params.id), null);
+      return true;
+    })();
 
-    if (result.changes === 0) {
+    if (!deleted) {
       return res.status(404).json({ error: 'Flight not found' });
     }
 
@@ -524,12 +767,14 @@ router.delete('/:id', (req, res) => {
   }
 });
 
-// Export flights to CSV
+// Export flights to CSV (accepts the same filters as the flight list; rows=legs for one row per leg)
 router.get('/export/csv', (req, res) => {
   try {
+    const perLeg = req.query.rows === 'legs';
+    const filters = buildFlightFilters(req.query);
     const flights = db.prepare(
-      'SELECT * FROM flights WHERE user_id = ? ORDER BY date DESC'
-    ).all(req.session.userId);
+      `SELECT * FROM flights WHERE user_id = ?${filters.where} ORDER BY date DESC`
+    ).all(req.session.userId, ...filters.params);
 
     if (flights.length === 0) {
       return res.status(404).json({ error: 'No flights to export' });
@@ -540,75 +785,46 @@ router.get('/export/csv', (req, res) => {
       'SELECT id, field_label FROM custom_fields WHERE user_id = ? ORDER BY id ASC'
     ).all(req.session.userId);
 
-    // CSV header - simple format with all fields (legacy specialty hours removed)
-    const headers = [
-      'Date',
-      'Aircraft Category',
-      'Engine Type',
-      'Aircraft Type',
-      'Registration',
-      'Pilot in Command',
-      'Co-pilot/Student',
-      'Departure',
-      'Arrival',
-      'Flight Details',
-      'Total Hours',
-      'Day PIC',
-      'Night PIC',
-      'Day Dual',
-      'Night Dual',
-      'Day SIC',
-      'Night SIC',
-      'Day Command Practice',
-      'Night Command Practice',
-      ...customFields.map(cf => cf.field_label),
-      'Takeoffs Day',
-      'Takeoffs Night',
-      'Landings Day',
-      'Landings Night'
-    ];
-
-    let csv = headers.join(',') + '\n';
-
-    // Batch fetch custom field values (fixes N+1 query)
+    // Column layout is shared with the CSV import so exports can be re-imported
+    // A per-leg export adds the leg number after the date (blank for single-sector flights)
+    const columns = buildLogbookColumns(customFields);
+    if (perLeg) {
+      columns.splice(1, 0, LEG_COLUMN);
+    }
+    let csv = formatCsvRow(columns.map(col => col.header)) + '\n';
+
+    // Times follow the user's time format, except that tenths (6-minute steps) are written as
+    // hundredths: H:MM and hundredths both re-import to the exact minute
+    const timeFormat = getPreferences(req.session.userId).timeFormat === 'hhmm' ? 'hhmm' : 'hundredths';
+
+    // Batch fetch custom field values, legs and approaches (fixes N+1 query)
     const flightIds = flights.map(f => f.id);
     const allCustomFieldValues = customFields.length > 0 ? batchFetchCustomFieldValues(flightIds) : {};
+    const allLegs = perLeg ? batchFetchFlightLegs(flightIds) : {};
+    const allApproaches = batchFetchFlightApproaches(flightIds);
 
     flights.forEach(flight => {
-      // Get custom field values from batch result
-      const customFieldValues = allCustomFieldValues[flight.id] || {};
-
-      const row = [
-        flight.date,
-        flight.aircraft_category || 'Helicopter',
-        flight.engine_type || 'Single Engine',
-        flight.aircraft_type,
-        flight.registration || '',
-        flight.pilot_in_command || '',
-        flight.copilot_student || '',
-        flight.departure || '',
-        flight.arrival || '',
-        `"${(flight.flight_details || '').replace(/"/g, '""')}"`,
-        flight.flight_time_hours,
-        flight.day_pic || 0,
-        flight.night_pic || 0,
-        flight.day_dual || 0,
-        flight.night_dual || 0,
-        flight.day_sic || 0,
-        flight.night_sic || 0,
-        flight.day_cmnd_practice || 0,
-        flight.night_cmnd_practice || 0,
-        ...customFields.map(cf => customFieldValues[cf.id] || 0),
-        flight.takeoffs_day || 0,
-        flight.takeoffs_night || 0,
-        flight.landings_day || 0,
-        flight.landings_night || 0
-      ];
-      csv += row.join(',') + '\n';
+      // Get custom field values and approaches from batch result
+      flight.customFieldValues = allCustomFieldValues[flight.id] || {};
+      const approaches = allApproaches[flight.id] || [];
+      flight.approach_count = approaches.length;
+      flight.approach_details = describeApproaches(approaches);
+
+      expandLegRows(flight, allLegs[flight.id]).forEach(legRow => {
+        const row = columns.map(col => {
+          const value = col.customFieldId ? legRow.customFieldValues[col.customFieldId] : legRow[col.column];
+          if (col.type === 'hours') {
+            return formatHours(value || 0, timeFormat);
+          }
+          return col.default === undefined ? value : (value || col.default);
+        });
+        csv += formatCsvRow(row) + '\n';
+      });
     });
 
+    const today = todayInTimezone(getUserTimezone(req.session.userId));
     res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', 'attachment; filename=logbook-export.csv');
+    res.setHeader('Content-Disposition', `attachment; filename="logbook-export_${today}.csv"`);
     res.send(csv);
   } catch (error) {
     console.error('Error exporting flights:', error);
@@ -616,12 +832,13 @@ router.get('/export/csv', (req, res) => {
   }
 });
 
-// Export summary statistics
+// Export summary statistics (accepts the same filters as the flight list)
 router.get('/export/summary', (req, res) => {
   try {
+    const filters = buildFlightFilters(req.query);
     const flights = db.prepare(
-      'SELECT * FROM flights WHERE user_id = ? ORDER BY date DESC'
-    ).all(req.session.userId);
+      `SELECT * FROM flights WHERE user_id = ?${filters.where} ORDER BY date DESC`
+    ).all(req.session.userId, ...filters.params);
 
     if (flights.length === 0) {
       return res.status(404).json({ error: 'No flights to summarize' });
@@ -651,10 +868,19 @@ router.get('/export/summary', (req, res) => {
       totalCmndPracticeHours: 0,
       totalDayHours: 0,
       totalNightHours: 0,
+      crossCountryHours: 0,
+      totalDistanceNm: 0,
       totalTakeoffsDay: 0,
       totalTakeoffsNight: 0,
       totalLandingsDay: 0,
       totalLandingsNight: 0,
+      actualInstrumentHours: 0,
+      simulatedInstrumentHours: 0,
+      groundInstrumentHours: 0,
+      totalApproaches: 0,
+      approachesByType: {},
+      totalHolds: 0,
+      totalIntercepts: 0,
       byAircraftCategory: {},
       byEngineType: {},
       byAircraftType: {},
@@ -666,13 +892,14 @@ router.get('/export/summary', (req, res) => {
       totals.customFields[cf.id] = { label: cf.field_label, hours: 0 };
     });
 
-    // Batch fetch custom field values (fixes N+1 query)
+    // Batch fetch custom field values and approaches (fixes N+1 query)
     const flightIds = flights.map(f => f.id);
     const allCustomFieldValues = customFields.length > 0 ? batchFetchCustomFieldValues(flightIds) : {};
+    const allApproaches = batchFetchFlightApproaches(flightIds);
 
     flights.forEach(flight => {
       const isSimulator = flight.aircraft_category === 'Simulator';
-      const isPrimeEntry = flight.flight_details && flight.flight_details.includes('LOGBOOK PRIME ENTRY');
+      const isPrimeEntry = flight.entry_type === 'prime';
 
       // Simulator flights go to ground time, not flight time
       if (isSimulator) {
@@ -712,6 +939,9 @@ router.get('/export/summary', (req, res) => {
         totals.totalDayHours += dayPic + dayDual + daySic + dayCmndPractice;
         totals.totalNightHours += nightPic + nightDual + nightSic + nightCmndPractice;
 
+        totals.crossCountryHours += flight.crosscountry_hours || 0;
+        totals.totalDistanceNm += flight.distance_nm || 0;
+
         // Takeoffs and landings (only for non-simulator flights)
         totals.totalTakeoffsDay += flight.takeoffs_day || 0;
         totals.totalTakeoffsNight += flight.takeoffs_night || 0;
@@ -719,6 +949,19 @@ router.get('/export/summary', (req, res) => {
         totals.totalLandingsNight += flight.landings_night || 0;
       }
 
+      // Instrument time (includes simulator sessions, whose instrument time is logged as ground instrument)
+      totals.actualInstrumentHours += flight.instrument_hours || 0;
+      totals.simulatedInstrumentHours += flight.simulated_instrument_hours || 0;
+      totals.groundInstrumentHours += flight.ground_instrument_hours || 0;
+
+      // Instrument procedures (includes simulator sessions, which count towards instrument currency)
+      (allApproaches[flight.id] || []).forEach(approach => {
+        totals.totalApproaches += 1;
+        totals.approachesByType[approach.type] = (totals.approachesByType[approach.type] || 0) + 1;
+      });
+      totals.totalHolds += flight.holds || 0;
+      totals.totalIntercepts += flight.intercepts || 0;
+
       // By aircraft category (includes all flights including simulator)
       const category = flight.aircraft_category || 'Helicopter';
       if (!totals.byAircraftCategory[category]) {
@@ -758,7 +1001,7 @@ router.get('/export/summary', (req, res) => {
       });
     });
 
-    // Round all hours to 2 decimal places using helper
+    // Round all hours to the minute using helper
     totals.totalHours = roundHours(totals.totalHours);
     totals.groundTimeHours = roundHours(totals.groundTimeHours);
     totals.dayPicHours = roundHours(totals.dayPicHours);
@@ -775,6 +1018,11 @@ router.get('/export/summary', (req, res) => {
     totals.totalCmndPracticeHours = roundHours(totals.totalCmndPracticeHours);
     totals.totalDayHours = roundHours(totals.totalDayHours);
     totals.totalNightHours = roundHours(totals.totalNightHours);
+    totals.crossCountryHours = roundHours(totals.crossCountryHours);
+    totals.actualInstrumentHours = roundHours(totals.actualInstrumentHours);
+    totals.simulatedInstrumentHours = roundHours(totals.simulatedInstrumentHours);
+    totals.groundInstrumentHours = roundHours(totals.groundInstrumentHours);
+    totals.totalDistanceNm = Math.round(totals.totalDistanceNm * 10) / 10;
 
     // Round hours in breakdowns
     Object.keys(totals.byAircraftCategory).forEach(key => {
@@ -792,35 +1040,53 @@ router.get('/export/summary', (req, res) => {
       totals.customFields[key].hours = roundHours(totals.customFields[key].hours);
     });
 
-    // Format as text report
-    let report = '=== FLIGHT EXPERIENCE SUMMARY ===\n\n';
+    // Format as text report (dated in the user's timezone)
+    const timezone = getUserTimezone(req.session.userId);
+    const timeFormat = getPreferences(req.session.userId).timeFormat;
+    const hours = value => formatHours(value, timeFormat);
+    let report = '=== FLIGHT EXPERIENCE SUMMARY ===\n';
+    report += `Generated: ${formatDateTimeInTimezone(Date.now(), timezone)} (${timezone})\n\n`;
+
+    // List active filters so the report states what it covers
+    const filterLines = describeFlightFilters(req.query);
+    if (filterLines.length > 0) {
+      report += '--- FILTERS ---\n';
+      filterLines.forEach(line => {
+        report += `${line}\n`;
+      });
+      report += '\n';
+    }
+
     report += `Total Flights: ${totals.totalFlights}\n`;
-    report += `Total Hours: ${totals.totalHours}\n`;
-    report += `Ground Time (Simulator): ${totals.groundTimeHours}\n\n`;
+    report += `Total Hours: ${hours(totals.totalHours)}\n`;
+    report += `Ground Time (Simulator): ${hours(totals.groundTimeHours)}\n\n`;
 
     report += '--- FLIGHT TIME BREAKDOWN ---\n';
-    report += `Total Day Hours: ${totals.totalDayHours}\n`;
-    report += `Total Night Hours: ${totals.totalNightHours}\n\n`;
-
-    report += `PIC Hours: ${totals.totalPicHours}\n`;
-    report += `Day PIC: ${totals.dayPicHours}\n`;
-    report += `Night PIC: ${totals.nightPicHours}\n`;
-    report += `Dual Hours: ${totals.totalDualHours}\n`;
-    report += `Day Dual: ${totals.dayDualHours}\n`;
-    report += `Night Dual: ${totals.nightDualHours}\n`;
-    report += `SIC Hours: ${totals.totalSicHours}\n`;
-    report += `Day SIC: ${totals.daySicHours}\n`;
-    report += `Night SIC: ${totals.nightSicHours}\n`;
-    report += `Command Practice Hours: ${totals.totalCmndPracticeHours}\n`;
-    report += `Day Command Practice: ${totals.dayCmndPracticeHours}\n`;
-    report += `Night Command Practice: ${totals.nightCmndPracticeHours}\n\n`;
+    report += `Total Day Hours: ${hours(totals.totalDayHours)}\n`;
+    report += `Total Night Hours: ${hours(totals.totalNightHours)}\n\n`;
+
+    report += `PIC Hours: ${hours(totals.totalPicHours)}\n`;
+    report += `Day PIC: ${hours(totals.dayPicHours)}\n`;
+    report += `Night PIC: ${hours(totals.nightPicHours)}\n`;
+    report += `Dual Hours: ${hours(totals.totalDualHours)}\n`;
+    report += `Day Dual: ${hours(totals.dayDualHours)}\n`;
+    report += `Night Dual: ${hours(totals.nightDualHours)}\n`;
+    report += `SIC Hours: ${hours(totals.totalSicHours)}\n`;
+    report += `Day SIC: ${hours(totals.daySicHours)}\n`;
+    report += `Night SIC: ${hours(totals.nightSicHours)}\n`;
+    report += `Command Practice Hours: ${hours(totals.totalCmndPracticeHours)}\n`;
+    report += `Day Command Practice: ${hours(totals.dayCmndPracticeHours)}\n`;
+    report += `Night Command Practice: ${hours(totals.nightCmndPracticeHours)}\n\n`;
+
+    report += `Cross-Country Hours: ${hours(totals.crossCountryHours)}\n`;
+    report += `Total Distance: ${totals.totalDistanceNm} nm\n\n`;
 
     // Add custom fields section if any exist
     if (Object.keys(totals.customFields).length > 0) {
       report += '--- CUSTOM FIELDS ---\n';
       Object.keys(totals.customFields).forEach(fieldId => {
         const cf = totals.customFields[fieldId];
-        report += `${cf.label}: ${cf.hours}\n`;
+        report += `${cf.label}: ${hours(cf.hours)}\n`;
       });
       report += '\n';
     }
@@ -831,28 +1097,41 @@ router.get('/export/summary', (req, res) => {
     report += `Day Landings: ${totals.totalLandingsDay}\n`;
     report += `Night Landings: ${totals.totalLandingsNight}\n\n`;
 
+    report += '--- INSTRUMENT TIME ---\n';
+    report += `Actual Instrument: ${hours(totals.actualInstrumentHours)}\n`;
+    report += `Simulated Instrument: ${hours(totals.simulatedInstrumentHours)}\n`;
+    report += `Ground Instrument: ${hours(totals.groundInstrumentHours)}\n\n`;
+
+    report += '--- INSTRUMENT PROCEDURES ---\n';
+    report += `Approaches: ${totals.totalApproaches}\n`;
+    Object.keys(APPROACH_TYPES).filter(type => totals.approachesByType[type]).forEach(type => {
+      report += `  ${APPROACH_TYPES[type]}: ${totals.approachesByType[type]}\n`;
+    });
+    report += `Holds: ${totals.totalHolds}\n`;
+    report += `Intercepts: ${totals.totalIntercepts}\n\n`;
+
     report += '--- BY AIRCRAFT CATEGORY ---\n';
     Object.keys(totals.byAircraftCategory).sort().forEach(category => {
       const data = totals.byAircraftCategory[category];
-      report += `${category}: ${data.hours} hours (${data.flights} flights)\n`;
+      report += `${category}: ${hours(data.hours)} hours (${data.flights} flights)\n`;
     });
     report += '\n';
 
     report += '--- BY ENGINE TYPE ---\n';
     Object.keys(totals.byEngineType).sort().forEach(type => {
       const data = totals.byEngineType[type];
-      report += `${type}: ${data.hours} hours (${data.flights} flights)\n`;
+      report += `${type}: ${hours(data.hours)} hours (${data.flights} flights)\n`;
     });
     report += '\n';
 
     report += '--- BY AIRCRAFT TYPE ---\n';
     Object.keys(totals.byAircraftType).sort().forEach(type => {
       const data = totals.byAircraftType[type];
-      report += `${type}: ${data.hours} hours (${data.flights} flights)\n`;
+      report += `${type}: ${hours(data.hours)} hours (${data.flights} flights)\n`;
     });
 
     res.setHeader('Content-Type', 'text/plain');
-    res.setHeader('Content-Disposition', 'attachment; filename=logbook-summary.txt');
+    res.setHeader('Content-Disposition', `attachment; filename="logbook-summary_${todayInTimezone(timezone)}.txt"`);
     res.send(report);
   } catch (error) {
     console.error('Error generating summary:', error);
@@ -0,0 +1,564 @@
+/**
+ * Import Route
+ * Loads flights from CSV: files in the layout produced by GET /api/flights/export/csv,
+ * or exports from other logbook apps with a column mapping
+ */
+
+const express = require('express');
+const db = require('../models/database');
+const { requireAuth } = require('../middleware/auth');
+const { calculateFlightTime, validateFlightData, roundHours, insertFlight } = require('../lib/flight-data');
+const { formatHours } = require('../lib/hours');
+const { buildLogbookColumns, LEG_COLUMN, detectDelimiter, parseCsv } = require('../lib/csv');
+const { applyApproaches, parseApproaches } = require('../lib/approaches');
+const { applyLegs } = require('../lib/flight-legs');
+const { getUserTimezone } = require('../lib/preferences');
+const {
+  DATE_FORMATS,
+  TIME_UNITS,
+  buildImportTargets,
+  detectFormat,
+  suggestMapping,
+  guessDateFormat,
+  parseImportDate,
+  parseImportHours,
+  findAircraftTypes
+} = require('../lib/import-formats');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(requireAuth);
+
+// Number of converted rows returned in a dry-run preview
+const PREVIEW_ROWS = 10;
+
+// Number of source rows returned by /analyze to help the user map columns
+const SAMPLE_ROWS = 5;
+
+// Role totals -> the day/night columns they are split into
+const ROLE_SPLITS = [
+  ['pic_total', 'day_pic', 'night_pic'],
+  ['dual_total', 'day_dual', 'night_dual'],
+  ['sic_total', 'day_sic', 'night_sic']
+];
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Parse CSV text and locate the header row
+ * @returns {{ format: Object, headers: string[], dataRows: string[][], aircraftTypes: Object }}
+ */
+function readImportFile(csv) {
+  const rows = parseCsv(csv, detectDelimiter(csv));
+  const { format, headerIndex } = detectFormat(rows);
+
+  return {
+    format,
+    headers: (rows[headerIndex] || []).map(h => h.trim()),
+    dataRows: rows.slice(headerIndex + 1),
+    aircraftTypes: findAircraftTypes(rows, headerIndex)
+  };
+}
+
+/**
+ * Load the user's custom fields in export order
+ */
+function getCustomFields(userId) {
+  return db.prepare(
+    'SELECT id, field_label FROM custom_fields WHERE user_id = ? ORDER BY id ASC'
+  ).all(userId);
+}
+
+/**
+ * Match CSV header cells to logbook columns (case-insensitive, custom fields by label)
+ * @returns {{ mapped: Array<{index: number, column: Object}>, unknown: string[] }}
+ */
+function mapHeaders(headers, columns) {
+  const byHeader = {};
+  columns.forEach(col => {
+    byHeader[col.header.toLowerCase()] = col;
+  });
+
+  const mapped = [];
+  const unknown = [];
+  headers.forEach((header, index) => {
+    const column = byHeader[header.toLowerCase()];
+    if (column) {
+      mapped.push({ index, column });
+    } else if (header) {
+      unknown.push(header);
+    }
+  });
+
+  return { mapped, unknown };
+}
+
+/**
+ * Apply a saved or user-edited mapping (source header -> target field) to the headers
+ * @returns {{ mapped: Array<{index: number, column: Object}>, unknown: string[] }}
+ */
+function applyMapping(headers, columns, targets) {
+  const byField = {};
+  targets.forEach(target => {
+    byField[target.field] = target;
+  });
+
+  const mapped = [];
+  headers.forEach((header, index) => {
+    const column = byField[columns[header]];
+    if (column) {
+      mapped.push({ index, column });
+    }
+  });
+
+  return { mapped, unknown: [] };
+}
+
+/**
+ * Validate a column mapping sent by the import wizard
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateMapping(mapping, targets) {
+  if (!mapping || typeof mapping.columns !== 'object' || mapping.columns === null || Array.isArray(mapping.columns)) {
+    return { valid: false, error: 'Mapping must include a columns object' };
+  }
+
+  const fields = targets.map(t => t.field);
+  const used = new Set();
+  for (const field of Object.values(mapping.columns)) {
+    if (field === '') {
+      continue;
+    }
+    if (!fields.includes(field)) {
+      return { valid: false, error: `Unknown import field: ${field}` };
+    }
+    if (used.has(field)) {
+      return { valid: false, error: `Each field can only be mapped from one column (${field})` };
+    }
+    used.add(field);
+  }
+
+  if (mapping.date_format && !DATE_FORMATS.includes(mapping.date_format)) {
+    return { valid: false, error: `Date format must be one of: ${DATE_FORMATS.join(', ')}` };
+  }
+
+  if (mapping.time_unit && !TIME_UNITS.includes(mapping.time_unit)) {
+    return { valid: false, error: `Time unit must be one of: ${TIME_UNITS.join(', ')}` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Convert one CSV row into flight data in API request shape
+ * @param {Object} options - date_format and time_unit of the source file
+ * @returns {{ data: Object, errors: string[] }}
+ */
+function convertRow(values, mapped, options) {
+  const data = { custom_fields: [] };
+  const errors = [];
+
+  mapped.forEach(({ index, column }) => {
+    const raw = (values[index] || '').trim();
+    if (raw === '') {
+      return;
+    }
+
+    if (!column.type) {
+      data[column.field] = column.field === 'date' ? parseImportDate(raw, options.date_format) : raw;
+      return;
+    }
+
+    const number = column.type === 'hours' ? parseImportHours(raw, options.time_unit) : Number(raw);
+    if (isNaN(number) || number < 0 || (column.type === 'count' && !Number.isInteger(number))) {
+      errors.push(`Invalid value "${raw}" for ${column.header}`);
+      return;
+    }
+
+    if (column.customFieldId) {
+      // Zero custom field values are not stored, matching the flight form
+      if (number > 0) {
+        data.custom_fields.push({ field_id: column.customFieldId, value: number });
+      }
+    } else {
+      data[column.field] = number;
+    }
+  });
+
+  return { data, errors };
+}
+
+/**
+ * Split role totals (PIC/Dual/SIC plus a separate Night total) into day/night role columns
+ * Night time is assigned to the roles in order, so a flight logged in one role gets all of it.
+ * Roles that already have explicit day/night columns mapped are left alone.
+ */
+function splitRoleTotals(data) {
+  let night = data.night_total || 0;
+
+  ROLE_SPLITS.forEach(([total, day, nightField]) => {
+    if (data[total] === undefined || data[day] !== undefined || data[nightField] !== undefined) {
+      return;
+    }
+    data[nightField] = Math.min(data[total], night);
+    data[day] = data[total] - data[nightField];
+    night -= data[nightField];
+  });
+
+  ['pic_total', 'dual_total', 'sic_total', 'night_total'].forEach(field => delete data[field]);
+}
+
+/**
+ * Turn the approach columns into the flight's approaches: the details when the file has them,
+ * otherwise a count (as other apps export it) becomes that many approaches of type Other
+ */
+function readApproaches(data) {
+  if (data.approach_details) {
+    data.approaches = parseApproaches(data.approach_details);
+  } else if (data.approach_count > 0) {
+    data.approaches = Array.from({ length: data.approach_count }, () => ({ type: 'other' }));
+  }
+  delete data.approach_details;
+  delete data.approach_count;
+}
+
+/**
+ * Join the rows of a per-leg export back into flights: a row with Leg 1 starts a flight and the
+ * rows numbered 2, 3, ... straight after it are its other legs; rows without a leg number are
+ * flights of their own
+ * @param {Array<{row: number, data: Object}>} rows - Converted rows in file order
+ * @returns {{ flights: Array<{row: number, data: Object, rows: number[], legRows?: Object[]}>, errors: Array }}
+ */
+function groupLegRows(rows) {
+  const flights = [];
+  const errors = [];
+
+  rows.forEach(({ row, data }) => {
+    const legNumber = data.leg_number;
+    delete data.leg_number;
+
+    const current = flights[flights.length - 1];
+    if (!legNumber) {
+      flights.push({ row, data, rows: [row] });
+    } else if (legNumber === 1) {
+      flights.push({ row, data, rows: [row], legRows: [data] });
+    } else if (!current || !current.legRows || current.legRows.length !== legNumber - 1) {
+      errors.push({ row, error: `Leg ${legNumber} does not follow leg ${legNumber - 1} of a flight` });
+    } else if (data.date !== current.data.date) {
+      errors.push({ row, error: `Leg ${legNumber} has a different date from leg 1 (row ${current.row})` });
+    } else {
+      current.rows.push(row);
+      current.legRows.push(data);
+    }
+  });
+
+  return { flights, errors };
+}
+
+/**
+ * Build a flight from its leg rows: flight-level values come from the first leg's row (the export
+ * leaves them off the others) and each row becomes a leg. Takeoff and Landing on a leg row are
+ * the leg's times, so the flight's own are left blank.
+ */
+function mergeLegRows(legRows) {
+  const data = { ...legRows[0], legs: legRows };
+  delete data.off_time;
+  delete data.on_time;
+
+  const totals = legRows.map(leg => leg.flight_time);
+  if (totals.every(total => total !== undefined)) {
+    data.flight_time = totals.reduce((sum, total) => sum + total, 0);
+  } else {
+    delete data.flight_time;
+  }
+  return data;
+}
+
+// ==================== ROUTES ====================
+
+/**
+ * POST /analyze
+ * Detect the format of a CSV file and suggest a column mapping for the import wizard
+ * Body:
+ *   - csv: file contents
+ */
+router.post('/analyze', (req, res) => {
+  const { csv } = req.body;
+
+  if (typeof csv !== 'string' || !csv.trim()) {
+    return res.status(400).json({ error: 'CSV content is required' });
+  }
+
+  try {
+    const { format, headers, dataRows } = readImportFile(csv);
+    if (headers.length === 0) {
+      return res.status(400).json({ error: 'The CSV file is empty' });
+    }
+
+    const targets = buildImportTargets(getCustomFields(req.session.userId));
+    const columns = suggestMapping(headers, targets);
+
+    // Guess the date format from the column suggested for the date
+    const dateIndex = headers.findIndex(h => columns[h] === 'date');
+    const dateValues = dateIndex === -1 ? [] : dataRows.slice(0, 50).map(row => (row[dateIndex] || '').trim());
+
+    // Offer the most recent saved mapping whose columns all exist in this file
+    const savedMappings = db.prepare(
+      'SELECT id, mapping FROM import_mappings WHERE user_id = ? ORDER BY updated_at DESC, id DESC'
+    ).all(req.session.userId);
+    const savedMatch = savedMappings.find(saved => {
+      const savedColumns = Object.keys(JSON.parse(saved.mapping).columns || {});
+      return savedColumns.length > 0 && savedColumns.every(h => headers.includes(h));
+    });
+
+    res.json({
+      format: { id: format.id, name: format.name },
+      headers,
+      sample_rows: dataRows.slice(0, SAMPLE_ROWS),
+      total_rows: dataRows.length,
+      mapping: {
+        columns,
+        date_format: format.date_format || guessDateFormat(dateValues.filter(Boolean)),
+        time_unit: format.time_unit
+      },
+      saved_mapping_id: savedMatch ? savedMatch.id : null,
+      targets: targets.map(t => ({ field: t.field, label: t.header })),
+      date_formats: DATE_FORMATS,
+      time_units: TIME_UNITS
+    });
+  } catch (error) {
+    console.error('Error analyzing import file:', error);
+    res.status(500).json({ error: 'Error analyzing import file' });
+  }
+});
+
+/**
+ * POST /csv
+ * Import flights from CSV text
+ * Body:
+ *   - csv: file contents
+ *   - mapping: optional { columns: { header: field }, date_format, time_unit } from /analyze;
+ *     without it the header row must match the CSV export
+ *   - dry_run: when true, validate and report without saving anything
+ *   - create_aircraft_types: when true, add aircraft types that are not in Settings yet
+ * Nothing is saved unless every row is valid.
+ */
+router.post('/csv', (req, res) => {
+  const { csv, mapping, dry_run, create_aircraft_types } = req.body;
+
+  if (typeof csv !== 'string' || !csv.trim()) {
+    return res.status(400).json({ error: 'CSV content is required' });
+  }
+
+  try {
+    const { headers, dataRows, aircraftTypes } = readImportFile(csv);
+    if (dataRows.length === 0) {
+      return res.status(400).json({ error: 'The CSV file contains no flights' });
+    }
+
+    const customFields = getCustomFields(req.session.userId);
+    let columnMatch;
+    if (mapping) {
+      const targets = buildImportTargets(customFields);
+      const mappingValidation = validateMapping(mapping, targets);
+      if (!mappingValidation.valid) {
+        return res.status(400).json({ error: mappingValidation.error });
+      }
+      columnMatch = applyMapping(headers, mapping.columns, targets);
+    } else {
+      columnMatch = mapHeaders(headers, [...buildLogbookColumns(customFields), LEG_COLUMN]);
+    }
+
+    const { mapped, unknown } = columnMatch;
+    const mappedFields = mapped.map(m => m.column.field);
+    const hasAircraftTypes = mappedFields.includes('aircraft_type') ||
+      (mappedFields.includes('registration') && Object.keys(aircraftTypes).length > 0);
+    if (!mappedFields.includes('date') || !hasAircraftTypes) {
+      return res.status(400).json({ error: 'The CSV file must have Date and Aircraft Type columns' });
+    }
+
+    const options = {
+      date_format: (mapping && mapping.date_format) || 'YYYY-MM-DD',
+      time_unit: (mapping && mapping.time_unit) || 'hours'
+    };
+
+    const warnings = unknown.map(header => `Column "${header}" was not recognised and will be ignored`);
+    const errors = [];
+    const timezone = getUserTimezone(req.session.userId);
+    const flights = [];
+
+    // Row numbers count the header as row 1, matching what a spreadsheet shows
+    const rows = [];
+    dataRows.forEach((values, i) => {
+      const row = i + 2;
+      const { data, errors: rowErrors } = convertRow(values, mapped, options);
+      rowErrors.forEach(error => errors.push({ row, error }));
+      splitRoleTotals(data);
+      rows.push({ row, data });
+    });
+
+    // A per-leg export has a row for each leg; each flight's errors are reported on its first row
+    const grouped = groupLegRows(rows);
+    errors.push(...grouped.errors);
+    grouped.flights.forEach(({ row, data: rowData, rows: flightRows, legRows }) => {
+      const data = legRows && legRows.length > 1 ? mergeLegRows(legRows) : rowData;
+      const rowErrors = [];
+      const converted = !errors.some(e => flightRows.includes(e.row));
+
+      // ForeFlight keeps aircraft types in a separate table keyed by registration
+      if (!data.aircraft_type && data.registration && aircraftTypes[data.registration]) {
+        data.aircraft_type = aircraftTypes[data.registration];
+      }
+      const legsResult = applyLegs(data);
+      if (!legsResult.valid) {
+        rowErrors.push(legsResult.error);
+      }
+      readApproaches(data);
+      const approachesResult = applyApproaches(data);
+      if (!approachesResult.valid) {
+        rowErrors.push(approachesResult.error);
+      }
+
+      const flight_time = calculateFlightTime(data);
+
+      if (converted && rowErrors.length === 0) {
+        const validation = validateFlightData(data, flight_time, timezone);
+        if (!validation.valid) {
+          rowErrors.push(validation.error);
+        } else if (data.flight_time !== undefined && Math.abs(data.flight_time - flight_time) > 0.01) {
+          rowErrors.push(`Total Hours (${formatHours(data.flight_time)}) does not match the sum of the time breakdown (${formatHours(flight_time)})`);
+        }
+      }
+
+      rowErrors.forEach(error => errors.push({ row, error }));
+      flights.push({ data, flight_time });
+    });
+
+    // Aircraft types used by the file that are not in Settings yet
+    const knownTypes = new Set(db.prepare(
+      'SELECT name FROM aircraft_types WHERE user_id = ?'
+    ).all(req.session.userId).map(a => a.name));
+    const newAircraftTypes = [...new Set(flights.map(f => f.data.aircraft_type).filter(Boolean))]
+      .filter(name => !knownTypes.has(name))
+      .sort();
+
+    const summary = {
+      total_rows: dataRows.length,
+      valid_rows: dataRows.length - new Set(errors.map(e => e.row)).size,
+      errors,
+      warnings,
+      new_aircraft_types: newAircraftTypes
+    };
+
+    if (dry_run) {
+      return res.json({
+        dry_run: true,
+        ...summary,
+        preview: flights.slice(0, PREVIEW_ROWS).map(f => ({ ...f.data, flight_time: roundHours(f.flight_time) }))
+      });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Import aborted: fix the errors below and try again', ...summary });
+    }
+
+    // All-or-nothing: any failure rolls back every row
+    const importAll = db.transaction(() => {
+      if (create_aircraft_types) {
+        const aircraftStmt = db.prepare('INSERT OR IGNORE INTO aircraft_types (user_id, name) VALUES (?, ?)');
+        newAircraftTypes.forEach(name => aircraftStmt.run(req.session.userId, name));
+      }
+      flights.forEach(f => insertFlight(req.session.userId, f.data, f.flight_time));
+    });
+    importAll();
+
+    res.status(201).json({
+      ...summary,
+      flights_imported: flights.length,
+      aircraft_types_created: create_aircraft_types ? newAircraftTypes.length : 0
+    });
+  } catch (error) {
+    console.error('Error importing flights:', error);
+    res.status(500).json({ error: 'Error importing flights' });
+  }
+});
+
+// Get saved import mappings
+router.get('/mappings', (req, res) => {
+  try {
+    const mappings = db.prepare(`
+      SELECT id, name, format, mapping, updated_at
+      FROM import_mappings
+      WHERE user_id = ?
+      ORDER BY name ASC
+    `).all(req.session.userId);
+
+    res.json(mappings.map(m => ({ ...m, mapping: JSON.parse(m.mapping) })));
+  } catch (error) {
+    console.error('Error fetching import mappings:', error);
+    res.status(500).json({ error: 'Error fetching import mappings' });
+  }
+});
+
+// Save an import mapping (replaces an existing mapping with the same name)
+router.post('/mappings', (req, res) => {
+  const { name, format, mapping } = req.body;
+
+  if (typeof name !== 'string' || !name.trim()) {
+    return res.status(400).json({ error: 'Mapping name is required' });
+  }
+  if (format !== undefined && format !== null && typeof format !== 'string') {
+    return res.status(400).json({ error: 'Format must be text' });
+  }
+
+  try {
+    const targets = buildImportTargets(getCustomFields(req.session.userId));
+    const validation = validateMapping(mapping, targets);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const stored = {
+      columns: mapping.columns,
+      date_format: mapping.date_format || 'YYYY-MM-DD',
+      time_unit: mapping.time_unit || 'hours'
+    };
+
+    db.prepare(`
+      INSERT INTO import_mappings (user_id, name, format, mapping)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(user_id, name) DO UPDATE SET
+        format = excluded.format, mapping = excluded.mapping, updated_at = CURRENT_TIMESTAMP
+    `).run(req.session.userId, name.trim(), format || null, JSON.stringify(stored));
+
+    const saved = db.prepare(
+      'SELECT id, name, format, mapping, updated_at FROM import_mappings WHERE user_id = ? AND name = ?'
+    ).get(req.session.userId, name.trim());
+
+    res.status(201).json({ ...saved, mapping: JSON.parse(saved.mapping) });
+  } catch (error) {
+    console.error('Error saving import mapping:', error);
+    res.status(500).json({ error: 'Error saving import mapping' });
+  }
+});
+
+// Delete a saved import mapping
+router.delete('/mappings/:id', (req, res) => {
+  try {
+    const result = db.prepare(
+      'DELETE FROM import_mappings WHERE id = ? AND user_id = ?'
+    ).run(req.params.id, req.session.userId);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Import mapping not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting import mapping:', error);
+    res.status(500).json({ error: 'Error deleting import mapping' });
+  }
+});
+
+module.exports = router;
@@ -7,6 +7,10 @@ const express = require('express');
 const db = require('../models/database');
 const { requireAuth } = require('../middleware/auth');
 const LogbookPDFGenerator = require('../lib/pdf-generator');
+const { buildFlightFilters } = require('../lib/flight-filters');
+const { batchFetchFlightLegs, expandLegRows } = require('../lib/flight-legs');
+const { getPreferences, getUserTimezone } = require('../lib/preferences');
+const { todayInTimezone } = require('../lib/timezones');
 
 const router = express.Router();
 
@@ -18,6 +22,9 @@ router.use(requireAuth);
  * Export flights to PDF logbook format
  * Query params:
  *   - fields: comma-separated list of custom field IDs to include (max 3)
+ *   - columns: comma-separated optional columns to include: crosscountry, distance
+ *   - rows: 'legs' for one row per leg of multi-sector flights (default one row per flight)
+ *   - any flight list filter (date_from, date_to, aircraft_type, ...) - see lib/flight-filters.js
  */
 router.get('/pdf', (req, res) => {
   try {
@@ -25,8 +32,10 @@ router.get('/pdf', (req, res) => {
     const fieldIds = req.query.fields
       ? req.query.fields.split(',').map(id => parseInt(id)).filter(id => !isNaN(id)).slice(0, 3)
       : [];
+    const extraColumns = req.query.columns ? req.query.columns.split(',') : [];
 
-    // Fetch all flights ordered chronologically (ASC)
+    // Fetch matching flights ordered chronologically (ASC)
+    const filters = buildFlightFilters(req.query);
     const flights = db.prepare(`
       SELECT
         id, date, aircraft_type, registration,
@@ -34,11 +43,12 @@ router.get('/pdf', (req, res) => {
         flight_time_hours, aircraft_category, engine_type,
         day_pic, night_pic, day_dual, night_dual,
         day_sic, night_sic, day_cmnd_practice, night_cmnd_practice,
-        instrument_hours, simulated_instrument_hours, ground_instrument_hours
+        instrument_hours, simulated_instrument_hours, ground_instrument_hours, entry_type,
+        departure, arrival, crosscountry_hours, distance_nm
       FROM flights
-      WHERE user_id = ?
+      WHERE user_id = ?${filters.where}
       ORDER BY date ASC, id ASC
-    `).all(req.session.userId);
+    `).all(req.session.userId, ...filters.params);
 
     if (flights.length === 0) {
       return res.status(404).json({ error: 'No flights to export' });
@@ -90,15 +100,34 @@ router.get('/pdf', (req, res) => {
       });
     }
 
+    // Split multi-sector flights into legs, with each leg's airports at the start of its details
+    let rows = flights;
+    if (req.query.rows === 'legs') {
+      const allLegs = batchFetchFlightLegs(flights.map(f => f.id));
+      rows = [];
+      flights.forEach(flight => {
+        expandLegRows(flight, allLegs[flight.id]).forEach(row => {
+          if (row.leg_number) {
+            row.flight_details = [`${row.departure || '?'} - ${row.arrival || '?'}`, row.flight_details]
+              .filter(Boolean).join(' ');
+          }
+          rows.push(row);
+        });
+      });
+    }
+
     // Generate PDF
     const generator = new LogbookPDFGenerator({
-      customFields: customFields
+      customFields: customFields,
+      showCrossCountry: extraColumns.includes('crosscountry'),
+      showDistance: extraColumns.includes('distance'),
+      timeFormat: getPreferences(req.session.userId).timeFormat
     });
 
-    const doc = generator.generate(flights);
+    const doc = generator.generate(rows);
 
-    // Set response headers
-    const filename = `logbook-${new Date().toISOString().split('T')[0]}.pdf`;
+    // Set response headers (dated in the user's timezone)
+    const filename = `logbook-${todayInTimezone(getUserTimezone(req.session.userId))}.pdf`;
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
 
@@ -1,79 +1,131 @@
 const express = require('express');
-const db = require('../models/database');
 const { requireAuth } = require('../middleware/auth');
+const { getPreferences, savePreferences } = require('../lib/preferences');
+const { isValidTimezone } = require('../lib/timezones');
+const { CROSS_COUNTRY_RULES, recalculateCrossCountry } = require('../lib/cross-country');
+const { TIME_FORMATS } = require('../lib/hours');
+const { FTL_RULE_SETS, validateLimits } = require('../lib/ftl');
+const { validateWindows } = require('../lib/rolling-hours');
 const router = express.Router();
 
 // All routes require authentication
 router.use(requireAuth);
 
-// Default dashboard configuration
-const DEFAULT_CONFIG = {
-  showHoursOverTime: true,
-  showAircraftChart: true,
-  showMonthlyActivity: true,
-  hiddenCustomFields: []
-};
-
 // Get user preferences
 router.get('/', (req, res) => {
   try {
-    const prefs = db.prepare(`
-      SELECT dashboard_config
-      FROM user_preferences
-      WHERE user_id = ?
-    `).get(req.session.userId);
-
-    if (!prefs) {
-      // Return default config if no preferences exist
-      return res.json(DEFAULT_CONFIG);
-    }
-
-    // Parse JSON config and merge with defaults
-    let config;
-    try {
-      config = JSON.parse(prefs.dashboard_config);
-    } catch (e) {
-      config = {};
-    }
-
-    // Merge with defaults to ensure all keys exist
-    const mergedConfig = { ...DEFAULT_CONFIG, ...config };
-    res.json(mergedConfig);
+    res.json(getPreferences(req.session.userId));
   } catch (error) {
     console.error('Error fetching preferences:', error);
     res.status(500).json({ error: 'Error fetching preferences' });
   }
 });
 
-// Save user preferences
+// Save user preferences (only the keys present in the body are changed)
 router.put('/', (req, res) => {
-  const { showHoursOverTime, showAircraftChart, showMonthlyActivity, hiddenCustomFields } = req.body;
+  const body = req.body;
+  const updates = {};
 
   // Validate input
-  const config = {
-    showHoursOverTime: showHoursOverTime !== false,
-    showAircraftChart: showAircraftChart !== false,
-    showMonthlyActivity: showMonthlyActivity !== false,
-    hiddenCustomFields: Array.isArray(hiddenCustomFields) ? hiddenCustomFields.filter(id => Number.isInteger(id)) : []
-  };
+  ['showHoursOverTime', 'showAircraftChart', 'showMonthlyActivity'].forEach(key => {
+    if (key in body) {
+      updates[key] = body[key] !== false;
+    }
+  });
+
+  if ('timesInUtc' in body) {
+    updates.timesInUtc = body.timesInUtc === true;
+  }
+
+  if ('currencyByType' in body) {
+    updates.currencyByType = body.currencyByType === true;
+  }
+
+  if ('timezone' in body) {
+    const timezone = typeof body.timezone === 'string' ? body.timezone.trim() : '';
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'Timezone must be an IANA timezone name, e.g. Pacific/Auckland' });
+    }
+    updates.timezone = timezone;
+  }
+
+  if ('dateOfBirth' in body) {
+    const dateOfBirth = typeof body.dateOfBirth === 'string' ? body.dateOfBirth.trim() : '';
+    if (dateOfBirth && (!/^\d{4}-\d{2}-\d{2}$/.test(dateOfBirth) || isNaN(new Date(dateOfBirth).getTime()) ||
+        dateOfBirth < '1900-01-01' || dateOfBirth > new Date().toISOString().slice(0, 10))) {
+      return res.status(400).json({ error: 'Date of birth must be a past date (YYYY-MM-DD)' });
+    }
+    updates.dateOfBirth = dateOfBirth;
+  }
+
+  if ('hiddenCustomFields' in body) {
+    updates.hiddenCustomFields = Array.isArray(body.hiddenCustomFields)
+      ? body.hiddenCustomFields.filter(id => Number.isInteger(id))
+      : [];
+  }
+
+  if ('trashRetentionDays' in body) {
+    const days = Number(body.trashRetentionDays);
+    if (!Number.isInteger(days) || days < 0 || days > 3650) {
+      return res.status(400).json({ error: 'Trash retention must be a whole number of days between 0 and 3650' });
+    }
+    updates.trashRetentionDays = days;
+  }
+
+  if ('crossCountryRule' in body) {
+    if (!(body.crossCountryRule in CROSS_COUNTRY_RULES)) {
+      return res.status(400).json({ error: `Cross-country rule must be one of: ${Object.keys(CROSS_COUNTRY_RULES).join(', ')}` });
+    }
+    updates.crossCountryRule = body.crossCountryRule;
+  }
+
+  if ('crossCountryMinNm' in body) {
+    const distance = Number(body.crossCountryMinNm);
+    if (!Number.isFinite(distance) || distance < 0 || distance > 10000) {
+      return res.status(400).json({ error: 'Cross-country distance must be a number of nautical miles between 0 and 10000' });
+    }
+    updates.crossCountryMinNm = distance;
+  }
+
+  if ('timeFormat' in body) {
+    if (!(body.timeFormat in TIME_FORMATS)) {
+      return res.status(400).json({ error: `Time format must be one of: ${Object.keys(TIME_FORMATS).join(', ')}` });
+    }
+    updates.timeFormat = body.timeFormat;
+  }
+
+  if ('ftlRuleSet' in body) {
+    const ruleSets = ['off', 'custom', ...Object.keys(FTL_RULE_SETS)];
+    if (!ruleSets.includes(body.ftlRuleSet)) {
+      return res.status(400).json({ error: `Rule set must be one of: ${ruleSets.join(', ')}` });
+    }
+    updates.ftlRuleSet = body.ftlRuleSet;
+  }
+
+  if ('ftlCustomLimits' in body) {
+    const validation = validateLimits(body.ftlCustomLimits);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+    updates.ftlCustomLimits = validation.limits;
+  }
+
+  if ('rollingWindows' in body) {
+    const validation = validateWindows(body.rollingWindows);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+    updates.rollingWindows = validation.windows;
+  }
 
   try {
-    const configJson = JSON.stringify(config);
-
-    // Upsert: insert or update
-    const existing = db.prepare('SELECT id FROM user_preferences WHERE user_id = ?').get(req.session.userId);
-
-    if (existing) {
-      db.prepare(`
-        UPDATE user_preferences
-        SET dashboard_config = ?, updated_at = CURRENT_TIMESTAMP
-        WHERE user_id = ?
-      `).run(configJson, req.session.userId);
-    } else {
-      db.prepare(`
-        INSERT INTO user_preferences (user_id, dashboard_config)
-        VALUES (?, ?)
-      `).run(req.session.userId, configJson);
+    const previous = getPreferences(req.session.userId);
+    const config = { ...previous, ...updates };
+    savePreferences(req.session.userId, config);
+
+    // Existing flights are reclassified when the rule changes
+    if (config.crossCountryRule !== previous.crossCountryRule || config.crossCountryMinNm !== previous.crossCountryMinNm) {
+      recalculateCrossCountry(req.session.userId);
     }
 
     res.json({ success: true, config });
@@ -0,0 +1,152 @@
+const express = require('express');
+const db = require('../models/database');
+const { requireAuth } = require('../middleware/auth');
+const {
+  MAX_TEMPLATES,
+  REQUIREMENT_METRICS,
+  BUNDLED_TEMPLATES,
+  validateTemplateData,
+  saveTemplateItems,
+  getUserTemplates,
+  getBundledTemplates,
+  getRequirementFlights,
+  evaluateTemplate
+} = require('../lib/requirements');
+const router = express.Router();
+
+// All routes require authentication
+router.use(requireAuth);
+
+// What a line can count (for the template editor)
+router.get('/metrics', (req, res) => {
+  res.json(Object.entries(REQUIREMENT_METRICS).map(([key, metric]) => ({
+    key,
+    label: metric.label,
+    hours: metric.hours,
+    needs_custom_field: !!metric.needsCustomField
+  })));
+});
+
+// Bundled templates and the user's own
+router.get('/templates', (req, res) => {
+  try {
+    res.json({
+      bundled: getBundledTemplates(),
+      custom: getUserTemplates(req.session.userId)
+    });
+  } catch (error) {
+    console.error('Error fetching requirement templates:', error);
+    res.status(500).json({ error: 'Error fetching requirement templates' });
+  }
+});
+
+// Progress towards a bundled template
+router.get('/bundled/:key/progress', (req, res) => {
+  if (!Object.prototype.hasOwnProperty.call(BUNDLED_TEMPLATES, req.params.key)) {
+    return res.status(404).json({ error: 'Requirement template not found' });
+  }
+
+  try {
+    const template = getBundledTemplates().find(t => t.key === req.params.key);
+    res.json(evaluateTemplate(template, getRequirementFlights(req.session.userId)));
+  } catch (error) {
+    console.error('Error working out requirement progress:', error);
+    res.status(500).json({ error: 'Error working out requirement progress' });
+  }
+});
+
+// Progress towards one of the user's templates
+router.get('/templates/:id/progress', (req, res) => {
+  try {
+    const [template] = getUserTemplates(req.session.userId, parseInt(req.params.id));
+    if (!template) {
+      return res.status(404).json({ error: 'Requirement template not found' });
+    }
+
+    res.json(evaluateTemplate(template, getRequirementFlights(req.session.userId)));
+  } catch (error) {
+    console.error('Error working out requirement progress:', error);
+    res.status(500).json({ error: 'Error working out requirement progress' });
+  }
+});
+
+// Add a template
+router.post('/templates', (req, res) => {
+  const validation = validateTemplateData(req.body, req.session.userId);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const count = db.prepare('SELECT COUNT(*) as count FROM requirement_templates WHERE user_id = ?').get(req.session.userId);
+    if (count.count >= MAX_TEMPLATES) {
+      return res.status(400).json({ error: `Maximum of ${MAX_TEMPLATES} requirement templates allowed` });
+    }
+
+    const { template } = validation;
+    const templateId = db.transaction(() => {
+      const result = db.prepare(`
+        INSERT INTO requirement_templates (user_id, name, description)
+        VALUES (?, ?, ?)
+      `).run(req.session.userId, template.name, template.description);
+
+      saveTemplateItems(result.lastInsertRowid, template.items);
+      return result.lastInsertRowid;
+    })();
+
+    res.status(201).json(getUserTemplates(req.session.userId, templateId)[0]);
+  } catch (error) {
+    console.error('Error creating requirement template:', error);
+    res.status(500).json({ error: 'Error creating requirement template' });
+  }
+});
+
+// Update a template
+router.put('/templates/:id', (req, res) => {
+  const templateId = parseInt(req.params.id);
+  const existing = db.prepare('SELECT id FROM requirement_templates WHERE id = ? AND user_id = ?').get(templateId, req.session.userId);
+  if (!existing) {
+    return res.status(404).json({ error: 'Requirement template not found' });
+  }
+
+  const validation = validateTemplateData(req.body, req.session.userId);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const { template } = validation;
+    db.transaction(() => {
+      db.prepare(`
+        UPDATE requirement_templates
+        SET name = ?, description = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(template.name, template.description, templateId);
+
+      saveTemplateItems(templateId, template.items);
+    })();
+
+    res.json(getUserTemplates(req.session.userId, templateId)[0]);
+  } catch (error) {
+    console.error('Error updating requirement template:', error);
+    res.status(500).json({ error: 'Error updating requirement template' });
+  }
+});
+
+// Delete a template (its lines go with it)
+router.delete('/templates/:id', (req, res) => {
+  try {
+    const result = db.prepare('DELETE FROM requirement_templates WHERE id = ? AND user_id = ?').run(req.params.id, req.session.userId);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Requirement template not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting requirement template:', error);
+    res.status(500).json({ error: 'Error deleting requirement template' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require('express');
+const db = require('../models/database');
+const { requireAuth } = require('../middleware/auth');
+const { readTrackFile, saveFlightTrack, getFlightTrack } = require('../lib/tracks');
+const router = express.Router();
+
+// All routes require authentication
+router.use(requireAuth);
+
+/**
+ * Check a flight belongs to the user (and is not in the Trash)
+ */
+function findFlight(userId, flightId) {
+  return db.prepare('SELECT id FROM flights WHERE id = ? AND user_id = ? AND deleted_at IS NULL').get(flightId, userId);
+}
+
+// Read a GPX, KML or IGC file and work out the flight from it, without storing it
+router.post('/analyze', (req, res) => {
+  try {
+    const result = readTrackFile(req.session.userId, req.body);
+    if (!result.valid) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result.track);
+  } catch (error) {
+    console.error('Error reading track:', error);
+    res.status(500).json({ error: 'Error reading track' });
+  }
+});
+
+// Get a flight's track
+router.get('/:flightId', (req, res) => {
+  try {
+    if (!findFlight(req.session.userId, req.params.flightId)) {
+      return res.status(404).json({ error: 'Flight not found' });
+    }
+
+    const track = getFlightTrack(req.params.flightId);
+    if (!track) {
+      return res.status(404).json({ error: 'This flight has no track' });
+    }
+
+    res.json(track);
+  } catch (error) {
+    console.error('Error fetching track:', error);
+    res.status(500).json({ error: 'Error fetching track' });
+  }
+});
+
+// Upload a track for a flight (replaces any track it already has)
+router.put('/:flightId', (req, res) => {
+  try {
+    if (!findFlight(req.session.userId, req.params.flightId)) {
+      return res.status(404).json({ error: 'Flight not found' });
+    }
+
+    const result = readTrackFile(req.session.userId, req.body);
+    if (!result.valid) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    saveFlightTrack(req.params.flightId, result.track);
+
+    res.json(getFlightTrack(req.params.flightId));
+  } catch (error) {
+    console.error('Error saving track:', error);
+    res.status(500).json({ error: 'Error saving track' });
+  }
+});
+
+// Remove a flight's track
+router.delete('/:flightId', (req, res) => {
+  try {
+    if (!findFlight(req.session.userId, req.params.flightId)) {
+      return res.status(404).json({ error: 'Flight not found' });
+    }
+
+    const result = db.prepare('DELETE FROM flight_tracks WHERE flight_id = ?').run(req.params.flightId);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'This flight has no track' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting track:', error);
+    res.status(500).json({ error: 'Error deleting track' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+const express = require('express');
+const db = require('../models/database');
+const { requireAuth } = require('../middleware/auth');
+const { getPreferences } = require('../lib/preferences');
+const { purgeExpiredFlights } = require('../lib/trash');
+const { getFlightSnapshot, recordRevision } = require('../lib/flight-history');
+const router = express.Router();
+
+// All routes require authentication
+router.use(requireAuth);
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Read a list of flight IDs from the request body
+ * @param {*} ids - Value of body.ids
+ * @returns {number[]} Valid positive integer IDs (empty when none)
+ */
+function parseFlightIds(ids) {
+  if (!Array.isArray(ids)) {
+    return [];
+  }
+  return ids.map(id => parseInt(id)).filter(id => Number.isInteger(id) && id > 0);
+}
+
+// ==================== ROUTES ====================
+
+// List flights in the Trash, most recently deleted first
+router.get('/', (req, res) => {
+  try {
+    // Apply the retention period first so nothing listed is already past its purge date
+    purgeExpiredFlights(req.session.userId);
+
+    const retentionDays = getPreferences(req.session.userId).trashRetentionDays;
+
+    const flights = db.prepare(`
+      SELECT id, date, aircraft_type, registration, departure, arrival,
+             flight_details as route, flight_time_hours as flight_time, deleted_at,
+             CASE WHEN ? > 0 THEN datetime(deleted_at, '+' || ? || ' days') END as purge_at
+      FROM flights
+      WHERE user_id = ? AND deleted_at IS NOT NULL
+      ORDER BY deleted_at DESC, date DESC, id DESC
+    `).all(retentionDays, retentionDays, req.session.userId);
+
+    res.json({ flights, retention_days: retentionDays });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Error fetching trash' });
+  }
+});
+
+// Restore flights from the Trash
+router.post('/restore', (req, res) => {
+  const ids = parseFlightIds(req.body.ids);
+  if (ids.length === 0) {
+    return res.status(400).json({ error: 'Select at least one flight' });
+  }
+
+  try {
+    const restore = db.transaction(() => {
+      const flightIds = db.prepare(`
+        SELECT id FROM flights
+        WHERE user_id = ? AND deleted_at IS NOT NULL AND id IN (${ids.map(() => '?').join(',')})
+      `).all(req.session.userId, ...ids).map(row => row.id);
+
+      const restoreStmt = db.prepare('UPDATE flights SET deleted_at = NULL WHERE id = ?');
+      flightIds.forEach(id => {
+        restoreStmt.run(id);
+        recordRevision(req.session.userId, id, 'restore', getFlightSnapshot(id), null);
+      });
+
+      return flightIds.length;
+    });
+
+    const flightsRestored = restore();
+
+    res.json({ success: true, flights_restored: flightsRestored });
+  } catch (error) {
+    console.error('Error restoring flights:', error);
+    res.status(500).json({ error: 'Error restoring flights' });
+  }
+});
+
+// Permanently delete flights from the Trash (ids, or all: true to empty it)
+router.post('/purge', (req, res) => {
+  const ids = parseFlightIds(req.body.ids);
+  const emptyTrash = req.body.all === true;
+  if (!emptyTrash && ids.length === 0) {
+    return res.status(400).json({ error: 'Select at least one flight' });
+  }
+
+  try {
+    // Custom field values are removed by ON DELETE CASCADE
+    const idFilter = emptyTrash ? '' : ` AND id IN (${ids.map(() => '?').join(',')})`;
+    const purge = db.transaction(() => db.prepare(
+      `DELETE FROM flights WHERE user_id = ? AND deleted_at IS NOT NULL${idFilter}`
+    ).run(req.session.userId, ...(emptyTrash ? [] : ids)));
+
+    const result = purge();
+
+    res.json({ success: true, flights_purged: result.changes });
+  } catch (error) {
+    console.error('Error purging flights:', error);
+    res.status(500).json({ error: 'Error purging flights' });
+  }
+});
+
+module.exports = router;
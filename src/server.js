@@ -14,6 +14,16 @@ const customFieldsRoutes = require('./routes/custom-fields');
 const tagsRoutes = require('./routes/tags');
 const preferencesRoutes = require('./routes/preferences');
 const pdfExportRoutes = require('./routes/pdf-export');
+const importRoutes = require('./routes/import');
+const trashRoutes = require('./routes/trash');
+const airportsRoutes = require('./routes/airports');
+const tracksRoutes = require('./routes/tracks');
+const dutyRoutes = require('./routes/duty');
+const currencyRoutes = require('./routes/currency');
+const credentialsRoutes = require('./routes/credentials');
+const requirementsRoutes = require('./routes/requirements');
+const { purgeExpiredFlights } = require('./lib/trash');
+const { backfillCrossCountry } = require('./lib/cross-country');
 const { requireAuth } = require('./middleware/auth');
 
 const app = express();
@@ -85,6 +95,11 @@ const loginLimiter = rateLimit({
 app.use('/api/', apiLimiter);
 app.use('/api/auth/login', loginLimiter);
 
+// Imports carry a whole logbook file, tracks a whole GPS log and credentials a scanned document,
+// so they get a larger body limit than other requests
+app.use('/api/flights/import', bodyParser.json({ limit: '10mb' }));
+app.use('/api/flights/tracks', bodyParser.json({ limit: '10mb' }));
+app.use('/api/credentials', bodyParser.json({ limit: '10mb' }));
 app.use(bodyParser.json({ limit: '1mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '1mb' }));
 
@@ -104,11 +119,19 @@ app.use(session({
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/flights/export', pdfExportRoutes);  // Must come before /api/flights
+app.use('/api/flights/import', importRoutes);  // Must come before /api/flights
+app.use('/api/flights/trash', trashRoutes);  // Must come before /api/flights
+app.use('/api/flights/tracks', tracksRoutes);  // Must come before /api/flights
 app.use('/api/flights', flightRoutes);
 app.use('/api/aircraft', aircraftRoutes);
 app.use('/api/custom-fields', customFieldsRoutes);
 app.use('/api/tags', tagsRoutes);
 app.use('/api/preferences', preferencesRoutes);
+app.use('/api/airports', airportsRoutes);
+app.use('/api/duty', dutyRoutes);
+app.use('/api/currency', currencyRoutes);
+app.use('/api/credentials', credentialsRoutes);
+app.use('/api/requirements', requirementsRoutes);
 
 // Protected routes - serve HTML files only if authenticated
 app.get('/', requireAuth, (req, res) => {
@@ -131,6 +154,18 @@ app.get('/aircraft.html', requireAuth, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'aircraft.html'));
 });
 
+app.get('/trash.html', requireAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'trash.html'));
+});
+
+app.get('/duty.html', requireAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'duty.html'));
+});
+
+app.get('/progress.html', requireAuth, (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'progress.html'));
+});
+
 app.get('/settings.html', requireAuth, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'settings.html'));
 });
@@ -157,6 +192,30 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
+// Purge flights that have been in the Trash longer than each user's retention period
+function runTrashPurge() {
+  try {
+    const purged = purgeExpiredFlights();
+    if (purged > 0) {
+      console.log(`Purged ${purged} expired flight(s) from the Trash`);
+    }
+  } catch (error) {
+    console.error('Error purging trash:', error);
+  }
+}
+runTrashPurge();
+setInterval(runTrashPurge, 24 * 60 * 60 * 1000).unref();
+
+// Work out distance and cross-country time for flights logged before they were calculated
+try {
+  const calculated = backfillCrossCountry();
+  if (calculated > 0) {
+    console.log(`Calculated distance and cross-country time for ${calculated} flight(s)`);
+  }
+} catch (error) {
+  console.error('Error calculating cross-country time:', error);
+}
+
 // Start server
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Pilot's Logbook server running on port ${PORT}`);